@@ -0,0 +1,1483 @@
+/**
+ * OpenAPI 3 Specification
+ * Describes every route in api-routes.js plus /health, including the error codes
+ * produced by error-middleware.js. Served at /api/v1/docs and used by test-api.js
+ * to validate responses - update it together with the routes.
+ */
+
+const { PRICE_FIELDS } = require('../utils/price-series');
+const { SORT_FIELDS } = require('../middleware/validation-middleware');
+
+// Error codes returned in error.code (HTTP status → codes)
+const ERROR_CODES = {
+    VALIDATION_ERROR: 'Invalid path, query or body parameter (400)',
+    SYNTAX_ERROR: 'Malformed JSON request body (400)',
+    INVALID_QUERY: 'Database rejected the query parameters (400)',
+    AUTHENTICATION_ERROR: 'Missing, malformed, unknown or revoked API key (401)',
+    AUTHORIZATION_ERROR: 'Access denied (403)',
+    DATABASE_PERMISSION_ERROR: 'Database access denied (403)',
+    NOT_FOUND: 'No data for the request, or unknown endpoint (404)',
+    CONFLICT: 'Price review already decided (409)',
+    TIMEOUT_ERROR: 'Request took too long (408)',
+    RATE_LIMIT_ERROR: 'Rate limit of the API key or IP exceeded (429)',
+    INTERNAL_ERROR: 'Unexpected server error (500)',
+    DATABASE_ERROR: 'Database operation failed (500)',
+    DATABASE_CONNECTION_ERROR: 'Database unreachable (503)'
+};
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const nullable = schema => ({ ...schema, nullable: true });
+
+/**
+ * Standard success envelope (formatResponse) around a data schema
+ */
+function envelope(dataSchema) {
+    return {
+        type: 'object',
+        required: ['success', 'message', 'data', 'metadata'],
+        properties: {
+            success: { type: 'boolean', enum: [true] },
+            message: { type: 'string' },
+            data: dataSchema,
+            metadata: ref('ResponseMetadata'),
+            cache: ref('CacheInfo')
+        }
+    };
+}
+
+/**
+ * 200 response: JSON envelope plus optional export formats
+ * @param {Object} dataSchema - Schema of data
+ * @param {Object} options - { formats (csv, geojson), cached (route uses the response cache), release (route accepts ?release=), schema (replaces the envelope) }
+ */
+function okResponse(description, dataSchema, { formats = [], cached = false, release = false, schema = null } = {}) {
+    const content = {
+        'application/json': { schema: schema || envelope(dataSchema) }
+    };
+
+    if (formats.includes('csv')) {
+        content['text/csv'] = {
+            schema: { type: 'string', description: 'Header row plus one row per price record (columns of monthly_electricity_prices)' }
+        };
+    }
+    if (formats.includes('geojson')) {
+        content['application/geo+json'] = { schema: ref('PriceFeatureCollection') };
+    }
+
+    const response = { description, content };
+    if (cached) {
+        response.headers = {
+            ETag: { $ref: '#/components/headers/ETag' },
+            'Last-Modified': { $ref: '#/components/headers/LastModified' },
+            'X-Cache': { $ref: '#/components/headers/XCache' }
+        };
+    }
+    if (release) {
+        response.headers = { ...response.headers, 'X-Data-Release': { $ref: '#/components/headers/XDataRelease' } };
+    }
+    return response;
+}
+
+const SHARED_RESPONSES = {
+    304: 'NotModified',
+    400: 'BadRequest',
+    401: 'Unauthorized',
+    403: 'Forbidden',
+    404: 'NotFound',
+    409: 'Conflict',
+    429: 'RateLimited',
+    500: 'InternalError'
+};
+
+/**
+ * Non-200 responses of an /api/v1 operation: the given statuses plus 401, 429 and 500
+ */
+function otherResponses(...statuses) {
+    const responses = {};
+    [...statuses, 401, 429, 500].forEach(status => {
+        responses[status] = { $ref: `#/components/responses/${SHARED_RESPONSES[status]}` };
+    });
+    return responses;
+}
+
+const pathParam = name => ({ $ref: `#/components/parameters/${name}` });
+const releaseParam = { $ref: '#/components/parameters/release' };
+
+function formatParam(formats) {
+    return {
+        name: 'format',
+        in: 'query',
+        description: 'Response format (takes precedence over the Accept header)',
+        schema: { type: 'string', enum: formats }
+    };
+}
+
+// Schemas used inline where they may be null (OpenAPI 3.0 ignores siblings of $ref)
+const DATA_MONTH = { type: 'string', description: 'First day of the month (YYYY-MM-01)', example: '2025-07-01' };
+
+const COORDINATES = {
+    type: 'object',
+    properties: {
+        latitude: nullable({ type: 'number' }),
+        longitude: nullable({ type: 'number' })
+    }
+};
+
+const MONTH = {
+    type: 'object',
+    required: ['data_month', 'year', 'month'],
+    properties: {
+        data_month: ref('DataMonth'),
+        year: { type: 'integer' },
+        month: { type: 'integer' },
+        formatted: { type: 'string', example: 'Juli 2025' }
+    }
+};
+
+// Spread of one price type across sources (null when fewer than two sources have the price)
+const PRICE_SPREAD = {
+    type: 'object',
+    properties: {
+        min: { type: 'number' },
+        max: { type: 'number' },
+        spread: { type: 'number', description: 'max - min (EUR/kWh)' },
+        relative_spread: { type: 'number', description: '(max - min) / min' },
+        severity: ref('SpreadSeverity')
+    }
+};
+
+// Price columns a review decision may write
+const REVIEW_VALUES = {
+    type: 'object',
+    properties: {
+        lokaler_versorger_price: { type: 'number', description: 'EUR/kWh' },
+        oekostrom_price: { type: 'number', description: 'EUR/kWh' }
+    }
+};
+
+/**
+ * Request body of a review decision (values required for override)
+ */
+function reviewDecisionBody(withValues) {
+    const schema = {
+        type: 'object',
+        properties: {
+            note: { type: 'string', description: 'Stored with the decision' }
+        }
+    };
+    if (withValues) {
+        schema.required = ['values'];
+        schema.properties.values = { ...REVIEW_VALUES, minProperties: 1 };
+    }
+
+    return {
+        required: withValues,
+        content: {
+            'application/json': {
+                schema,
+                example: withValues
+                    ? { values: { lokaler_versorger_price: 0.4012 }, note: 'Price read off the archived page' }
+                    : { note: 'Matches the previous months' }
+            }
+        }
+    };
+}
+
+const priceFieldProperties = {};
+Object.keys(PRICE_FIELDS).forEach(field => {
+    priceFieldProperties[field] = nullable({ type: 'number', description: 'EUR/kWh' });
+});
+
+const openApiSpec = {
+    openapi: '3.0.3',
+    info: {
+        title: 'German Electricity Price API',
+        version: '1.0.0',
+        description: [
+            'Monthly electricity prices per German postal code (PLZ), scraped from stromauskunft.de.',
+            'FALLBACK records carry the price of the nearest PLZ with original data (see source_plz / distance_km).',
+            '',
+            'Every error response has the shape `{ success: false, error: { message, code, timestamp, details? } }`. Error codes:',
+            '',
+            ...Object.entries(ERROR_CODES).map(([code, description]) => `- \`${code}\` - ${description}`),
+            '',
+            'Read routes are cached: responses carry `ETag` / `Last-Modified`, conditional requests get `304 Not Modified`.'
+        ].join('\n')
+    },
+    servers: [
+        { url: '/api/v1' }
+    ],
+    security: [
+        {},
+        { ApiKeyHeader: [] },
+        { ApiKeyQuery: [] }
+    ],
+    tags: [
+        { name: 'Prices', description: 'Price records per PLZ' },
+        { name: 'Analytics', description: 'Aggregates per month' },
+        { name: 'Export', description: 'Full month downloads' },
+        { name: 'Reviews', description: 'Human review of flagged prices (reviewer API keys only)' },
+        { name: 'Metadata', description: 'Available data, API keys and health' }
+    ],
+    paths: {
+        '/price/{plz}/{year}/{month}': {
+            get: {
+                tags: ['Prices'],
+                summary: 'Price for a PLZ and month',
+                operationId: 'getPrice',
+                parameters: [pathParam('plz'), pathParam('year'), pathParam('month'), formatParam(['json', 'csv', 'geojson']), releaseParam],
+                responses: {
+                    200: okResponse('Price record', ref('PriceRecord'), { formats: ['csv', 'geojson'], cached: true, release: true }),
+                    ...otherResponses(304, 400, 404)
+                }
+            }
+        },
+        '/price/{plz}/latest': {
+            get: {
+                tags: ['Prices'],
+                summary: 'Most recent price for a PLZ',
+                operationId: 'getLatestPrice',
+                parameters: [pathParam('plz'), formatParam(['json', 'csv', 'geojson']), releaseParam],
+                responses: {
+                    200: okResponse('Latest price record', ref('PriceRecord'), { formats: ['csv', 'geojson'], cached: true, release: true }),
+                    ...otherResponses(304, 400, 404)
+                }
+            }
+        },
+        '/price/{plz}/history': {
+            get: {
+                tags: ['Prices'],
+                summary: 'Monthly price series with month-over-month changes',
+                operationId: 'getPriceHistory',
+                parameters: [
+                    pathParam('plz'),
+                    { name: 'from', in: 'query', description: 'First month (YYYY-MM)', schema: { type: 'string', pattern: '^\\d{4}-\\d{2}$' } },
+                    { name: 'to', in: 'query', description: 'Last month (YYYY-MM)', schema: { type: 'string', pattern: '^\\d{4}-\\d{2}$' } },
+                    formatParam(['json', 'csv', 'geojson']),
+                    releaseParam
+                ],
+                responses: {
+                    200: okResponse('Price series', ref('PriceHistory'), { formats: ['csv', 'geojson'], cached: true, release: true }),
+                    ...otherResponses(304, 400, 404)
+                }
+            }
+        },
+        '/price/{plz}/{year}/{month}/history': {
+            get: {
+                tags: ['Prices'],
+                summary: "Recorded changes of a PLZ's price row for one month",
+                description: 'Every in-place update of the row (cleanup, high-price and Ökostrom fixes, re-extraction, outlier checks, price reviews) with old and new values, the script that made it and why, oldest first.',
+                operationId: 'getPriceChangeHistory',
+                parameters: [pathParam('plz'), pathParam('year'), pathParam('month'), releaseParam],
+                responses: {
+                    200: okResponse('Change history', ref('PriceChangeHistory'), { cached: true, release: true }),
+                    ...otherResponses(304, 400, 404)
+                }
+            }
+        },
+        '/price/nearby': {
+            get: {
+                tags: ['Prices'],
+                summary: 'Closest PLZ records around coordinates',
+                operationId: 'getNearbyPrices',
+                parameters: [
+                    { name: 'lat', in: 'query', required: true, schema: { type: 'number', minimum: -90, maximum: 90 } },
+                    { name: 'lng', in: 'query', required: true, schema: { type: 'number', minimum: -180, maximum: 180 } },
+                    { name: 'radius_km', in: 'query', schema: { type: 'number', exclusiveMinimum: true, minimum: 0, maximum: 100, default: 10 } },
+                    { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 100, default: 10 } },
+                    { name: 'year', in: 'query', description: 'Requires month; defaults to the latest month with data', schema: { type: 'integer' } },
+                    { name: 'month', in: 'query', description: 'Requires year', schema: { type: 'integer', minimum: 1, maximum: 12 } },
+                    formatParam(['json', 'csv', 'geojson']),
+                    releaseParam
+                ],
+                responses: {
+                    200: okResponse('Records sorted by distance', ref('NearbyPrices'), { formats: ['csv', 'geojson'], cached: true, release: true }),
+                    ...otherResponses(304, 400, 404)
+                }
+            }
+        },
+        '/price/bulk': {
+            post: {
+                tags: ['Prices'],
+                summary: 'Prices for up to 100 PLZs of one month',
+                operationId: 'getBulkPrices',
+                parameters: [formatParam(['json', 'csv', 'geojson']), releaseParam],
+                requestBody: {
+                    required: true,
+                    content: {
+                        'application/json': {
+                            schema: {
+                                type: 'object',
+                                required: ['plzList', 'year', 'month'],
+                                properties: {
+                                    plzList: { type: 'array', minItems: 1, maxItems: 100, items: ref('PLZ') },
+                                    year: { type: 'integer' },
+                                    month: { type: 'integer', minimum: 1, maximum: 12 }
+                                }
+                            },
+                            example: { plzList: ['10115', '80331'], year: 2025, month: 7 }
+                        }
+                    }
+                },
+                responses: {
+                    200: okResponse('Found records and missing PLZs', ref('BulkPrices'), { formats: ['csv', 'geojson'], release: true }),
+                    ...otherResponses(400)
+                }
+            }
+        },
+        '/prices/{year}/{month}': {
+            get: {
+                tags: ['Prices'],
+                summary: 'Paginated, filterable price listing of a month',
+                operationId: 'listPrices',
+                parameters: [
+                    pathParam('year'),
+                    pathParam('month'),
+                    { name: 'page', in: 'query', schema: { type: 'integer', minimum: 1, default: 1 } },
+                    { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 1000, default: 50 } },
+                    { name: 'data_source', in: 'query', schema: ref('DataSource') },
+                    { name: 'is_outlier', in: 'query', schema: { type: 'boolean' } },
+                    { name: 'severity', in: 'query', schema: ref('OutlierSeverity') },
+                    { name: 'min_price', in: 'query', description: 'Minimum average price (EUR/kWh)', schema: { type: 'number', minimum: 0 } },
+                    { name: 'max_price', in: 'query', description: 'Maximum average price (EUR/kWh)', schema: { type: 'number', minimum: 0 } },
+                    {
+                        name: 'sort',
+                        in: 'query',
+                        description: 'Sort field, prefix with - for descending',
+                        schema: {
+                            type: 'string',
+                            enum: Object.keys(SORT_FIELDS).flatMap(field => [field, `-${field}`]),
+                            default: 'plz'
+                        }
+                    },
+                    formatParam(['json', 'csv', 'geojson']),
+                    releaseParam
+                ],
+                responses: {
+                    200: okResponse('One page of price records', null, {
+                        formats: ['csv', 'geojson'],
+                        cached: true,
+                        release: true,
+                        schema: ref('PaginatedPriceListing')
+                    }),
+                    ...otherResponses(304, 400)
+                }
+            }
+        },
+        '/average/{year}/{month}': {
+            get: {
+                tags: ['Analytics'],
+                summary: 'National averages of a month',
+                description: 'Read from the monthly quality metrics, which scrape sessions, cleanup runs and review decisions recalculate (rounded to four decimals).',
+                operationId: 'getNationalAverage',
+                parameters: [pathParam('year'), pathParam('month'), releaseParam],
+                responses: {
+                    200: okResponse('National averages with ORIGINAL / FALLBACK breakdown', ref('NationalAverage'), { cached: true, release: true }),
+                    ...otherResponses(304, 400, 404)
+                }
+            }
+        },
+        '/coverage/{year}/{month}': {
+            get: {
+                tags: ['Analytics'],
+                summary: 'Data coverage and outlier statistics of a month',
+                description: 'Read from the monthly quality metrics, like /average.',
+                operationId: 'getCoverage',
+                parameters: [pathParam('year'), pathParam('month'), releaseParam],
+                responses: {
+                    200: okResponse('Coverage statistics', ref('Coverage'), { cached: true, release: true }),
+                    ...otherResponses(304, 400, 404)
+                }
+            }
+        },
+        '/quality/{year}/{month}': {
+            get: {
+                tags: ['Analytics'],
+                summary: 'Quality metrics of a month with recommendations',
+                description: 'The monthly quality metrics (coverage, averages, outlier counts, fallback distances), the open month-over-month review queue and the recommendations derived from both. With ?release= the metrics stored with the release are returned and review_queue is null.',
+                operationId: 'getMonthlyQuality',
+                parameters: [pathParam('year'), pathParam('month'), releaseParam],
+                responses: {
+                    200: okResponse('Quality metrics and recommendations', ref('MonthlyQuality'), { cached: true, release: true }),
+                    ...otherResponses(304, 400, 404)
+                }
+            }
+        },
+        '/reconciliation/{year}/{month}': {
+            get: {
+                tags: ['Analytics'],
+                summary: 'PLZs where the price sources disagree',
+                description: 'Joins the ORIGINAL prices of every source_name per PLZ and computes the spread (max - min). PLZs whose relative spread reaches the high threshold are listed, worst first. The CSV export has one row per listed PLZ.',
+                operationId: 'getPriceReconciliation',
+                parameters: [pathParam('year'), pathParam('month'), formatParam(['json', 'csv']), releaseParam],
+                responses: {
+                    200: okResponse('Reconciliation summary and flagged PLZs', ref('PriceReconciliation'), { formats: ['csv'], cached: true, release: true }),
+                    ...otherResponses(304, 400, 404)
+                }
+            }
+        },
+        '/regions/{level}/{year}/{month}': {
+            get: {
+                tags: ['Analytics'],
+                summary: 'Price statistics per Bundesland or PLZ prefix',
+                operationId: 'getRegionalStatistics',
+                parameters: [
+                    {
+                        name: 'level',
+                        in: 'path',
+                        required: true,
+                        description: 'state = Bundesland, plz1 / plz2 = first one / two PLZ digits',
+                        schema: { type: 'string', enum: ['state', 'plz1', 'plz2'] }
+                    },
+                    pathParam('year'),
+                    pathParam('month'),
+                    releaseParam
+                ],
+                responses: {
+                    200: okResponse('Statistics per region', ref('RegionalStatistics'), { cached: true, release: true }),
+                    ...otherResponses(304, 400, 404)
+                }
+            }
+        },
+        '/compare/{yearA}/{monthA}/{yearB}/{monthB}': {
+            get: {
+                tags: ['Analytics'],
+                summary: 'Compare two months: national delta, change distribution and biggest movers',
+                description: 'Only PLZs with ORIGINAL, non-outlier data in both months are compared. Changes are month B minus month A.',
+                operationId: 'compareMonths',
+                parameters: [
+                    { name: 'yearA', in: 'path', required: true, schema: { type: 'integer', minimum: 2020 } },
+                    { name: 'monthA', in: 'path', required: true, schema: { type: 'integer', minimum: 1, maximum: 12 } },
+                    { name: 'yearB', in: 'path', required: true, schema: { type: 'integer', minimum: 2020 } },
+                    { name: 'monthB', in: 'path', required: true, schema: { type: 'integer', minimum: 1, maximum: 12 } },
+                    { name: 'field', in: 'query', description: 'Price to compare', schema: { type: 'string', enum: Object.keys(PRICE_FIELDS), default: 'average' } },
+                    { name: 'limit', in: 'query', description: 'Number of top increases / decreases', schema: { type: 'integer', minimum: 1, maximum: 100, default: 10 } },
+                    { name: 'bins', in: 'query', description: 'Histogram bins', schema: { type: 'integer', minimum: 1, maximum: 100, default: 20 } },
+                    releaseParam
+                ],
+                responses: {
+                    200: okResponse('Month comparison', ref('MonthComparison'), { cached: true, release: true }),
+                    ...otherResponses(304, 400, 404)
+                }
+            }
+        },
+        '/export/{year}/{month}': {
+            get: {
+                tags: ['Export'],
+                summary: 'Stream every price record of a month',
+                description: 'Sent in chunks; X-Content-SHA256 (hex SHA-256 of the body) and X-Record-Count follow as HTTP trailers. A download without trailers is incomplete.',
+                operationId: 'exportMonth',
+                parameters: [pathParam('year'), pathParam('month'), formatParam(['ndjson', 'csv']), releaseParam],
+                responses: {
+                    200: {
+                        description: 'All records of the month',
+                        headers: {
+                            Trailer: { description: 'X-Content-SHA256, X-Record-Count', schema: { type: 'string' } },
+                            'X-Data-Release': { $ref: '#/components/headers/XDataRelease' }
+                        },
+                        content: {
+                            'application/x-ndjson': { schema: { type: 'string', description: 'One price record (PriceRow) per line' } },
+                            'text/csv': { schema: { type: 'string', description: 'Header row plus one row per price record' } }
+                        }
+                    },
+                    ...otherResponses(400, 404)
+                }
+            }
+        },
+        '/months': {
+            get: {
+                tags: ['Metadata'],
+                summary: 'Months with data',
+                operationId: 'listMonths',
+                parameters: [formatParam(['json', 'csv']), releaseParam],
+                responses: {
+                    200: okResponse('Available months, newest first', ref('AvailableMonths'), { formats: ['csv'], cached: true, release: true }),
+                    ...otherResponses(304)
+                }
+            }
+        },
+        '/releases/{year}/{month}': {
+            get: {
+                tags: ['Metadata'],
+                summary: 'Published releases of a month',
+                description: 'Frozen versions of the month (2025-07@v1, @v2, ...), oldest first, each with its quality metrics and a changelog of the corrections since the previous release. Read one with ?release= on the data routes.',
+                operationId: 'listReleases',
+                parameters: [pathParam('year'), pathParam('month')],
+                responses: {
+                    200: okResponse('Releases of the month', ref('DataReleaseList'), { cached: true }),
+                    ...otherResponses(304, 400, 404)
+                }
+            }
+        },
+        '/reviews': {
+            get: {
+                tags: ['Reviews'],
+                summary: 'List price review items',
+                description: 'Flagged price rows (outliers, no extraction consensus, month-over-month jumps) waiting for or carrying a decision, oldest first.',
+                operationId: 'listPriceReviews',
+                security: [{ ApiKeyHeader: [] }, { ApiKeyQuery: [] }],
+                parameters: [
+                    { name: 'status', in: 'query', schema: { ...ref('ReviewStatus'), default: 'pending' } },
+                    { name: 'month', in: 'query', description: 'Data month (YYYY-MM)', schema: { type: 'string', pattern: '^\\d{4}-(0[1-9]|1[0-2])$' } },
+                    { name: 'page', in: 'query', schema: { type: 'integer', minimum: 1, default: 1 } },
+                    { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 1000, default: 50 } }
+                ],
+                responses: {
+                    200: okResponse('One page of review items', null, { schema: ref('PaginatedPriceReviews') }),
+                    ...otherResponses(400, 403)
+                }
+            }
+        },
+        '/reviews/{id}': {
+            get: {
+                tags: ['Reviews'],
+                summary: 'Review item with flags, candidate values, evidence and decision',
+                operationId: 'getPriceReview',
+                security: [{ ApiKeyHeader: [] }, { ApiKeyQuery: [] }],
+                parameters: [pathParam('reviewId')],
+                responses: {
+                    200: okResponse('Review item', ref('PriceReview')),
+                    ...otherResponses(400, 403, 404)
+                }
+            }
+        },
+        '/reviews/{id}/approve': {
+            post: {
+                tags: ['Reviews'],
+                summary: 'Approve the candidate values',
+                description: 'Writes candidate_values to the price row, recalculates average_price and clears the outlier flags.',
+                operationId: 'approvePriceReview',
+                security: [{ ApiKeyHeader: [] }, { ApiKeyQuery: [] }],
+                parameters: [pathParam('reviewId')],
+                requestBody: reviewDecisionBody(false),
+                responses: {
+                    200: okResponse('Decision applied', ref('ReviewDecision')),
+                    ...otherResponses(400, 403, 404, 409)
+                }
+            }
+        },
+        '/reviews/{id}/reject': {
+            post: {
+                tags: ['Reviews'],
+                summary: 'Reject the candidate values and keep the flagged prices',
+                description: "Only sets the price row's review_status to 'reviewed'.",
+                operationId: 'rejectPriceReview',
+                security: [{ ApiKeyHeader: [] }, { ApiKeyQuery: [] }],
+                parameters: [pathParam('reviewId')],
+                requestBody: reviewDecisionBody(false),
+                responses: {
+                    200: okResponse('Decision applied', ref('ReviewDecision')),
+                    ...otherResponses(400, 403, 404, 409)
+                }
+            }
+        },
+        '/reviews/{id}/override': {
+            post: {
+                tags: ['Reviews'],
+                summary: "Write the reviewer's own prices",
+                description: 'Like approve, with the prices from values instead of candidate_values.',
+                operationId: 'overridePriceReview',
+                security: [{ ApiKeyHeader: [] }, { ApiKeyQuery: [] }],
+                parameters: [pathParam('reviewId')],
+                requestBody: reviewDecisionBody(true),
+                responses: {
+                    200: okResponse('Decision applied', ref('ReviewDecision')),
+                    ...otherResponses(400, 403, 404, 409)
+                }
+            }
+        },
+        '/keys/me': {
+            get: {
+                tags: ['Metadata'],
+                summary: 'Quota and usage of the calling API key',
+                operationId: 'getApiKeyInfo',
+                security: [{ ApiKeyHeader: [] }, { ApiKeyQuery: [] }],
+                responses: {
+                    200: okResponse('API key information', ref('ApiKeyInfo')),
+                    ...otherResponses()
+                }
+            }
+        },
+        '/health': {
+            servers: [{ url: '/' }],
+            get: {
+                tags: ['Metadata'],
+                summary: 'Health check (database connectivity)',
+                operationId: 'getHealth',
+                security: [],
+                responses: {
+                    200: {
+                        description: 'API and database are healthy',
+                        content: { 'application/json': { schema: ref('Health') } }
+                    },
+                    503: {
+                        description: 'Database connection failed',
+                        content: { 'application/json': { schema: ref('Health') } }
+                    }
+                }
+            }
+        }
+    },
+    components: {
+        securitySchemes: {
+            ApiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+            ApiKeyQuery: { type: 'apiKey', in: 'query', name: 'apiKey' }
+        },
+        parameters: {
+            plz: { name: 'plz', in: 'path', required: true, description: 'German postal code', schema: ref('PLZ') },
+            year: { name: 'year', in: 'path', required: true, schema: { type: 'integer', minimum: 2020 } },
+            month: { name: 'month', in: 'path', required: true, schema: { type: 'integer', minimum: 1, maximum: 12 } },
+            reviewId: { name: 'id', in: 'path', required: true, description: 'Review item id', schema: { type: 'string', format: 'uuid' } },
+            release: {
+                name: 'release',
+                in: 'query',
+                description: 'Data to read: latest (live rows), published (newest release of each month), a version of each month (v2) or a release tag (2025-07@v2, only for routes of that month)',
+                schema: { type: 'string', pattern: '^(latest|published|(\\d{4}-\\d{2}@)?v[1-9]\\d*)$', default: 'latest' }
+            }
+        },
+        headers: {
+            ETag: { description: 'Weak validator of the response data', schema: { type: 'string' } },
+            LastModified: { description: 'Newest updated_at of the records in the response', schema: { type: 'string' } },
+            XCache: { description: 'Response cache outcome', schema: { type: 'string', enum: ['HIT', 'MISS'] } },
+            XDataRelease: { description: 'Release tags the response was read from (absent for live data)', schema: { type: 'string', example: '2025-07@v2' } }
+        },
+        responses: {
+            NotModified: {
+                description: 'Data unchanged since If-None-Match / If-Modified-Since (empty body)'
+            },
+            BadRequest: {
+                description: 'VALIDATION_ERROR, SYNTAX_ERROR or INVALID_QUERY',
+                content: { 'application/json': { schema: ref('ErrorResponse') } }
+            },
+            Unauthorized: {
+                description: 'AUTHENTICATION_ERROR - API key missing (when required), malformed, unknown or revoked',
+                content: { 'application/json': { schema: ref('ErrorResponse') } }
+            },
+            Forbidden: {
+                description: 'AUTHORIZATION_ERROR - the API key may not review prices',
+                content: { 'application/json': { schema: ref('ErrorResponse') } }
+            },
+            NotFound: {
+                description: 'NOT_FOUND - no data for the request',
+                content: { 'application/json': { schema: ref('ErrorResponse') } }
+            },
+            Conflict: {
+                description: 'CONFLICT - the review item was already decided',
+                content: { 'application/json': { schema: ref('ErrorResponse') } }
+            },
+            RateLimited: {
+                description: 'RATE_LIMIT_ERROR - rate limit of the API key or IP exceeded',
+                content: { 'application/json': { schema: ref('ErrorResponse') } }
+            },
+            InternalError: {
+                description: 'INTERNAL_ERROR or DATABASE_ERROR',
+                content: { 'application/json': { schema: ref('ErrorResponse') } }
+            }
+        },
+        schemas: {
+            PLZ: { type: 'string', pattern: '^\\d{5}$', example: '10115' },
+            DataMonth: DATA_MONTH,
+            DataSource: { type: 'string', enum: ['ORIGINAL', 'FALLBACK'] },
+            OutlierSeverity: { type: 'string', enum: ['normal', 'high', 'very_high'] },
+            ErrorResponse: {
+                type: 'object',
+                required: ['success', 'error'],
+                properties: {
+                    success: { type: 'boolean', enum: [false] },
+                    error: {
+                        type: 'object',
+                        required: ['message', 'code', 'timestamp'],
+                        properties: {
+                            message: { type: 'string' },
+                            code: { type: 'string', enum: Object.keys(ERROR_CODES) },
+                            timestamp: { type: 'string' },
+                            details: { type: 'object', description: 'Error specific context (field, value, limits, ...)' }
+                        }
+                    }
+                }
+            },
+            ResponseMetadata: {
+                type: 'object',
+                required: ['timestamp'],
+                properties: {
+                    timestamp: { type: 'string' },
+                    cached_at: nullable({ type: 'string' })
+                }
+            },
+            CacheInfo: {
+                type: 'object',
+                properties: {
+                    hit: { type: 'boolean' },
+                    ttl: nullable({ type: 'integer', description: 'Seconds until the entry expires' }),
+                    key: nullable({ type: 'string' })
+                }
+            },
+            Pagination: {
+                type: 'object',
+                required: ['page', 'limit', 'total', 'totalPages', 'hasNext', 'hasPrev'],
+                properties: {
+                    page: { type: 'integer' },
+                    limit: { type: 'integer' },
+                    total: { type: 'integer' },
+                    totalPages: { type: 'integer' },
+                    hasNext: { type: 'boolean' },
+                    hasPrev: { type: 'boolean' }
+                }
+            },
+            Prices: {
+                type: 'object',
+                required: Object.keys(PRICE_FIELDS),
+                properties: priceFieldProperties
+            },
+            PriceChange: {
+                type: 'object',
+                properties: {
+                    delta: nullable({ type: 'number', description: 'EUR/kWh' }),
+                    percent: nullable({ type: 'number' })
+                }
+            },
+            RecordMetadata: {
+                type: 'object',
+                properties: {
+                    data_source: ref('DataSource'),
+                    source_plz: nullable({ type: 'string', description: 'PLZ the price was taken from (FALLBACK)' }),
+                    distance_km: nullable({ type: 'number', description: 'Distance to source_plz (FALLBACK)' }),
+                    is_outlier: nullable({ type: 'boolean' }),
+                    outlier_severity: nullable({ type: 'string' }),
+                    outlier_reason: nullable({ type: 'string', description: 'Fixed threshold, neighbour or history z-score that flagged the price' }),
+                    confidence: {
+                        type: 'object',
+                        description: 'Extraction confidence (0-1) per price; null for fallback and older rows',
+                        properties: {
+                            local_provider: nullable({ type: 'number' }),
+                            green_energy: nullable({ type: 'number' })
+                        }
+                    },
+                    review_status: {
+                        type: 'string',
+                        description: "'needs_review' when the extraction strategies did not agree on a price, 'reviewed' after a price review decision"
+                    },
+                    source_url: nullable({ type: 'string' }),
+                    coordinates: nullable(COORDINATES)
+                }
+            },
+            PriceRecord: {
+                type: 'object',
+                required: ['plz', 'data_month', 'prices', 'metadata'],
+                properties: {
+                    plz: ref('PLZ'),
+                    city_name: nullable({ type: 'string' }),
+                    year: { type: 'integer' },
+                    month: { type: 'integer' },
+                    data_month: ref('DataMonth'),
+                    prices: ref('Prices'),
+                    metadata: ref('RecordMetadata'),
+                    scraped_at: nullable({ type: 'string' })
+                }
+            },
+            PriceListItem: {
+                type: 'object',
+                required: ['plz', 'prices', 'metadata'],
+                properties: {
+                    plz: ref('PLZ'),
+                    city_name: nullable({ type: 'string' }),
+                    prices: ref('Prices'),
+                    metadata: ref('RecordMetadata')
+                }
+            },
+            PriceChangeHistory: {
+                type: 'object',
+                required: ['plz', 'data_month', 'source_name', 'current', 'changes'],
+                properties: {
+                    plz: ref('PLZ'),
+                    city_name: nullable({ type: 'string' }),
+                    year: { type: 'integer' },
+                    month: { type: 'integer' },
+                    data_month: ref('DataMonth'),
+                    source_name: { type: 'string' },
+                    current: nullable({
+                        type: 'object',
+                        description: 'Price row as stored now (null if it was deleted)',
+                        properties: {
+                            prices: ref('Prices'),
+                            updated_at: nullable({ type: 'string' })
+                        }
+                    }),
+                    changes: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['changed_at', 'actor', 'changed_fields', 'old_values', 'new_values'],
+                            properties: {
+                                id: { type: 'string' },
+                                changed_at: { type: 'string' },
+                                actor: { type: 'string', description: "Script or service, e.g. 'high-price-fixer' or 'price-review'" },
+                                reason: nullable({ type: 'string' }),
+                                changed_fields: { type: 'array', items: { type: 'string' } },
+                                old_values: { type: 'object', description: 'Changed columns before the update' },
+                                new_values: { type: 'object', description: 'Changed columns after the update' }
+                            }
+                        }
+                    }
+                }
+            },
+            PriceHistory: {
+                type: 'object',
+                required: ['plz', 'series', 'summary'],
+                properties: {
+                    plz: ref('PLZ'),
+                    city_name: nullable({ type: 'string' }),
+                    range: {
+                        type: 'object',
+                        properties: {
+                            from: nullable(DATA_MONTH),
+                            to: nullable(DATA_MONTH)
+                        }
+                    },
+                    series: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['data_month', 'prices', 'change'],
+                            properties: {
+                                data_month: ref('DataMonth'),
+                                year: { type: 'integer' },
+                                month: { type: 'integer' },
+                                prices: ref('Prices'),
+                                change: {
+                                    type: 'object',
+                                    properties: {
+                                        compared_to: nullable(DATA_MONTH),
+                                        local_provider: ref('PriceChange'),
+                                        green_energy: ref('PriceChange'),
+                                        average: ref('PriceChange')
+                                    }
+                                },
+                                data_source: ref('DataSource'),
+                                is_fallback: { type: 'boolean' },
+                                source_plz: nullable({ type: 'string' }),
+                                distance_km: nullable({ type: 'number' }),
+                                is_outlier: nullable({ type: 'boolean' }),
+                                outlier_severity: nullable({ type: 'string' })
+                            }
+                        }
+                    },
+                    summary: {
+                        type: 'object',
+                        properties: {
+                            total_months: { type: 'integer' },
+                            original_months: { type: 'integer' },
+                            fallback_months: { type: 'integer' },
+                            fallback_data_months: { type: 'array', items: ref('DataMonth') },
+                            first_month: nullable(DATA_MONTH),
+                            last_month: nullable(DATA_MONTH),
+                            total_change: {
+                                type: 'object',
+                                properties: {
+                                    local_provider: ref('PriceChange'),
+                                    green_energy: ref('PriceChange'),
+                                    average: ref('PriceChange')
+                                }
+                            }
+                        }
+                    }
+                }
+            },
+            NearbyPrices: {
+                type: 'object',
+                required: ['query', 'data_month', 'found_count', 'results'],
+                properties: {
+                    query: {
+                        type: 'object',
+                        properties: {
+                            latitude: { type: 'number' },
+                            longitude: { type: 'number' },
+                            radius_km: { type: 'number' },
+                            limit: { type: 'integer' }
+                        }
+                    },
+                    year: { type: 'integer' },
+                    month: { type: 'integer' },
+                    data_month: ref('DataMonth'),
+                    found_count: { type: 'integer' },
+                    nearest: ref('NearbyPrice'),
+                    results: { type: 'array', items: ref('NearbyPrice') }
+                }
+            },
+            NearbyPrice: {
+                type: 'object',
+                required: ['plz', 'distance_km', 'prices'],
+                properties: {
+                    plz: ref('PLZ'),
+                    city_name: nullable({ type: 'string' }),
+                    distance_km: { type: 'number', description: 'Distance from the query coordinates' },
+                    prices: ref('Prices'),
+                    metadata: ref('RecordMetadata')
+                }
+            },
+            BulkPrices: {
+                type: 'object',
+                required: ['data_month', 'requested_count', 'found_count', 'results', 'missing_plzs'],
+                properties: {
+                    year: { type: 'integer' },
+                    month: { type: 'integer' },
+                    data_month: ref('DataMonth'),
+                    requested_count: { type: 'integer' },
+                    found_count: { type: 'integer' },
+                    results: { type: 'array', items: ref('PriceListItem') },
+                    missing_plzs: { type: 'array', items: { type: 'string' } }
+                }
+            },
+            PaginatedPriceListing: {
+                type: 'object',
+                required: ['success', 'message', 'data', 'pagination', 'metadata'],
+                properties: {
+                    success: { type: 'boolean', enum: [true] },
+                    message: { type: 'string' },
+                    data: { type: 'array', items: ref('PriceListItem') },
+                    pagination: ref('Pagination'),
+                    metadata: {
+                        type: 'object',
+                        required: ['timestamp', 'count'],
+                        properties: {
+                            timestamp: { type: 'string' },
+                            count: { type: 'integer' },
+                            year: { type: 'integer' },
+                            month: { type: 'integer' },
+                            data_month: ref('DataMonth'),
+                            filters: { type: 'object' },
+                            sort: { type: 'string' },
+                            cached_at: nullable({ type: 'string' })
+                        }
+                    },
+                    cache: ref('CacheInfo')
+                }
+            },
+            AveragePrices: {
+                type: 'object',
+                properties: {
+                    count: { type: 'integer' },
+                    ...priceFieldProperties
+                }
+            },
+            NationalAverage: {
+                type: 'object',
+                required: ['data_month', 'national_averages', 'breakdown', 'total_records'],
+                properties: {
+                    year: { type: 'integer' },
+                    month: { type: 'integer' },
+                    data_month: ref('DataMonth'),
+                    national_averages: ref('Prices'),
+                    breakdown: {
+                        type: 'object',
+                        properties: {
+                            original_data: ref('AveragePrices'),
+                            fallback_data: ref('AveragePrices')
+                        }
+                    },
+                    total_records: { type: 'integer' }
+                }
+            },
+            CountShare: {
+                type: 'object',
+                properties: {
+                    count: { type: 'integer' },
+                    percentage: { type: 'string', description: 'Percentage with two decimals', example: '87.50' }
+                }
+            },
+            Coverage: {
+                type: 'object',
+                required: ['data_month', 'coverage', 'quality'],
+                properties: {
+                    year: { type: 'integer' },
+                    month: { type: 'integer' },
+                    data_month: ref('DataMonth'),
+                    coverage: {
+                        type: 'object',
+                        properties: {
+                            total_records: { type: 'integer' },
+                            original_data: ref('CountShare'),
+                            fallback_data: ref('CountShare')
+                        }
+                    },
+                    quality: {
+                        type: 'object',
+                        properties: {
+                            total_outliers: { type: 'integer' },
+                            outlier_percentage: { type: 'string' },
+                            outliers_by_severity: {
+                                type: 'object',
+                                properties: {
+                                    normal: { type: 'integer' },
+                                    high: { type: 'integer' },
+                                    very_high: { type: 'integer' }
+                                }
+                            }
+                        }
+                    }
+                }
+            },
+            MonthlyQuality: {
+                type: 'object',
+                required: ['data_month', 'metrics', 'recommendations'],
+                properties: {
+                    year: { type: 'integer' },
+                    month: { type: 'integer' },
+                    data_month: ref('DataMonth'),
+                    release: nullable({ type: 'string', example: '2025-07@v2' }),
+                    metrics: {
+                        type: 'object',
+                        description: 'Columns of monthly_quality_metrics (primary source)',
+                        properties: {
+                            total_plz_count: { type: 'integer' },
+                            original_data_count: { type: 'integer' },
+                            fallback_data_count: { type: 'integer' },
+                            coverage_percentage: nullable({ type: 'number', description: 'Share of ORIGINAL rows' }),
+                            complete_data_count: nullable({ type: 'integer', description: 'Rows with both prices' }),
+                            avg_lokaler_versorger_price: nullable({ type: 'number' }),
+                            avg_oekostrom_price: nullable({ type: 'number' }),
+                            avg_overall_price: nullable({ type: 'number' }),
+                            outlier_count: { type: 'integer' },
+                            outlier_percentage: nullable({ type: 'number' }),
+                            high_severity_outlier_count: { type: 'integer', description: 'very_high and extreme' },
+                            severity_normal_count: nullable({ type: 'integer' }),
+                            severity_high_count: nullable({ type: 'integer' }),
+                            severity_very_high_count: nullable({ type: 'integer' }),
+                            severity_extreme_count: nullable({ type: 'integer' }),
+                            max_fallback_distance_km: nullable({ type: 'number' }),
+                            avg_fallback_distance_km: nullable({ type: 'number' }),
+                            calculated_at: { type: 'string' }
+                        }
+                    },
+                    review_queue: nullable({
+                        type: 'object',
+                        description: 'Open month-over-month review queue items (live data only)',
+                        properties: {
+                            open: { type: 'integer' },
+                            high: { type: 'integer' },
+                            very_high: { type: 'integer' }
+                        }
+                    }),
+                    recommendations: { type: 'array', items: { type: 'string' } }
+                }
+            },
+            PriceStatistics: {
+                type: 'object',
+                required: ['count'],
+                properties: {
+                    count: { type: 'integer' },
+                    average: nullable({ type: 'number' }),
+                    median: nullable({ type: 'number' }),
+                    min: nullable({ type: 'number' }),
+                    max: nullable({ type: 'number' })
+                }
+            },
+            RegionalStatistics: {
+                type: 'object',
+                required: ['level', 'data_month', 'regions'],
+                properties: {
+                    level: { type: 'string', enum: ['state', 'plz1', 'plz2'] },
+                    year: { type: 'integer' },
+                    month: { type: 'integer' },
+                    data_month: ref('DataMonth'),
+                    region_count: { type: 'integer' },
+                    total_records: { type: 'integer' },
+                    unassigned_records: { type: 'integer', description: 'PLZs outside the known Bundesland ranges' },
+                    regions: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['region', 'name', 'plz_count', 'prices'],
+                            properties: {
+                                region: { type: 'string', description: 'ISO 3166-2 code (DE-BY) or PLZ prefix' },
+                                name: { type: 'string' },
+                                plz_count: { type: 'integer' },
+                                original_count: { type: 'integer' },
+                                fallback_count: { type: 'integer' },
+                                outlier_count: { type: 'integer' },
+                                prices: {
+                                    type: 'object',
+                                    properties: {
+                                        local_provider: ref('PriceStatistics'),
+                                        green_energy: ref('PriceStatistics'),
+                                        average: ref('PriceStatistics')
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            },
+            PriceMove: {
+                type: 'object',
+                required: ['plz', 'price_a', 'price_b', 'delta'],
+                properties: {
+                    plz: ref('PLZ'),
+                    city_name: nullable({ type: 'string' }),
+                    price_a: { type: 'number' },
+                    price_b: { type: 'number' },
+                    delta: { type: 'number', description: 'EUR/kWh' },
+                    percent: nullable({ type: 'number' })
+                }
+            },
+            ComparedMonth: {
+                type: 'object',
+                properties: {
+                    year: { type: 'integer' },
+                    month: { type: 'integer' },
+                    data_month: ref('DataMonth'),
+                    total_records: { type: 'integer' }
+                }
+            },
+            SpreadSeverity: { type: 'string', enum: ['normal', 'high', 'very_high', 'extreme'] },
+            ReconciliationEntry: {
+                type: 'object',
+                required: ['plz', 'severity', 'prices', 'spreads'],
+                properties: {
+                    plz: ref('PLZ'),
+                    city_name: { type: 'string' },
+                    severity: ref('SpreadSeverity'),
+                    flagged: { type: 'boolean' },
+                    prices: {
+                        type: 'object',
+                        description: 'Prices per source_name',
+                        additionalProperties: {
+                            type: 'object',
+                            properties: {
+                                lokaler_versorger_price: nullable({ type: 'number' }),
+                                oekostrom_price: nullable({ type: 'number' })
+                            }
+                        }
+                    },
+                    spreads: {
+                        type: 'object',
+                        properties: {
+                            lokaler_versorger_price: nullable(PRICE_SPREAD),
+                            oekostrom_price: nullable(PRICE_SPREAD)
+                        }
+                    },
+                    warnings: { type: 'array', items: { type: 'string' } }
+                }
+            },
+            PriceReconciliation: {
+                type: 'object',
+                required: ['data_month', 'sources', 'summary', 'discrepancies'],
+                properties: {
+                    year: { type: 'integer' },
+                    month: { type: 'integer' },
+                    data_month: ref('DataMonth'),
+                    sources: { type: 'array', items: { type: 'string' } },
+                    thresholds: {
+                        type: 'object',
+                        description: 'Relative spread at which a PLZ reaches each severity',
+                        properties: {
+                            high: { type: 'number' },
+                            veryHigh: { type: 'number' },
+                            extreme: { type: 'number' }
+                        }
+                    },
+                    summary: {
+                        type: 'object',
+                        properties: {
+                            rows_per_source: { type: 'object', additionalProperties: { type: 'integer' } },
+                            compared_plz: { type: 'integer' },
+                            single_source_plz: { type: 'integer' },
+                            flagged_plz: { type: 'integer' },
+                            flagged_by_severity: {
+                                type: 'object',
+                                properties: {
+                                    high: { type: 'integer' },
+                                    very_high: { type: 'integer' },
+                                    extreme: { type: 'integer' }
+                                }
+                            }
+                        }
+                    },
+                    discrepancies: { type: 'array', items: ref('ReconciliationEntry') }
+                }
+            },
+            MonthComparison: {
+                type: 'object',
+                required: ['month_a', 'month_b', 'field', 'compared_count', 'national', 'distribution', 'top_increases', 'top_decreases'],
+                properties: {
+                    month_a: ref('ComparedMonth'),
+                    month_b: ref('ComparedMonth'),
+                    field: { type: 'string', enum: Object.keys(PRICE_FIELDS) },
+                    compared_count: { type: 'integer' },
+                    excluded: {
+                        type: 'object',
+                        description: 'PLZs left out of the comparison by reason',
+                        properties: {
+                            not_in_both_months: { type: 'integer' },
+                            fallback: { type: 'integer' },
+                            outlier: { type: 'integer' },
+                            missing_price: { type: 'integer' }
+                        }
+                    },
+                    national: {
+                        type: 'object',
+                        properties: {
+                            average_a: nullable({ type: 'number' }),
+                            average_b: nullable({ type: 'number' }),
+                            change: ref('PriceChange'),
+                            median_change: nullable({ type: 'number', description: 'Median per-PLZ delta (EUR/kWh)' }),
+                            increased_count: { type: 'integer' },
+                            decreased_count: { type: 'integer' },
+                            unchanged_count: { type: 'integer' }
+                        }
+                    },
+                    distribution: {
+                        type: 'object',
+                        description: 'Histogram of the per-PLZ percentage change',
+                        properties: {
+                            metric: { type: 'string', enum: ['percent'] },
+                            stats: ref('PriceStatistics'),
+                            bin_width: nullable({ type: 'number' }),
+                            bins: {
+                                type: 'array',
+                                items: {
+                                    type: 'object',
+                                    properties: {
+                                        from: { type: 'number' },
+                                        to: { type: 'number' },
+                                        count: { type: 'integer' }
+                                    }
+                                }
+                            }
+                        }
+                    },
+                    top_increases: { type: 'array', items: ref('PriceMove') },
+                    top_decreases: { type: 'array', items: ref('PriceMove') }
+                }
+            },
+            Month: MONTH,
+            AvailableMonths: {
+                type: 'object',
+                required: ['available_months', 'total_months'],
+                properties: {
+                    available_months: { type: 'array', items: ref('Month') },
+                    total_months: { type: 'integer' },
+                    latest_month: nullable(MONTH),
+                    oldest_month: nullable(MONTH)
+                }
+            },
+            DataReleaseList: {
+                type: 'object',
+                required: ['year', 'month', 'data_month', 'latest_release', 'releases'],
+                properties: {
+                    year: { type: 'integer' },
+                    month: { type: 'integer' },
+                    data_month: ref('DataMonth'),
+                    latest_release: { type: 'string', example: '2025-07@v2' },
+                    releases: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['release_tag', 'version', 'published_at', 'record_count', 'checksum'],
+                            properties: {
+                                release_tag: { type: 'string', example: '2025-07@v2' },
+                                version: { type: 'integer', minimum: 1 },
+                                published_at: { type: 'string' },
+                                published_by: nullable({ type: 'string' }),
+                                notes: nullable({ type: 'string' }),
+                                record_count: { type: 'integer' },
+                                checksum: { type: 'string', description: 'SHA-256 over the frozen rows' },
+                                quality_metrics: nullable({ type: 'object', description: 'monthly_quality_metrics of the month at publication' }),
+                                changelog: nullable({
+                                    type: 'object',
+                                    properties: {
+                                        previous_release: nullable({ type: 'string' }),
+                                        summary: {
+                                            type: 'object',
+                                            properties: {
+                                                corrected: { type: 'integer' },
+                                                added: { type: 'integer' },
+                                                removed: { type: 'integer' }
+                                            }
+                                        },
+                                        corrections: {
+                                            type: 'array',
+                                            description: 'Changed columns per row ({ column: { old, new } }) and the price_change_history entries behind them',
+                                            items: { type: 'object' }
+                                        },
+                                        added: { type: 'array', items: { type: 'object' } },
+                                        removed: { type: 'array', items: { type: 'object' } }
+                                    }
+                                })
+                            }
+                        }
+                    }
+                }
+            },
+            ApiKeyInfo: {
+                type: 'object',
+                required: ['id', 'name', 'is_active', 'rate_limit'],
+                properties: {
+                    id: { type: 'string' },
+                    name: { type: 'string' },
+                    created_at: { type: 'string' },
+                    last_used: nullable({ type: 'string' }),
+                    is_active: { type: 'boolean' },
+                    usage_count: { type: 'integer' },
+                    rate_limit: { type: 'integer', description: 'Requests per rate limit window' },
+                    can_review: { type: 'boolean', description: 'May list and decide price reviews' },
+                    rate_limit_window_ms: { type: 'integer' },
+                    daily_usage: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                usage_date: { type: 'string' },
+                                request_count: { type: 'integer' }
+                            }
+                        }
+                    }
+                }
+            },
+            PriceRow: {
+                type: 'object',
+                description: 'Raw monthly_electricity_prices record (CSV / NDJSON / GeoJSON exports)',
+                properties: {
+                    plz: ref('PLZ'),
+                    city_name: nullable({ type: 'string' }),
+                    data_month: ref('DataMonth'),
+                    lokaler_versorger_price: nullable({ type: 'number' }),
+                    oekostrom_price: nullable({ type: 'number' }),
+                    average_price: nullable({ type: 'number' }),
+                    lokaler_versorger_confidence: nullable({ type: 'number' }),
+                    oekostrom_confidence: nullable({ type: 'number' }),
+                    source_name: { type: 'string', description: 'Comparison portal the row was scraped from' },
+                    data_source: ref('DataSource'),
+                    source_plz: nullable({ type: 'string' }),
+                    distance_km: nullable({ type: 'number' }),
+                    is_outlier: nullable({ type: 'boolean' }),
+                    outlier_severity: nullable({ type: 'string' }),
+                    outlier_reason: nullable({ type: 'string' }),
+                    source_url: nullable({ type: 'string' }),
+                    html_archive_ref: nullable({ type: 'string' }),
+                    review_status: nullable({ type: 'string' }),
+                    review_reason: nullable({ type: 'string' })
+                }
+            },
+            ReviewStatus: { type: 'string', enum: ['pending', 'approved', 'rejected', 'overridden'] },
+            PriceReview: {
+                type: 'object',
+                required: ['id', 'data_month', 'plz', 'flags', 'flagged_values', 'status'],
+                properties: {
+                    id: { type: 'string' },
+                    price_id: nullable({ type: 'string', description: 'monthly_electricity_prices id' }),
+                    data_month: ref('DataMonth'),
+                    plz: ref('PLZ'),
+                    city_name: nullable({ type: 'string' }),
+                    source_name: { type: 'string' },
+                    flags: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                type: { type: 'string', enum: ['outlier', 'consensus', 'month_over_month_jump'] },
+                                price_fields: { type: 'array', items: { type: 'string' } },
+                                severity: nullable({ type: 'string' }),
+                                reason: nullable({ type: 'string' })
+                            }
+                        }
+                    },
+                    flagged_values: { type: 'object', description: 'Prices, outlier and review columns when the item was created' },
+                    candidate_values: nullable({ ...REVIEW_VALUES, description: "Median of the PLZ's previous months per flagged price" }),
+                    evidence: nullable({
+                        type: 'object',
+                        description: 'source_url, scraped_at, extraction confidence, baseline per price and price_review_queue ids'
+                    }),
+                    html_archive_ref: nullable({ type: 'string', description: 'Archived page of the flagged prices' }),
+                    status: ref('ReviewStatus'),
+                    previous_values: nullable({ type: 'object', description: 'Price row columns before the decision' }),
+                    applied_values: nullable({ type: 'object', description: 'Price row columns written by the decision' }),
+                    reviewed_by: nullable({ type: 'string', description: 'Name of the reviewer API key' }),
+                    reviewer_key_id: nullable({ type: 'string' }),
+                    review_note: nullable({ type: 'string' }),
+                    reviewed_at: nullable({ type: 'string' }),
+                    created_at: { type: 'string' },
+                    updated_at: nullable({ type: 'string' })
+                }
+            },
+            PaginatedPriceReviews: {
+                type: 'object',
+                required: ['success', 'message', 'data', 'pagination', 'metadata'],
+                properties: {
+                    success: { type: 'boolean', enum: [true] },
+                    message: { type: 'string' },
+                    data: { type: 'array', items: ref('PriceReview') },
+                    pagination: ref('Pagination'),
+                    metadata: {
+                        type: 'object',
+                        required: ['timestamp', 'count'],
+                        properties: {
+                            timestamp: { type: 'string' },
+                            count: { type: 'integer' },
+                            status: ref('ReviewStatus'),
+                            data_month: nullable(DATA_MONTH)
+                        }
+                    }
+                }
+            },
+            ReviewDecision: {
+                type: 'object',
+                required: ['review', 'price'],
+                properties: {
+                    review: ref('PriceReview'),
+                    price: ref('PriceRow')
+                }
+            },
+            PriceFeatureCollection: {
+                type: 'object',
+                required: ['type', 'features'],
+                properties: {
+                    type: { type: 'string', enum: ['FeatureCollection'] },
+                    features: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                type: { type: 'string', enum: ['Feature'] },
+                                geometry: nullable({
+                                    type: 'object',
+                                    properties: {
+                                        type: { type: 'string', enum: ['Point'] },
+                                        coordinates: { type: 'array', items: { type: 'number' }, description: '[longitude, latitude]' }
+                                    }
+                                }),
+                                properties: ref('PriceRow')
+                            }
+                        }
+                    }
+                }
+            },
+            Health: {
+                type: 'object',
+                required: ['status', 'timestamp'],
+                properties: {
+                    status: { type: 'string', enum: ['healthy', 'unhealthy'] },
+                    timestamp: { type: 'string' },
+                    version: { type: 'string' },
+                    environment: { type: 'string' },
+                    database: { type: 'string' },
+                    error: { type: 'string' },
+                    cache: {
+                        type: 'object',
+                        properties: {
+                            enabled: { type: 'boolean' },
+                            ttl_seconds: { type: 'integer' },
+                            backend: { type: 'string' },
+                            entries: { type: 'integer' }
+                        }
+                    }
+                }
+            }
+        }
+    }
+};
+
+module.exports = {
+    openApiSpec,
+    ERROR_CODES
+};
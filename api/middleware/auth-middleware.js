@@ -0,0 +1,147 @@
+/**
+ * Authentication Middleware
+ * API key lookup, per-key rate limiting and usage counting
+ */
+
+const rateLimit = require('express-rate-limit');
+const { formatError } = require('../utils/response-formatter');
+const { isValidApiKeyFormat } = require('../utils/validation');
+const { hashApiKey } = require('../utils/api-keys');
+
+// Resolved keys are cached briefly so a request does not cost an extra database round trip.
+// A revoked key therefore stays usable for up to KEY_CACHE_TTL_MS on a running instance.
+const KEY_CACHE_TTL_MS = 60 * 1000;
+const keyCache = new Map();
+
+/**
+ * Look up an active key record by hash (cached)
+ * @param {Object} db - SupabaseClient
+ * @param {string} keyHash - SHA-256 of the API key
+ * @returns {Promise<Object|null>} Key record or null
+ */
+async function lookupApiKey(db, keyHash) {
+    const cached = keyCache.get(keyHash);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.record;
+    }
+
+    const record = await db.getActiveApiKeyByHash(keyHash);
+    keyCache.set(keyHash, { record, expiresAt: Date.now() + KEY_CACHE_TTL_MS });
+    return record;
+}
+
+/**
+ * Identify the caller by API key (X-API-Key header or apiKey query parameter)
+ * Requests without a key pass through anonymously; unknown or revoked keys are rejected.
+ * Sets req.apiKeyRecord and counts the request once the response is sent.
+ */
+async function authenticateApiKey(req, res, next) {
+    const apiKey = req.headers['x-api-key'] || req.query.apiKey;
+
+    if (!apiKey) {
+        return next();
+    }
+
+    if (!isValidApiKeyFormat(apiKey)) {
+        return res.status(401).json(formatError(
+            'Invalid API key format',
+            'AUTHENTICATION_ERROR'
+        ));
+    }
+
+    try {
+        const record = await lookupApiKey(req.db, hashApiKey(apiKey));
+
+        if (!record) {
+            return res.status(401).json(formatError(
+                'Invalid or revoked API key',
+                'AUTHENTICATION_ERROR'
+            ));
+        }
+
+        req.apiKeyRecord = record;
+
+        // Count served requests only (rate limited ones are not usage)
+        res.on('finish', () => {
+            if (res.statusCode !== 429) {
+                req.db.recordApiKeyUsage(record.id);
+            }
+        });
+
+        next();
+    } catch (error) {
+        console.error('❌ Error authenticating API key:', error);
+        res.status(500).json(formatError('Internal server error', 'INTERNAL_ERROR'));
+    }
+}
+
+/**
+ * Require an authenticated API key (use after authenticateApiKey)
+ */
+function requireApiKey(req, res, next) {
+    if (!req.apiKeyRecord) {
+        return res.status(401).json(formatError(
+            'API key is required',
+            'AUTHENTICATION_ERROR',
+            { hint: 'Provide API key in X-API-Key header or apiKey query parameter' }
+        ));
+    }
+    next();
+}
+
+/**
+ * Require an API key that may decide price reviews (api_keys.can_review)
+ */
+function requireReviewer(req, res, next) {
+    if (!req.apiKeyRecord) {
+        return res.status(401).json(formatError(
+            'API key is required',
+            'AUTHENTICATION_ERROR',
+            { hint: 'Provide API key in X-API-Key header or apiKey query parameter' }
+        ));
+    }
+    if (!req.apiKeyRecord.can_review) {
+        return res.status(403).json(formatError(
+            'API key is not allowed to review prices',
+            'AUTHORIZATION_ERROR',
+            { hint: 'Issue a reviewer key with scripts/manage-api-keys.js issue --reviewer' }
+        ));
+    }
+    next();
+}
+
+/**
+ * Create the rate limiter: one bucket per API key (limit from api_keys.rate_limit),
+ * anonymous requests share one bucket per IP
+ * @param {Object} options - { windowMs, anonymousLimit }
+ * @returns {Function} express-rate-limit middleware
+ */
+function createRateLimiter({ windowMs, anonymousLimit }) {
+    return rateLimit({
+        windowMs,
+        limit: req => req.apiKeyRecord ? req.apiKeyRecord.rate_limit : anonymousLimit,
+        keyGenerator: req => req.apiKeyRecord ? `key:${req.apiKeyRecord.id}` : `ip:${req.ip}`,
+        handler: (req, res, next, options) => {
+            res.status(options.statusCode).json(formatError(
+                req.apiKeyRecord
+                    ? 'Rate limit exceeded for this API key'
+                    : 'Too many requests from this IP, please try again later',
+                'RATE_LIMIT_ERROR',
+                {
+                    limit: req.rateLimit.limit,
+                    window_minutes: Math.round(windowMs / 60000),
+                    api_key: req.apiKeyRecord ? req.apiKeyRecord.key_prefix : null
+                }
+            ));
+        },
+        standardHeaders: true,
+        legacyHeaders: false
+    });
+}
+
+module.exports = {
+    authenticateApiKey,
+    requireApiKey,
+    requireReviewer,
+    createRateLimiter
+};
@@ -0,0 +1,251 @@
+/**
+ * Response Cache Middleware
+ * Sends ETag / Last-Modified derived from the rows' updated_at and answers conditional requests
+ * with 304; when enabled, also caches JSON responses per URL and drops a month's entries when the data changes.
+ *
+ * Cleanup scripts run in other processes, so they record invalidations in the
+ * cache_invalidations table; the API polls that table at most every pollIntervalMs.
+ */
+
+const crypto = require('crypto');
+const { formatCachedResponse } = require('../utils/response-formatter');
+const { MemoryLRUCache } = require('../utils/cache-store');
+
+const cacheState = {
+    enabled: true,
+    store: new MemoryLRUCache(),
+    ttlMs: 60 * 60 * 1000,
+    pollIntervalMs: 30 * 1000,
+    lastPollAt: 0,
+    lastInvalidationSeen: new Date(Date.now() - 60 * 1000).toISOString(), // Tolerates clock skew to the database
+    pendingPoll: null
+};
+
+/**
+ * Configure the response cache (called once by the server)
+ * @param {Object} options - { enabled, store, ttlMs, pollIntervalMs }
+ */
+function configureCache(options = {}) {
+    Object.assign(cacheState, options);
+}
+
+/**
+ * Record the validators of the rows a response is built from
+ * Must be called by cacheable routes before res.json()
+ * @param {Object} res - Express response
+ * @param {Array} rows - Rows with updated_at (falls back to scraped_at)
+ */
+function setCacheValidators(res, rows) {
+    let lastModified = null;
+
+    rows.forEach(row => {
+        const timestamp = row.updated_at || row.scraped_at;
+        if (timestamp && (!lastModified || new Date(timestamp) > new Date(lastModified))) {
+            lastModified = timestamp;
+        }
+    });
+
+    res.locals.cacheValidators = { lastModified, count: rows.length };
+}
+
+/**
+ * Drop cached entries of a month in this process
+ * @param {string} month - Data month (YYYY-MM-01)
+ */
+async function invalidateMonth(month) {
+    const removed = await cacheState.store.invalidateMonth(month);
+    if (removed > 0) {
+        console.log(`🗑️  Cache: invalidated ${removed} entries for ${month}`);
+    }
+    return removed;
+}
+
+/**
+ * Apply invalidations written by other processes (throttled)
+ */
+async function pollInvalidations(db) {
+    if (Date.now() - cacheState.lastPollAt < cacheState.pollIntervalMs) {
+        return;
+    }
+
+    if (!cacheState.pendingPoll) {
+        cacheState.pendingPoll = (async () => {
+            try {
+                const invalidations = await db.getCacheInvalidationsSince(cacheState.lastInvalidationSeen);
+                for (const invalidation of invalidations) {
+                    await invalidateMonth(invalidation.data_month);
+                    if (new Date(invalidation.invalidated_at) > new Date(cacheState.lastInvalidationSeen)) {
+                        cacheState.lastInvalidationSeen = invalidation.invalidated_at;
+                    }
+                }
+            } finally {
+                // Failed polls are retried after the interval; the watermark keeps missed rows
+                cacheState.lastPollAt = Date.now();
+                cacheState.pendingPoll = null;
+            }
+        })();
+    }
+
+    await cacheState.pendingPoll;
+}
+
+/**
+ * Build the cache key from path and query (API key and format excluded)
+ */
+function getCacheKey(req) {
+    const query = Object.keys(req.query)
+        .filter(name => name !== 'apiKey' && name !== 'format')
+        .sort()
+        .map(name => `${name}=${req.query[name]}`)
+        .join('&');
+
+    return `${req.baseUrl}${req.path}${query ? `?${query}` : ''}`;
+}
+
+/**
+ * Check If-None-Match / If-Modified-Since against an entry
+ */
+function isNotModified(req, entry) {
+    const ifNoneMatch = req.headers['if-none-match'];
+    if (ifNoneMatch) {
+        const strip = tag => tag.trim().replace(/^W\//, '');
+        return ifNoneMatch.split(',').some(tag => tag.trim() === '*' || strip(tag) === strip(entry.etag));
+    }
+
+    const ifModifiedSince = req.headers['if-modified-since'];
+    if (ifModifiedSince && entry.lastModified) {
+        const since = Date.parse(ifModifiedSince);
+        return !isNaN(since) && Math.floor(Date.parse(entry.lastModified) / 1000) <= Math.floor(since / 1000);
+    }
+
+    return false;
+}
+
+/**
+ * Wrap a response body with cache metadata (keeps pagination and route metadata)
+ */
+function withCacheInfo(body, cacheInfo) {
+    const response = formatCachedResponse(body.data, body.message, cacheInfo);
+
+    if (body.pagination) {
+        response.pagination = body.pagination;
+    }
+    response.metadata = { ...body.metadata, ...response.metadata };
+
+    return response;
+}
+
+function setValidatorHeaders(res, entry, status = null) {
+    res.set('ETag', entry.etag);
+    if (entry.lastModified) {
+        res.set('Last-Modified', new Date(entry.lastModified).toUTCString());
+    }
+    if (status) {
+        res.set('X-Cache', status);
+    }
+}
+
+/**
+ * Send validators and answer conditional requests for GET JSON responses of a route;
+ * with caching enabled, also serve and store them in the cache store
+ * Entries are tagged with the requested month (req.validatedYear/Month) for invalidation
+ */
+async function cacheResponse(req, res, next) {
+    if (req.method !== 'GET' || (req.responseFormat && req.responseFormat !== 'json')) {
+        return next();
+    }
+
+    const key = getCacheKey(req);
+    const month = req.validatedYear && req.validatedMonth
+        ? `${req.validatedYear}-${String(req.validatedMonth).padStart(2, '0')}-01`
+        : null;
+    let useStore = cacheState.enabled;
+
+    if (useStore) {
+        try {
+            await pollInvalidations(req.db);
+
+            const cached = await cacheState.store.get(key);
+            if (cached) {
+                const entry = cached.value;
+                setValidatorHeaders(res, entry, 'HIT');
+
+                if (isNotModified(req, entry)) {
+                    return res.status(304).end();
+                }
+
+                return res.json(withCacheInfo(entry.body, {
+                    hit: true,
+                    ttl: Math.max(0, Math.round((cached.expiresAt - Date.now()) / 1000)),
+                    key,
+                    cachedAt: entry.cachedAt
+                }));
+            }
+        } catch (error) {
+            // A broken cache must never break the API - serve uncached
+            console.error('❌ Cache lookup failed:', error.message);
+            useStore = false;
+        }
+    }
+
+    const originalJson = res.json.bind(res);
+
+    res.json = body => {
+        res.json = originalJson;
+        const validators = res.locals.cacheValidators;
+
+        if (res.statusCode !== 200 || !body || !body.success || !validators) {
+            return originalJson(body);
+        }
+
+        const entry = {
+            body,
+            lastModified: validators.lastModified,
+            etag: `W/"${crypto.createHash('sha1').update(`${key}|${validators.lastModified}|${validators.count}`).digest('hex')}"`,
+            cachedAt: new Date().toISOString()
+        };
+
+        if (useStore) {
+            cacheState.store.set(key, entry, { ttlMs: cacheState.ttlMs, month })
+                .catch(error => console.error('❌ Cache store failed:', error.message));
+        }
+
+        setValidatorHeaders(res, entry, useStore ? 'MISS' : null);
+
+        if (isNotModified(req, entry)) {
+            return res.status(304).end();
+        }
+
+        if (!useStore) {
+            return originalJson(body);
+        }
+
+        return originalJson(withCacheInfo(body, {
+            hit: false,
+            ttl: Math.round(cacheState.ttlMs / 1000),
+            key,
+            cachedAt: entry.cachedAt
+        }));
+    };
+
+    next();
+}
+
+/**
+ * Get cache statistics
+ */
+function getCacheStats() {
+    return {
+        enabled: cacheState.enabled,
+        ttl_seconds: Math.round(cacheState.ttlMs / 1000),
+        ...cacheState.store.getStats()
+    };
+}
+
+module.exports = {
+    configureCache,
+    cacheResponse,
+    setCacheValidators,
+    invalidateMonth,
+    getCacheStats
+};
@@ -17,12 +17,30 @@ function notFoundHandler(req, res, next) {
             path: req.path,
             available_endpoints: [
                 'GET /health',
+                'GET /api/v1/docs',
+                'GET /api/v1/docs/openapi.json',
                 'GET /api/v1/price/{plz}/{year}/{month}',
+                'GET /api/v1/price/{plz}/{year}/{month}/history',
                 'GET /api/v1/price/{plz}/latest',
+                'GET /api/v1/price/{plz}/history',
+                'GET /api/v1/price/nearby',
+                'GET /api/v1/prices/{year}/{month}',
                 'GET /api/v1/average/{year}/{month}',
                 'GET /api/v1/coverage/{year}/{month}',
+                'GET /api/v1/quality/{year}/{month}',
+                'GET /api/v1/reconciliation/{year}/{month}',
+                'GET /api/v1/regions/{level}/{year}/{month}',
+                'GET /api/v1/compare/{yearA}/{monthA}/{yearB}/{monthB}',
+                'GET /api/v1/export/{year}/{month}',
                 'GET /api/v1/months',
-                'POST /api/v1/price/bulk'
+                'GET /api/v1/releases/{year}/{month}',
+                'POST /api/v1/price/bulk',
+                'GET /api/v1/reviews',
+                'GET /api/v1/reviews/{id}',
+                'POST /api/v1/reviews/{id}/approve',
+                'POST /api/v1/reviews/{id}/reject',
+                'POST /api/v1/reviews/{id}/override',
+                'GET /api/v1/keys/me'
             ]
         }
     ));
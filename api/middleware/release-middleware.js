@@ -0,0 +1,119 @@
+/**
+ * Release Middleware
+ * Resolves the ?release= query parameter to the frozen data releases a route reads from
+ *
+ *   latest (default)   live rows of monthly_electricity_prices
+ *   published          newest release of each month
+ *   v2                 release 2 of each month
+ *   2025-07@v2         release 2 of July 2025 (routes of that month only)
+ */
+
+const { formatError } = require('../utils/response-formatter');
+
+const RELEASE_PATTERN = /^(?:(\d{4})-(0[1-9]|1[0-2])@)?v([1-9]\d*)$/;
+
+/**
+ * Parse a release parameter value
+ * @returns {Object|null} { mode: 'latest' | 'published' | 'version', version, month, tag } or null if invalid
+ */
+function parseRelease(value) {
+    if (value === undefined || value === 'latest') {
+        return { mode: 'latest', version: null, month: null, tag: 'latest' };
+    }
+    if (value === 'published') {
+        return { mode: 'published', version: null, month: null, tag: 'published' };
+    }
+
+    const match = typeof value === 'string' ? RELEASE_PATTERN.exec(value) : null;
+    if (!match) {
+        return null;
+    }
+
+    return {
+        mode: 'version',
+        version: parseInt(match[3]),
+        month: match[1] ? `${match[1]}-${match[2]}-01` : null,
+        tag: value
+    };
+}
+
+/**
+ * Data months the route was asked for (null if it spans all months)
+ */
+function getRequestMonths(req) {
+    if (req.comparison) {
+        return [req.comparison.monthA.data_month, req.comparison.monthB.data_month];
+    }
+    if (req.validatedYear && req.validatedMonth) {
+        return [`${req.validatedYear}-${String(req.validatedMonth).padStart(2, '0')}-01`];
+    }
+    return null;
+}
+
+/**
+ * Resolve ?release= (after the month validators, before the cache)
+ * Sets req.release (parsed selector) and req.releases (null for live data, otherwise the
+ * published releases to read) and names them in the X-Data-Release header.
+ */
+async function selectRelease(req, res, next) {
+    const release = parseRelease(req.query.release);
+
+    if (!release) {
+        return res.status(400).json(formatError(
+            'release must be latest, published, a version (v2) or a release tag (2025-07@v2)',
+            'VALIDATION_ERROR',
+            { field: 'release', value: req.query.release }
+        ));
+    }
+
+    req.release = release;
+    req.releases = null;
+
+    if (release.mode === 'latest') {
+        return next();
+    }
+
+    const months = getRequestMonths(req);
+    if (release.month && (!months || months.some(month => month !== release.month))) {
+        return res.status(400).json(formatError(
+            `Release ${release.tag} only covers ${release.month.substring(0, 7)}`,
+            'VALIDATION_ERROR',
+            { field: 'release', value: release.tag, requested_months: months, hint: `Use release=v${release.version} or release=published for this route` }
+        ));
+    }
+
+    try {
+        const releases = await req.db.getReleases(release, months);
+        const missing = months
+            ? months.filter(month => !releases.some(entry => entry.data_month === month))
+            : (releases.length === 0 ? ['any month'] : []);
+
+        if (missing.length > 0) {
+            return res.status(404).json(formatError(
+                `No release ${release.tag} for ${missing.map(month => month.substring(0, 7)).join(', ')}`,
+                'NOT_FOUND',
+                { release: release.tag, missing_months: months ? missing : [] }
+            ));
+        }
+
+        req.releases = releases;
+        res.set('X-Data-Release', releases.map(entry => entry.release_tag).join(', '));
+        next();
+    } catch (error) {
+        console.error('❌ Error resolving release:', error);
+        res.status(500).json(formatError('Internal server error', 'INTERNAL_ERROR'));
+    }
+}
+
+/**
+ * The requested release of one month (null for live data or if the month has none)
+ */
+function getReleaseForMonth(req, month) {
+    return req.releases ? req.releases.find(release => release.data_month === month) || null : null;
+}
+
+module.exports = {
+    parseRelease,
+    selectRelease,
+    getReleaseForMonth
+};
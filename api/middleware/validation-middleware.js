@@ -4,6 +4,17 @@
  */
 
 const { formatError } = require('../utils/response-formatter');
+const { CONTENT_TYPES } = require('../utils/export-formatter');
+const { PRICE_FIELDS } = require('../utils/price-series');
+const { isValidApiKeyFormat, isValidYear, isValidMonth, isNotFutureDate } = require('../utils/validation');
+
+// Sortable fields for listings (API name → database column)
+const SORT_FIELDS = {
+    plz: 'plz',
+    city_name: 'city_name',
+    distance_km: 'distance_km',
+    ...PRICE_FIELDS
+};
 
 /**
  * Validate German PLZ (postal code)
@@ -163,6 +174,95 @@ function validateMonth(req, res, next) {
     next();
 }
 
+/**
+ * Validate optional month range query parameters (from, to)
+ * Both must be in YYYY-MM format, from must not be after to
+ */
+function validateMonthRange(req, res, next) {
+    const { from, to } = req.query;
+    const monthRegex = /^(\d{4})-(\d{2})$/;
+    const range = { from: null, to: null };
+
+    for (const [field, value] of [['from', from], ['to', to]]) {
+        if (value === undefined) continue;
+
+        const match = monthRegex.exec(value);
+        const monthNum = match ? parseInt(match[2]) : NaN;
+
+        if (!match || monthNum < 1 || monthNum > 12) {
+            return res.status(400).json(formatError(
+                `${field} must be a valid month in YYYY-MM format`,
+                'VALIDATION_ERROR',
+                { field, value, expected_format: '2025-07' }
+            ));
+        }
+
+        range[field] = `${match[1]}-${match[2]}-01`;
+    }
+
+    if (range.from && range.to && range.from > range.to) {
+        return res.status(400).json(formatError(
+            'from must not be after to',
+            'VALIDATION_ERROR',
+            { from, to }
+        ));
+    }
+
+    // Add validated range to request (null means open-ended)
+    req.monthRange = range;
+    next();
+}
+
+/**
+ * Validate the two months of a comparison (yearA/monthA, yearB/monthB path parameters)
+ * Both must be valid, non-future and different months
+ */
+function validateComparisonMonths(req, res, next) {
+    const months = {};
+
+    for (const side of ['A', 'B']) {
+        const year = req.params[`year${side}`];
+        const month = req.params[`month${side}`];
+
+        if (!isValidYear(year) || !isValidMonth(month)) {
+            return res.status(400).json(formatError(
+                `year${side} and month${side} must describe a valid month`,
+                'VALIDATION_ERROR',
+                { field: `month${side}`, value: `${year}-${month}`, min_year: 2020 }
+            ));
+        }
+
+        const yearNum = parseInt(year);
+        const monthNum = parseInt(month);
+
+        if (!isNotFutureDate(yearNum, monthNum)) {
+            return res.status(400).json(formatError(
+                'Cannot request data for future months',
+                'VALIDATION_ERROR',
+                { field: `month${side}`, requested_date: `${year}-${month}` }
+            ));
+        }
+
+        months[side] = {
+            year: yearNum,
+            month: monthNum,
+            data_month: `${yearNum}-${String(monthNum).padStart(2, '0')}-01`
+        };
+    }
+
+    if (months.A.data_month === months.B.data_month) {
+        return res.status(400).json(formatError(
+            'Comparison needs two different months',
+            'VALIDATION_ERROR',
+            { month_a: months.A.data_month, month_b: months.B.data_month }
+        ));
+    }
+
+    // Add validated months to request
+    req.comparison = { monthA: months.A, monthB: months.B };
+    next();
+}
+
 /**
  * Validate API key format (for future authentication)
  */
@@ -177,8 +277,8 @@ function validateApiKey(req, res, next) {
         ));
     }
     
-    // Basic format validation (adjust as needed)
-    if (apiKey.length < 32 || !/^[a-zA-Z0-9-_]+$/.test(apiKey)) {
+    // Basic format validation (see auth-middleware for key lookup)
+    if (!isValidApiKeyFormat(apiKey)) {
         return res.status(401).json(formatError(
             'Invalid API key format',
             'AUTHENTICATION_ERROR'
@@ -223,11 +323,98 @@ function validatePagination(req, res, next) {
     next();
 }
 
+/**
+ * Validate price listing filters
+ * data_source, is_outlier, severity, min_price/max_price (on average_price) and sort (prefix - for descending)
+ */
+function validatePriceFilters(req, res, next) {
+    const { data_source, is_outlier, severity, min_price, max_price, sort = 'plz' } = req.query;
+    const filters = {};
+    
+    if (data_source !== undefined) {
+        const source = String(data_source).toUpperCase();
+        if (!['ORIGINAL', 'FALLBACK'].includes(source)) {
+            return res.status(400).json(formatError(
+                'data_source must be ORIGINAL or FALLBACK',
+                'VALIDATION_ERROR',
+                { field: 'data_source', value: data_source, allowed: ['ORIGINAL', 'FALLBACK'] }
+            ));
+        }
+        filters.data_source = source;
+    }
+    
+    if (is_outlier !== undefined) {
+        if (!['true', 'false'].includes(is_outlier)) {
+            return res.status(400).json(formatError(
+                'is_outlier must be true or false',
+                'VALIDATION_ERROR',
+                { field: 'is_outlier', value: is_outlier }
+            ));
+        }
+        filters.is_outlier = is_outlier === 'true';
+    }
+    
+    if (severity !== undefined) {
+        if (!['normal', 'high', 'very_high'].includes(severity)) {
+            return res.status(400).json(formatError(
+                'severity must be one of: normal, high, very_high',
+                'VALIDATION_ERROR',
+                { field: 'severity', value: severity, allowed: ['normal', 'high', 'very_high'] }
+            ));
+        }
+        filters.severity = severity;
+    }
+    
+    for (const [field, value] of [['min_price', min_price], ['max_price', max_price]]) {
+        if (value === undefined) continue;
+        
+        const price = typeof value === 'string' ? parseFloat(value) : NaN;
+        if (isNaN(price) || price < 0) {
+            return res.status(400).json(formatError(
+                `${field} must be a non-negative number (EUR/kWh)`,
+                'VALIDATION_ERROR',
+                { field, value }
+            ));
+        }
+        filters[field] = price;
+    }
+    
+    if (filters.min_price !== undefined && filters.max_price !== undefined && filters.min_price > filters.max_price) {
+        return res.status(400).json(formatError(
+            'min_price must not be greater than max_price',
+            'VALIDATION_ERROR',
+            { min_price, max_price }
+        ));
+    }
+    
+    // Repeated parameters (?sort=a&sort=b) arrive as arrays
+    const descending = typeof sort === 'string' && sort.startsWith('-');
+    const sortField = descending ? sort.substring(1) : sort;
+    
+    if (typeof sort !== 'string' || !SORT_FIELDS[sortField]) {
+        return res.status(400).json(formatError(
+            `sort must be one of: ${Object.keys(SORT_FIELDS).join(', ')} (prefix with - for descending)`,
+            'VALIDATION_ERROR',
+            { field: 'sort', value: sort, allowed: Object.keys(SORT_FIELDS) }
+        ));
+    }
+    
+    req.priceFilters = filters;
+    req.sort = {
+        field: sortField,
+        column: SORT_FIELDS[sortField],
+        ascending: !descending
+    };
+    next();
+}
+
 /**
  * Validate coordinates (latitude, longitude)
+ * Accepts both latitude/longitude and the short lat/lng query parameters
  */
 function validateCoordinates(req, res, next) {
-    const { latitude, longitude } = req.query;
+    const latitude = req.query.latitude ?? req.query.lat;
+    const longitude = req.query.longitude ?? req.query.lng;
     
     if (latitude !== undefined) {
         const lat = parseFloat(latitude);
@@ -256,11 +443,45 @@ function validateCoordinates(req, res, next) {
     next();
 }
 
+/**
+ * Negotiate the response format (json, csv, geojson, ndjson)
+ * ?format= takes precedence over the Accept header, unknown Accept values fall back to the first supported format
+ * @param {Array} supported - Formats the route can produce
+ */
+function negotiateFormat(supported = ['json', 'csv', 'geojson']) {
+    return (req, res, next) => {
+        const { format } = req.query;
+        
+        if (format !== undefined) {
+            if (!supported.includes(format)) {
+                return res.status(400).json(formatError(
+                    `Format must be one of: ${supported.join(', ')}`,
+                    'VALIDATION_ERROR',
+                    { field: 'format', value: format, allowed: supported }
+                ));
+            }
+            req.responseFormat = format;
+            return next();
+        }
+        
+        const accepted = req.accepts(supported.map(name => CONTENT_TYPES[name]));
+        const match = supported.find(name => CONTENT_TYPES[name] === accepted);
+        
+        req.responseFormat = match || supported[0];
+        next();
+    };
+}
+
 module.exports = {
     validatePLZ,
     validateYearMonth,
     validateMonth,
+    validateMonthRange,
+    validateComparisonMonths,
     validateApiKey,
     validatePagination,
-    validateCoordinates
+    validatePriceFilters,
+    validateCoordinates,
+    negotiateFormat,
+    SORT_FIELDS
 }; 
\ No newline at end of file
@@ -4,10 +4,47 @@
  */
 
 const express = require('express');
-const { validatePLZ, validateYearMonth, validateMonth } = require('../middleware/validation-middleware');
-const { formatResponse, formatError } = require('../utils/response-formatter');
+const crypto = require('crypto');
+const { validatePLZ, validateYearMonth, validateMonth, validateMonthRange, validateComparisonMonths, validateCoordinates, validatePagination, validatePriceFilters, negotiateFormat } = require('../middleware/validation-middleware');
+const { formatResponse, formatError, formatPaginatedResponse, formatApiKeyResponse } = require('../utils/response-formatter');
+const { buildPriceSeries, summarizePriceSeries, calculateChange, toNumber, round, PRICE_FIELDS } = require('../utils/price-series');
+const { isValidYear, isValidMonth, isNotFutureDate } = require('../utils/validation');
+const { calculateStats, calculatePriceStats, calculateHistogram } = require('../utils/price-statistics');
+const { sendExport, writeChunk, formatCSVRow, PRICE_CSV_COLUMNS, CONTENT_TYPES } = require('../utils/export-formatter');
+const { cacheResponse, setCacheValidators, invalidateMonth } = require('../middleware/cache-middleware');
+const { requireReviewer } = require('../middleware/auth-middleware');
+const { selectRelease, getReleaseForMonth } = require('../middleware/release-middleware');
+const ScraperConfig = require('../../scrapers/modules/config');
+const GeographicCompletion = require('../../scrapers/modules/geographic/geographic-completion');
+const QualityValidator = require('../../scrapers/modules/quality/quality-validator');
+const { getBundeslandForPLZ } = require('../../utils/plz-bundesland');
+const PriceReconciliation = require('../../services/price-reconciliation');
+const PriceReview = require('../../services/price-review');
 const router = express.Router();
 
+const config = new ScraperConfig();
+
+// Shared haversine distance calculation (same math as the scraper fallback)
+const geographic = new GeographicCompletion(config);
+
+// Monthly aggregates and recommendations (same calculation as monthly_quality_metrics)
+const qualityValidator = new QualityValidator(config);
+
+const REGION_LEVELS = ['state', 'plz1', 'plz2'];
+
+/**
+ * Resolve the region a PLZ belongs to for an aggregation level
+ * @returns {Object|null} { code, name } or null if the PLZ cannot be assigned
+ */
+function getRegionForPLZ(level, plz) {
+    if (level === 'state') {
+        return getBundeslandForPLZ(plz);
+    }
+
+    const prefix = plz.substring(0, level === 'plz1' ? 1 : 2);
+    return { code: prefix, name: `PLZ region ${prefix}` };
+}
+
 // ===========================================
 // PRICE ENDPOINTS
 // ===========================================
@@ -15,8 +52,9 @@ const router = express.Router();
 /**
  * GET /price/{plz}/{year}/{month}
  * Get electricity price for specific PLZ and month
+ * Supports ?format=csv|geojson (or Accept header)
  */
-router.get('/price/:plz/:year/:month', validatePLZ, validateYearMonth, async (req, res) => {
+router.get('/price/:plz/:year/:month', validatePLZ, validateYearMonth, negotiateFormat(), selectRelease, cacheResponse, async (req, res) => {
     try {
         const { plz, year, month } = req.params;
         const dataMonth = `${year}-${month.padStart(2, '0')}-01`;
@@ -24,9 +62,8 @@ router.get('/price/:plz/:year/:month', validatePLZ, validateYearMonth, async (re
         console.log(`🔍 Fetching price data for PLZ ${plz}, month ${dataMonth}`);
         
         // Query database for specific PLZ and month
-        const { data, error } = await req.db.supabase
-            .from('monthly_electricity_prices')
-            .select('*')
+        const { data, error } = await req.db.priceRows(req.releases)
+            .eq('source_name', req.db.primarySource)
             .eq('plz', plz)
             .eq('data_month', dataMonth)
             .single();
@@ -42,6 +79,10 @@ router.get('/price/:plz/:year/:month', validatePLZ, validateYearMonth, async (re
             throw error;
         }
 
+        if (req.responseFormat !== 'json') {
+            return sendExport(res, req.responseFormat, [data], `electricity-prices-${plz}-${dataMonth.substring(0, 7)}`);
+        }
+
         // Format response
         const response = {
             plz: data.plz,
@@ -60,6 +101,12 @@ router.get('/price/:plz/:year/:month', validatePLZ, validateYearMonth, async (re
                 distance_km: data.distance_km,
                 is_outlier: data.is_outlier,
                 outlier_severity: data.outlier_severity,
+                outlier_reason: data.outlier_reason ?? null,
+                confidence: {
+                    local_provider: data.lokaler_versorger_confidence ?? null,
+                    green_energy: data.oekostrom_confidence ?? null
+                },
+                review_status: data.review_status || 'none',
                 source_url: data.source_url,
                 coordinates: data.latitude && data.longitude ? {
                     latitude: data.latitude,
@@ -69,6 +116,7 @@ router.get('/price/:plz/:year/:month', validatePLZ, validateYearMonth, async (re
             scraped_at: data.created_at
         };
 
+        setCacheValidators(res, [data]);
         res.json(formatResponse(response, 'Price data retrieved successfully'));
         
     } catch (error) {
@@ -77,20 +125,87 @@ router.get('/price/:plz/:year/:month', validatePLZ, validateYearMonth, async (re
     }
 });
 
+/**
+ * GET /price/{plz}/{year}/{month}/history
+ * Get every recorded change of a PLZ's price row for a month (price_change_history), oldest first
+ * With ?release= the current prices are the release's and only earlier changes are listed
+ */
+router.get('/price/:plz/:year/:month/history', validatePLZ, validateYearMonth, selectRelease, cacheResponse, async (req, res) => {
+    try {
+        const { plz, year, month } = req.params;
+        const dataMonth = `${year}-${month.padStart(2, '0')}-01`;
+
+        console.log(`🔍 Fetching change history for PLZ ${plz}, month ${dataMonth}`);
+
+        const { data: current, error } = await req.db.priceRows(req.releases)
+            .eq('source_name', req.db.primarySource)
+            .eq('plz', plz)
+            .eq('data_month', dataMonth)
+            .maybeSingle();
+
+        if (error) throw error;
+
+        // A release shows the changes that were made before it was published
+        const release = getReleaseForMonth(req, dataMonth);
+        const changes = await req.db.getPriceChangeHistory(plz, dataMonth, req.db.primarySource, release ? release.published_at : null);
+
+        if (!current && changes.length === 0) {
+            return res.status(404).json(formatError(
+                'No price data found for this PLZ and month',
+                'NOT_FOUND',
+                { plz, year, month, searched_month: dataMonth }
+            ));
+        }
+
+        const response = {
+            plz,
+            city_name: current ? current.city_name : null,
+            year: parseInt(year),
+            month: parseInt(month),
+            data_month: dataMonth,
+            source_name: req.db.primarySource,
+            current: current ? {
+                prices: {
+                    local_provider: current.lokaler_versorger_price,
+                    green_energy: current.oekostrom_price,
+                    average: current.average_price
+                },
+                updated_at: current.updated_at
+            } : null,
+            changes: changes.map(change => ({
+                id: change.id,
+                changed_at: change.changed_at,
+                actor: change.actor,
+                reason: change.reason,
+                changed_fields: change.changed_fields,
+                old_values: change.old_values,
+                new_values: change.new_values
+            }))
+        };
+
+        setCacheValidators(res, current ? [current] : []);
+        res.json(formatResponse(response, 'Price change history retrieved successfully'));
+
+    } catch (error) {
+        console.error('❌ Error fetching price change history:', error);
+        res.status(500).json(formatError('Internal server error', 'INTERNAL_ERROR'));
+    }
+});
+
 /**
  * GET /price/{plz}/latest
  * Get most recent price data for PLZ
+ * Supports ?format=csv|geojson (or Accept header)
  */
-router.get('/price/:plz/latest', validatePLZ, async (req, res) => {
+router.get('/price/:plz/latest', validatePLZ, negotiateFormat(), selectRelease, cacheResponse, async (req, res) => {
     try {
         const { plz } = req.params;
         
         console.log(`🔍 Fetching latest price data for PLZ ${plz}`);
         
         // Query database for most recent data for this PLZ
-        const { data, error } = await req.db.supabase
-            .from('monthly_electricity_prices')
-            .select('*')
+        const { data, error } = await req.db.priceRows(req.releases)
+            .eq('source_name', req.db.primarySource)
             .eq('plz', plz)
             .order('data_month', { ascending: false })
             .limit(1);
@@ -106,6 +221,11 @@ router.get('/price/:plz/latest', validatePLZ, async (req, res) => {
         }
 
         const latest = data[0];
+        
+        if (req.responseFormat !== 'json') {
+            return sendExport(res, req.responseFormat, [latest], `electricity-prices-${plz}-latest`);
+        }
+        
         const dataDate = new Date(latest.data_month);
         
         const response = {
@@ -125,6 +245,12 @@ router.get('/price/:plz/latest', validatePLZ, async (req, res) => {
                 distance_km: latest.distance_km,
                 is_outlier: latest.is_outlier,
                 outlier_severity: latest.outlier_severity,
+                outlier_reason: latest.outlier_reason ?? null,
+                confidence: {
+                    local_provider: latest.lokaler_versorger_confidence ?? null,
+                    green_energy: latest.oekostrom_confidence ?? null
+                },
+                review_status: latest.review_status || 'none',
                 source_url: latest.source_url,
                 coordinates: latest.latitude && latest.longitude ? {
                     latitude: latest.latitude,
@@ -134,6 +260,7 @@ router.get('/price/:plz/latest', validatePLZ, async (req, res) => {
             scraped_at: latest.created_at
         };
 
+        setCacheValidators(res, [latest]);
         res.json(formatResponse(response, 'Latest price data retrieved successfully'));
         
     } catch (error) {
@@ -142,30 +269,353 @@ router.get('/price/:plz/latest', validatePLZ, async (req, res) => {
     }
 });
 
+/**
+ * GET /price/{plz}/history?from=YYYY-MM&to=YYYY-MM
+ * Get month-ordered price series for PLZ with month-over-month changes
+ * Supports ?format=csv|geojson (or Accept header)
+ */
+router.get('/price/:plz/history', validatePLZ, validateMonthRange, negotiateFormat(), selectRelease, cacheResponse, async (req, res) => {
+    try {
+        const { plz } = req.params;
+        const { from, to } = req.monthRange;
+        
+        console.log(`🔍 Fetching price history for PLZ ${plz} (${from || 'start'} → ${to || 'latest'})`);
+        
+        // Query database for all months of this PLZ within the range
+        let query = req.db.priceRows(req.releases)
+            .eq('source_name', req.db.primarySource)
+            .eq('plz', plz)
+            .order('data_month', { ascending: true });
+            
+        if (from) query = query.gte('data_month', from);
+        if (to) query = query.lte('data_month', to);
+        
+        const { data, error } = await query;
+            
+        if (error) throw error;
+        
+        if (!data || data.length === 0) {
+            return res.status(404).json(formatError(
+                'No price history found for this PLZ and range',
+                'NOT_FOUND',
+                { plz, from: req.query.from || null, to: req.query.to || null }
+            ));
+        }
+
+        if (req.responseFormat !== 'json') {
+            return sendExport(res, req.responseFormat, data, `electricity-prices-${plz}-history`);
+        }
+
+        const series = buildPriceSeries(data);
+        const latest = data[data.length - 1];
+
+        const response = {
+            plz: latest.plz,
+            city_name: latest.city_name,
+            range: {
+                from: from,
+                to: to
+            },
+            series: series,
+            summary: summarizePriceSeries(series)
+        };
+
+        setCacheValidators(res, data);
+        res.json(formatResponse(response, 'Price history retrieved successfully'));
+        
+    } catch (error) {
+        console.error('❌ Error fetching price history:', error);
+        res.status(500).json(formatError('Internal server error', 'INTERNAL_ERROR'));
+    }
+});
+
+/**
+ * GET /price/nearby?lat=&lng=&radius_km=&year=&month=
+ * Get closest PLZ records around coordinates, sorted by distance
+ * Supports ?format=csv|geojson (or Accept header)
+ */
+router.get('/price/nearby', validateCoordinates, negotiateFormat(), selectRelease, cacheResponse, async (req, res) => {
+    try {
+        const { latitude, longitude } = req;
+        const { radius_km = 10, limit = 10, year, month } = req.query;
+        
+        if (latitude === undefined || longitude === undefined) {
+            return res.status(400).json(formatError(
+                'lat and lng query parameters are required',
+                'VALIDATION_ERROR',
+                { provided: { lat: req.query.lat, lng: req.query.lng } }
+            ));
+        }
+        
+        const radiusNum = parseFloat(radius_km);
+        if (isNaN(radiusNum) || radiusNum <= 0 || radiusNum > 100) {
+            return res.status(400).json(formatError(
+                'radius_km must be between 0 and 100',
+                'VALIDATION_ERROR',
+                { field: 'radius_km', value: radius_km, min: 0, max: 100 }
+            ));
+        }
+        
+        const limitNum = parseInt(limit);
+        if (isNaN(limitNum) || limitNum < 1 || limitNum > 100) {
+            return res.status(400).json(formatError(
+                'Limit must be between 1 and 100',
+                'VALIDATION_ERROR',
+                { field: 'limit', value: limit, min: 1, max: 100 }
+            ));
+        }
+        
+        if ((year === undefined) !== (month === undefined)) {
+            return res.status(400).json(formatError(
+                'year and month must be provided together',
+                'VALIDATION_ERROR',
+                { provided: { year, month } }
+            ));
+        }
+        
+        let dataMonth;
+        if (year !== undefined) {
+            if (!isValidYear(year) || !isValidMonth(month) || !isNotFutureDate(parseInt(year), parseInt(month))) {
+                return res.status(400).json(formatError(
+                    'year and month must describe a valid, non-future month',
+                    'VALIDATION_ERROR',
+                    { provided: { year, month } }
+                ));
+            }
+            dataMonth = `${parseInt(year)}-${String(parseInt(month)).padStart(2, '0')}-01`;
+        } else {
+            // Default to the most recent month with data
+            const { data: latestData, error: latestError } = await req.db.priceRows(req.releases, 'data_month')
+                .eq('source_name', req.db.primarySource)
+                .order('data_month', { ascending: false })
+                .limit(1);
+                
+            if (latestError) throw latestError;
+            
+            if (!latestData || latestData.length === 0) {
+                return res.status(404).json(formatError('No price data available', 'NOT_FOUND'));
+            }
+            dataMonth = latestData[0].data_month;
+        }
+        
+        console.log(`🔍 Fetching prices within ${radiusNum}km of ${latitude},${longitude} for ${dataMonth}`);
+        
+        // Bounding box pre-filter (uses idx_monthly_prices_location), exact distance below
+        const latDelta = radiusNum / 111.32;
+        const lngDelta = radiusNum / (111.32 * Math.max(Math.cos(latitude * Math.PI / 180), 0.01));
+        
+        const { data, error } = await req.db.priceRows(req.releases)
+            .eq('source_name', req.db.primarySource)
+            .eq('data_month', dataMonth)
+            .gte('latitude', latitude - latDelta)
+            .lte('latitude', latitude + latDelta)
+            .gte('longitude', longitude - lngDelta)
+            .lte('longitude', longitude + lngDelta);
+            
+        if (error) throw error;
+        
+        const nearby = (data || [])
+            .map(row => ({
+                row,
+                distance: geographic.calculateDistance(
+                    latitude, longitude,
+                    toNumber(row.latitude), toNumber(row.longitude)
+                )
+            }))
+            .filter(item => item.distance <= radiusNum)
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, limitNum);
+        
+        if (nearby.length === 0) {
+            return res.status(404).json(formatError(
+                'No price data found within radius',
+                'NOT_FOUND',
+                { latitude, longitude, radius_km: radiusNum, searched_month: dataMonth }
+            ));
+        }
+        
+        if (req.responseFormat !== 'json') {
+            return sendExport(res, req.responseFormat, nearby.map(item => item.row), `electricity-prices-nearby-${dataMonth.substring(0, 7)}`);
+        }
+        
+        const results = nearby.map(({ row, distance }) => ({
+            plz: row.plz,
+            city_name: row.city_name,
+            distance_km: round(distance, 3),
+            prices: {
+                local_provider: row.lokaler_versorger_price,
+                green_energy: row.oekostrom_price,
+                average: row.average_price
+            },
+            metadata: {
+                data_source: row.data_source,
+                source_plz: row.source_plz,
+                distance_km: row.distance_km,
+                is_outlier: row.is_outlier,
+                outlier_severity: row.outlier_severity,
+                outlier_reason: row.outlier_reason ?? null,
+                confidence: {
+                    local_provider: row.lokaler_versorger_confidence ?? null,
+                    green_energy: row.oekostrom_confidence ?? null
+                },
+                review_status: row.review_status || 'none',
+                coordinates: {
+                    latitude: row.latitude,
+                    longitude: row.longitude
+                }
+            }
+        }));
+        
+        const dateParts = dataMonth.split('-');
+        const response = {
+            query: {
+                latitude,
+                longitude,
+                radius_km: radiusNum,
+                limit: limitNum
+            },
+            year: parseInt(dateParts[0]),
+            month: parseInt(dateParts[1]),
+            data_month: dataMonth,
+            found_count: results.length,
+            nearest: results[0],
+            results: results
+        };
+
+        setCacheValidators(res, nearby.map(item => item.row));
+        res.json(formatResponse(response, 'Nearby price data retrieved successfully'));
+        
+    } catch (error) {
+        console.error('❌ Error fetching nearby price data:', error);
+        res.status(500).json(formatError('Internal server error', 'INTERNAL_ERROR'));
+    }
+});
+
+/**
+ * GET /prices/{year}/{month}?page=&limit=&data_source=&is_outlier=&severity=&min_price=&max_price=&sort=
+ * List a month's prices page by page with filters (min/max_price apply to the average price)
+ * Supports ?format=csv|geojson (or Accept header) for the current page
+ */
+router.get('/prices/:year/:month', validateYearMonth, validatePagination, validatePriceFilters, negotiateFormat(), selectRelease, cacheResponse, async (req, res) => {
+    try {
+        const { year, month } = req.params;
+        const dataMonth = `${year}-${month.padStart(2, '0')}-01`;
+        const { page, limit, offset } = req.pagination;
+        const filters = req.priceFilters;
+        const sort = req.sort;
+        
+        console.log(`🔍 Listing prices for ${dataMonth} (page ${page}, limit ${limit})`);
+        
+        let query = req.db.priceRows(req.releases, '*', { count: 'exact' })
+            .eq('source_name', req.db.primarySource)
+            .eq('data_month', dataMonth);
+            
+        if (filters.data_source) query = query.eq('data_source', filters.data_source);
+        if (filters.is_outlier !== undefined) query = query.eq('is_outlier', filters.is_outlier);
+        if (filters.severity) query = query.eq('outlier_severity', filters.severity);
+        if (filters.min_price !== undefined) query = query.gte('average_price', filters.min_price);
+        if (filters.max_price !== undefined) query = query.lte('average_price', filters.max_price);
+        
+        query = query.order(sort.column, { ascending: sort.ascending, nullsFirst: false });
+        if (sort.column !== 'plz') {
+            query = query.order('plz', { ascending: true }); // Stable order across pages
+        }
+        
+        const { data, count, error } = await query.range(offset, offset + limit - 1);
+            
+        if (error) throw error;
+        
+        if (req.responseFormat !== 'json') {
+            return sendExport(res, req.responseFormat, data, `electricity-prices-${dataMonth.substring(0, 7)}-page-${page}`);
+        }
+        
+        const results = data.map(row => ({
+            plz: row.plz,
+            city_name: row.city_name,
+            prices: {
+                local_provider: row.lokaler_versorger_price,
+                green_energy: row.oekostrom_price,
+                average: row.average_price
+            },
+            metadata: {
+                data_source: row.data_source,
+                source_plz: row.source_plz,
+                distance_km: row.distance_km,
+                is_outlier: row.is_outlier,
+                outlier_severity: row.outlier_severity,
+                outlier_reason: row.outlier_reason ?? null,
+                confidence: {
+                    local_provider: row.lokaler_versorger_confidence ?? null,
+                    green_energy: row.oekostrom_confidence ?? null
+                },
+                review_status: row.review_status || 'none'
+            }
+        }));
+        
+        setCacheValidators(res, data);
+        res.json(formatPaginatedResponse(
+            results,
+            { page, limit, total: count || 0 },
+            'Price listing retrieved successfully',
+            {
+                year: parseInt(year),
+                month: parseInt(month),
+                data_month: dataMonth,
+                filters,
+                sort: `${sort.ascending ? '' : '-'}${sort.field}`
+            }
+        ));
+        
+    } catch (error) {
+        console.error('❌ Error listing prices:', error);
+        res.status(500).json(formatError('Internal server error', 'INTERNAL_ERROR'));
+    }
+});
+
 // ===========================================
 // AGGREGATE ENDPOINTS
 // ===========================================
 
+/**
+ * Quality metrics of a month: the copy stored with the requested release, the month's
+ * monthly_quality_metrics row, or - before its first calculation - computed from the rows
+ * @returns {Object|null} { metrics, rows (for the cache validators), release } or null without data
+ */
+async function loadMonthlyMetrics(req, dataMonth) {
+    const release = getReleaseForMonth(req, dataMonth);
+
+    if (release && release.quality_metrics) {
+        return { metrics: release.quality_metrics, rows: [{ updated_at: release.published_at }], release };
+    }
+
+    // Rows calculated before the breakdown columns existed are recalculated below
+    const stored = release ? null : await req.db.getMonthlyQualityMetrics(dataMonth);
+    if (stored && stored.severity_normal_count !== null) {
+        return { metrics: stored, rows: [{ updated_at: stored.calculated_at }], release };
+    }
+
+    const rows = await req.db.getAllPriceDataForMonth(dataMonth, '*', req.db.primarySource, release);
+    if (rows.length === 0) {
+        return null;
+    }
+
+    return { metrics: qualityValidator.calculateMonthlyMetrics(dataMonth, rows), rows, release };
+}
+
 /**
  * GET /average/{year}/{month}
- * Get national averages for a month
+ * Get national averages for a month (from monthly_quality_metrics)
  */
-router.get('/average/:year/:month', validateYearMonth, async (req, res) => {
+router.get('/average/:year/:month', validateYearMonth, selectRelease, cacheResponse, async (req, res) => {
     try {
         const { year, month } = req.params;
         const dataMonth = `${year}-${month.padStart(2, '0')}-01`;
         
-        console.log(`🔍 Calculating national averages for ${dataMonth}`);
+        console.log(`🔍 Fetching national averages for ${dataMonth}`);
         
-        // Query database for averages
-        const { data, error } = await req.db.supabase
-            .from('monthly_electricity_prices')
-            .select('lokaler_versorger_price, oekostrom_price, average_price, data_source')
-            .eq('data_month', dataMonth);
-            
-        if (error) throw error;
+        const result = await loadMonthlyMetrics(req, dataMonth);
         
-        if (!data || data.length === 0) {
+        if (!result) {
             return res.status(404).json(formatError(
                 'No data found for this month',
                 'NOT_FOUND',
@@ -173,69 +623,56 @@ router.get('/average/:year/:month', validateYearMonth, async (req, res) => {
             ));
         }
 
-        // Calculate averages
-        const originalData = data.filter(row => row.data_source === 'ORIGINAL');
-        const fallbackData = data.filter(row => row.data_source === 'FALLBACK');
-        
-        const calculateAvg = (arr, field) => {
-            const values = arr.map(row => row[field]).filter(val => val !== null);
-            return values.length > 0 ? values.reduce((sum, val) => sum + val, 0) / values.length : null;
-        };
-
+        const { metrics } = result;
         const response = {
             year: parseInt(year),
             month: parseInt(month),
             data_month: dataMonth,
             national_averages: {
-                local_provider: calculateAvg(data, 'lokaler_versorger_price'),
-                green_energy: calculateAvg(data, 'oekostrom_price'),
-                average: calculateAvg(data, 'average_price')
+                local_provider: toNumber(metrics.avg_lokaler_versorger_price),
+                green_energy: toNumber(metrics.avg_oekostrom_price),
+                average: toNumber(metrics.avg_overall_price)
             },
             breakdown: {
                 original_data: {
-                    count: originalData.length,
-                    local_provider: calculateAvg(originalData, 'lokaler_versorger_price'),
-                    green_energy: calculateAvg(originalData, 'oekostrom_price'),
-                    average: calculateAvg(originalData, 'average_price')
+                    count: metrics.original_data_count,
+                    local_provider: toNumber(metrics.original_avg_lokaler_versorger_price),
+                    green_energy: toNumber(metrics.original_avg_oekostrom_price),
+                    average: toNumber(metrics.original_avg_overall_price)
                 },
                 fallback_data: {
-                    count: fallbackData.length,
-                    local_provider: calculateAvg(fallbackData, 'lokaler_versorger_price'),
-                    green_energy: calculateAvg(fallbackData, 'oekostrom_price'),
-                    average: calculateAvg(fallbackData, 'average_price')
+                    count: metrics.fallback_data_count,
+                    local_provider: toNumber(metrics.fallback_avg_lokaler_versorger_price),
+                    green_energy: toNumber(metrics.fallback_avg_oekostrom_price),
+                    average: toNumber(metrics.fallback_avg_overall_price)
                 }
             },
-            total_records: data.length
+            total_records: metrics.total_plz_count
         };
 
-        res.json(formatResponse(response, 'National averages calculated successfully'));
+        setCacheValidators(res, result.rows);
+        res.json(formatResponse(response, 'National averages retrieved successfully'));
         
     } catch (error) {
-        console.error('❌ Error calculating averages:', error);
+        console.error('❌ Error fetching averages:', error);
         res.status(500).json(formatError('Internal server error', 'INTERNAL_ERROR'));
     }
 });
 
 /**
  * GET /coverage/{year}/{month}
- * Get data coverage statistics for a month
+ * Get data coverage statistics for a month (from monthly_quality_metrics)
  */
-router.get('/coverage/:year/:month', validateYearMonth, async (req, res) => {
+router.get('/coverage/:year/:month', validateYearMonth, selectRelease, cacheResponse, async (req, res) => {
     try {
         const { year, month } = req.params;
         const dataMonth = `${year}-${month.padStart(2, '0')}-01`;
         
-        console.log(`🔍 Calculating coverage statistics for ${dataMonth}`);
+        console.log(`🔍 Fetching coverage statistics for ${dataMonth}`);
         
-        // Query database for coverage stats
-        const { data, error } = await req.db.supabase
-            .from('monthly_electricity_prices')
-            .select('data_source, is_outlier, outlier_severity')
-            .eq('data_month', dataMonth);
-            
-        if (error) throw error;
+        const result = await loadMonthlyMetrics(req, dataMonth);
         
-        if (!data || data.length === 0) {
+        if (!result) {
             return res.status(404).json(formatError(
                 'No data found for this month',
                 'NOT_FOUND',
@@ -243,17 +680,9 @@ router.get('/coverage/:year/:month', validateYearMonth, async (req, res) => {
             ));
         }
 
-        // Calculate coverage statistics
-        const total = data.length;
-        const originalCount = data.filter(row => row.data_source === 'ORIGINAL').length;
-        const fallbackCount = data.filter(row => row.data_source === 'FALLBACK').length;
-        const outlierCount = data.filter(row => row.is_outlier === true).length;
-        
-        const outliersBySeverity = {
-            normal: data.filter(row => row.outlier_severity === 'normal').length,
-            high: data.filter(row => row.outlier_severity === 'high').length,
-            very_high: data.filter(row => row.outlier_severity === 'very_high').length
-        };
+        const { metrics } = result;
+        const total = metrics.total_plz_count;
+        const percentage = count => ((count / total) * 100).toFixed(2);
 
         const response = {
             year: parseInt(year),
@@ -262,78 +691,553 @@ router.get('/coverage/:year/:month', validateYearMonth, async (req, res) => {
             coverage: {
                 total_records: total,
                 original_data: {
-                    count: originalCount,
-                    percentage: ((originalCount / total) * 100).toFixed(2)
+                    count: metrics.original_data_count,
+                    percentage: percentage(metrics.original_data_count)
                 },
                 fallback_data: {
-                    count: fallbackCount,
-                    percentage: ((fallbackCount / total) * 100).toFixed(2)
+                    count: metrics.fallback_data_count,
+                    percentage: percentage(metrics.fallback_data_count)
                 }
             },
             quality: {
-                total_outliers: outlierCount,
-                outlier_percentage: ((outlierCount / total) * 100).toFixed(2),
-                outliers_by_severity: outliersBySeverity
+                total_outliers: metrics.outlier_count,
+                outlier_percentage: percentage(metrics.outlier_count),
+                outliers_by_severity: {
+                    normal: metrics.severity_normal_count,
+                    high: metrics.severity_high_count,
+                    very_high: metrics.severity_very_high_count
+                }
             }
         };
 
-        res.json(formatResponse(response, 'Coverage statistics calculated successfully'));
+        setCacheValidators(res, result.rows);
+        res.json(formatResponse(response, 'Coverage statistics retrieved successfully'));
         
     } catch (error) {
-        console.error('❌ Error calculating coverage:', error);
+        console.error('❌ Error fetching coverage:', error);
         res.status(500).json(formatError('Internal server error', 'INTERNAL_ERROR'));
     }
 });
 
-// ===========================================
-// METADATA ENDPOINTS
-// ===========================================
-
 /**
- * GET /months
- * List available months of data
+ * GET /quality/{year}/{month}
+ * Stored quality metrics of a month with recommendations
  */
-router.get('/months', async (req, res) => {
+router.get('/quality/:year/:month', validateYearMonth, selectRelease, cacheResponse, async (req, res) => {
     try {
-        console.log('🔍 Fetching available months');
-        
-        // Query database for distinct months
-        const { data, error } = await req.db.supabase
-            .from('monthly_electricity_prices')
-            .select('data_month')
-            .order('data_month', { ascending: false });
-            
-        if (error) throw error;
-        
-        // Get unique months and format them
-        const uniqueMonths = [...new Set(data.map(row => row.data_month))]
-            .map(monthStr => {
-                const date = new Date(monthStr);
-                return {
-                    data_month: monthStr,
-                    year: date.getFullYear(),
-                    month: date.getMonth() + 1,
-                    formatted: date.toLocaleDateString('de-DE', { 
-                        year: 'numeric', 
-                        month: 'long' 
-                    })
-                };
-            });
+        const { year, month } = req.params;
+        const dataMonth = `${year}-${month.padStart(2, '0')}-01`;
 
-        const response = {
-            available_months: uniqueMonths,
-            total_months: uniqueMonths.length,
-            latest_month: uniqueMonths[0] || null,
-            oldest_month: uniqueMonths[uniqueMonths.length - 1] || null
-        };
+        console.log(`🔍 Fetching quality metrics for ${dataMonth}`);
 
-        res.json(formatResponse(response, 'Available months retrieved successfully'));
-        
-    } catch (error) {
-        console.error('❌ Error fetching available months:', error);
-        res.status(500).json(formatError('Internal server error', 'INTERNAL_ERROR'));
-    }
-});
+        const result = await loadMonthlyMetrics(req, dataMonth);
+
+        if (!result) {
+            return res.status(404).json(formatError(
+                'No data found for this month',
+                'NOT_FOUND',
+                { year, month, searched_month: dataMonth }
+            ));
+        }
+
+        // The review queue is the current state, so a release is reported without it
+        const queueItems = result.release ? null : await req.db.getOpenReviewQueueItems(dataMonth);
+        const { id, data_month, ...metrics } = result.metrics;
+
+        const response = {
+            year: parseInt(year),
+            month: parseInt(month),
+            data_month: dataMonth,
+            release: result.release ? result.release.release_tag : null,
+            metrics,
+            review_queue: queueItems ? {
+                open: queueItems.length,
+                high: queueItems.filter(item => item.severity === 'high').length,
+                very_high: queueItems.filter(item => item.severity === 'very_high').length
+            } : null,
+            recommendations: qualityValidator.generateMonthlyRecommendations(result.metrics, queueItems || [])
+        };
+
+        setCacheValidators(res, result.rows);
+        res.json(formatResponse(response, 'Quality metrics retrieved successfully'));
+
+    } catch (error) {
+        console.error('❌ Error fetching quality metrics:', error);
+        res.status(500).json(formatError('Internal server error', 'INTERNAL_ERROR'));
+    }
+});
+
+/**
+ * GET /reconciliation/{year}/{month}
+ * Compare the prices of every price source for a month and list the PLZs where they disagree
+ * Supports ?format=csv (or Accept header)
+ */
+router.get('/reconciliation/:year/:month', validateYearMonth, negotiateFormat(['json', 'csv']), selectRelease, cacheResponse, async (req, res) => {
+    try {
+        const { year, month } = req.params;
+        const dataMonth = `${year}-${month.padStart(2, '0')}-01`;
+
+        console.log(`🔍 Reconciling price sources for ${dataMonth}`);
+
+        const reconciliation = new PriceReconciliation({ db: req.db });
+        const rowsBySource = await reconciliation.loadMonth(dataMonth, getReleaseForMonth(req, dataMonth));
+        const report = reconciliation.reconcile(dataMonth, rowsBySource);
+
+        if (report.summary.compared_plz === 0) {
+            return res.status(404).json(formatError(
+                'No PLZ with prices from more than one source for this month',
+                'NOT_FOUND',
+                { year, month, searched_month: dataMonth, rows_per_source: report.summary.rows_per_source }
+            ));
+        }
+
+        const discrepancies = report.entries.filter(entry => entry.flagged);
+
+        setCacheValidators(res, Object.values(rowsBySource).flat());
+
+        if (req.responseFormat === 'csv') {
+            return sendExport(
+                res,
+                'csv',
+                reconciliation.toCsvRows(discrepancies),
+                `reconciliation-${year}-${month.padStart(2, '0')}`,
+                PriceReconciliation.CSV_COLUMNS
+            );
+        }
+
+        const response = {
+            year: parseInt(year),
+            month: parseInt(month),
+            data_month: dataMonth,
+            sources: report.sources,
+            thresholds: report.thresholds,
+            summary: report.summary,
+            discrepancies
+        };
+
+        res.json(formatResponse(response, 'Price reconciliation completed successfully'));
+
+    } catch (error) {
+        console.error('❌ Error reconciling price sources:', error);
+        res.status(500).json(formatError('Internal server error', 'INTERNAL_ERROR'));
+    }
+});
+
+/**
+ * GET /regions/{level}/{year}/{month}
+ * Get price statistics per region for a month
+ * level: state (Bundesland), plz1 (first PLZ digit), plz2 (first two PLZ digits)
+ */
+router.get('/regions/:level/:year/:month', validateYearMonth, selectRelease, cacheResponse, async (req, res) => {
+    try {
+        const { level, year, month } = req.params;
+        const dataMonth = `${year}-${month.padStart(2, '0')}-01`;
+
+        if (!REGION_LEVELS.includes(level)) {
+            return res.status(400).json(formatError(
+                `Level must be one of: ${REGION_LEVELS.join(', ')}`,
+                'VALIDATION_ERROR',
+                { field: 'level', value: level, allowed: REGION_LEVELS }
+            ));
+        }
+
+        console.log(`🔍 Aggregating prices by ${level} for ${dataMonth}`);
+
+        const data = await req.db.getAllPriceDataForMonth(
+            dataMonth,
+            'plz, lokaler_versorger_price, oekostrom_price, average_price, data_source, is_outlier, updated_at',
+            req.db.primarySource,
+            getReleaseForMonth(req, dataMonth)
+        );
+
+        if (data.length === 0) {
+            return res.status(404).json(formatError(
+                'No data found for this month',
+                'NOT_FOUND',
+                { year, month, searched_month: dataMonth }
+            ));
+        }
+
+        // Group rows by region key
+        const groups = new Map();
+        let unassigned = 0;
+
+        data.forEach(row => {
+            const region = getRegionForPLZ(level, row.plz);
+            if (!region) {
+                unassigned++;
+                return;
+            }
+
+            if (!groups.has(region.code)) {
+                groups.set(region.code, { ...region, rows: [] });
+            }
+            groups.get(region.code).rows.push(row);
+        });
+
+        const regions = [...groups.values()]
+            .sort((a, b) => a.code.localeCompare(b.code))
+            .map(({ code, name, rows }) => ({
+                region: code,
+                name,
+                plz_count: rows.length,
+                original_count: rows.filter(row => row.data_source === 'ORIGINAL').length,
+                fallback_count: rows.filter(row => row.data_source === 'FALLBACK').length,
+                outlier_count: rows.filter(row => row.is_outlier === true).length,
+                prices: calculatePriceStats(rows)
+            }));
+
+        const response = {
+            level,
+            year: parseInt(year),
+            month: parseInt(month),
+            data_month: dataMonth,
+            region_count: regions.length,
+            total_records: data.length,
+            unassigned_records: unassigned,
+            regions
+        };
+
+        setCacheValidators(res, data);
+        res.json(formatResponse(response, 'Regional statistics calculated successfully'));
+
+    } catch (error) {
+        console.error('❌ Error calculating regional statistics:', error);
+        res.status(500).json(formatError('Internal server error', 'INTERNAL_ERROR'));
+    }
+});
+
+/**
+ * GET /compare/{yearA}/{monthA}/{yearB}/{monthB}?field=&limit=&bins=
+ * Compare two months per PLZ: national delta, histogram of per-PLZ changes and biggest movers
+ * Only PLZs with ORIGINAL, non-outlier data in both months are compared
+ */
+router.get('/compare/:yearA/:monthA/:yearB/:monthB', validateComparisonMonths, selectRelease, cacheResponse, async (req, res) => {
+    try {
+        const { monthA, monthB } = req.comparison;
+        const { field = 'average', limit = 10, bins = 20 } = req.query;
+
+        if (!PRICE_FIELDS[field]) {
+            return res.status(400).json(formatError(
+                `field must be one of: ${Object.keys(PRICE_FIELDS).join(', ')}`,
+                'VALIDATION_ERROR',
+                { field: 'field', value: field, allowed: Object.keys(PRICE_FIELDS) }
+            ));
+        }
+
+        const limitNum = parseInt(limit);
+        if (isNaN(limitNum) || limitNum < 1 || limitNum > 100) {
+            return res.status(400).json(formatError(
+                'Limit must be between 1 and 100',
+                'VALIDATION_ERROR',
+                { field: 'limit', value: limit, min: 1, max: 100 }
+            ));
+        }
+
+        const binCount = parseInt(bins);
+        if (isNaN(binCount) || binCount < 1 || binCount > 100) {
+            return res.status(400).json(formatError(
+                'bins must be between 1 and 100',
+                'VALIDATION_ERROR',
+                { field: 'bins', value: bins, min: 1, max: 100 }
+            ));
+        }
+
+        console.log(`🔍 Comparing ${field} prices ${monthA.data_month} → ${monthB.data_month}`);
+
+        const column = PRICE_FIELDS[field];
+        const columns = `plz, city_name, ${column}, data_source, is_outlier, updated_at`;
+        const [rowsA, rowsB] = await Promise.all([
+            req.db.getAllPriceDataForMonth(monthA.data_month, columns, req.db.primarySource, getReleaseForMonth(req, monthA.data_month)),
+            req.db.getAllPriceDataForMonth(monthB.data_month, columns, req.db.primarySource, getReleaseForMonth(req, monthB.data_month))
+        ]);
+
+        const emptyMonth = rowsA.length === 0 ? monthA : rowsB.length === 0 ? monthB : null;
+        if (emptyMonth) {
+            return res.status(404).json(formatError(
+                'No data found for this month',
+                'NOT_FOUND',
+                { year: emptyMonth.year, month: emptyMonth.month, searched_month: emptyMonth.data_month }
+            ));
+        }
+
+        // Pair PLZs present in both months; FALLBACK or outlier on either side excludes the PLZ
+        const byPlzA = new Map(rowsA.map(row => [row.plz, row]));
+        const excluded = { not_in_both_months: 0, fallback: 0, outlier: 0, missing_price: 0 };
+        const changes = [];
+
+        rowsB.forEach(rowB => {
+            const rowA = byPlzA.get(rowB.plz);
+            if (!rowA) {
+                excluded.not_in_both_months++;
+                return;
+            }
+            byPlzA.delete(rowB.plz);
+
+            if (rowA.data_source !== 'ORIGINAL' || rowB.data_source !== 'ORIGINAL') {
+                excluded.fallback++;
+                return;
+            }
+            if (rowA.is_outlier === true || rowB.is_outlier === true) {
+                excluded.outlier++;
+                return;
+            }
+
+            const priceA = toNumber(rowA[column]);
+            const priceB = toNumber(rowB[column]);
+            if (priceA === null || priceB === null) {
+                excluded.missing_price++;
+                return;
+            }
+
+            changes.push({
+                plz: rowB.plz,
+                city_name: rowB.city_name,
+                price_a: priceA,
+                price_b: priceB,
+                ...calculateChange(priceA, priceB)
+            });
+        });
+        excluded.not_in_both_months += byPlzA.size;
+
+        if (changes.length === 0) {
+            return res.status(404).json(formatError(
+                'No PLZ has ORIGINAL, non-outlier data in both months',
+                'NOT_FOUND',
+                { month_a: monthA.data_month, month_b: monthB.data_month, excluded }
+            ));
+        }
+
+        const statsA = calculateStats(changes.map(change => change.price_a));
+        const statsB = calculateStats(changes.map(change => change.price_b));
+        const percents = changes.map(change => change.percent);
+
+        const topIncreases = changes
+            .filter(change => change.delta > 0)
+            .sort((a, b) => b.delta - a.delta || a.plz.localeCompare(b.plz))
+            .slice(0, limitNum);
+        const topDecreases = changes
+            .filter(change => change.delta < 0)
+            .sort((a, b) => a.delta - b.delta || a.plz.localeCompare(b.plz))
+            .slice(0, limitNum);
+
+        const response = {
+            month_a: { ...monthA, total_records: rowsA.length },
+            month_b: { ...monthB, total_records: rowsB.length },
+            field,
+            compared_count: changes.length,
+            excluded,
+            national: {
+                average_a: statsA.average,
+                average_b: statsB.average,
+                change: calculateChange(statsA.average, statsB.average),
+                median_change: calculateStats(changes.map(change => change.delta)).median,
+                increased_count: changes.filter(change => change.delta > 0).length,
+                decreased_count: changes.filter(change => change.delta < 0).length,
+                unchanged_count: changes.filter(change => change.delta === 0).length
+            },
+            distribution: {
+                metric: 'percent',
+                stats: calculateStats(percents),
+                ...calculateHistogram(percents, binCount)
+            },
+            top_increases: topIncreases,
+            top_decreases: topDecreases
+        };
+
+        setCacheValidators(res, [...rowsA, ...rowsB]);
+        res.json(formatResponse(response, 'Month comparison calculated successfully'));
+
+    } catch (error) {
+        console.error('❌ Error comparing months:', error);
+        res.status(500).json(formatError('Internal server error', 'INTERNAL_ERROR'));
+    }
+});
+
+// ===========================================
+// EXPORT ENDPOINTS
+// ===========================================
+
+/**
+ * GET /export/{year}/{month}?format=ndjson|csv
+ * Stream every price row of a month, fetched from the database in batches
+ * Sends X-Content-SHA256 (hex digest of the body) and X-Record-Count as HTTP trailers
+ */
+router.get('/export/:year/:month', validateYearMonth, negotiateFormat(['ndjson', 'csv']), selectRelease, async (req, res) => {
+    try {
+        const { year, month } = req.params;
+        const dataMonth = `${year}-${month.padStart(2, '0')}-01`;
+        const format = req.responseFormat;
+        
+        console.log(`🔍 Exporting all prices for ${dataMonth} as ${format}`);
+        
+        const batches = req.db.iteratePriceDataForMonth(dataMonth, '*', 1000, req.db.primarySource, getReleaseForMonth(req, dataMonth));
+        let batch = await batches.next();
+        
+        if (batch.done) {
+            return res.status(404).json(formatError(
+                'No data found for this month',
+                'NOT_FOUND',
+                { year, month, searched_month: dataMonth }
+            ));
+        }
+
+        const extension = format === 'csv' ? 'csv' : 'ndjson';
+        res.set('Content-Type', `${CONTENT_TYPES[format]}; charset=utf-8`);
+        res.set('Content-Disposition', `attachment; filename="electricity-prices-${dataMonth.substring(0, 7)}.${extension}"`);
+        res.set('Trailer', 'X-Content-SHA256, X-Record-Count');
+        
+        const hash = crypto.createHash('sha256');
+        let recordCount = 0;
+        
+        const write = chunk => {
+            hash.update(chunk);
+            return writeChunk(res, chunk);
+        };
+        
+        if (format === 'csv') {
+            await write(PRICE_CSV_COLUMNS.join(',') + '\n');
+        }
+        
+        while (!batch.done) {
+            // Client went away - stop fetching
+            if (res.destroyed) {
+                await batches.return();
+                return;
+            }
+            
+            const rows = batch.value;
+            const chunk = format === 'csv'
+                ? rows.map(row => formatCSVRow(row)).join('')
+                : rows.map(row => JSON.stringify(row) + '\n').join('');
+            
+            recordCount += rows.length;
+            await write(chunk);
+            
+            batch = await batches.next();
+        }
+        
+        res.addTrailers({
+            'X-Content-SHA256': hash.digest('hex'),
+            'X-Record-Count': String(recordCount)
+        });
+        res.end();
+        
+        console.log(`✅ Exported ${recordCount} rows for ${dataMonth}`);
+        
+    } catch (error) {
+        console.error('❌ Error exporting month data:', error);
+        
+        // Headers already sent: abort so the client sees an incomplete download (no checksum trailer)
+        if (res.headersSent) {
+            return res.destroy(error);
+        }
+        res.status(500).json(formatError('Internal server error', 'INTERNAL_ERROR'));
+    }
+});
+
+// ===========================================
+// METADATA ENDPOINTS
+// ===========================================
+
+/**
+ * GET /months
+ * List available months of data
+ * Supports ?format=csv (or Accept header)
+ */
+router.get('/months', negotiateFormat(['json', 'csv']), selectRelease, cacheResponse, async (req, res) => {
+    try {
+        console.log('🔍 Fetching available months');
+        
+        // Query database for distinct months
+        const { data, error } = await req.db.priceRows(req.releases, 'data_month, updated_at')
+            .eq('source_name', req.db.primarySource)
+            .order('data_month', { ascending: false });
+            
+        if (error) throw error;
+        
+        // Get unique months and format them
+        const uniqueMonths = [...new Set(data.map(row => row.data_month))]
+            .map(monthStr => {
+                const date = new Date(monthStr);
+                return {
+                    data_month: monthStr,
+                    year: date.getFullYear(),
+                    month: date.getMonth() + 1,
+                    formatted: date.toLocaleDateString('de-DE', { 
+                        year: 'numeric', 
+                        month: 'long' 
+                    })
+                };
+            });
+
+        if (req.responseFormat === 'csv') {
+            return sendExport(res, 'csv', uniqueMonths, 'available-months', ['data_month', 'year', 'month', 'formatted']);
+        }
+
+        const response = {
+            available_months: uniqueMonths,
+            total_months: uniqueMonths.length,
+            latest_month: uniqueMonths[0] || null,
+            oldest_month: uniqueMonths[uniqueMonths.length - 1] || null
+        };
+
+        setCacheValidators(res, data);
+        res.json(formatResponse(response, 'Available months retrieved successfully'));
+        
+    } catch (error) {
+        console.error('❌ Error fetching available months:', error);
+        res.status(500).json(formatError('Internal server error', 'INTERNAL_ERROR'));
+    }
+});
+
+/**
+ * GET /releases/{year}/{month}
+ * List the published releases of a month with their changelogs and quality metrics
+ */
+router.get('/releases/:year/:month', validateYearMonth, cacheResponse, async (req, res) => {
+    try {
+        const { year, month } = req.params;
+        const dataMonth = `${year}-${month.padStart(2, '0')}-01`;
+
+        console.log(`🔍 Fetching releases for ${dataMonth}`);
+
+        const releases = await req.db.listReleases(dataMonth);
+
+        if (releases.length === 0) {
+            return res.status(404).json(formatError(
+                'No release published for this month',
+                'NOT_FOUND',
+                { year, month, searched_month: dataMonth }
+            ));
+        }
+
+        const response = {
+            year: parseInt(year),
+            month: parseInt(month),
+            data_month: dataMonth,
+            latest_release: releases[releases.length - 1].release_tag,
+            releases: releases.map(release => ({
+                release_tag: release.release_tag,
+                version: release.version,
+                published_at: release.published_at,
+                published_by: release.published_by,
+                notes: release.notes,
+                record_count: release.record_count,
+                checksum: release.checksum,
+                quality_metrics: release.quality_metrics,
+                changelog: release.changelog
+            }))
+        };
+
+        setCacheValidators(res, releases.map(release => ({ updated_at: release.published_at })));
+        res.json(formatResponse(response, 'Releases retrieved successfully'));
+
+    } catch (error) {
+        console.error('❌ Error fetching releases:', error);
+        res.status(500).json(formatError('Internal server error', 'INTERNAL_ERROR'));
+    }
+});
 
 // ===========================================
 // BULK QUERY ENDPOINTS
@@ -342,8 +1246,9 @@ router.get('/months', async (req, res) => {
 /**
  * POST /price/bulk
  * Get prices for multiple PLZs for a specific month
+ * Supports ?format=csv|geojson (or Accept header)
  */
-router.post('/price/bulk', validateMonth, async (req, res) => {
+router.post('/price/bulk', validateMonth, negotiateFormat(), selectRelease, async (req, res) => {
     try {
         const { plzList, year, month } = req.body;
         
@@ -367,14 +1272,17 @@ router.post('/price/bulk', validateMonth, async (req, res) => {
         console.log(`🔍 Bulk fetching prices for ${plzList.length} PLZs, month ${dataMonth}`);
         
         // Query database for all PLZs
-        const { data, error } = await req.db.supabase
-            .from('monthly_electricity_prices')
-            .select('*')
+        const { data, error } = await req.db.priceRows(req.releases)
+            .eq('source_name', req.db.primarySource)
             .eq('data_month', dataMonth)
             .in('plz', plzList);
             
         if (error) throw error;
         
+        if (req.responseFormat !== 'json') {
+            return sendExport(res, req.responseFormat, data, `electricity-prices-bulk-${dataMonth.substring(0, 7)}`);
+        }
+        
         // Format results
         const results = data.map(row => ({
             plz: row.plz,
@@ -389,7 +1297,13 @@ router.post('/price/bulk', validateMonth, async (req, res) => {
                 source_plz: row.source_plz,
                 distance_km: row.distance_km,
                 is_outlier: row.is_outlier,
-                outlier_severity: row.outlier_severity
+                outlier_severity: row.outlier_severity,
+                outlier_reason: row.outlier_reason ?? null,
+                confidence: {
+                    local_provider: row.lokaler_versorger_confidence ?? null,
+                    green_energy: row.oekostrom_confidence ?? null
+                },
+                review_status: row.review_status || 'none'
             }
         }));
         
@@ -415,4 +1329,219 @@ router.post('/price/bulk', validateMonth, async (req, res) => {
     }
 });
 
+// ===========================================
+// REVIEW ENDPOINTS (reviewer API keys only)
+// ===========================================
+
+const REVIEW_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Load the review named by :id into req.review
+ */
+async function loadReview(req, res, next) {
+    try {
+        const { id } = req.params;
+        
+        if (!REVIEW_ID_PATTERN.test(id)) {
+            return res.status(400).json(formatError(
+                'Review id must be a UUID',
+                'VALIDATION_ERROR',
+                { field: 'id', value: id }
+            ));
+        }
+        
+        req.review = await req.db.getPriceReview(id);
+        if (!req.review) {
+            return res.status(404).json(formatError(
+                'Review not found',
+                'NOT_FOUND',
+                { id }
+            ));
+        }
+        
+        next();
+        
+    } catch (error) {
+        console.error('❌ Error loading price review:', error);
+        res.status(500).json(formatError('Internal server error', 'INTERNAL_ERROR'));
+    }
+}
+
+/**
+ * Handler for POST /reviews/{id}/approve|reject|override
+ * Body: { note?, values? } - values (override only) are the prices to write, e.g. { "lokaler_versorger_price": 0.4012 }
+ */
+function decideReview(action) {
+    return async (req, res) => {
+        try {
+            const review = req.review;
+            const { note = null, values } = req.body || {};
+            const priceReview = new PriceReview({ db: req.db });
+            
+            if (review.status !== 'pending') {
+                return res.status(409).json(formatError(
+                    `Review is already ${review.status}`,
+                    'CONFLICT',
+                    { id: review.id, status: review.status, reviewed_at: review.reviewed_at }
+                ));
+            }
+            
+            if (note !== null && typeof note !== 'string') {
+                return res.status(400).json(formatError(
+                    'note must be a string',
+                    'VALIDATION_ERROR',
+                    { field: 'note' }
+                ));
+            }
+            
+            if (action === 'approve' && !review.candidate_values) {
+                return res.status(400).json(formatError(
+                    'Review has no candidate values - use override to set the prices',
+                    'VALIDATION_ERROR',
+                    { id: review.id }
+                ));
+            }
+            
+            if (action === 'override') {
+                const problems = priceReview.validateValues(values);
+                if (problems.length > 0) {
+                    return res.status(400).json(formatError(
+                        'Invalid override values',
+                        'VALIDATION_ERROR',
+                        { field: 'values', problems }
+                    ));
+                }
+            }
+            
+            console.log(`📝 ${action} review ${review.id} (${review.plz}, ${review.data_month}) by ${req.apiKeyRecord.name}`);
+            
+            const result = await priceReview.decide(review, action, {
+                values,
+                reviewer: req.apiKeyRecord,
+                note
+            });
+            
+            if (!result) {
+                return res.status(409).json(formatError(
+                    'Review was decided by another request',
+                    'CONFLICT',
+                    { id: review.id }
+                ));
+            }
+            
+            await invalidateMonth(review.data_month);
+            
+            res.json(formatResponse(result, `Review ${result.review.status} successfully`));
+            
+        } catch (error) {
+            console.error(`❌ Error deciding price review (${action}):`, error);
+            res.status(500).json(formatError('Internal server error', 'INTERNAL_ERROR'));
+        }
+    };
+}
+
+/**
+ * GET /reviews?status=&month=&page=&limit=
+ * List review items (default: pending), oldest first; month as YYYY-MM
+ */
+router.get('/reviews', requireReviewer, validatePagination, async (req, res) => {
+    try {
+        const { status = 'pending', month } = req.query;
+        const { page, limit, offset } = req.pagination;
+        
+        if (!PriceReview.STATUSES.includes(status)) {
+            return res.status(400).json(formatError(
+                `status must be one of: ${PriceReview.STATUSES.join(', ')}`,
+                'VALIDATION_ERROR',
+                { field: 'status', value: status }
+            ));
+        }
+        
+        if (month !== undefined && !/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+            return res.status(400).json(formatError(
+                'month must be in YYYY-MM format',
+                'VALIDATION_ERROR',
+                { field: 'month', value: month }
+            ));
+        }
+        
+        const dataMonth = month ? `${month}-01` : null;
+        
+        console.log(`🔍 Listing ${status} price reviews${dataMonth ? ` for ${dataMonth}` : ''} (page ${page})`);
+        
+        const { data, count } = await req.db.listPriceReviews({ status, month: dataMonth, offset, limit });
+        
+        res.json(formatPaginatedResponse(
+            data,
+            { page, limit, total: count },
+            'Price reviews retrieved successfully',
+            { status, data_month: dataMonth }
+        ));
+        
+    } catch (error) {
+        console.error('❌ Error listing price reviews:', error);
+        res.status(500).json(formatError('Internal server error', 'INTERNAL_ERROR'));
+    }
+});
+
+/**
+ * GET /reviews/{id}
+ * Get a review item with its flags, candidate values, evidence and decision
+ */
+router.get('/reviews/:id', requireReviewer, loadReview, (req, res) => {
+    res.json(formatResponse(req.review, 'Price review retrieved successfully'));
+});
+
+/**
+ * POST /reviews/{id}/approve
+ * Write the candidate values to the price row
+ */
+router.post('/reviews/:id/approve', requireReviewer, loadReview, decideReview('approve'));
+
+/**
+ * POST /reviews/{id}/reject
+ * Keep the flagged prices (the row is marked as reviewed)
+ */
+router.post('/reviews/:id/reject', requireReviewer, loadReview, decideReview('reject'));
+
+/**
+ * POST /reviews/{id}/override
+ * Write the reviewer's own prices to the price row
+ */
+router.post('/reviews/:id/override', requireReviewer, loadReview, decideReview('override'));
+
+// ===========================================
+// API KEY ENDPOINTS
+// ===========================================
+
+/**
+ * GET /keys/me
+ * Get quota and usage counters for the calling API key
+ */
+router.get('/keys/me', async (req, res) => {
+    try {
+        if (!req.apiKeyRecord) {
+            return res.status(401).json(formatError(
+                'API key is required',
+                'AUTHENTICATION_ERROR',
+                { hint: 'Provide API key in X-API-Key header or apiKey query parameter' }
+            ));
+        }
+        
+        console.log(`🔍 Fetching key information for ${req.apiKeyRecord.key_prefix}…`);
+        
+        const keyData = await req.db.getApiKeyById(req.apiKeyRecord.id);
+        const response = formatApiKeyResponse(keyData);
+        
+        response.data.daily_usage = await req.db.getApiKeyUsage(keyData.id, 30);
+        response.data.rate_limit_window_ms = parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000;
+        
+        res.json(response);
+        
+    } catch (error) {
+        console.error('❌ Error fetching API key information:', error);
+        res.status(500).json(formatError('Internal server error', 'INTERNAL_ERROR'));
+    }
+});
+
 module.exports = router; 
\ No newline at end of file
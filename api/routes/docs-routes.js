@@ -0,0 +1,31 @@
+/**
+ * API Documentation Routes
+ * Serves the OpenAPI specification as JSON and an interactive Swagger UI
+ */
+
+const express = require('express');
+const swaggerUi = require('swagger-ui-express');
+const { openApiSpec } = require('../docs/openapi');
+const router = express.Router();
+
+/**
+ * GET /docs/openapi.json
+ * OpenAPI 3 specification of the API
+ */
+router.get('/docs/openapi.json', (req, res) => {
+    res.json(openApiSpec);
+});
+
+/**
+ * GET /docs
+ * Swagger UI (loads the specification from /docs/openapi.json)
+ */
+router.use('/docs', swaggerUi.serve);
+router.get('/docs', swaggerUi.setup(null, {
+    customSiteTitle: 'German Electricity Price API',
+    swaggerOptions: {
+        url: 'openapi.json'
+    }
+}));
+
+module.exports = router;
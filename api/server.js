@@ -6,17 +6,21 @@
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
-const rateLimit = require('express-rate-limit');
 const morgan = require('morgan');
 require('dotenv').config();
 
-const SupabaseClient = require('../database/supabase-client');
+const { createDatabaseClient } = require('../database/database-client');
 const apiRoutes = require('./routes/api-routes');
+const docsRoutes = require('./routes/docs-routes');
 const { errorHandler, notFoundHandler } = require('./middleware/error-middleware');
-const { validateEnvironment } = require('./utils/validation');
+const { authenticateApiKey, requireApiKey, createRateLimiter } = require('./middleware/auth-middleware');
+const { configureCache, getCacheStats } = require('./middleware/cache-middleware');
+const { MemoryLRUCache } = require('./utils/cache-store');
+const { validateEnvironment, getValidatedConfig } = require('./utils/validation');
 
 // Validate environment variables on startup
 validateEnvironment();
+const config = getValidatedConfig();
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -26,11 +30,14 @@ const NODE_ENV = process.env.NODE_ENV || 'development';
 app.set('trust proxy', true);
 
 // Initialize database connection
-const db = new SupabaseClient();
+const db = createDatabaseClient();
 
 // Test database connection on startup
 async function initializeServer() {
     try {
+        // Local PostgreSQL backend: create or upgrade the tables from schema.sql
+        await db.applySchema?.();
+
         console.log('🔗 Testing database connection...');
         await db.testConnection();
         console.log('✅ Database connection successful');
@@ -53,18 +60,26 @@ const corsOptions = {
 };
 app.use(cors(corsOptions));
 
-// Rate limiting
-const limiter = rateLimit({
-    windowMs: 15 * 60 * 1000, // 15 minutes
-    max: NODE_ENV === 'production' ? 100 : 1000, // requests per window
-    message: {
-        error: 'Too many requests from this IP, please try again later.',
-        retryAfter: '15 minutes'
-    },
-    standardHeaders: true,
-    legacyHeaders: false,
+// Response cache (in-memory LRU; swap the store for a shared backend when running several instances)
+configureCache({
+    enabled: config.features.enableCaching,
+    store: new MemoryLRUCache({ maxEntries: config.cache.maxEntries, defaultTtlMs: config.cache.ttlMs }),
+    ttlMs: config.cache.ttlMs,
+    pollIntervalMs: config.cache.pollIntervalMs
 });
-app.use(limiter);
+
+// Add database to request context
+app.use((req, res, next) => {
+    req.db = db;
+    next();
+});
+
+// API key identification, then rate limiting per key (api_keys.rate_limit) or per IP for anonymous calls
+app.use(authenticateApiKey);
+app.use(createRateLimiter({
+    windowMs: config.security.rateLimitWindowMs,
+    anonymousLimit: NODE_ENV === 'production' ? config.security.rateLimitMaxRequests : 1000
+}));
 
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
@@ -73,12 +88,6 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 // Request logging
 app.use(morgan(NODE_ENV === 'production' ? 'combined' : 'dev'));
 
-// Add database to request context
-app.use((req, res, next) => {
-    req.db = db;
-    next();
-});
-
 // Health check endpoint (before authentication)
 app.get('/health', async (req, res) => {
     try {
@@ -90,7 +99,8 @@ app.get('/health', async (req, res) => {
             timestamp: new Date().toISOString(),
             version: process.env.npm_package_version || '1.0.0',
             environment: NODE_ENV,
-            database: 'connected'
+            database: 'connected',
+            cache: getCacheStats()
         });
     } catch (error) {
         res.status(503).json({
@@ -102,7 +112,13 @@ app.get('/health', async (req, res) => {
     }
 });
 
-// API routes
+// API documentation (public, also when API keys are required)
+app.use('/api/v1', docsRoutes);
+
+// API routes (API key required when ENABLE_API_KEYS=true)
+if (config.features.enableApiKeys) {
+    app.use('/api/v1', requireApiKey);
+}
 app.use('/api/v1', apiRoutes);
 
 // Root endpoint
@@ -113,11 +129,25 @@ app.get('/', (req, res) => {
         documentation: '/api/v1/docs',
         endpoints: {
             health: '/health',
+            openApiSpec: '/api/v1/docs/openapi.json',
             priceByPLZ: '/api/v1/price/{plz}/{year}/{month}',
+            priceChangeHistory: '/api/v1/price/{plz}/{year}/{month}/history',
             latestPrice: '/api/v1/price/{plz}/latest',
+            priceHistory: '/api/v1/price/{plz}/history?from={YYYY-MM}&to={YYYY-MM}',
+            nearbyPrices: '/api/v1/price/nearby?lat={lat}&lng={lng}&radius_km={km}',
+            monthListing: '/api/v1/prices/{year}/{month}?page={page}&limit={limit}&sort={field}',
             nationalAverage: '/api/v1/average/{year}/{month}',
             coverage: '/api/v1/coverage/{year}/{month}',
-            availableMonths: '/api/v1/months'
+            qualityMetrics: '/api/v1/quality/{year}/{month}',
+            reconciliation: '/api/v1/reconciliation/{year}/{month}?format={json|csv}',
+            regions: '/api/v1/regions/{state|plz1|plz2}/{year}/{month}',
+            monthComparison: '/api/v1/compare/{yearA}/{monthA}/{yearB}/{monthB}?field={average}&limit={n}',
+            monthExport: '/api/v1/export/{year}/{month}?format={ndjson|csv}',
+            availableMonths: '/api/v1/months',
+            dataReleases: '/api/v1/releases/{year}/{month}',
+            priceReviews: '/api/v1/reviews?status={pending|approved|rejected|overridden}&month={YYYY-MM}',
+            priceReviewDecision: '/api/v1/reviews/{id}/{approve|reject|override}',
+            apiKeyInfo: '/api/v1/keys/me'
         }
     });
 });
@@ -135,15 +165,30 @@ async function startServer() {
         console.log(`📖 Environment: ${NODE_ENV}`);
         console.log(`🌐 API Base URL: http://localhost:${PORT}/api/v1`);
         console.log(`💚 Health Check: http://localhost:${PORT}/health`);
+        console.log(`📚 API Docs: http://localhost:${PORT}/api/v1/docs`);
         
         if (NODE_ENV === 'development') {
             console.log(`📋 Available endpoints:`);
             console.log(`   GET /health`);
             console.log(`   GET /api/v1/price/{plz}/{year}/{month}`);
+            console.log(`   GET /api/v1/price/{plz}/{year}/{month}/history`);
             console.log(`   GET /api/v1/price/{plz}/latest`);
+            console.log(`   GET /api/v1/price/{plz}/history`);
+            console.log(`   GET /api/v1/price/nearby`);
+            console.log(`   GET /api/v1/prices/{year}/{month}`);
             console.log(`   GET /api/v1/average/{year}/{month}`);
             console.log(`   GET /api/v1/coverage/{year}/{month}`);
+            console.log(`   GET /api/v1/quality/{year}/{month}`);
+            console.log(`   GET /api/v1/reconciliation/{year}/{month}`);
+            console.log(`   GET /api/v1/regions/{level}/{year}/{month}`);
+            console.log(`   GET /api/v1/compare/{yearA}/{monthA}/{yearB}/{monthB}`);
+            console.log(`   GET /api/v1/export/{year}/{month}`);
             console.log(`   GET /api/v1/months`);
+            console.log(`   GET /api/v1/releases/{year}/{month}`);
+            console.log(`   GET /api/v1/reviews`);
+            console.log(`   GET /api/v1/reviews/{id}`);
+            console.log(`   POST /api/v1/reviews/{id}/{approve|reject|override}`);
+            console.log(`   GET /api/v1/keys/me`);
         }
     });
 }
@@ -5,9 +5,79 @@
 
 require('dotenv').config();
 const axios = require('axios');
+const Ajv = require('ajv');
+const { openApiSpec } = require('./docs/openapi');
 
 const API_BASE_URL = process.env.API_BASE_URL || 'http://localhost:3000';
 
+// OpenAPI 3.0 schemas are close enough to JSON Schema for Ajv (nullable is supported, example is ignored)
+const ajv = new Ajv({ strict: false, validateFormats: false, allErrors: true });
+ajv.addSchema(openApiSpec, 'openapi');
+const validators = new Map();
+
+/**
+ * Find the spec path template for a request URL (e.g. /api/v1/price/10115/latest → /price/{plz}/latest)
+ */
+function findSpecPath(endpoint) {
+    const urlPath = endpoint.split('?')[0];
+
+    return Object.keys(openApiSpec.paths).find(template => {
+        const servers = openApiSpec.paths[template].servers || openApiSpec.servers;
+        const prefix = servers[0].url.replace(/\/$/, '');
+        const pattern = new RegExp(`^${prefix}${template.replace(/\{[^}]+\}/g, '[^/]+')}$`);
+        return pattern.test(urlPath);
+    });
+}
+
+/**
+ * Validate a response against the OpenAPI spec
+ * @returns {Array} Problems found (empty if the response matches or the path is not documented)
+ */
+function validateAgainstSpec(method, endpoint, response) {
+    const specPath = findSpecPath(endpoint);
+    if (!specPath) {
+        return [];
+    }
+
+    const operation = openApiSpec.paths[specPath][method.toLowerCase()];
+    if (!operation) {
+        return [`${method} is not documented for ${specPath}`];
+    }
+
+    let pointer = `/paths/${specPath.replace(/~/g, '~0').replace(/\//g, '~1')}/${method.toLowerCase()}/responses/${response.status}`;
+    let documented = operation.responses[response.status];
+    if (!documented) {
+        return [`Status ${response.status} is not documented for ${method} ${specPath}`];
+    }
+    if (documented.$ref) {
+        pointer = documented.$ref.substring(1);
+        documented = openApiSpec.components.responses[documented.$ref.split('/').pop()];
+    }
+
+    if (!documented.content) {
+        return [];
+    }
+
+    const contentType = (response.headers['content-type'] || '').split(';')[0].trim();
+    if (!documented.content[contentType]) {
+        return [`Content type ${contentType || '(none)'} is not documented for ${response.status}`];
+    }
+    if (contentType !== 'application/json') {
+        return [];
+    }
+
+    const schemaPointer = `openapi#${pointer}/content/application~1json/schema`;
+    if (!validators.has(schemaPointer)) {
+        validators.set(schemaPointer, ajv.compile({ $ref: schemaPointer }));
+    }
+
+    const validate = validators.get(schemaPointer);
+    if (validate(response.data)) {
+        return [];
+    }
+    return validate.errors.map(error => `${error.instancePath || '(body)'} ${error.message}`);
+}
+
 async function testAPI() {
     console.log('🧪 Testing German Electricity Price API');
     console.log(`📍 Base URL: ${API_BASE_URL}`);
@@ -26,6 +96,18 @@ async function testAPI() {
             endpoint: '/',
             expectedStatus: 200
         },
+        {
+            name: 'OpenAPI Spec',
+            method: 'GET',
+            endpoint: '/api/v1/docs/openapi.json',
+            expectedStatus: 200
+        },
+        {
+            name: 'API Docs UI',
+            method: 'GET',
+            endpoint: '/api/v1/docs/',
+            expectedStatus: 200
+        },
         {
             name: 'Available Months',
             method: 'GET',
@@ -38,12 +120,36 @@ async function testAPI() {
             endpoint: '/api/v1/price/10115/2025/7', // Berlin PLZ, July 2025
             expectedStatus: [200, 404] // 200 if data exists, 404 if not
         },
+        {
+            name: 'Price Change History (if available)',
+            method: 'GET',
+            endpoint: '/api/v1/price/10115/2025/7/history',
+            expectedStatus: [200, 404]
+        },
         {
             name: 'Latest Price (if available)',
             method: 'GET',
             endpoint: '/api/v1/price/10115/latest', // Berlin PLZ
             expectedStatus: [200, 404]
         },
+        {
+            name: 'Price History (if available)',
+            method: 'GET',
+            endpoint: '/api/v1/price/10115/history?from=2025-01',
+            expectedStatus: [200, 404]
+        },
+        {
+            name: 'Nearby Prices (if available)',
+            method: 'GET',
+            endpoint: '/api/v1/price/nearby?lat=52.53&lng=13.38&radius_km=5',
+            expectedStatus: [200, 404]
+        },
+        {
+            name: 'Month Listing',
+            method: 'GET',
+            endpoint: '/api/v1/prices/2025/7?limit=5&sort=-average',
+            expectedStatus: 200
+        },
         {
             name: 'National Average (if available)',
             method: 'GET',
@@ -56,6 +162,60 @@ async function testAPI() {
             endpoint: '/api/v1/coverage/2025/7',
             expectedStatus: [200, 404]
         },
+        {
+            name: 'Quality Metrics (if available)',
+            method: 'GET',
+            endpoint: '/api/v1/quality/2025/7',
+            expectedStatus: [200, 404]
+        },
+        {
+            name: 'Price Reconciliation (if available)',
+            method: 'GET',
+            endpoint: '/api/v1/reconciliation/2025/7',
+            expectedStatus: [200, 404]
+        },
+        {
+            name: 'Regional Statistics (if available)',
+            method: 'GET',
+            endpoint: '/api/v1/regions/state/2025/7',
+            expectedStatus: [200, 404]
+        },
+        {
+            name: 'Month Comparison (if available)',
+            method: 'GET',
+            endpoint: '/api/v1/compare/2025/6/2025/7?limit=5',
+            expectedStatus: [200, 404]
+        },
+        {
+            name: 'Data Releases (if available)',
+            method: 'GET',
+            endpoint: '/api/v1/releases/2025/7',
+            expectedStatus: [200, 404]
+        },
+        {
+            name: 'Invalid Release (should fail)',
+            method: 'GET',
+            endpoint: '/api/v1/average/2025/7?release=v0',
+            expectedStatus: 400
+        },
+        {
+            name: 'Invalid Region Level (should fail)',
+            method: 'GET',
+            endpoint: '/api/v1/regions/county/2025/7',
+            expectedStatus: 400
+        },
+        {
+            name: 'Price Reviews without key (should fail)',
+            method: 'GET',
+            endpoint: '/api/v1/reviews',
+            expectedStatus: 401
+        },
+        {
+            name: 'API Key Info without key (should fail)',
+            method: 'GET',
+            endpoint: '/api/v1/keys/me',
+            expectedStatus: 401
+        },
         {
             name: 'Invalid PLZ (should fail)',
             method: 'GET',
@@ -94,7 +254,9 @@ async function testAPI() {
                 ? test.expectedStatus 
                 : [test.expectedStatus];
 
-            if (expectedStatuses.includes(response.status)) {
+            const specErrors = validateAgainstSpec(test.method, test.endpoint, response);
+
+            if (expectedStatuses.includes(response.status) && specErrors.length === 0) {
                 console.log(`   ✅ PASS - Status: ${response.status}`);
                 
                 // Show some response details for successful tests
@@ -108,6 +270,9 @@ async function testAPI() {
                     }
                 }
                 passed++;
+            } else if (specErrors.length > 0) {
+                console.log(`   ❌ FAIL - Response does not match the OpenAPI spec (status ${response.status}):`);
+                specErrors.slice(0, 5).forEach(error => console.log(`      ${error}`));
             } else {
                 console.log(`   ❌ FAIL - Expected status: ${test.expectedStatus}, Got: ${response.status}`);
                 if (response.data && response.data.error) {
@@ -189,8 +354,12 @@ async function testBulkEndpoint() {
         };
 
         const response = await axios.post(`${API_BASE_URL}/api/v1/price/bulk`, bulkData);
+        const specErrors = validateAgainstSpec('POST', '/api/v1/price/bulk', response);
         
-        if (response.status === 200) {
+        if (response.status === 200 && specErrors.length > 0) {
+            console.log(`❌ Bulk response does not match the OpenAPI spec:`);
+            specErrors.slice(0, 5).forEach(error => console.log(`   ${error}`));
+        } else if (response.status === 200) {
             console.log(`✅ Bulk request successful`);
             console.log(`📊 Found data for ${response.data.data.found_count}/${response.data.data.requested_count} cities`);
         } else {
@@ -216,4 +385,4 @@ if (require.main === module) {
         });
 }
 
-module.exports = { testAPI }; 
\ No newline at end of file
+module.exports = { testAPI, validateAgainstSpec }; 
\ No newline at end of file
@@ -0,0 +1,41 @@
+/**
+ * API Key Utilities
+ * Key generation and hashing - keys are shown once at issue time, only hashes are stored
+ */
+
+const crypto = require('crypto');
+
+const KEY_PREFIX = 'gep_';
+const DISPLAY_PREFIX_LENGTH = 12;
+
+/**
+ * Generate a new random API key
+ * @returns {string} API key (prefix + 43 url-safe characters)
+ */
+function generateApiKey() {
+    return KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * Hash an API key for storage and lookup
+ * @param {string} apiKey - Plain API key
+ * @returns {string} SHA-256 hex digest
+ */
+function hashApiKey(apiKey) {
+    return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+/**
+ * Get the non-secret prefix used to recognise a key in listings
+ * @param {string} apiKey - Plain API key
+ * @returns {string} Key prefix
+ */
+function getKeyPrefix(apiKey) {
+    return apiKey.substring(0, DISPLAY_PREFIX_LENGTH);
+}
+
+module.exports = {
+    generateApiKey,
+    hashApiKey,
+    getKeyPrefix
+};
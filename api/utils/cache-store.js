@@ -0,0 +1,150 @@
+/**
+ * Cache Stores for API Responses
+ * CacheStore defines the storage contract; MemoryLRUCache is the default backend.
+ * Other backends (e.g. Redis) only need to implement the same async methods.
+ */
+
+/**
+ * Cache store interface
+ * Entries are tagged with the data month they were built from (null = spans months)
+ */
+class CacheStore {
+    /**
+     * Get a cached entry
+     * @param {string} key - Cache key
+     * @returns {Promise<Object|null>} { value, month, expiresAt } or null
+     */
+    async get(key) {
+        throw new Error('get() must be implemented');
+    }
+
+    /**
+     * Store an entry
+     * @param {string} key - Cache key
+     * @param {any} value - Value to cache
+     * @param {Object} options - { ttlMs, month }
+     */
+    async set(key, value, options = {}) {
+        throw new Error('set() must be implemented');
+    }
+
+    /**
+     * Remove a single entry
+     * @param {string} key - Cache key
+     */
+    async delete(key) {
+        throw new Error('delete() must be implemented');
+    }
+
+    /**
+     * Remove all entries built from a month, plus entries spanning several months
+     * @param {string} month - Data month (YYYY-MM-01)
+     * @returns {Promise<number>} Number of removed entries
+     */
+    async invalidateMonth(month) {
+        throw new Error('invalidateMonth() must be implemented');
+    }
+
+    /**
+     * Remove all entries
+     */
+    async clear() {
+        throw new Error('clear() must be implemented');
+    }
+
+    /**
+     * Get cache statistics
+     * @returns {Object} Statistics
+     */
+    getStats() {
+        throw new Error('getStats() must be implemented');
+    }
+}
+
+/**
+ * In-memory LRU cache (per process)
+ * Uses Map insertion order: reads move an entry to the end, the first entry is evicted
+ */
+class MemoryLRUCache extends CacheStore {
+    constructor(options = {}) {
+        super();
+        this.maxEntries = options.maxEntries || 500;
+        this.defaultTtlMs = options.defaultTtlMs || 60 * 60 * 1000;
+        this.entries = new Map();
+        this.stats = { hits: 0, misses: 0, evictions: 0, invalidations: 0 };
+    }
+
+    async get(key) {
+        const entry = this.entries.get(key);
+
+        if (!entry) {
+            this.stats.misses++;
+            return null;
+        }
+
+        if (entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            this.stats.misses++;
+            return null;
+        }
+
+        // Mark as most recently used
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        this.stats.hits++;
+        return entry;
+    }
+
+    async set(key, value, options = {}) {
+        const ttlMs = options.ttlMs || this.defaultTtlMs;
+
+        this.entries.delete(key);
+        this.entries.set(key, {
+            value,
+            month: options.month || null,
+            expiresAt: Date.now() + ttlMs
+        });
+
+        while (this.entries.size > this.maxEntries) {
+            const oldestKey = this.entries.keys().next().value;
+            this.entries.delete(oldestKey);
+            this.stats.evictions++;
+        }
+    }
+
+    async delete(key) {
+        this.entries.delete(key);
+    }
+
+    async invalidateMonth(month) {
+        let removed = 0;
+
+        for (const [key, entry] of this.entries) {
+            if (entry.month === null || entry.month === month) {
+                this.entries.delete(key);
+                removed++;
+            }
+        }
+
+        this.stats.invalidations += removed;
+        return removed;
+    }
+
+    async clear() {
+        this.entries.clear();
+    }
+
+    getStats() {
+        return {
+            backend: 'memory-lru',
+            entries: this.entries.size,
+            max_entries: this.maxEntries,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = {
+    CacheStore,
+    MemoryLRUCache
+};
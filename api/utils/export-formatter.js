@@ -0,0 +1,161 @@
+/**
+ * Export Formatting Utilities
+ * Serializes monthly_electricity_prices rows as CSV or GeoJSON for GIS and spreadsheet tools
+ */
+
+const { toNumber } = require('./price-series');
+
+// Column order of the monthly_electricity_prices table (database/schema.sql)
+const PRICE_CSV_COLUMNS = [
+    'id',
+    'data_month',
+    'plz',
+    'city_name',
+    'latitude',
+    'longitude',
+    'lokaler_versorger_price',
+    'oekostrom_price',
+    'average_price',
+    'lokaler_versorger_confidence',
+    'oekostrom_confidence',
+    'source_name',
+    'data_source',
+    'source_url',
+    'html_archive_ref',
+    'source_plz',
+    'distance_km',
+    'is_outlier',
+    'outlier_severity',
+    'outlier_reason',
+    'review_status',
+    'review_reason',
+    'scraped_at',
+    'updated_at'
+];
+
+const NUMERIC_COLUMNS = [
+    'lokaler_versorger_price',
+    'oekostrom_price',
+    'average_price',
+    'lokaler_versorger_confidence',
+    'oekostrom_confidence',
+    'distance_km'
+];
+
+const CONTENT_TYPES = {
+    json: 'application/json',
+    csv: 'text/csv',
+    geojson: 'application/geo+json',
+    ndjson: 'application/x-ndjson'
+};
+
+/**
+ * Escape a single CSV value (RFC 4180)
+ * @param {any} value - Cell value
+ * @returns {string} Escaped cell
+ */
+function escapeCSVValue(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    const str = String(value);
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Format a single row as a CSV line (including the trailing newline)
+ * @param {Object} row - Row object
+ * @param {Array} columns - Column names (defaults to the price table schema)
+ * @returns {string} CSV line
+ */
+function formatCSVRow(row, columns = PRICE_CSV_COLUMNS) {
+    return columns.map(column => escapeCSVValue(row[column])).join(',') + '\n';
+}
+
+/**
+ * Format rows as CSV with a header line
+ * @param {Array} rows - Row objects
+ * @param {Array} columns - Column names (defaults to the price table schema)
+ * @returns {string} CSV document
+ */
+function formatCSV(rows, columns = PRICE_CSV_COLUMNS) {
+    return columns.join(',') + '\n' + rows.map(row => formatCSVRow(row, columns)).join('');
+}
+
+/**
+ * Format price rows as a GeoJSON FeatureCollection
+ * Rows without coordinates become features with a null geometry
+ * @param {Array} rows - monthly_electricity_prices rows
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+function formatGeoJSON(rows) {
+    return {
+        type: 'FeatureCollection',
+        features: rows.map(row => {
+            const latitude = toNumber(row.latitude);
+            const longitude = toNumber(row.longitude);
+
+            const properties = {};
+            PRICE_CSV_COLUMNS
+                .filter(column => column !== 'latitude' && column !== 'longitude' && row[column] !== undefined)
+                .forEach(column => {
+                    properties[column] = NUMERIC_COLUMNS.includes(column) ? toNumber(row[column]) : row[column];
+                });
+
+            return {
+                type: 'Feature',
+                geometry: latitude !== null && longitude !== null
+                    ? { type: 'Point', coordinates: [longitude, latitude] }
+                    : null,
+                properties
+            };
+        })
+    };
+}
+
+/**
+ * Send rows in the negotiated export format (csv or geojson)
+ * @param {Object} res - Express response
+ * @param {string} format - 'csv' or 'geojson'
+ * @param {Array} rows - Rows to export
+ * @param {string} filename - File name without extension
+ * @param {Array} columns - CSV columns (defaults to the price table schema)
+ */
+function sendExport(res, format, rows, filename, columns = PRICE_CSV_COLUMNS) {
+    const extension = format === 'geojson' ? 'geojson' : 'csv';
+    const body = format === 'geojson'
+        ? JSON.stringify(formatGeoJSON(rows))
+        : formatCSV(rows, columns);
+
+    res.set('Content-Type', `${CONTENT_TYPES[format]}; charset=utf-8`);
+    res.set('Content-Disposition', `attachment; filename="${filename}.${extension}"`);
+    res.send(body);
+}
+
+/**
+ * Write a chunk to a streaming response, waiting for the socket to drain
+ * @param {Object} res - Express response
+ * @param {string} chunk - Data to write
+ * @returns {Promise} Resolves once the chunk can be followed by the next one
+ */
+function writeChunk(res, chunk) {
+    return new Promise(resolve => {
+        if (res.write(chunk)) {
+            resolve();
+        } else {
+            res.once('drain', resolve);
+            res.once('close', resolve);
+        }
+    });
+}
+
+module.exports = {
+    PRICE_CSV_COLUMNS,
+    CONTENT_TYPES,
+    escapeCSVValue,
+    formatCSVRow,
+    formatCSV,
+    formatGeoJSON,
+    sendExport,
+    writeChunk
+};
@@ -0,0 +1,147 @@
+/**
+ * Price Series Utilities
+ * Builds month-ordered price series with month-over-month changes
+ */
+
+const PRICE_FIELDS = {
+    local_provider: 'lokaler_versorger_price',
+    green_energy: 'oekostrom_price',
+    average: 'average_price'
+};
+
+/**
+ * Parse a DECIMAL column value into a number
+ * @param {string|number|null} value - Raw database value
+ * @returns {number|null} Parsed number or null
+ */
+function toNumber(value) {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+    const num = parseFloat(value);
+    return isNaN(num) ? null : num;
+}
+
+/**
+ * Round a number to a fixed number of decimals (keeps null)
+ * @param {number|null} value - Value to round
+ * @param {number} decimals - Number of decimals
+ * @returns {number|null} Rounded value
+ */
+function round(value, decimals = 4) {
+    if (value === null || value === undefined) {
+        return null;
+    }
+    return parseFloat(value.toFixed(decimals));
+}
+
+/**
+ * Calculate absolute and percentage change between two prices
+ * @param {number|null} previous - Earlier price
+ * @param {number|null} current - Later price
+ * @returns {Object} Change with delta (EUR/kWh) and percent
+ */
+function calculateChange(previous, current) {
+    if (previous === null || current === null) {
+        return { delta: null, percent: null };
+    }
+
+    const delta = current - previous;
+    return {
+        delta: round(delta, 4),
+        percent: previous !== 0 ? round((delta / previous) * 100, 2) : null
+    };
+}
+
+/**
+ * Extract the price triple from a monthly_electricity_prices row
+ * @param {Object} row - Database row
+ * @returns {Object} Prices keyed by API field name
+ */
+function extractPrices(row) {
+    const prices = {};
+    Object.entries(PRICE_FIELDS).forEach(([apiField, column]) => {
+        prices[apiField] = toNumber(row[column]);
+    });
+    return prices;
+}
+
+/**
+ * Build an ordered price series with month-over-month deltas
+ * @param {Array} rows - monthly_electricity_prices rows for a single PLZ
+ * @returns {Array} Series entries sorted by data_month ascending
+ */
+function buildPriceSeries(rows) {
+    const sorted = [...rows].sort((a, b) => a.data_month.localeCompare(b.data_month));
+    let previous = null;
+
+    return sorted.map(row => {
+        const [year, month] = row.data_month.split('-').map(part => parseInt(part));
+        const prices = extractPrices(row);
+
+        const changes = {};
+        Object.keys(PRICE_FIELDS).forEach(field => {
+            changes[field] = previous
+                ? calculateChange(previous.prices[field], prices[field])
+                : { delta: null, percent: null };
+        });
+
+        const entry = {
+            data_month: row.data_month,
+            year,
+            month,
+            prices,
+            change: {
+                compared_to: previous ? previous.data_month : null,
+                ...changes
+            },
+            data_source: row.data_source,
+            is_fallback: row.data_source === 'FALLBACK',
+            source_plz: row.source_plz,
+            distance_km: toNumber(row.distance_km),
+            is_outlier: row.is_outlier,
+            outlier_severity: row.outlier_severity
+        };
+
+        previous = entry;
+        return entry;
+    });
+}
+
+/**
+ * Summarize a price series (first vs. last month, fallback share)
+ * @param {Array} series - Output of buildPriceSeries
+ * @returns {Object} Series summary
+ */
+function summarizePriceSeries(series) {
+    const fallbackMonths = series.filter(entry => entry.is_fallback).map(entry => entry.data_month);
+    const first = series[0] || null;
+    const last = series[series.length - 1] || null;
+
+    const totalChange = {};
+    Object.keys(PRICE_FIELDS).forEach(field => {
+        totalChange[field] = first && last && first !== last
+            ? calculateChange(first.prices[field], last.prices[field])
+            : { delta: null, percent: null };
+    });
+
+    return {
+        total_months: series.length,
+        original_months: series.length - fallbackMonths.length,
+        fallback_months: fallbackMonths.length,
+        fallback_data_months: fallbackMonths,
+        first_month: first ? first.data_month : null,
+        last_month: last ? last.data_month : null,
+        total_change: totalChange
+    };
+}
+
+module.exports = {
+    PRICE_FIELDS,
+    toNumber,
+    round,
+    calculateChange,
+    extractPrices,
+    buildPriceSeries,
+    summarizePriceSeries
+};
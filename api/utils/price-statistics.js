@@ -0,0 +1,91 @@
+/**
+ * Price Statistics Utilities
+ * Descriptive statistics for groups of prices (regional and national aggregates)
+ */
+
+const { PRICE_FIELDS, toNumber, round } = require('./price-series');
+
+/**
+ * Calculate count, average, median, min and max for a list of values
+ * @param {Array} values - Raw prices (nulls are ignored)
+ * @returns {Object} Statistics (all null except count when no values)
+ */
+function calculateStats(values) {
+    const numbers = values
+        .map(toNumber)
+        .filter(value => value !== null)
+        .sort((a, b) => a - b);
+
+    if (numbers.length === 0) {
+        return { count: 0, average: null, median: null, min: null, max: null };
+    }
+
+    const middle = Math.floor(numbers.length / 2);
+    const median = numbers.length % 2 === 0
+        ? (numbers[middle - 1] + numbers[middle]) / 2
+        : numbers[middle];
+
+    return {
+        count: numbers.length,
+        average: round(numbers.reduce((sum, value) => sum + value, 0) / numbers.length),
+        median: round(median),
+        min: round(numbers[0]),
+        max: round(numbers[numbers.length - 1])
+    };
+}
+
+/**
+ * Calculate statistics for every price field of a group of rows
+ * @param {Array} rows - monthly_electricity_prices rows
+ * @returns {Object} Statistics keyed by API field name
+ */
+function calculatePriceStats(rows) {
+    const stats = {};
+    Object.entries(PRICE_FIELDS).forEach(([apiField, column]) => {
+        stats[apiField] = calculateStats(rows.map(row => row[column]));
+    });
+    return stats;
+}
+
+/**
+ * Build a histogram with equal-width bins between the smallest and largest value
+ * @param {Array} values - Numbers (nulls are ignored)
+ * @param {number} binCount - Number of bins
+ * @param {number} decimals - Rounding of the bin bounds
+ * @returns {Object} { bin_width, bins: [{ from, to, count }] } (the last bin includes its upper bound)
+ */
+function calculateHistogram(values, binCount = 10, decimals = 2) {
+    const numbers = values.filter(value => value !== null && value !== undefined);
+
+    if (numbers.length === 0) {
+        return { bin_width: null, bins: [] };
+    }
+
+    const min = Math.min(...numbers);
+    const max = Math.max(...numbers);
+
+    // All values equal: a single bin holds everything
+    if (min === max) {
+        return { bin_width: 0, bins: [{ from: round(min, decimals), to: round(max, decimals), count: numbers.length }] };
+    }
+
+    const width = (max - min) / binCount;
+    const bins = Array.from({ length: binCount }, (_, index) => ({
+        from: round(min + index * width, decimals),
+        to: round(index === binCount - 1 ? max : min + (index + 1) * width, decimals),
+        count: 0
+    }));
+
+    numbers.forEach(value => {
+        const index = Math.min(Math.floor((value - min) / width), binCount - 1);
+        bins[index].count++;
+    });
+
+    return { bin_width: round(width, decimals), bins };
+}
+
+module.exports = {
+    calculateStats,
+    calculatePriceStats,
+    calculateHistogram
+};
@@ -51,9 +51,10 @@ function formatError(message, code = 'UNKNOWN_ERROR', details = null) {
  * @param {Array} data - Array of data items
  * @param {Object} pagination - Pagination info
  * @param {string} message - Success message
+ * @param {Object} metadata - Additional metadata
  * @returns {Object} Formatted paginated response
  */
-function formatPaginatedResponse(data, pagination, message = 'Data retrieved successfully') {
+function formatPaginatedResponse(data, pagination, message = 'Data retrieved successfully', metadata = {}) {
     return {
         success: true,
         message: message,
@@ -68,7 +69,8 @@ function formatPaginatedResponse(data, pagination, message = 'Data retrieved suc
         },
         metadata: {
             timestamp: new Date().toISOString(),
-            count: data.length
+            count: data.length,
+            ...metadata
         }
     };
 }
@@ -249,7 +251,8 @@ function formatApiKeyResponse(keyData, includeSecret = false) {
         last_used: keyData.last_used,
         is_active: keyData.is_active,
         usage_count: keyData.usage_count || 0,
-        rate_limit: keyData.rate_limit
+        rate_limit: keyData.rate_limit,
+        can_review: Boolean(keyData.can_review)
     };
 
     if (includeSecret) {
@@ -0,0 +1,38 @@
+/**
+ * Database Backend Selection
+ * Creates the data-access client of the configured backend (DATABASE_BACKEND=supabase|postgres)
+ */
+
+require('dotenv').config();
+const SupabaseClient = require('./supabase-client');
+const PostgresClient = require('./postgres-client');
+
+const DATABASE_BACKENDS = ['supabase', 'postgres'];
+
+/**
+ * Configured backend (default: supabase)
+ */
+function getDatabaseBackend() {
+    return (process.env.DATABASE_BACKEND || 'supabase').toLowerCase();
+}
+
+/**
+ * Create a SupabaseClient or PostgresClient; both expose the same methods and db.supabase query builder
+ * @param {string} backend - 'supabase' or 'postgres'
+ */
+function createDatabaseClient(backend = getDatabaseBackend()) {
+    switch (backend) {
+        case 'supabase':
+            return new SupabaseClient();
+        case 'postgres':
+            return new PostgresClient();
+        default:
+            throw new Error(`Unknown database backend: ${backend}. Available: ${DATABASE_BACKENDS.join(', ')}`);
+    }
+}
+
+module.exports = {
+    DATABASE_BACKENDS,
+    getDatabaseBackend,
+    createDatabaseClient
+};
@@ -0,0 +1,483 @@
+/**
+ * PostgreSQL Query Builder
+ * The subset of the supabase-js query builder used by SupabaseClient, the services and the scripts
+ * (from/select/insert/upsert/update/delete, filters, order, range, single, rpc), translated to
+ * parameterized SQL so the same code runs against a plain PostgreSQL database
+ */
+
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Comparison filters (also accepted by .not())
+const OPERATORS = {
+    eq: '=',
+    neq: '<>',
+    gt: '>',
+    gte: '>=',
+    lt: '<',
+    lte: '<='
+};
+
+/**
+ * Error of a failed query, shaped like supabase-js errors ({ message, code, details, hint })
+ */
+class PostgresQueryError extends Error {
+    constructor(message, code = null, details = null, hint = null) {
+        super(message);
+        this.name = 'PostgresQueryError';
+        this.code = code;
+        this.details = details;
+        this.hint = hint;
+    }
+
+    static from(error) {
+        if (error instanceof PostgresQueryError) return error;
+        return new PostgresQueryError(error.message, error.code || null, error.detail || null, error.hint || null);
+    }
+}
+
+function quoteIdentifier(name) {
+    if (!IDENTIFIER.test(name)) {
+        throw new PostgresQueryError(`Unsupported identifier: ${name}`, 'PGRST100');
+    }
+    return `"${name}"`;
+}
+
+/**
+ * Turn a supabase column list ('*' or 'a, b, c') into SQL
+ */
+function parseColumns(columns = '*') {
+    if (columns.trim() === '*') return '*';
+
+    return columns
+        .split(',')
+        .map(column => column.trim())
+        .filter(Boolean)
+        .map(quoteIdentifier)
+        .join(', ');
+}
+
+/**
+ * Convert a value for a column: JSON columns and objects are sent as JSON, array columns as arrays
+ */
+function encodeValue(value, dataType) {
+    if (value === null || value === undefined) return null;
+    if (dataType === 'json' || dataType === 'jsonb') return JSON.stringify(value);
+    if (value instanceof Date) return value;
+    if (Array.isArray(value)) return dataType === 'ARRAY' ? value : JSON.stringify(value);
+    if (typeof value === 'object') return JSON.stringify(value);
+    return value;
+}
+
+class PostgresQueryBuilder {
+    /**
+     * @param {PostgresQueryClient} client - Pool access and column type lookups
+     * @param {string} table - Table or view name
+     */
+    constructor(client, table) {
+        this.client = client;
+        this.table = table;
+        this.action = 'select';
+        this.columns = '*';
+        this.returning = null;
+        this.values = null;
+        this.conflictOptions = {};
+        this.countMode = null;
+        this.head = false;
+        this.filters = [];
+        this.orders = [];
+        this.limitCount = null;
+        this.offsetCount = null;
+        this.resultMode = null;
+    }
+
+    /**
+     * Select columns, or after insert/upsert/update/delete the columns to return
+     */
+    select(columns = '*', { count = null, head = false } = {}) {
+        if (this.action === 'select') {
+            this.columns = columns;
+            this.countMode = count;
+            this.head = head;
+        } else {
+            this.returning = columns;
+        }
+        return this;
+    }
+
+    insert(values) {
+        this.action = 'insert';
+        this.values = values;
+        return this;
+    }
+
+    upsert(values, { onConflict = null, ignoreDuplicates = false } = {}) {
+        this.action = 'upsert';
+        this.values = values;
+        this.conflictOptions = { onConflict, ignoreDuplicates };
+        return this;
+    }
+
+    update(values) {
+        this.action = 'update';
+        this.values = values;
+        return this;
+    }
+
+    delete() {
+        this.action = 'delete';
+        return this;
+    }
+
+    eq(column, value) {
+        return this.addFilter(column, 'eq', value);
+    }
+
+    neq(column, value) {
+        return this.addFilter(column, 'neq', value);
+    }
+
+    gt(column, value) {
+        return this.addFilter(column, 'gt', value);
+    }
+
+    gte(column, value) {
+        return this.addFilter(column, 'gte', value);
+    }
+
+    lt(column, value) {
+        return this.addFilter(column, 'lt', value);
+    }
+
+    lte(column, value) {
+        return this.addFilter(column, 'lte', value);
+    }
+
+    in(column, values) {
+        return this.addFilter(column, 'in', values);
+    }
+
+    is(column, value) {
+        return this.addFilter(column, 'is', value);
+    }
+
+    /**
+     * Negated filter, e.g. .not('oekostrom_price', 'is', null)
+     */
+    not(column, operator, value) {
+        return this.addFilter(column, operator, value, true);
+    }
+
+    addFilter(column, operator, value, negate = false) {
+        this.filters.push({ column, operator, value, negate });
+        return this;
+    }
+
+    order(column, { ascending = true, nullsFirst = undefined } = {}) {
+        this.orders.push({ column, ascending, nullsFirst });
+        return this;
+    }
+
+    range(from, to) {
+        this.offsetCount = from;
+        this.limitCount = to - from + 1;
+        return this;
+    }
+
+    limit(count) {
+        this.limitCount = count;
+        return this;
+    }
+
+    /**
+     * Return one row; no or several rows are an error (code PGRST116, as in supabase-js)
+     */
+    single() {
+        this.resultMode = 'single';
+        return this;
+    }
+
+    /**
+     * Return one row or null; several rows are an error
+     */
+    maybeSingle() {
+        this.resultMode = 'maybeSingle';
+        return this;
+    }
+
+    then(onFulfilled, onRejected) {
+        return this.execute().then(onFulfilled, onRejected);
+    }
+
+    /**
+     * Run the query; like supabase-js this never rejects but resolves with { data, error, count }
+     */
+    async execute() {
+        try {
+            const { rows, count } = await this.run();
+            return this.shapeResult(rows, count);
+        } catch (error) {
+            return { data: null, error: PostgresQueryError.from(error), count: null };
+        }
+    }
+
+    async run() {
+        switch (this.action) {
+            case 'select':
+                return this.runSelect();
+            case 'insert':
+            case 'upsert':
+                return this.runInsert();
+            case 'update':
+                return this.runUpdate();
+            case 'delete':
+                return this.runDelete();
+            default:
+                throw new PostgresQueryError(`Unsupported action: ${this.action}`);
+        }
+    }
+
+    async runSelect() {
+        const params = [];
+        const from = `FROM ${quoteIdentifier(this.table)}${this.buildWhere(params)}`;
+        let count = null;
+
+        if (this.countMode) {
+            const result = await this.client.query(`SELECT count(*) AS count ${from}`, params);
+            count = Number(result.rows[0].count);
+        }
+
+        if (this.head) {
+            return { rows: null, count };
+        }
+
+        const { rows } = await this.client.query(
+            `SELECT ${parseColumns(this.columns)} ${from}${this.buildOrder()}${this.buildLimit()}`,
+            params
+        );
+        return { rows, count };
+    }
+
+    async runInsert() {
+        const rows = Array.isArray(this.values) ? this.values : [this.values];
+        if (rows.length === 0) {
+            return { rows: this.returning ? [] : null, count: null };
+        }
+
+        const columnTypes = await this.client.getColumnTypes(this.table);
+        const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+        const params = [];
+
+        // Columns missing from a row take their default, as with a single-row insert
+        const tuples = rows.map(row => `(${columns.map(column => {
+            if (row[column] === undefined) return 'DEFAULT';
+            params.push(encodeValue(row[column], columnTypes.get(column)));
+            return `$${params.length}`;
+        }).join(', ')})`);
+
+        let sql = `INSERT INTO ${quoteIdentifier(this.table)} (${columns.map(quoteIdentifier).join(', ')}) ` +
+            `VALUES ${tuples.join(', ')}`;
+
+        if (this.action === 'upsert') {
+            sql += this.buildConflict(columns);
+        }
+
+        const result = await this.client.query(`${sql}${this.buildReturning()}`, params);
+        return { rows: this.returning ? result.rows : null, count: null };
+    }
+
+    buildConflict(columns) {
+        const { onConflict, ignoreDuplicates } = this.conflictOptions;
+        const conflictColumns = onConflict
+            ? onConflict.split(',').map(column => column.trim())
+            : null;
+        const target = conflictColumns
+            ? `(${conflictColumns.map(quoteIdentifier).join(', ')})`
+            : `ON CONSTRAINT ${quoteIdentifier(`${this.table}_pkey`)}`;
+        const updated = columns.filter(column => !(conflictColumns || []).includes(column));
+
+        if (ignoreDuplicates || updated.length === 0) {
+            return ` ON CONFLICT ${target} DO NOTHING`;
+        }
+
+        return ` ON CONFLICT ${target} DO UPDATE SET ` +
+            updated.map(column => `${quoteIdentifier(column)} = EXCLUDED.${quoteIdentifier(column)}`).join(', ');
+    }
+
+    async runUpdate() {
+        const columnTypes = await this.client.getColumnTypes(this.table);
+        const params = [];
+        const assignments = Object.entries(this.values)
+            .filter(([, value]) => value !== undefined)
+            .map(([column, value]) => {
+                params.push(encodeValue(value, columnTypes.get(column)));
+                return `${quoteIdentifier(column)} = $${params.length}`;
+            });
+
+        const result = await this.client.query(
+            `UPDATE ${quoteIdentifier(this.table)} SET ${assignments.join(', ')}${this.buildWhere(params)}${this.buildReturning()}`,
+            params
+        );
+        return { rows: this.returning ? result.rows : null, count: null };
+    }
+
+    async runDelete() {
+        const params = [];
+        const result = await this.client.query(
+            `DELETE FROM ${quoteIdentifier(this.table)}${this.buildWhere(params)}${this.buildReturning()}`,
+            params
+        );
+        return { rows: this.returning ? result.rows : null, count: null };
+    }
+
+    buildWhere(params) {
+        if (this.filters.length === 0) return '';
+
+        const conditions = this.filters.map(filter => {
+            const condition = this.buildCondition(filter, params);
+            return filter.negate ? `NOT (${condition})` : condition;
+        });
+
+        return ` WHERE ${conditions.join(' AND ')}`;
+    }
+
+    buildCondition({ column, operator, value }, params) {
+        const target = quoteIdentifier(column);
+
+        if (OPERATORS[operator]) {
+            params.push(value);
+            return `${target} ${OPERATORS[operator]} $${params.length}`;
+        }
+
+        if (operator === 'in') {
+            // .not(column, 'in', '(a,b)') passes the list in PostgREST syntax
+            const values = typeof value === 'string'
+                ? value.replace(/^\(|\)$/g, '').split(',').map(item => item.trim().replace(/^"|"$/g, ''))
+                : value;
+            params.push(values);
+            return `${target} = ANY($${params.length})`;
+        }
+
+        if (operator === 'is') {
+            if (value === null || value === 'null') return `${target} IS NULL`;
+            if (value === true || value === 'true') return `${target} IS TRUE`;
+            if (value === false || value === 'false') return `${target} IS FALSE`;
+        }
+
+        throw new PostgresQueryError(`Unsupported filter: ${operator} ${JSON.stringify(value)}`, 'PGRST100');
+    }
+
+    buildOrder() {
+        if (this.orders.length === 0) return '';
+
+        return ' ORDER BY ' + this.orders.map(({ column, ascending, nullsFirst }) => {
+            const nulls = nullsFirst === undefined ? '' : nullsFirst ? ' NULLS FIRST' : ' NULLS LAST';
+            return `${quoteIdentifier(column)} ${ascending ? 'ASC' : 'DESC'}${nulls}`;
+        }).join(', ');
+    }
+
+    buildLimit() {
+        let sql = '';
+        if (this.limitCount !== null) sql += ` LIMIT ${parseInt(this.limitCount, 10)}`;
+        if (this.offsetCount) sql += ` OFFSET ${parseInt(this.offsetCount, 10)}`;
+        return sql;
+    }
+
+    buildReturning() {
+        return this.returning ? ` RETURNING ${parseColumns(this.returning)}` : '';
+    }
+
+    shapeResult(rows, count) {
+        if (!this.resultMode || rows === null) {
+            return { data: rows, error: null, count };
+        }
+
+        if (rows.length === 1) {
+            return { data: rows[0], error: null, count };
+        }
+
+        if (rows.length === 0 && this.resultMode === 'maybeSingle') {
+            return { data: null, error: null, count };
+        }
+
+        return {
+            data: null,
+            error: new PostgresQueryError(
+                'JSON object requested, multiple (or no) rows returned',
+                'PGRST116',
+                `The result contains ${rows.length} rows`
+            ),
+            count
+        };
+    }
+}
+
+/**
+ * Entry point mirroring the supabase-js client: db.supabase.from(table) and db.supabase.rpc(fn, params)
+ */
+class PostgresQueryClient {
+    /**
+     * @param {Object} pool - pg Pool (or anything with query(text, params))
+     */
+    constructor(pool) {
+        this.pool = pool;
+        this.columnTypeCache = new Map();
+    }
+
+    from(table) {
+        return new PostgresQueryBuilder(this, table);
+    }
+
+    /**
+     * Call a database function with named arguments
+     */
+    async rpc(fn, params = {}) {
+        try {
+            const names = Object.keys(params);
+            const args = names.map((name, index) => `${quoteIdentifier(name)} => $${index + 1}`).join(', ');
+            const { rows } = await this.query(
+                `SELECT * FROM ${quoteIdentifier(fn)}(${args})`,
+                names.map(name => params[name])
+            );
+
+            // Scalar functions return a single column named after the function (void as '')
+            const scalar = rows.length > 0 && Object.keys(rows[0]).length === 1 && fn in rows[0];
+            if (!scalar) {
+                return { data: rows, error: null };
+            }
+
+            const values = rows.map(row => (row[fn] === '' ? null : row[fn]));
+            return { data: values.length === 1 ? values[0] : values, error: null };
+        } catch (error) {
+            return { data: null, error: PostgresQueryError.from(error) };
+        }
+    }
+
+    query(text, params = []) {
+        return this.pool.query(text, params);
+    }
+
+    /**
+     * Column data types of a table (cached), used to send JSON and array values correctly
+     */
+    getColumnTypes(table) {
+        if (!this.columnTypeCache.has(table)) {
+            const lookup = this.query(
+                `SELECT column_name, data_type FROM information_schema.columns
+                 WHERE table_schema = current_schema() AND table_name = $1`,
+                [table]
+            ).then(({ rows }) => new Map(rows.map(row => [row.column_name, row.data_type])));
+
+            // Do not cache failed lookups
+            lookup.catch(() => this.columnTypeCache.delete(table));
+            this.columnTypeCache.set(table, lookup);
+        }
+
+        return this.columnTypeCache.get(table);
+    }
+}
+
+module.exports = {
+    PostgresQueryClient,
+    PostgresQueryBuilder,
+    PostgresQueryError
+};
@@ -28,22 +28,31 @@ CREATE TABLE monthly_electricity_prices (
     oekostrom_price DECIMAL(6, 4),
     average_price DECIMAL(6, 4),
     
+    -- Extraction confidence (0-1) per price, see config.quality.extractionQuality
+    lokaler_versorger_confidence DECIMAL(4, 3),
+    oekostrom_confidence DECIMAL(4, 3),
+    
     -- Data source tracking
+    source_name VARCHAR(50) NOT NULL DEFAULT 'stromauskunft', -- Comparison portal the row was scraped from
     data_source VARCHAR(20) NOT NULL CHECK (data_source IN ('ORIGINAL', 'FALLBACK')),
     source_url TEXT,
+    html_archive_ref TEXT, -- Archived raw page (<YYYY-MM>/<plz>/<sha256>.html.gz), see scrapers/modules/archive
     source_plz VARCHAR(5), -- For fallback data, which PLZ was used as source
     distance_km DECIMAL(8, 3) DEFAULT 0, -- Distance to source (0 for original data)
     
     -- Quality metadata
     is_outlier BOOLEAN DEFAULT FALSE,
     outlier_severity VARCHAR(15) DEFAULT 'normal' CHECK (outlier_severity IN ('normal', 'high', 'very_high')),
+    outlier_reason TEXT, -- Why the row is an outlier (fixed threshold, neighbour or history z-score)
+    review_status VARCHAR(20) DEFAULT 'none', -- 'needs_review' when consensus extraction found no quorum, 'reviewed' after a price review
+    review_reason TEXT, -- Disagreeing strategy candidates
     
     -- Metadata
     scraped_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     
-    -- Ensure no duplicates for same month + PLZ
-    UNIQUE(data_month, plz)
+    -- Ensure no duplicates for same month + PLZ + source
+    CONSTRAINT monthly_electricity_prices_month_plz_source_key UNIQUE(data_month, plz, source_name)
 );
 
 -- ============================================
@@ -113,15 +122,27 @@ CREATE TABLE monthly_quality_metrics (
     fallback_data_count INTEGER,
     coverage_percentage DECIMAL(5, 2),
     
+    complete_data_count INTEGER, -- Both prices present
+    
     -- Price statistics
     avg_lokaler_versorger_price DECIMAL(6, 4),
     avg_oekostrom_price DECIMAL(6, 4),
     avg_overall_price DECIMAL(6, 4),
+    original_avg_lokaler_versorger_price DECIMAL(6, 4),
+    original_avg_oekostrom_price DECIMAL(6, 4),
+    original_avg_overall_price DECIMAL(6, 4),
+    fallback_avg_lokaler_versorger_price DECIMAL(6, 4),
+    fallback_avg_oekostrom_price DECIMAL(6, 4),
+    fallback_avg_overall_price DECIMAL(6, 4),
     
     -- Quality metrics
     outlier_count INTEGER,
     outlier_percentage DECIMAL(5, 2),
     high_severity_outlier_count INTEGER,
+    severity_normal_count INTEGER, -- Rows per outlier_severity
+    severity_high_count INTEGER,
+    severity_very_high_count INTEGER,
+    severity_extreme_count INTEGER,
     
     -- Geographic distribution
     max_fallback_distance_km DECIMAL(8, 3),
@@ -141,6 +162,7 @@ CREATE INDEX idx_monthly_prices_plz ON monthly_electricity_prices(plz);
 CREATE INDEX idx_monthly_prices_month ON monthly_electricity_prices(data_month);
 CREATE INDEX idx_monthly_prices_data_source ON monthly_electricity_prices(data_source);
 CREATE INDEX idx_monthly_prices_outliers ON monthly_electricity_prices(is_outlier) WHERE is_outlier = TRUE;
+CREATE INDEX idx_monthly_prices_review ON monthly_electricity_prices(review_status) WHERE review_status = 'needs_review';
 
 -- Geographic queries
 CREATE INDEX idx_monthly_prices_location ON monthly_electricity_prices(latitude, longitude);
@@ -175,6 +197,12 @@ CREATE TRIGGER update_monthly_prices_updated_at
 -- ALTER TABLE scraping_sessions ENABLE ROW LEVEL SECURITY;
 -- ALTER TABLE scraping_errors ENABLE ROW LEVEL SECURITY;
 -- ALTER TABLE monthly_quality_metrics ENABLE ROW LEVEL SECURITY;
+-- ALTER TABLE api_keys ENABLE ROW LEVEL SECURITY;
+-- ALTER TABLE price_review_queue ENABLE ROW LEVEL SECURITY;
+-- ALTER TABLE price_reviews ENABLE ROW LEVEL SECURITY;
+-- ALTER TABLE price_change_history ENABLE ROW LEVEL SECURITY;
+-- ALTER TABLE data_releases ENABLE ROW LEVEL SECURITY;
+-- ALTER TABLE release_electricity_prices ENABLE ROW LEVEL SECURITY;
 
 -- ============================================
 -- 8. HELPER FUNCTIONS
@@ -209,7 +237,7 @@ BEGIN
         mp.outlier_severity,
         mp.distance_km
     FROM monthly_electricity_prices mp
-    WHERE mp.data_month = p_month AND mp.plz = p_plz;
+    WHERE mp.data_month = p_month AND mp.plz = p_plz AND mp.source_name = 'stromauskunft';
 END;
 $$ LANGUAGE plpgsql;
 
@@ -235,7 +263,7 @@ BEGIN
         mp.data_source,
         mp.is_outlier
     FROM monthly_electricity_prices mp
-    WHERE mp.plz = p_plz
+    WHERE mp.plz = p_plz AND mp.source_name = 'stromauskunft'
     ORDER BY mp.data_month DESC
     LIMIT 1;
 END;
@@ -245,8 +273,10 @@ $$ LANGUAGE plpgsql;
 -- 9. SAMPLE DATA VIEWS (for reporting)
 -- ============================================
 
+-- Views and helper functions read the primary source (stromauskunft) only
+
 -- View for monthly coverage summary
-CREATE VIEW monthly_coverage_summary AS
+CREATE OR REPLACE VIEW monthly_coverage_summary AS
 SELECT 
     data_month,
     COUNT(*) as total_entries,
@@ -256,11 +286,12 @@ SELECT
     ROUND(AVG(average_price), 4) as avg_price,
     ROUND(AVG(distance_km) FILTER (WHERE data_source = 'FALLBACK'), 2) as avg_fallback_distance
 FROM monthly_electricity_prices
+WHERE source_name = 'stromauskunft'
 GROUP BY data_month
 ORDER BY data_month DESC;
 
 -- View for latest prices by PLZ
-CREATE VIEW latest_prices_by_plz AS
+CREATE OR REPLACE VIEW latest_prices_by_plz AS
 SELECT DISTINCT ON (plz)
     plz,
     city_name,
@@ -272,8 +303,304 @@ SELECT DISTINCT ON (plz)
     is_outlier,
     distance_km
 FROM monthly_electricity_prices
+WHERE source_name = 'stromauskunft'
 ORDER BY plz, data_month DESC;
 
+-- ============================================
+-- 10. API KEYS (Partner authentication and quotas)
+-- ============================================
+
+CREATE TABLE api_keys (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    name VARCHAR(100) NOT NULL, -- Partner team or owner
+    
+    -- The key itself is never stored, only its SHA-256 hash
+    key_hash VARCHAR(64) NOT NULL UNIQUE,
+    key_prefix VARCHAR(12) NOT NULL, -- First characters of the key, to recognise it in listings
+    
+    -- Quota (requests per rate limit window, see RATE_LIMIT_WINDOW_MS)
+    rate_limit INTEGER NOT NULL DEFAULT 100,
+    
+    -- Status
+    is_active BOOLEAN DEFAULT TRUE,
+    can_review BOOLEAN DEFAULT FALSE, -- May list and decide price reviews (/reviews routes)
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    
+    -- Usage counters
+    usage_count BIGINT DEFAULT 0,
+    last_used TIMESTAMP WITH TIME ZONE,
+    
+    notes TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Daily request counts per key
+CREATE TABLE api_key_usage (
+    api_key_id UUID REFERENCES api_keys(id) ON DELETE CASCADE,
+    usage_date DATE NOT NULL,
+    request_count INTEGER DEFAULT 0,
+    PRIMARY KEY (api_key_id, usage_date)
+);
+
+CREATE INDEX idx_api_keys_active ON api_keys(is_active) WHERE is_active = TRUE;
+
+-- Count one request for a key (total and per day) in a single atomic call
+CREATE OR REPLACE FUNCTION increment_api_key_usage(p_key_id UUID)
+RETURNS VOID AS $$
+BEGIN
+    UPDATE api_keys
+    SET usage_count = usage_count + 1,
+        last_used = NOW()
+    WHERE id = p_key_id;
+    
+    INSERT INTO api_key_usage (api_key_id, usage_date, request_count)
+    VALUES (p_key_id, CURRENT_DATE, 1)
+    ON CONFLICT (api_key_id, usage_date)
+    DO UPDATE SET request_count = api_key_usage.request_count + 1;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================
+-- 11. API CACHE INVALIDATION (Written by cleanup scripts, polled by the API)
+-- ============================================
+
+CREATE TABLE cache_invalidations (
+    data_month DATE PRIMARY KEY,
+    invalidated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    reason VARCHAR(100)
+);
+
+CREATE INDEX idx_cache_invalidations_time ON cache_invalidations(invalidated_at);
+
+-- ============================================
+-- 12. UPGRADES FOR EXISTING DATABASES (No-ops on a fresh install)
+-- ============================================
+
+-- Raw HTML archive reference (added after the initial release)
+ALTER TABLE monthly_electricity_prices ADD COLUMN IF NOT EXISTS html_archive_ref TEXT;
+
+-- Per-price extraction confidence
+ALTER TABLE monthly_electricity_prices ADD COLUMN IF NOT EXISTS lokaler_versorger_confidence DECIMAL(4, 3);
+ALTER TABLE monthly_electricity_prices ADD COLUMN IF NOT EXISTS oekostrom_confidence DECIMAL(4, 3);
+
+-- Consensus extraction review state
+ALTER TABLE monthly_electricity_prices ADD COLUMN IF NOT EXISTS review_status VARCHAR(20) DEFAULT 'none';
+ALTER TABLE monthly_electricity_prices ADD COLUMN IF NOT EXISTS review_reason TEXT;
+CREATE INDEX IF NOT EXISTS idx_monthly_prices_review ON monthly_electricity_prices(review_status) WHERE review_status = 'needs_review';
+
+-- Multiple price sources: one row per month, PLZ and source
+-- (re-run sections 8 and 9 afterwards so helper functions and views read the primary source only)
+ALTER TABLE monthly_electricity_prices ADD COLUMN IF NOT EXISTS source_name VARCHAR(50) NOT NULL DEFAULT 'stromauskunft';
+ALTER TABLE monthly_electricity_prices DROP CONSTRAINT IF EXISTS monthly_electricity_prices_data_month_plz_key;
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'monthly_electricity_prices_month_plz_source_key') THEN
+        ALTER TABLE monthly_electricity_prices
+            ADD CONSTRAINT monthly_electricity_prices_month_plz_source_key UNIQUE (data_month, plz, source_name);
+    END IF;
+END $$;
+
+-- Outlier reason (neighbour / history z-scores)
+ALTER TABLE monthly_electricity_prices ADD COLUMN IF NOT EXISTS outlier_reason TEXT;
+
+-- Reviewer keys (price review routes)
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS can_review BOOLEAN DEFAULT FALSE;
+
+-- Monthly quality metrics served by /average, /coverage and /quality
+-- (then fill existing months with scripts/update-quality-metrics.js)
+ALTER TABLE monthly_quality_metrics ADD COLUMN IF NOT EXISTS complete_data_count INTEGER;
+ALTER TABLE monthly_quality_metrics ADD COLUMN IF NOT EXISTS original_avg_lokaler_versorger_price DECIMAL(6, 4);
+ALTER TABLE monthly_quality_metrics ADD COLUMN IF NOT EXISTS original_avg_oekostrom_price DECIMAL(6, 4);
+ALTER TABLE monthly_quality_metrics ADD COLUMN IF NOT EXISTS original_avg_overall_price DECIMAL(6, 4);
+ALTER TABLE monthly_quality_metrics ADD COLUMN IF NOT EXISTS fallback_avg_lokaler_versorger_price DECIMAL(6, 4);
+ALTER TABLE monthly_quality_metrics ADD COLUMN IF NOT EXISTS fallback_avg_oekostrom_price DECIMAL(6, 4);
+ALTER TABLE monthly_quality_metrics ADD COLUMN IF NOT EXISTS fallback_avg_overall_price DECIMAL(6, 4);
+ALTER TABLE monthly_quality_metrics ADD COLUMN IF NOT EXISTS severity_normal_count INTEGER;
+ALTER TABLE monthly_quality_metrics ADD COLUMN IF NOT EXISTS severity_high_count INTEGER;
+ALTER TABLE monthly_quality_metrics ADD COLUMN IF NOT EXISTS severity_very_high_count INTEGER;
+ALTER TABLE monthly_quality_metrics ADD COLUMN IF NOT EXISTS severity_extreme_count INTEGER;
+
+-- ============================================
+-- 13. PRICE REVIEW QUEUE (Implausible month-over-month jumps, written after each scrape)
+-- ============================================
+
+CREATE TABLE price_review_queue (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    price_id UUID REFERENCES monthly_electricity_prices(id) ON DELETE CASCADE,
+    session_id UUID REFERENCES scraping_sessions(id) ON DELETE SET NULL,
+    
+    -- Flagged price
+    data_month DATE NOT NULL,
+    plz VARCHAR(5) NOT NULL,
+    city_name VARCHAR(100),
+    source_name VARCHAR(50) NOT NULL DEFAULT 'stromauskunft',
+    anomaly_type VARCHAR(30) NOT NULL DEFAULT 'month_over_month_jump',
+    price_field VARCHAR(30) NOT NULL CHECK (price_field IN ('lokaler_versorger_price', 'oekostrom_price')),
+    current_price DECIMAL(6, 4) NOT NULL,
+    
+    -- Comparison with the PLZ's previous months (see config.quality.temporalAnomalyDetection)
+    baseline_price DECIMAL(6, 4) NOT NULL, -- Median of the previous months
+    baseline_months INTEGER NOT NULL,
+    previous_month DATE, -- Latest month in the baseline
+    change_ratio DECIMAL(8, 4) NOT NULL, -- (current - baseline) / baseline
+    severity VARCHAR(15) NOT NULL CHECK (severity IN ('high', 'very_high')),
+    reason TEXT,
+    
+    -- Review state (kept when a re-scrape flags the same price again)
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'resolved', 'dismissed')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    
+    CONSTRAINT price_review_queue_item_key UNIQUE(data_month, plz, source_name, anomaly_type, price_field)
+);
+
+CREATE INDEX idx_price_review_queue_open ON price_review_queue(data_month, severity) WHERE status = 'open';
+
+CREATE TRIGGER update_price_review_queue_updated_at
+    BEFORE UPDATE ON price_review_queue
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================
+-- 14. PRICE REVIEWS (Human decisions on flagged prices, kept as audit trail)
+-- ============================================
+
+CREATE TABLE price_reviews (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    price_id UUID REFERENCES monthly_electricity_prices(id) ON DELETE CASCADE,
+    
+    -- Flagged row
+    data_month DATE NOT NULL,
+    plz VARCHAR(5) NOT NULL,
+    city_name VARCHAR(100),
+    source_name VARCHAR(50) NOT NULL DEFAULT 'stromauskunft',
+    flags JSONB NOT NULL, -- [{ type: outlier | consensus | month_over_month_jump, price_fields, severity, reason }]
+    flagged_values JSONB NOT NULL, -- Prices, outlier and review columns when the item was created
+    
+    -- Proposal and evidence
+    candidate_values JSONB, -- Proposed corrected prices, e.g. { "lokaler_versorger_price": 0.4012 }
+    evidence JSONB, -- Extraction details: source_url, confidences, review_reason, queue items, baseline
+    html_archive_ref TEXT, -- Archived page the flagged prices were extracted from
+    
+    -- Decision (audit trail)
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected', 'overridden')),
+    previous_values JSONB, -- Columns of monthly_electricity_prices before the decision
+    applied_values JSONB, -- Columns written by the decision
+    reviewed_by VARCHAR(100), -- Name of the reviewer's API key
+    reviewer_key_id UUID REFERENCES api_keys(id) ON DELETE SET NULL,
+    review_note TEXT,
+    reviewed_at TIMESTAMP WITH TIME ZONE,
+    
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_price_reviews_status ON price_reviews(status, data_month);
+
+-- One pending review per price row
+CREATE UNIQUE INDEX idx_price_reviews_pending ON price_reviews(price_id) WHERE status = 'pending';
+
+CREATE TRIGGER update_price_reviews_updated_at
+    BEFORE UPDATE ON price_reviews
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================
+-- 15. PRICE CHANGE HISTORY (Every in-place update of a price row, written by SupabaseClient.updatePriceData)
+-- ============================================
+
+CREATE TABLE price_change_history (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    price_id UUID REFERENCES monthly_electricity_prices(id) ON DELETE SET NULL, -- History outlives the row
+    
+    -- Changed row
+    data_month DATE NOT NULL,
+    plz VARCHAR(5) NOT NULL,
+    source_name VARCHAR(50) NOT NULL DEFAULT 'stromauskunft',
+    
+    -- Change
+    changed_fields TEXT[] NOT NULL,
+    old_values JSONB NOT NULL, -- Changed columns before the update
+    new_values JSONB NOT NULL, -- Changed columns after the update
+    actor VARCHAR(100) NOT NULL, -- Script or service that made the change, e.g. 'high-price-fixer'
+    reason TEXT,
+    
+    changed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_price_change_history_plz_month ON price_change_history(plz, data_month, changed_at);
+CREATE INDEX idx_price_change_history_price ON price_change_history(price_id);
+
+-- ============================================
+-- 16. DATA RELEASES (Immutable versioned snapshots of a month, e.g. '2025-07@v2')
+-- ============================================
+
+CREATE TABLE data_releases (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    data_month DATE NOT NULL,
+    version INTEGER NOT NULL CHECK (version > 0),
+    release_tag VARCHAR(20) NOT NULL UNIQUE, -- '2025-07@v2'
+    
+    -- 'building' while the rows are copied; only published releases are served
+    status VARCHAR(20) NOT NULL DEFAULT 'building' CHECK (status IN ('building', 'published')),
+    record_count INTEGER,
+    checksum VARCHAR(64), -- SHA-256 of the frozen rows
+    quality_metrics JSONB, -- monthly_quality_metrics of the month at publication
+    changelog JSONB, -- Corrections since the previous release of the month
+    notes TEXT,
+    published_by VARCHAR(100),
+    
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    published_at TIMESTAMP WITH TIME ZONE,
+    
+    CONSTRAINT data_releases_month_version_key UNIQUE(data_month, version)
+);
+
+-- Frozen copy of the month's rows (all sources); id is the id of the live row.
+-- Columns added to monthly_electricity_prices later must be added here as well.
+CREATE TABLE release_electricity_prices (
+    LIKE monthly_electricity_prices INCLUDING DEFAULTS,
+    release_id UUID NOT NULL REFERENCES data_releases(id) ON DELETE CASCADE,
+    PRIMARY KEY (release_id, id)
+);
+
+CREATE INDEX idx_release_prices_plz ON release_electricity_prices(release_id, source_name, plz);
+
+-- Published releases and their rows cannot be changed or deleted
+CREATE OR REPLACE FUNCTION prevent_published_release_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF OLD.status = 'published' THEN
+        RAISE EXCEPTION 'Release % is published and cannot be changed', OLD.release_tag;
+    END IF;
+    RETURN CASE WHEN TG_OP = 'DELETE' THEN OLD ELSE NEW END;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER protect_published_releases
+    BEFORE UPDATE OR DELETE ON data_releases
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_published_release_changes();
+
+CREATE OR REPLACE FUNCTION prevent_release_price_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM data_releases
+        WHERE id = CASE WHEN TG_OP = 'INSERT' THEN NEW.release_id ELSE OLD.release_id END
+          AND status = 'published'
+    ) THEN
+        RAISE EXCEPTION 'Rows of a published release cannot be changed';
+    END IF;
+    RETURN CASE WHEN TG_OP = 'DELETE' THEN OLD ELSE NEW END;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER protect_release_prices
+    BEFORE INSERT OR UPDATE OR DELETE ON release_electricity_prices
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_release_price_changes();
+
 -- ============================================
 -- END OF SCHEMA
 -- ============================================ 
\ No newline at end of file
@@ -8,10 +8,17 @@ const { createClient } = require('@supabase/supabase-js');
 const fs = require('fs');
 const path = require('path');
 
+// Source whose rows the API serves; other sources are stored alongside for cross-checks
+const PRIMARY_SOURCE = 'stromauskunft';
+
+// data_releases columns needed to read a release (the changelog is only loaded for listings)
+const RELEASE_COLUMNS = 'id, data_month, version, release_tag, record_count, checksum, quality_metrics, published_at';
+
 class SupabaseClient {
     constructor() {
         this.supabase = null;
         this.isConnected = false;
+        this.primarySource = PRIMARY_SOURCE;
         this.init();
     }
 
@@ -83,13 +90,14 @@ class SupabaseClient {
     /**
      * Check if data exists for a specific month and PLZ
      */
-    async dataExists(month, plz) {
+    async dataExists(month, plz, sourceName = PRIMARY_SOURCE) {
         try {
             const { data, error } = await this.supabase
                 .from('monthly_electricity_prices')
                 .select('id')
                 .eq('data_month', month)
                 .eq('plz', plz)
+                .eq('source_name', sourceName)
                 .single();
 
             if (error && error.code !== 'PGRST116') { // PGRST116 = no rows found
@@ -106,12 +114,13 @@ class SupabaseClient {
     /**
      * Check if any data exists for a specific month
      */
-    async monthDataExists(month) {
+    async monthDataExists(month, sourceName = PRIMARY_SOURCE) {
         try {
             const { count, error } = await this.supabase
                 .from('monthly_electricity_prices')
                 .select('*', { count: 'exact', head: true })
-                .eq('data_month', month);
+                .eq('data_month', month)
+                .eq('source_name', sourceName);
 
             if (error) throw error;
 
@@ -125,7 +134,7 @@ class SupabaseClient {
     /**
      * Get all existing PLZs for a specific month (bulk duplicate checking optimization)
      */
-    async getExistingPLZsForMonth(month) {
+    async getExistingPLZsForMonth(month, sourceName = PRIMARY_SOURCE) {
         try {
             const allPLZs = new Set();
             let hasMore = true;
@@ -138,6 +147,7 @@ class SupabaseClient {
                     .from('monthly_electricity_prices')
                     .select('plz')
                     .eq('data_month', month)
+                    .eq('source_name', sourceName)
                     .range(offset, offset + batchSize - 1);
 
                 if (error) throw error;
@@ -157,6 +167,66 @@ class SupabaseClient {
         }
     }
 
+    /**
+     * Iterate over all price rows for a month in PLZ order, one batch at a time
+     * Keeps memory flat for large exports; throws on error
+     */
+    async *iteratePriceDataForMonth(month, columns = '*', batchSize = 1000, sourceName = PRIMARY_SOURCE, release = null) {
+        let hasMore = true;
+        let offset = 0;
+
+        while (hasMore) {
+            const { data, error } = await this.priceRows(release ? [release] : null, columns)
+                .eq('data_month', month)
+                .eq('source_name', sourceName)
+                .order('plz', { ascending: true })
+                .range(offset, offset + batchSize - 1);
+
+            if (error) throw error;
+
+            if (data.length > 0) {
+                yield data;
+            }
+
+            // Check if we got a full batch (meaning there might be more)
+            hasMore = data.length === batchSize;
+            offset += batchSize;
+        }
+    }
+
+    /**
+     * Start a select on price rows: the live table, or the frozen rows of data releases
+     * @param {Array|null} releases - Published releases to read (null for live data)
+     * @param {string} columns - Columns to select
+     * @param {Object} options - supabase select options (e.g. { count: 'exact' })
+     */
+    priceRows(releases = null, columns = '*', options = undefined) {
+        if (!releases) {
+            return this.supabase
+                .from('monthly_electricity_prices')
+                .select(columns, options);
+        }
+
+        return this.supabase
+            .from('release_electricity_prices')
+            .select(columns, options)
+            .in('release_id', releases.map(release => release.id));
+    }
+
+    /**
+     * Get all price rows for a month (paginated past the 1000-row limit)
+     * Throws on error so API callers can respond with 500
+     */
+    async getAllPriceDataForMonth(month, columns = '*', sourceName = PRIMARY_SOURCE, release = null) {
+        const allRows = [];
+
+        for await (const batch of this.iteratePriceDataForMonth(month, columns, 1000, sourceName, release)) {
+            allRows.push(...batch);
+        }
+
+        return allRows;
+    }
+
     /**
      * Insert a single price record
      */
@@ -172,12 +242,19 @@ class SupabaseClient {
                 lokaler_versorger_price: priceData.lokaler_versorger_price || null,
                 oekostrom_price: priceData.oekostrom_price || null,
                 average_price: priceData.average_price || null,
+                source_name: priceData.source_name || PRIMARY_SOURCE,
+                lokaler_versorger_confidence: priceData.lokaler_versorger_confidence ?? null,
+                oekostrom_confidence: priceData.oekostrom_confidence ?? null,
                 data_source: priceData.data_source || 'ORIGINAL',
                 source_url: priceData.source_url || null,
+                html_archive_ref: priceData.html_archive_ref || null,
                 source_plz: priceData.source_plz || null,
                 distance_km: priceData.distance_km || 0,
                 is_outlier: priceData.is_outlier || false,
-                outlier_severity: priceData.outlier_severity || 'normal'
+                outlier_severity: priceData.outlier_severity || 'normal',
+                outlier_reason: priceData.outlier_reason || null,
+                review_status: priceData.review_status || 'none',
+                review_reason: priceData.review_reason || null
             };
 
             const { data, error } = await this.supabase
@@ -216,12 +293,19 @@ class SupabaseClient {
                     lokaler_versorger_price: item.lokaler_versorger_price || null,
                     oekostrom_price: item.oekostrom_price || null,
                     average_price: item.average_price || null,
+                    source_name: item.source_name || PRIMARY_SOURCE,
+                    lokaler_versorger_confidence: item.lokaler_versorger_confidence ?? null,
+                    oekostrom_confidence: item.oekostrom_confidence ?? null,
                     data_source: item.data_source || 'ORIGINAL',
                     source_url: item.source_url || null,
+                    html_archive_ref: item.html_archive_ref || null,
                     source_plz: item.source_plz || null,
                     distance_km: item.distance_km || 0,
                     is_outlier: item.is_outlier || false,
-                    outlier_severity: item.outlier_severity || 'normal'
+                    outlier_severity: item.outlier_severity || 'normal',
+                    outlier_reason: item.outlier_reason || null,
+                    review_status: item.review_status || 'none',
+                    review_reason: item.review_reason || null
                 }));
 
                 const { data, error } = await this.supabase
@@ -236,6 +320,13 @@ class SupabaseClient {
             }
 
             console.log(`✅ Bulk insert completed: ${results.length} total records`);
+
+            // New rows change month listings and aggregates served by the API
+            const months = [...new Set(results.map(row => row.data_month))];
+            for (const month of months) {
+                await this.invalidateMonthCache(month, 'bulk insert');
+            }
+
             return results;
         } catch (error) {
             console.error('Error in bulk insert:', error.message);
@@ -243,16 +334,146 @@ class SupabaseClient {
         }
     }
 
+    /**
+     * Update an existing price record
+     * The changed columns are recorded in price_change_history together with who changed them and why.
+     * @param {string} recordId - Price row id
+     * @param {Object} updates - Columns to write
+     * @param {Object} change - { actor: script or service name, reason }
+     */
+    async updatePriceData(recordId, updates, change = {}) {
+        try {
+            const previous = await this.getPriceDataById(recordId);
+
+            const { data, error } = await this.supabase
+                .from('monthly_electricity_prices')
+                .update({
+                    ...updates,
+                    updated_at: new Date().toISOString()
+                })
+                .eq('id', recordId)
+                .select();
+
+            if (error) throw error;
+
+            const updated = data[0] || null;
+            if (previous && updated) {
+                await this.recordPriceChange(previous, updated, Object.keys(updates), change);
+            }
+
+            return updated;
+        } catch (error) {
+            console.error('Error updating price data:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Store the columns an update changed in price_change_history
+     * @param {Object} previous - Price row before the update
+     * @param {Object} updated - Price row after the update
+     * @param {Array} columns - Columns the update wrote
+     * @param {Object} change - { actor, reason }
+     * @returns {Promise<Object|null>} History entry, or null if no value changed
+     */
+    async recordPriceChange(previous, updated, columns, { actor = 'unknown', reason = null } = {}) {
+        const normalize = value => (value === undefined || value === null ? null : String(value));
+        const changedFields = columns.filter(column =>
+            column !== 'updated_at' && normalize(previous[column]) !== normalize(updated[column])
+        );
+
+        if (changedFields.length === 0) {
+            return null;
+        }
+
+        const { data, error } = await this.supabase
+            .from('price_change_history')
+            .insert({
+                price_id: updated.id,
+                data_month: updated.data_month,
+                plz: updated.plz,
+                source_name: updated.source_name || this.primarySource,
+                changed_fields: changedFields,
+                old_values: Object.fromEntries(changedFields.map(column => [column, previous[column] ?? null])),
+                new_values: Object.fromEntries(changedFields.map(column => [column, updated[column] ?? null])),
+                actor,
+                reason
+            })
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        return data;
+    }
+
+    /**
+     * Get the change history of a PLZ and month, oldest change first
+     * @param {string} plz - Postal code
+     * @param {string} month - Data month (YYYY-MM-01)
+     * @param {string} sourceName - Price source (defaults to the primary source)
+     * @param {string|null} until - Only changes up to this timestamp (e.g. a release's published_at)
+     */
+    async getPriceChangeHistory(plz, month, sourceName = this.primarySource, until = null) {
+        let query = this.supabase
+            .from('price_change_history')
+            .select('*')
+            .eq('plz', plz)
+            .eq('data_month', month)
+            .eq('source_name', sourceName);
+
+        if (until) query = query.lte('changed_at', until);
+
+        const { data, error } = await query.order('changed_at', { ascending: true });
+
+        if (error) throw error;
+
+        return data;
+    }
+
+    /**
+     * Get the change history entries of a month across sources, oldest first
+     * @param {string} month - Data month (YYYY-MM-01)
+     * @param {string|null} since - Only changes after this timestamp
+     */
+    async getPriceChangesForMonth(month, since = null) {
+        const entries = [];
+        const batchSize = 1000;
+        let offset = 0;
+
+        while (true) {
+            let query = this.supabase
+                .from('price_change_history')
+                .select('*')
+                .eq('data_month', month);
+
+            if (since) query = query.gt('changed_at', since);
+
+            const { data, error } = await query
+                .order('changed_at', { ascending: true })
+                .range(offset, offset + batchSize - 1);
+
+            if (error) throw error;
+
+            entries.push(...data);
+            if (data.length < batchSize) break;
+            offset += batchSize;
+        }
+
+        return entries;
+    }
+
     /**
      * Get price data for specific PLZ and month
      */
-    async getPriceData(plz, month) {
+    async getPriceData(plz, month, sourceName = PRIMARY_SOURCE) {
         try {
             const { data, error } = await this.supabase
                 .from('monthly_electricity_prices')
                 .select('*')
                 .eq('plz', plz)
                 .eq('data_month', month)
+                .eq('source_name', sourceName)
                 .single();
 
             if (error && error.code !== 'PGRST116') {
@@ -269,12 +490,13 @@ class SupabaseClient {
     /**
      * Get latest price data for a PLZ
      */
-    async getLatestPriceData(plz) {
+    async getLatestPriceData(plz, sourceName = PRIMARY_SOURCE) {
         try {
             const { data, error } = await this.supabase
                 .from('monthly_electricity_prices')
                 .select('*')
                 .eq('plz', plz)
+                .eq('source_name', sourceName)
                 .order('data_month', { ascending: false })
                 .limit(1)
                 .single();
@@ -299,6 +521,7 @@ class SupabaseClient {
                 .from('monthly_electricity_prices')
                 .select('lokaler_versorger_price, oekostrom_price, average_price')
                 .eq('data_month', month)
+                .eq('source_name', PRIMARY_SOURCE)
                 .not('lokaler_versorger_price', 'is', null)
                 .not('oekostrom_price', 'is', null)
                 .not('average_price', 'is', null);
@@ -329,6 +552,7 @@ class SupabaseClient {
             const { data, error } = await this.supabase
                 .from('monthly_electricity_prices')
                 .select('data_month')
+                .eq('source_name', PRIMARY_SOURCE)
                 .order('data_month', { ascending: false });
 
             if (error) throw error;
@@ -364,6 +588,180 @@ class SupabaseClient {
         }
     }
 
+    /**
+     * Get the stored quality metrics of a month (monthly_quality_metrics)
+     */
+    async getMonthlyQualityMetrics(month) {
+        const { data, error } = await this.supabase
+            .from('monthly_quality_metrics')
+            .select('*')
+            .eq('data_month', month)
+            .maybeSingle();
+
+        if (error) throw error;
+
+        return data;
+    }
+
+    /**
+     * Store the quality metrics of a month (one row per month, replaced on every calculation)
+     * and drop the cached /average, /coverage and /quality responses built from them
+     * @param {Object} metrics - monthly_quality_metrics columns including data_month
+     */
+    async upsertMonthlyQualityMetrics(metrics) {
+        try {
+            const { data, error } = await this.supabase
+                .from('monthly_quality_metrics')
+                .upsert({
+                    ...metrics,
+                    calculated_at: new Date().toISOString()
+                }, { onConflict: 'data_month' })
+                .select()
+                .single();
+
+            if (error) throw error;
+
+            await this.invalidateMonthCache(metrics.data_month, 'quality metrics');
+
+            return data;
+        } catch (error) {
+            console.error('Error storing quality metrics:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Find the published releases a ?release= selector refers to
+     * @param {Object} selector - { mode: 'published' | 'version', version, month } (see release-middleware)
+     * @param {Array|null} months - Data months to look in (null for all months)
+     * @returns {Promise<Array>} Releases ordered by month (for 'published' the newest of each month)
+     */
+    async getReleases(selector, months = null) {
+        let query = this.supabase
+            .from('data_releases')
+            .select(RELEASE_COLUMNS)
+            .eq('status', 'published');
+
+        if (selector.month) {
+            query = query.eq('data_month', selector.month);
+        } else if (months) {
+            query = query.in('data_month', months);
+        }
+        if (selector.version) {
+            query = query.eq('version', selector.version);
+        }
+
+        const { data, error } = await query
+            .order('data_month', { ascending: true })
+            .order('version', { ascending: false });
+
+        if (error) throw error;
+
+        if (selector.mode === 'published') {
+            return data.filter((release, index) => index === 0 || data[index - 1].data_month !== release.data_month);
+        }
+        return data;
+    }
+
+    /**
+     * List the published releases of a month with their changelogs, oldest first
+     */
+    async listReleases(month) {
+        const { data, error } = await this.supabase
+            .from('data_releases')
+            .select('*')
+            .eq('data_month', month)
+            .eq('status', 'published')
+            .order('version', { ascending: true });
+
+        if (error) throw error;
+
+        return data;
+    }
+
+    /**
+     * Get the newest published release of a month
+     */
+    async getLatestRelease(month) {
+        const releases = await this.getReleases({ mode: 'published' }, [month]);
+        return releases[0] || null;
+    }
+
+    /**
+     * Remove releases of a month whose publication did not finish
+     */
+    async deleteUnfinishedReleases(month) {
+        const { data, error } = await this.supabase
+            .from('data_releases')
+            .delete()
+            .eq('data_month', month)
+            .eq('status', 'building')
+            .select('id');
+
+        if (error) throw error;
+
+        return data.length;
+    }
+
+    /**
+     * Create a release in 'building' state
+     */
+    async createRelease(release) {
+        try {
+            const { data, error } = await this.supabase
+                .from('data_releases')
+                .insert({ ...release, status: 'building' })
+                .select()
+                .single();
+
+            if (error) throw error;
+
+            return data;
+        } catch (error) {
+            console.error('Error creating release:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Copy price rows into a release that is still being built
+     */
+    async insertReleasePrices(releaseId, rows, batchSize = 500) {
+        let inserted = 0;
+
+        for (let i = 0; i < rows.length; i += batchSize) {
+            const batch = rows.slice(i, i + batchSize).map(row => ({ ...row, release_id: releaseId }));
+            const { error } = await this.supabase
+                .from('release_electricity_prices')
+                .insert(batch);
+
+            if (error) {
+                console.error('Error copying release rows:', error.message);
+                throw error;
+            }
+            inserted += batch.length;
+        }
+
+        return inserted;
+    }
+
+    /**
+     * Publish a finished release - it cannot be changed afterwards
+     */
+    async publishRelease(releaseId) {
+        const { data, error } = await this.supabase
+            .from('data_releases')
+            .update({ status: 'published', published_at: new Date().toISOString() })
+            .eq('id', releaseId)
+            .eq('status', 'building')
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        return data;
+    }
+
     /**
      * Start a new scraping session
      */
@@ -461,6 +859,377 @@ class SupabaseClient {
             throw error;
         }
     }
+
+    /**
+     * Add flagged prices to the review queue
+     * An item flagged again (same month, PLZ, source, anomaly and price) is updated and keeps its review status
+     */
+    async upsertReviewQueueItems(items) {
+        try {
+            const records = items.map(item => ({
+                price_id: item.price_id || null,
+                session_id: item.session_id || null,
+                data_month: item.data_month,
+                plz: item.plz,
+                city_name: item.city_name || null,
+                source_name: item.source_name || PRIMARY_SOURCE,
+                anomaly_type: item.anomaly_type,
+                price_field: item.price_field,
+                current_price: item.current_price,
+                baseline_price: item.baseline_price,
+                baseline_months: item.baseline_months,
+                previous_month: item.previous_month || null,
+                change_ratio: item.change_ratio,
+                severity: item.severity,
+                reason: item.reason || null
+            }));
+
+            const { data, error } = await this.supabase
+                .from('price_review_queue')
+                .upsert(records, { onConflict: 'data_month,plz,source_name,anomaly_type,price_field' })
+                .select('id');
+
+            if (error) throw error;
+
+            return data.length;
+        } catch (error) {
+            console.error('Error storing review queue items:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the open review queue items of a month (all sources)
+     */
+    async getOpenReviewQueueItems(month) {
+        const { data, error } = await this.supabase
+            .from('price_review_queue')
+            .select('*')
+            .eq('data_month', month)
+            .eq('status', 'open');
+
+        if (error) throw error;
+
+        return data;
+    }
+
+    /**
+     * Close the open review queue items of a price row (resolved or dismissed)
+     */
+    async closeReviewQueueItems(priceId, status) {
+        try {
+            const { data, error } = await this.supabase
+                .from('price_review_queue')
+                .update({ status })
+                .eq('price_id', priceId)
+                .eq('status', 'open')
+                .select('id');
+
+            if (error) throw error;
+
+            return data.length;
+        } catch (error) {
+            console.error('Error closing review queue items:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a price record by id (any source)
+     */
+    async getPriceDataById(recordId) {
+        const { data, error } = await this.supabase
+            .from('monthly_electricity_prices')
+            .select('*')
+            .eq('id', recordId)
+            .maybeSingle();
+
+        if (error) throw error;
+
+        return data;
+    }
+
+    /**
+     * Get the price row ids of a month that already have a pending review
+     */
+    async getPendingReviewPriceIds(month) {
+        const { data, error } = await this.supabase
+            .from('price_reviews')
+            .select('price_id')
+            .eq('data_month', month)
+            .eq('status', 'pending');
+
+        if (error) throw error;
+
+        return new Set(data.map(review => review.price_id));
+    }
+
+    /**
+     * Store new price reviews
+     */
+    async insertPriceReviews(reviews) {
+        try {
+            const { data, error } = await this.supabase
+                .from('price_reviews')
+                .insert(reviews)
+                .select();
+
+            if (error) throw error;
+
+            return data;
+        } catch (error) {
+            console.error('Error storing price reviews:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * List price reviews, oldest first
+     * @param {Object} filters - { status, month, offset, limit }
+     * @returns {Promise<Object>} { data, count }
+     */
+    async listPriceReviews({ status = null, month = null, offset = 0, limit = 50 } = {}) {
+        let query = this.supabase
+            .from('price_reviews')
+            .select('*', { count: 'exact' });
+
+        if (status) query = query.eq('status', status);
+        if (month) query = query.eq('data_month', month);
+
+        const { data, count, error } = await query
+            .order('created_at', { ascending: true })
+            .range(offset, offset + limit - 1);
+
+        if (error) throw error;
+
+        return { data, count: count || 0 };
+    }
+
+    /**
+     * Get a price review by id
+     */
+    async getPriceReview(reviewId) {
+        const { data, error } = await this.supabase
+            .from('price_reviews')
+            .select('*')
+            .eq('id', reviewId)
+            .maybeSingle();
+
+        if (error) throw error;
+
+        return data;
+    }
+
+    /**
+     * Record the decision on a review that is still pending
+     * @returns {Promise<Object|null>} Updated review, or null if it was decided in the meantime
+     */
+    async decidePriceReview(reviewId, decision) {
+        try {
+            const { data, error } = await this.supabase
+                .from('price_reviews')
+                .update(decision)
+                .eq('id', reviewId)
+                .eq('status', 'pending')
+                .select();
+
+            if (error) throw error;
+
+            return data[0] || null;
+        } catch (error) {
+            console.error('Error recording review decision:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Put a decided review back to pending (the decision could not be applied)
+     */
+    async reopenPriceReview(reviewId) {
+        const { error } = await this.supabase
+            .from('price_reviews')
+            .update({
+                status: 'pending',
+                previous_values: null,
+                applied_values: null,
+                reviewed_by: null,
+                reviewer_key_id: null,
+                review_note: null,
+                reviewed_at: null
+            })
+            .eq('id', reviewId);
+
+        if (error) throw error;
+    }
+
+    /**
+     * Mark a month as changed so API instances drop their cached responses
+     * (never throws - a failed invalidation only delays fresh data until the cache TTL)
+     */
+    async invalidateMonthCache(month, reason = null) {
+        try {
+            const { error } = await this.supabase
+                .from('cache_invalidations')
+                .upsert({
+                    data_month: month,
+                    invalidated_at: new Date().toISOString(),
+                    reason
+                }, { onConflict: 'data_month' });
+
+            if (error) throw error;
+
+            return true;
+        } catch (error) {
+            console.error('Error invalidating month cache:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Get cache invalidations recorded after a timestamp
+     */
+    async getCacheInvalidationsSince(since) {
+        const { data, error } = await this.supabase
+            .from('cache_invalidations')
+            .select('data_month, invalidated_at')
+            .gt('invalidated_at', since)
+            .order('invalidated_at', { ascending: true });
+
+        if (error) throw error;
+
+        return data;
+    }
+
+    /**
+     * Store a new API key (only the hash is persisted)
+     */
+    async createApiKey({ name, keyHash, keyPrefix, rateLimit, canReview = false, notes = null }) {
+        try {
+            const { data, error } = await this.supabase
+                .from('api_keys')
+                .insert({
+                    name,
+                    key_hash: keyHash,
+                    key_prefix: keyPrefix,
+                    rate_limit: rateLimit,
+                    can_review: canReview,
+                    notes
+                })
+                .select()
+                .single();
+
+            if (error) throw error;
+
+            console.log(`🔑 Issued API key ${data.key_prefix}… for ${data.name}`);
+            return data;
+        } catch (error) {
+            console.error('Error creating API key:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Get an active API key by its hash (null if unknown or revoked)
+     */
+    async getActiveApiKeyByHash(keyHash) {
+        const { data, error } = await this.supabase
+            .from('api_keys')
+            .select('id, name, key_prefix, rate_limit, is_active, can_review, usage_count, last_used, created_at')
+            .eq('key_hash', keyHash)
+            .eq('is_active', true)
+            .maybeSingle();
+
+        if (error) throw error;
+
+        return data;
+    }
+
+    /**
+     * Get an API key by id
+     */
+    async getApiKeyById(keyId) {
+        const { data, error } = await this.supabase
+            .from('api_keys')
+            .select('id, name, key_prefix, rate_limit, is_active, can_review, usage_count, last_used, created_at, revoked_at, notes')
+            .eq('id', keyId)
+            .maybeSingle();
+
+        if (error) throw error;
+
+        return data;
+    }
+
+    /**
+     * List all API keys (newest first)
+     */
+    async listApiKeys() {
+        const { data, error } = await this.supabase
+            .from('api_keys')
+            .select('id, name, key_prefix, rate_limit, is_active, can_review, usage_count, last_used, created_at, revoked_at, notes')
+            .order('created_at', { ascending: false });
+
+        if (error) throw error;
+
+        return data;
+    }
+
+    /**
+     * Revoke an API key
+     */
+    async revokeApiKey(keyId) {
+        try {
+            const { data, error } = await this.supabase
+                .from('api_keys')
+                .update({ is_active: false, revoked_at: new Date().toISOString() })
+                .eq('id', keyId)
+                .select()
+                .maybeSingle();
+
+            if (error) throw error;
+
+            if (data) {
+                console.log(`🚫 Revoked API key ${data.key_prefix}… (${data.name})`);
+            }
+            return data;
+        } catch (error) {
+            console.error('Error revoking API key:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Count one request for an API key (never throws - usage tracking must not fail requests)
+     */
+    async recordApiKeyUsage(keyId) {
+        try {
+            const { error } = await this.supabase.rpc('increment_api_key_usage', { p_key_id: keyId });
+
+            if (error) throw error;
+
+            return true;
+        } catch (error) {
+            console.error('Error recording API key usage:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Get daily request counts for an API key
+     */
+    async getApiKeyUsage(keyId, days = 30) {
+        const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+        const { data, error } = await this.supabase
+            .from('api_key_usage')
+            .select('usage_date, request_count')
+            .eq('api_key_id', keyId)
+            .gte('usage_date', since)
+            .order('usage_date', { ascending: false });
+
+        if (error) throw error;
+
+        return data;
+    }
 }
 
 module.exports = SupabaseClient; 
\ No newline at end of file
@@ -26,6 +26,7 @@ class MonthlyScrapingOrchestrator {
         const args = process.argv.slice(2);
         const options = {
             inputFile: 'utils/Postleitzahlen Deutschland.csv',
+            source: 'stromauskunft', // Price source (stromauskunft, stromvergleich)
             month: null,        // Auto-detect if not specified
             force: false,       // Force re-scrape existing data
             test: false,        // Use test configuration
@@ -84,6 +85,11 @@ class MonthlyScrapingOrchestrator {
                         options.batchSize = parseInt(args[++i]);
                     }
                     break;
+                case '--source':
+                    if (i + 1 < args.length) {
+                        options.source = args[++i];
+                    }
+                    break;
                 default:
                     if (!arg.startsWith('--') && !arg.startsWith('-')) {
                         // Assume it's an input file if no other option matched
@@ -116,6 +122,7 @@ OPTIONS:
     -m, --month MONTH       Specify month (YYYY-MM format, auto-detected if not provided)
     -i, --input FILE        Input CSV file (default: utils/Postleitzahlen Deutschland.csv)
     -b, --batch-size SIZE   Override batch size configuration
+    --source NAME           Price source: stromauskunft (default) or stromvergleich
 
 EXAMPLES:
     # Start normal scraping
@@ -130,6 +137,9 @@ EXAMPLES:
     # Scrape specific month
     node scrapers/modular-scraper.js --month 2025-01
 
+    # Scrape the second comparison portal (stored with source_name 'stromvergleich')
+    node scrapers/modular-scraper.js --source stromvergleich
+
     # Check status
     node scrapers/modular-scraper.js --status
 
@@ -202,8 +212,7 @@ CONFIGURATION:
             console.log('🏗️  Initializing modular scraper...');
 
             const scraperOptions = {
-                source: 'stromauskunft',
-                storage: 'supabase',
+                source: this.args.source,
                 enableGeographicCompletion: true,
                 config: this.buildScraperConfig()
             };
@@ -9,11 +9,12 @@ const axios = require('axios');
 const cheerio = require('cheerio');
 
 class StromauskunftAdapter extends ISourceAdapter {
-    constructor(config, priceExtractor) {
+    constructor(config, priceExtractor, htmlArchive = null) {
         super(config);
         this.sourceConfig = config.getSourceConfig('stromauskunft');
         this.httpConfig = config.getHttpConfig();
         this.priceExtractor = priceExtractor;
+        this.htmlArchive = htmlArchive;
         
         // Performance and error tracking from analysis
         this.requestCount = 0;
@@ -36,7 +37,7 @@ class StromauskunftAdapter extends ISourceAdapter {
     /**
      * Enhanced city scraping with error pattern recognition
      */
-    async scrapeCity(cityName, plz) {
+    async scrapeCity(cityName, plz, month = this.config.getCurrentMonth()) {
         const startTime = Date.now();
         this.requestCount++;
 
@@ -60,6 +61,9 @@ class StromauskunftAdapter extends ISourceAdapter {
                 return this.createNotFoundResult(cityName, plz, url, expectedCityClass);
             }
 
+            // Archive the raw page before extraction so failed extractions can be investigated offline
+            const htmlArchiveRef = await this.archiveHtml(response.data, plz, month, url);
+
             // Load HTML and extract prices using improved extractor
             const $ = cheerio.load(response.data);
             const pageText = $.text();
@@ -71,7 +75,7 @@ class StromauskunftAdapter extends ISourceAdapter {
             const validation = this.validateResponseImproved(extractionResult, expectedCityClass);
             if (!validation.success) {
                 console.log(`    ❌ Validation failed: ${validation.issues.join(', ')}`);
-                return this.createValidationFailedResult(cityName, plz, url, validation, extractionResult);
+                return this.createValidationFailedResult(cityName, plz, url, validation, extractionResult, htmlArchiveRef);
             }
 
             // Success - update stats
@@ -89,9 +93,11 @@ class StromauskunftAdapter extends ISourceAdapter {
                 scraping_duration: Date.now() - startTime,
                 adapter: 'stromauskunft-improved',
                 adapter_version: '2.0',
+                source_name: 'stromauskunft',
                 data_source: 'ORIGINAL',
                 distance_km: 0,
                 source_url: url,
+                html_archive_ref: htmlArchiveRef,
                 analysis_metadata: {
                     request_timestamp: new Date().toISOString(),
                     dom_complexity: extractionResult.dom_structure,
@@ -112,6 +118,24 @@ class StromauskunftAdapter extends ISourceAdapter {
         }
     }
 
+    /**
+     * Store the raw page in the HTML archive
+     * Archive failures never fail the scrape; the price row is then stored without a reference
+     */
+    async archiveHtml(html, plz, month, url) {
+        if (!this.htmlArchive || typeof html !== 'string') {
+            return null;
+        }
+
+        try {
+            const entry = await this.htmlArchive.store(html, { plz, month, url });
+            return entry ? entry.ref : null;
+        } catch (error) {
+            console.warn(`    ⚠️  Could not archive HTML for ${plz}: ${error.message}`);
+            return null;
+        }
+    }
+
     /**
      * Improved HTTP request handling with better error classification
      */
@@ -330,17 +354,20 @@ class StromauskunftAdapter extends ISourceAdapter {
     /**
      * Create structured result for validation failures
      */
-    createValidationFailedResult(cityName, plz, url, validation, extractionResult) {
+    createValidationFailedResult(cityName, plz, url, validation, extractionResult, htmlArchiveRef = null) {
         return {
             plz: plz,
             city_name: cityName,
             lokaler_versorger_price: extractionResult.lokaler_versorger_price,
             oekostrom_price: extractionResult.oekostrom_price,
             average_price: extractionResult.average_price,
+            lokaler_versorger_confidence: extractionResult.lokaler_versorger_confidence,
+            oekostrom_confidence: extractionResult.oekostrom_confidence,
             data_source: 'VALIDATION_FAILED',
             error_type: 'validation_failed',
             error_message: validation.issues.join('; '),
             source_url: url,
+            html_archive_ref: htmlArchiveRef,
             extraction_method: extractionResult.extraction_method,
             extraction_details: extractionResult.extraction_details,
             scraping_duration: 0,
@@ -0,0 +1,241 @@
+/**
+ * Stromvergleich.de Source Adapter
+ * Second comparison portal, scraped to cross-check the stromauskunft prices.
+ * Rows are stored with source_name 'stromvergleich' next to the stromauskunft rows.
+ */
+
+const { ISourceAdapter } = require('../interfaces');
+const axios = require('axios');
+const cheerio = require('cheerio');
+
+const SOURCE_NAME = 'stromvergleich';
+
+class StromvergleichAdapter extends ISourceAdapter {
+    constructor(config, priceExtractor, htmlArchive = null) {
+        super(config);
+        this.sourceConfig = config.getSourceConfig(SOURCE_NAME);
+        this.httpConfig = config.getHttpConfig();
+        this.priceExtractor = priceExtractor;
+        this.htmlArchive = htmlArchive;
+
+        this.requestCount = 0;
+        this.successCount = 0;
+        this.errorCount = 0;
+        this.notFoundCount = 0;
+    }
+
+    /**
+     * Scrape the PLZ page of a city
+     */
+    async scrapeCity(cityName, plz, month = this.config.getCurrentMonth()) {
+        const startTime = Date.now();
+        this.requestCount++;
+
+        try {
+            const url = this.buildUrl(cityName, plz);
+            console.log(`🌐 Requesting: ${url}`);
+
+            const response = await this.makeRequest(url);
+            if (!response) {
+                this.notFoundCount++;
+                console.log(`    ⚠️  No page for ${cityName} (${plz})`);
+                return this.createResult(cityName, plz, url, {
+                    data_source: 'NOT_FOUND',
+                    error_type: 'not_found',
+                    error_message: 'PLZ page not found'
+                });
+            }
+
+            const htmlArchiveRef = await this.archiveHtml(response.data, plz, month, url);
+
+            const $ = cheerio.load(response.data);
+            const extractionResult = this.priceExtractor.extractPrices(response.data, $.text(), url);
+
+            const validation = this.validateResponse(extractionResult);
+            if (!validation.success) {
+                console.log(`    ❌ Validation failed: ${validation.issues.join(', ')}`);
+                return this.createResult(cityName, plz, url, {
+                    ...extractionResult,
+                    data_source: 'VALIDATION_FAILED',
+                    error_type: 'validation_failed',
+                    error_message: validation.issues.join('; '),
+                    html_archive_ref: htmlArchiveRef
+                });
+            }
+
+            this.successCount++;
+            console.log(`    ✅ Success: Found ${extractionResult.extraction_method} prices`);
+
+            return this.createResult(cityName, plz, url, {
+                ...extractionResult,
+                data_source: 'ORIGINAL',
+                distance_km: 0,
+                html_archive_ref: htmlArchiveRef,
+                scraping_duration: Date.now() - startTime
+            });
+
+        } catch (error) {
+            this.errorCount++;
+            console.error(`❌ Error scraping ${cityName} (${plz}) from ${SOURCE_NAME}: ${error.message}`);
+            return this.createResult(cityName, plz, null, {
+                data_source: 'ERROR',
+                error_type: 'scraping_failed',
+                error_message: error.message
+            });
+        }
+    }
+
+    /**
+     * Store the raw page in the HTML archive (failures never fail the scrape)
+     */
+    async archiveHtml(html, plz, month, url) {
+        if (!this.htmlArchive || typeof html !== 'string') {
+            return null;
+        }
+
+        try {
+            const entry = await this.htmlArchive.store(html, { plz, month, url });
+            return entry ? entry.ref : null;
+        } catch (error) {
+            console.warn(`    ⚠️  Could not archive HTML for ${plz}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * HTTP GET; resolves to null for 404 pages
+     */
+    async makeRequest(url) {
+        try {
+            const response = await axios.get(url, {
+                timeout: this.httpConfig.timeout,
+                headers: {
+                    ...this.httpConfig.headers,
+                    'User-Agent': this.httpConfig.userAgent
+                },
+                maxRedirects: 5
+            });
+
+            if (!response || !response.data) {
+                return null;
+            }
+
+            if (!this.isValidPricePage(response.data)) {
+                throw new Error('Page does not appear to be a stromvergleich price page');
+            }
+
+            return response;
+
+        } catch (error) {
+            if (error.response && error.response.status === 404) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * A price page mentions kWh and the basic supply tariff
+     */
+    isValidPricePage(html) {
+        const pageText = String(html).toLowerCase();
+        return pageText.includes('kwh') && pageText.includes('grundversorgung');
+    }
+
+    /**
+     * At least one price within the configured range
+     */
+    validateResponse(data) {
+        const issues = [];
+
+        if (!data) {
+            return { success: false, issues: ['No extraction result returned'] };
+        }
+
+        if (!data.lokaler_versorger_price && !data.oekostrom_price) {
+            issues.push(data.error_message || 'No valid prices found');
+        }
+
+        for (const field of ['lokaler_versorger_price', 'oekostrom_price']) {
+            if (data[field] && !this.config.isValidPrice(data[field])) {
+                issues.push(`Invalid ${field}: ${data[field]}`);
+            }
+        }
+
+        return { success: issues.length === 0, issues };
+    }
+
+    /**
+     * Build the PLZ page URL: <baseUrl><plz>-<city>
+     */
+    buildUrl(cityName, plz = null) {
+        const normalized = this.normalizeCityName(cityName);
+        const path = plz ? `${plz}-${normalized}` : normalized;
+        return `${this.sourceConfig.baseUrl}${path}${this.sourceConfig.urlSuffix || ''}`;
+    }
+
+    /**
+     * Lowercase, umlauts transliterated, everything else as dashes
+     */
+    normalizeCityName(cityName) {
+        return cityName
+            .toLowerCase()
+            .replace(/ä/g, 'ae')
+            .replace(/ö/g, 'oe')
+            .replace(/ü/g, 'ue')
+            .replace(/ß/g, 'ss')
+            .replace(/[^a-z0-9]/g, '-')
+            .replace(/-+/g, '-')
+            .replace(/^-|-$/g, '');
+    }
+
+    /**
+     * Common result shape, tagged with this source
+     */
+    createResult(cityName, plz, url, fields) {
+        return {
+            plz,
+            city_name: cityName,
+            lokaler_versorger_price: null,
+            oekostrom_price: null,
+            average_price: null,
+            extraction_method: 'failed',
+            scraping_duration: 0,
+            ...fields,
+            source_name: SOURCE_NAME,
+            source_url: url,
+            adapter: SOURCE_NAME
+        };
+    }
+
+    getSourceInfo() {
+        const totalRequests = this.requestCount;
+
+        return {
+            name: 'Stromvergleich.de',
+            sourceName: SOURCE_NAME,
+            baseUrl: this.sourceConfig.baseUrl,
+            version: '1.0',
+            adapter: 'StromvergleichAdapter',
+            features: [
+                'plz_based_urls',
+                'json_ld_offers',
+                'tariff_table_fallback',
+                'extraction_confidence'
+            ],
+            configuration: {
+                timeout: this.httpConfig.timeout,
+                extractionStrategies: this.sourceConfig.priceExtractionStrategies
+            },
+            performance: {
+                totalRequests,
+                successfulRequests: this.successCount,
+                failedRequests: this.errorCount,
+                notFound: this.notFoundCount,
+                successRate: totalRequests > 0 ? (this.successCount / totalRequests * 100).toFixed(1) + '%' : 'N/A'
+            }
+        };
+    }
+}
+
+module.exports = StromvergleichAdapter;
@@ -0,0 +1,160 @@
+/**
+ * HTML Archive Module
+ * Implements IHtmlArchive with a content-addressed local archive of gzipped pages
+ *
+ * Layout: <directory>/<YYYY-MM>/<plz>/<sha256>.html.gz
+ * The relative path is the archive reference stored on the price row.
+ */
+
+const { IHtmlArchive } = require('../interfaces');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const REF_PATTERN = /^(\d{4}-\d{2})\/(\d{5})\/([a-f0-9]{64})\.html\.gz$/;
+
+class HtmlArchive extends IHtmlArchive {
+    constructor(config) {
+        super(config);
+        this.archiveConfig = config.getArchiveConfig();
+        this.enabled = this.archiveConfig.enabled;
+        this.directory = path.resolve(process.cwd(), this.archiveConfig.directory);
+
+        this.stats = {
+            stored: 0,
+            deduplicated: 0,
+            failed: 0,
+            bytes: 0,
+            compressedBytes: 0
+        };
+    }
+
+    /**
+     * Store a raw page, compressed and keyed by month, PLZ and content hash.
+     * Identical content for the same PLZ and month is written only once.
+     */
+    async store(html, { plz, month }) {
+        if (!this.enabled) {
+            return null;
+        }
+
+        try {
+            const hash = this.hashContent(html);
+            const ref = this.buildRef(plz, month, hash);
+            const filePath = this.resolveRef(ref);
+            const bytes = Buffer.byteLength(html, 'utf8');
+
+            if (fs.existsSync(filePath)) {
+                this.stats.deduplicated++;
+                return { ref, hash, bytes, stored: false };
+            }
+
+            const compressed = await gzip(html, { level: this.archiveConfig.compressionLevel });
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+            // Write to a temporary file first so a crash never leaves a truncated entry behind
+            const tempPath = `${filePath}.${process.pid}.tmp`;
+            await fs.promises.writeFile(tempPath, compressed);
+            await fs.promises.rename(tempPath, filePath);
+
+            this.stats.stored++;
+            this.stats.bytes += bytes;
+            this.stats.compressedBytes += compressed.length;
+
+            return { ref, hash, bytes, compressed_bytes: compressed.length, stored: true };
+        } catch (error) {
+            this.stats.failed++;
+            throw error;
+        }
+    }
+
+    /**
+     * Load a stored page and verify it against its content hash
+     */
+    async load(ref) {
+        const { hash } = this.parseRef(ref);
+        const compressed = await fs.promises.readFile(this.resolveRef(ref));
+        const html = (await gunzip(compressed)).toString('utf8');
+
+        if (this.hashContent(html) !== hash) {
+            throw new Error(`Archived page ${ref} does not match its content hash`);
+        }
+
+        return html;
+    }
+
+    /**
+     * List stored pages of a month
+     */
+    async list(month) {
+        const monthKey = this.toMonthKey(month);
+        const monthDir = path.join(this.directory, monthKey);
+
+        if (!fs.existsSync(monthDir)) {
+            return [];
+        }
+
+        const entries = [];
+        const plzDirs = await fs.promises.readdir(monthDir);
+
+        for (const plz of plzDirs.sort()) {
+            const files = await fs.promises.readdir(path.join(monthDir, plz));
+
+            for (const file of files.sort()) {
+                const ref = `${monthKey}/${plz}/${file}`;
+                if (REF_PATTERN.test(ref)) {
+                    entries.push({ ref, ...this.parseRef(ref) });
+                }
+            }
+        }
+
+        return entries;
+    }
+
+    // === REFERENCE HELPERS ===
+
+    hashContent(html) {
+        return crypto.createHash('sha256').update(html, 'utf8').digest('hex');
+    }
+
+    buildRef(plz, month, hash) {
+        return `${this.toMonthKey(month)}/${plz}/${hash}.html.gz`;
+    }
+
+    parseRef(ref) {
+        const match = REF_PATTERN.exec(ref || '');
+        if (!match) {
+            throw new Error(`Invalid archive reference: ${ref}`);
+        }
+
+        return { month: `${match[1]}-01`, plz: match[2], hash: match[3] };
+    }
+
+    resolveRef(ref) {
+        this.parseRef(ref);
+        return path.join(this.directory, ref);
+    }
+
+    toMonthKey(month) {
+        const monthKey = String(month || '').substring(0, 7);
+        if (!/^\d{4}-\d{2}$/.test(monthKey)) {
+            throw new Error(`Invalid archive month: ${month}`);
+        }
+        return monthKey;
+    }
+
+    getStats() {
+        return {
+            enabled: this.enabled,
+            directory: this.directory,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = HtmlArchive;
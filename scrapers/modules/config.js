@@ -87,6 +87,7 @@ class ScraperConfig {
 
             // === DATABASE SETTINGS ===
             database: {
+                backend: process.env.DATABASE_BACKEND || 'supabase', // Storage module: supabase or postgres (DATABASE_URL)
                 batchSize: parseInt(process.env.DB_BATCH_SIZE) || 50, // Reduced for better error handling
                 enableSessionTracking: true,
                 autoMonthDetection: true,
@@ -129,7 +130,15 @@ class ScraperConfig {
                 performanceLogging: true
             },
 
+            // === RAW HTML ARCHIVE SETTINGS ===
+            archive: {
+                enabled: process.env.HTML_ARCHIVE_ENABLED !== 'false',
+                directory: process.env.HTML_ARCHIVE_DIR || 'archive/html', // Relative to the working directory
+                compressionLevel: 9
+            },
+
             // === ENHANCED SOURCE-SPECIFIC SETTINGS ===
+            activeSource: 'stromauskunft',  // Source being scraped, stored as source_name (set by ScraperFactory)
             sources: {
                 stromauskunft: {
                     baseUrl: 'https://www.stromauskunft.de/de/stadt/stromanbieter-in-',
@@ -140,6 +149,13 @@ class ScraperConfig {
                         medium: ['tableStandard', 'regexStandard', 'tableFirst'],
                         large: ['tableComplex', 'regexAdvanced', 'tableStandard']
                     },
+                    // Consensus mode: run every strategy of the class and accept a price only when
+                    // `quorum` strategies agree within `tolerance` (EUR/kWh); otherwise it needs review
+                    consensusExtraction: {
+                        small: { enabled: false, quorum: 2, tolerance: 0.005 },
+                        medium: { enabled: false, quorum: 2, tolerance: 0.005 },
+                        large: { enabled: true, quorum: 2, tolerance: 0.005 }
+                    },
                     enableOutlierValidation: true,
                     maxValidationAttempts: 2,
                     // New: Analysis-based settings
@@ -158,6 +174,18 @@ class ScraperConfig {
                         trackComplexity: true,
                         adaptStrategies: true
                     }
+                },
+                // Second comparison portal, used to cross-check stromauskunft prices
+                stromvergleich: {
+                    baseUrl: 'https://www.stromvergleich.de/strompreise/',
+                    urlSuffix: '',              // Pages are addressed by PLZ: <baseUrl><plz>-<city>
+                    priceExtractionStrategies: ['structuredData', 'tariffTable', 'labelText'],
+                    strategyReliability: {
+                        structuredData: 0.95,   // JSON-LD offers with explicit unit
+                        tariffTable: 0.85,
+                        labelText: 0.7
+                    },
+                    maxLabelDistance: 120       // Characters searched after a text label
                 }
             },
 
@@ -187,9 +215,58 @@ class ScraperConfig {
                     }
                 },
                 extractionQuality: {
-                    minimumConfidence: 0.7,
+                    minimumConfidence: 0.7,     // Prices below this confidence are rejected
                     requireMethodLogging: true,
-                    validateDOMStructure: true
+                    validateDOMStructure: true,
+                    // Per-price confidence = weighted sum of these factors (0-1 each)
+                    confidenceWeights: {
+                        strategy: 0.3,          // Reliability of the strategy that found the price
+                        proximity: 0.2,         // Keyword and price in the same row / close together
+                        format: 0.2,            // Explicit Cent/Euro unit vs. guessed
+                        agreement: 0.3          // Other strategies found the same price
+                    },
+                    strategyReliability: {
+                        tableStandard: 0.9,
+                        tableComplex: 0.9,
+                        tableFirst: 0.85,
+                        tableSimple: 0.8,
+                        regexStandard: 0.7,
+                        regexAdvanced: 0.65,
+                        regexSimple: 0.6
+                    },
+                    agreementTolerance: 0.001   // EUR/kWh
+                },
+                // Cross-source reconciliation: relative spread (max - min) / min per PLZ and price type
+                reconciliation: {
+                    spreadThresholds: {
+                        high: 0.05,             // Sources differ by 5% - flagged
+                        veryHigh: 0.10,         // 10% - one source is probably wrong
+                        extreme: 0.25           // 25% - likely an extraction error
+                    }
+                },
+                // Robust outlier detection after scraping: modified z-score 0.6745 * (price - median) / MAD
+                // against the PLZ's geographic neighbours and against its own previous months
+                robustOutlierDetection: {
+                    enabled: true,
+                    neighbourRadiusKm: 30,
+                    maxNeighbours: 20,          // Closest PLZs within the radius
+                    minNeighbours: 5,           // Fewer neighbours - no neighbour check
+                    historyMonths: 6,
+                    minHistoryMonths: 3,        // Fewer previous months - no history check
+                    minMadRatio: 0.02,          // MAD floor as share of the median (identical prices give MAD 0)
+                    zScoreThresholds: {
+                        high: 3.5,              // Iglewicz/Hoaglin outlier cut-off
+                        veryHigh: 6
+                    }
+                },
+                // Month-over-month jumps of newly scraped prices (queued in price_review_queue)
+                temporalAnomalyDetection: {
+                    enabled: true,
+                    lookbackMonths: 3,          // Previous months of the PLZ; their median is the baseline
+                    jumpThresholds: {
+                        high: 0.30,             // Change vs. baseline (share) - queued for review
+                        veryHigh: 0.60          // Almost always an extraction error, not a tariff change
+                    }
                 }
             },
 
@@ -253,14 +330,42 @@ class ScraperConfig {
         return this.config.logging;
     }
 
+    getArchiveConfig() {
+        return this.config.archive;
+    }
+
     getSourceConfig(sourceName) {
         return this.config.sources[sourceName] || {};
     }
 
+    getActiveSource() {
+        return this.config.activeSource;
+    }
+
     getQualityConfig() {
         return this.config.quality;
     }
 
+    getExtractionQualityConfig() {
+        return this.config.quality.extractionQuality;
+    }
+
+    getReconciliationConfig() {
+        return this.config.quality.reconciliation;
+    }
+
+    getRobustOutlierConfig() {
+        return this.config.quality.robustOutlierDetection;
+    }
+
+    getTemporalAnomalyConfig() {
+        return this.config.quality.temporalAnomalyDetection;
+    }
+
+    getSourceNames() {
+        return Object.keys(this.config.sources);
+    }
+
     getCityClassQuality(cityClass) {
         return this.config.quality.cityClassSpecificValidation[cityClass] || {};
     }
@@ -289,6 +394,12 @@ class ScraperConfig {
                sourceConfig.priceExtractionStrategies.medium; // Fallback
     }
 
+    getConsensusConfig(cityClass) {
+        const sourceConfig = this.getSourceConfig('stromauskunft');
+        const consensus = sourceConfig.consensusExtraction || {};
+        return consensus[cityClass] || { enabled: false };
+    }
+
     getExpectedSuccessRate(cityClass) {
         return this.config.analysis.expectedSuccessRates[cityClass] || 0.5;
     }
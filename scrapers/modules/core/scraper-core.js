@@ -19,6 +19,8 @@ class ScraperCore {
         this.databaseStorage = null;
         this.stateManager = null;
         this.geographicCompletion = null;
+        this.outlierDetector = null;
+        this.anomalyDetector = null;
 
         // Session state
         this.sessionState = {
@@ -30,7 +32,8 @@ class ScraperCore {
             errors: [],
             startTime: null,
             currentMonth: this.config.getCurrentMonth(),
-            configuration: this.config.toJSON()
+            configuration: this.config.toJSON(),
+            qualityReport: null
         };
 
         // Statistics
@@ -40,6 +43,8 @@ class ScraperCore {
             successfulExtractions: 0,
             failedExtractions: 0,
             outliersDetected: 0,
+            statisticalOutliers: 0,
+            temporalAnomalies: 0,
             validatedOutliers: 0,
             fallbackDataUsed: 0
         };
@@ -56,7 +61,9 @@ class ScraperCore {
         qualityValidator,
         databaseStorage,
         stateManager,
-        geographicCompletion
+        geographicCompletion,
+        outlierDetector,
+        anomalyDetector
     }) {
         this.sourceAdapter = sourceAdapter;
         this.priceExtractor = priceExtractor;
@@ -64,6 +71,8 @@ class ScraperCore {
         this.databaseStorage = databaseStorage;
         this.stateManager = stateManager;
         this.geographicCompletion = geographicCompletion;
+        this.outlierDetector = outlierDetector || null;
+        this.anomalyDetector = anomalyDetector || null;
 
         this.validateModules();
         console.log('✅ All modules injected successfully');
@@ -118,6 +127,11 @@ class ScraperCore {
                 await this.completeGeographicData(citiesData);
             }
 
+            // Compare the month's prices with their neighbours and history
+            if (this.config.getQualityConfig().enableOutlierDetection && this.outlierDetector && this.outlierDetector.isEnabled()) {
+                await this.detectStatisticalOutliers();
+            }
+
             // Finalize session
             await this.finalizeSession();
 
@@ -366,7 +380,8 @@ class ScraperCore {
                 // Use source adapter to scrape
                 const scrapingResult = await this.sourceAdapter.scrapeCity(
                     city.normalizedName || city.cityName, 
-                    city.plz
+                    city.plz,
+                    this.sessionState.currentMonth
                 );
 
                 if (!scrapingResult) {
@@ -380,7 +395,23 @@ class ScraperCore {
                 }
 
                 // Quality validation and outlier detection
-                const qualityResult = await this.performQualityValidation(scrapingResult, city);
+                const { validation: priceValidation, ...qualityResult } =
+                    await this.performQualityValidation(scrapingResult, city);
+
+                if (!priceValidation.valid) {
+                    console.log(`    ❌ Rejected by quality validation: ${priceValidation.issues.join('; ')}`);
+                    return {
+                        success: false,
+                        error: {
+                            city: city.cityName,
+                            plz: city.plz,
+                            message: priceValidation.issues.join('; '),
+                            type: 'quality_rejected',
+                            url: scrapingResult.source_url || this.sourceAdapter.buildUrl(city.normalizedName || city.cityName),
+                            retry_count: retryCount
+                        }
+                    };
+                }
 
                 // Prepare final result
                 const finalResult = {
@@ -443,16 +474,20 @@ class ScraperCore {
 
     /**
      * Perform quality validation on scraped data
+     * Prices rejected by the validator (e.g. low extraction confidence) are returned as null,
+     * the validation outcome itself under `validation` (not stored)
      */
     async performQualityValidation(scrapingResult, city) {
         try {
             // Basic price validation
             const validationResult = this.qualityValidator.validatePriceData(scrapingResult);
+            const rejectedPrices = this.dropRejectedPrices(scrapingResult, validationResult.rejected_prices || []);
+            const prices = { ...scrapingResult, ...rejectedPrices };
 
             // Outlier detection
             const outlierResult = this.qualityValidator.detectOutliers(
-                scrapingResult.lokaler_versorger_price,
-                scrapingResult.oekostrom_price
+                prices.lokaler_versorger_price,
+                prices.oekostrom_price
             );
 
             // Attempt outlier validation if needed
@@ -471,11 +506,18 @@ class ScraperCore {
             }
 
             return {
+                ...rejectedPrices,
                 is_outlier: outlierResult.hasOutliers,
                 outlier_severity: outlierResult.severity,
+                outlier_reason: outlierResult.reasons.length > 0 ? outlierResult.reasons.join('; ') : null,
                 validation_attempted: outlierValidation.validation_attempted,
                 validation_successful: outlierValidation.validation_successful,
-                quality_score: validationResult.quality_score || 1.0
+                quality_score: validationResult.quality_score || 1.0,
+                validation: {
+                    valid: validationResult.valid,
+                    issues: validationResult.issues,
+                    rejected_prices: validationResult.rejected_prices || []
+                }
             };
 
         } catch (error) {
@@ -483,13 +525,38 @@ class ScraperCore {
             return {
                 is_outlier: false,
                 outlier_severity: 'normal',
+                outlier_reason: null,
                 validation_attempted: false,
                 validation_successful: false,
-                quality_score: 0.5 // Reduced quality due to validation error
+                quality_score: 0.5, // Reduced quality due to validation error
+                validation: { valid: true, issues: [], rejected_prices: [] }
             };
         }
     }
 
+    /**
+     * Null out rejected prices and recalculate the average
+     * @returns {Object} Price fields to override (empty if nothing was rejected)
+     */
+    dropRejectedPrices(scrapingResult, rejectedPrices) {
+        if (rejectedPrices.length === 0) return {};
+
+        const prices = {
+            lokaler_versorger_price: scrapingResult.lokaler_versorger_price,
+            oekostrom_price: scrapingResult.oekostrom_price
+        };
+        for (const field of rejectedPrices) {
+            prices[field] = null;
+            console.log(`    ⚠️  Dropping ${field} (${scrapingResult[field]}) - rejected by quality validation`);
+        }
+
+        prices.average_price = prices.lokaler_versorger_price && prices.oekostrom_price
+            ? (prices.lokaler_versorger_price + prices.oekostrom_price) / 2
+            : null;
+
+        return prices;
+    }
+
     /**
      * Complete geographic data using fallback
      */
@@ -551,6 +618,29 @@ class ScraperCore {
         this.stats.fallbackDataUsed = completedCount;
     }
 
+    /**
+     * Month-wide outlier pass over the stored rows (neighbour and history z-scores)
+     * Runs after geographic completion, so every scraped row of the month is compared
+     */
+    async detectStatisticalOutliers() {
+        try {
+            console.log('\n📐 Starting statistical outlier detection...');
+
+            // Rows still waiting in a storage batch must be in the database first
+            if (typeof this.databaseStorage.forceBatchFlush === 'function') {
+                await this.databaseStorage.forceBatchFlush(this.sessionState.sessionId);
+            }
+
+            const result = await this.outlierDetector.runMonth(this.databaseStorage, this.sessionState.currentMonth);
+            this.stats.statisticalOutliers = result.outliers;
+
+            console.log(`📐 Statistical outlier detection finished: ${result.outliers}/${result.checked} outliers, ${result.written} rows updated`);
+
+        } catch (error) {
+            console.warn('⚠️  Statistical outlier detection failed:', error.message);
+        }
+    }
+
     /**
      * Save progress after batch completion
      */
@@ -584,11 +674,82 @@ class ScraperCore {
         }
     }
 
+    /**
+     * Compare the session's new rows with their PLZs' previous months and queue implausible jumps for review
+     * @returns {Array} Queued anomalies (empty if the detector is disabled or the pass failed)
+     */
+    async detectTemporalAnomalies() {
+        if (!this.anomalyDetector || !this.anomalyDetector.isEnabled()) {
+            return [];
+        }
+
+        try {
+            console.log('\n📈 Checking month-over-month price changes...');
+
+            // Rows still waiting in a storage batch must be in the database first
+            if (typeof this.databaseStorage.forceBatchFlush === 'function') {
+                await this.databaseStorage.forceBatchFlush(this.sessionState.sessionId);
+            }
+
+            const result = await this.anomalyDetector.runMonth(this.databaseStorage, this.sessionState.currentMonth, {
+                plzs: new Set(this.sessionState.results.map(r => r.plz)),
+                sessionId: this.sessionState.sessionId
+            });
+            this.stats.temporalAnomalies = result.anomalies.length;
+
+            console.log(`📈 Month-over-month check finished: ${result.anomalies.length} jumps in ${result.checked} rows, ${result.queued} queued for review`);
+            result.anomalies.slice(0, 10).forEach(anomaly => {
+                console.log(`   🚩 ${anomaly.city_name} (${anomaly.plz}) [${anomaly.severity}]: ${anomaly.reason}`);
+            });
+
+            return result.anomalies;
+
+        } catch (error) {
+            console.warn('⚠️  Month-over-month check failed:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Recalculate the month's monthly_quality_metrics row (served by /average, /coverage and /quality)
+     * Runs last, after every pass that changes stored rows
+     */
+    async updateMonthlyQualityMetrics() {
+        try {
+            // Rows still waiting in a storage batch must be in the database first
+            if (typeof this.databaseStorage.forceBatchFlush === 'function') {
+                await this.databaseStorage.forceBatchFlush(this.sessionState.sessionId);
+            }
+
+            const metrics = await this.databaseStorage.updateMonthlyQualityMetrics(this.sessionState.currentMonth);
+            if (metrics) {
+                console.log(`📊 Quality metrics updated: ${metrics.total_plz_count} PLZs, ${metrics.coverage_percentage}% original, ${metrics.outlier_count} outliers`);
+            }
+
+            return metrics;
+
+        } catch (error) {
+            console.warn('⚠️  Quality metrics update failed:', error.message);
+            return null;
+        }
+    }
+
     /**
      * Finalize scraping session
      */
     async finalizeSession() {
         try {
+            // Post-scrape pass: month-over-month jumps go to the review queue and the quality report
+            const temporalAnomalies = await this.detectTemporalAnomalies();
+            if (this.sessionState.results.length > 0) {
+                this.sessionState.qualityReport = this.qualityValidator.generateQualityReport(
+                    this.sessionState.results,
+                    temporalAnomalies
+                );
+            }
+
+            await this.updateMonthlyQualityMetrics();
+
             // Complete database session
             if (this.sessionState.sessionId) {
                 await this.databaseStorage.updateSession(this.sessionState.sessionId, {
@@ -596,7 +757,9 @@ class ScraperCore {
                     status: 'completed',
                     successful_cities: this.sessionState.results.length,
                     failed_cities: this.sessionState.errors.length,
-                    notes: 'Scraping completed successfully'
+                    notes: temporalAnomalies.length > 0
+                        ? `Scraping completed successfully (${temporalAnomalies.length} month-over-month jumps queued for review)`
+                        : 'Scraping completed successfully'
                 });
             }
 
@@ -673,6 +836,8 @@ class ScraperCore {
         console.log(`Failed extractions: ${this.sessionState.errors.length}`);
         console.log(`Success rate: ${successRate}%`);
         console.log(`Fallback data used: ${this.stats.fallbackDataUsed}`);
+        console.log(`Statistical outliers (neighbours/history): ${this.stats.statisticalOutliers}`);
+        console.log(`Month-over-month jumps queued for review: ${this.stats.temporalAnomalies}`);
         console.log(`Total duration: ${(duration / 1000 / 60).toFixed(1)} minutes`);
         console.log(`Data stored for month: ${this.sessionState.currentMonth}`);
         
@@ -683,6 +848,13 @@ class ScraperCore {
             console.log(`Validation attempted: ${outliers.filter(r => r.validation_attempted).length}`);
             console.log(`Successfully validated: ${outliers.filter(r => r.validation_successful).length}`);
         }
+
+        if (this.sessionState.qualityReport) {
+            console.log(`\n📋 Quality recommendations:`);
+            this.sessionState.qualityReport.recommendations.forEach(recommendation => {
+                console.log(`   • ${recommendation}`);
+            });
+        }
     }
 }
 
@@ -0,0 +1,274 @@
+/**
+ * Price Parser
+ * Shared price parsing and table extraction for every scraper, service and script
+ *
+ * All prices are returned in EUR/kWh. The unit (Cent/Euro) and the basis (per kWh,
+ * per year, per month) of every number are detected explicitly instead of guessed
+ * from pattern order, so German and English number formats parse the same everywhere.
+ */
+
+const DEFAULT_PRICE_RANGE = { min: 0.05, max: 2.0 };
+
+// Numbers without a unit above this are taken to be cents (27,35 -> 0.2735 EUR)
+const UNKNOWN_UNIT_CENT_THRESHOLD = 10;
+
+// Decimals kept when converting cents (avoids 38.91 / 100 = 0.38909999999999995)
+const EURO_DECIMALS = 6;
+
+// number, optional unit, optional "pro/je/im//" and basis
+const PRICE_PATTERN = /(\d+(?:[.,]\d+)*)\s*(Cent|ct|Euro|EUR|€)?(?![a-zäöüß])\.?\s*(?:(pro|je|per|im|\/)\s*)?(kWh|Jahr|Monat)?/gi;
+
+/**
+ * Parse a number in German or English notation
+ * "1.147,00" -> 1147, "40,12" -> 40.12, "0.3891" -> 0.3891, "2.500" -> 2500
+ * @param {string} text - Digits with optional ',' and '.' separators
+ * @returns {number|null} Parsed number or null
+ */
+function parseGermanNumber(text) {
+    if (text === null || text === undefined) return null;
+
+    const value = String(text).trim().replace(/\s/g, '');
+    if (!/^\d+(?:[.,]\d+)*$/.test(value)) return null;
+
+    const lastComma = value.lastIndexOf(',');
+    const lastDot = value.lastIndexOf('.');
+    let normalized = value;
+
+    if (lastComma !== -1 && lastDot !== -1) {
+        // Both separators: the last one is the decimal separator
+        normalized = lastComma > lastDot
+            ? value.replace(/\./g, '').replace(',', '.')
+            : value.replace(/,/g, '');
+    } else if (lastComma !== -1) {
+        normalized = value.split(',').length > 2
+            ? value.replace(/,/g, '')
+            : value.replace(',', '.');
+    } else if (lastDot !== -1) {
+        // A single dot followed by a 3-digit group is a German thousands separator ("2.500")
+        const parts = value.split('.');
+        const isThousands = parts.length > 2 ||
+            (parts[1].length === 3 && parts[0] !== '0');
+        if (isThousands) {
+            normalized = value.replace(/\./g, '');
+        }
+    }
+
+    const number = parseFloat(normalized);
+    return isNaN(number) ? null : number;
+}
+
+/**
+ * Detect the currency unit of a price
+ * @param {string} unitText - Unit text following the number
+ * @returns {string|null} 'cent', 'euro' or null when unknown
+ */
+function detectUnit(unitText) {
+    if (!unitText) return null;
+    const unit = unitText.toLowerCase();
+    if (unit === 'cent' || unit === 'ct') return 'cent';
+    return 'euro';
+}
+
+/**
+ * Detect what a price refers to
+ * @param {string} connector - "pro", "je", "/", ... or empty
+ * @param {string} basisText - "kWh", "Jahr" or "Monat"
+ * @returns {string|null} 'kwh', 'year', 'month', 'consumption' ("2.500 kWh") or null
+ */
+function detectBasis(connector, basisText) {
+    if (!basisText) return null;
+    const basis = basisText.toLowerCase();
+    if (basis === 'jahr') return 'year';
+    if (basis === 'monat') return 'month';
+    return connector ? 'kwh' : 'consumption';
+}
+
+/**
+ * Convert a value to EUR
+ * @returns {Object} { price, format, converted }
+ */
+function toEuro(value, unit) {
+    const fromCents = Number((value / 100).toFixed(EURO_DECIMALS));
+
+    if (unit === 'cent') {
+        return { price: fromCents, format: 'cent', converted: true };
+    }
+    if (unit === 'euro') {
+        return { price: value, format: 'euro', converted: false };
+    }
+    if (value > UNKNOWN_UNIT_CENT_THRESHOLD) {
+        return { price: fromCents, format: 'unknown', converted: true };
+    }
+    return { price: value, format: 'unknown', converted: false };
+}
+
+/**
+ * Find every number in a text that could be a price
+ * @param {string} text - Text to scan
+ * @returns {Array} Candidates { price, value, unit, basis, format, converted, original, index }
+ */
+function findPrices(text) {
+    if (!text) return [];
+
+    const candidates = [];
+    for (const match of String(text).matchAll(PRICE_PATTERN)) {
+        const value = parseGermanNumber(match[1]);
+        if (value === null) continue;
+
+        const unit = detectUnit(match[2]);
+        const basis = detectBasis(match[3], match[4]);
+
+        candidates.push({
+            ...toEuro(value, unit),
+            value,
+            unit,
+            basis,
+            original: match[0].trim(),
+            index: match.index
+        });
+    }
+
+    return candidates;
+}
+
+/**
+ * Check if a candidate is an EUR/kWh price within the range
+ * @param {Object} candidate - Candidate from findPrices
+ * @param {Object} options - { min, max, requirePerKwh }
+ * @returns {boolean} True if usable as a per-kWh price
+ */
+function isUsablePrice(candidate, options = {}) {
+    const { min = DEFAULT_PRICE_RANGE.min, max = DEFAULT_PRICE_RANGE.max, requirePerKwh = false } = options;
+
+    // Annual/monthly costs and consumption figures are never per-kWh prices
+    if (candidate.basis && candidate.basis !== 'kwh') return false;
+    if (requirePerKwh && candidate.basis !== 'kwh') return false;
+
+    return isValidPrice(candidate.price, { min, max });
+}
+
+/**
+ * Parse the most explicit per-kWh price in a text
+ * Candidates with "pro kWh" win over candidates with only a unit, which win over bare numbers.
+ * @param {string} text - Text such as "40,12 Cent pro kWh" or "0,2735 €/kWh"
+ * @param {Object} options - { min, max, requirePerKwh }
+ * @returns {Object|null} { price, value, unit, basis, format, converted, original, index } or null
+ */
+function parsePriceDetails(text, options = {}) {
+    const candidates = findPrices(text).filter(candidate => isUsablePrice(candidate, options));
+    if (candidates.length === 0) return null;
+
+    const rank = candidate => candidate.basis === 'kwh' ? 0 : candidate.unit ? 1 : 2;
+    return candidates.reduce((best, candidate) => rank(candidate) < rank(best) ? candidate : best);
+}
+
+/**
+ * Parse the per-kWh price in a text
+ * @param {string} text - Price text
+ * @param {Object} options - { min, max, requirePerKwh }
+ * @returns {number|null} Price in EUR/kWh or null
+ */
+function parsePrice(text, options = {}) {
+    const details = parsePriceDetails(text, options);
+    return details ? details.price : null;
+}
+
+/**
+ * Check if a text contains a price (a number with a currency unit or "pro kWh")
+ * @param {string} text - Text to check
+ * @returns {boolean} True if a price is present
+ */
+function containsPrice(text) {
+    return findPrices(text).some(candidate => candidate.unit || candidate.basis === 'kwh');
+}
+
+/**
+ * Find the first per-kWh price after a label
+ * Searches the rest of the label's line, or the next maxDistance characters when given.
+ * @param {string} text - Page text
+ * @param {RegExp} label - Label such as /Grundversorger[:\s]/i
+ * @param {Object} options - { min, max, maxDistance }
+ * @returns {Object|null} Price details plus the matched label and its distance to the price (characters), or null
+ */
+function findPriceAfterLabel(text, label, options = {}) {
+    if (!text) return null;
+
+    const flags = label.flags.includes('g') ? label.flags : label.flags + 'g';
+    const labelPattern = new RegExp(label.source, flags);
+
+    for (const match of String(text).matchAll(labelPattern)) {
+        const start = match.index + match[0].length;
+        const lineEnd = text.indexOf('\n', start);
+        const end = options.maxDistance ? start + options.maxDistance : (lineEnd === -1 ? undefined : lineEnd);
+        const rest = text.slice(start, end);
+
+        const candidate = findPrices(rest).find(price =>
+            price.basis === 'kwh' && isValidPrice(price.price, options)
+        );
+        if (candidate) {
+            return {
+                ...candidate,
+                label: match[0],
+                distance: candidate.index,
+                original: match[0] + rest.slice(0, candidate.index) + candidate.original
+            };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Validate a price against a range
+ * @param {number} price - Price in EUR/kWh
+ * @param {Object} range - { min, max }
+ * @returns {boolean} True if within range
+ */
+function isValidPrice(price, range = {}) {
+    const { min = DEFAULT_PRICE_RANGE.min, max = DEFAULT_PRICE_RANGE.max } = range;
+    return typeof price === 'number' && !isNaN(price) && price >= min && price <= max;
+}
+
+/**
+ * Collect the rows of the tables on a page
+ * @param {Function} $ - Cheerio root
+ * @param {Object} options - { firstTableOnly, cellSelector, skipTable(tableText) }
+ * @returns {Array} Rows { tableIndex, rowIndex, cells, firstCell, secondCell, rowText }
+ */
+function getTableRows($, options = {}) {
+    const { firstTableOnly = false, cellSelector = 'td', skipTable = null } = options;
+    const tables = firstTableOnly ? $('table').first() : $('table');
+    const rows = [];
+
+    tables.each((tableIndex, table) => {
+        if (skipTable && skipTable($(table).text())) return;
+
+        $(table).find('tr').each((rowIndex, row) => {
+            const cells = $(row).find(cellSelector).map((i, cell) => $(cell).text().trim()).get();
+            rows.push({
+                tableIndex,
+                rowIndex,
+                cells,
+                firstCell: cells[0] || '',
+                secondCell: cells[1] || '',
+                rowText: $(row).text().trim()
+            });
+        });
+    });
+
+    return rows;
+}
+
+module.exports = {
+    DEFAULT_PRICE_RANGE,
+    parseGermanNumber,
+    detectUnit,
+    findPrices,
+    isUsablePrice,
+    parsePriceDetails,
+    parsePrice,
+    containsPrice,
+    findPriceAfterLabel,
+    isValidPrice,
+    getTableRows
+};
@@ -6,12 +6,32 @@
 
 const { IPriceExtractor } = require('../interfaces');
 const cheerio = require('cheerio');
+const priceParser = require('./price-parser');
+
+// Confidence column for each price field
+const CONFIDENCE_FIELDS = {
+    lokaler_versorger_price: 'lokaler_versorger_confidence',
+    oekostrom_price: 'oekostrom_confidence'
+};
+
+// Strategies with their own extraction logic (tableFirst, regexSimple and regexAdvanced reuse these)
+const INDEPENDENT_STRATEGIES = ['tableSimple', 'tableStandard', 'tableComplex', 'regexStandard'];
+const STRATEGY_ALIASES = {
+    tableFirst: 'tableStandard',
+    regexSimple: 'regexStandard',
+    regexAdvanced: 'regexStandard'
+};
+
+// Characters between a regex label and its price at which the match gets no proximity credit
+const LABEL_PROXIMITY_RANGE = 200;
 
 class StromauskunftExtractor extends IPriceExtractor {
     constructor(config) {
         super(config);
         this.sourceConfig = config.getSourceConfig('stromauskunft');
         this.priceValidation = config.getPriceValidation();
+        this.priceRange = { min: this.priceValidation.minPrice, max: this.priceValidation.maxPrice };
+        this.extractionQuality = config.getExtractionQualityConfig();
         
         // Analysis-based city classification
         this.cityClassification = {
@@ -44,20 +64,26 @@ class StromauskunftExtractor extends IPriceExtractor {
 
             // Apply size-specific extraction strategies
             const strategies = this.getStrategiesForCityClass(cityClass.type);
+            const consensusConfig = this.config.getConsensusConfig(cityClass.type);
+            const strategyResults = {};
+            const priceSources = {}; // price field -> { strategy, field } it was taken from
             
             for (const strategy of strategies) {
                 console.log(`    🔍 Trying strategy: ${strategy} for ${cityClass.type} city`);
                 const strategyResult = this.applyExtractionStrategy(strategy, $, pageText, url, cityClass);
+                strategyResults[strategy] = strategyResult;
                 
                 // Update result with found prices
                 if (strategyResult.lokaler_versorger_price && !result.lokaler_versorger_price) {
                     result.lokaler_versorger_price = strategyResult.lokaler_versorger_price;
                     result.extraction_method = strategy;
+                    priceSources.lokaler_versorger_price = { strategy, field: 'lokaler_versorger_price' };
                 }
                 
                 if (strategyResult.oekostrom_price && !result.oekostrom_price) {
                     result.oekostrom_price = strategyResult.oekostrom_price;
                     if (!result.extraction_method) result.extraction_method = strategy;
+                    priceSources.oekostrom_price = { strategy, field: 'oekostrom_price' };
                 }
 
                 result.extraction_details.push({
@@ -68,17 +94,34 @@ class StromauskunftExtractor extends IPriceExtractor {
                         lokaler: !!strategyResult.lokaler_versorger_price,
                         oeko: !!strategyResult.oekostrom_price
                     },
+                    candidates: {
+                        lokaler_versorger_price: strategyResult.lokaler_versorger_price || null,
+                        oekostrom_price: strategyResult.oekostrom_price || null
+                    },
                     format_detected: strategyResult.format_detected,
                     details: strategyResult.details
                 });
 
-                // Break if we found both prices
-                if (result.lokaler_versorger_price && result.oekostrom_price) {
+                // Break if we found both prices (consensus mode needs every strategy's result)
+                if (!consensusConfig.enabled && result.lokaler_versorger_price && result.oekostrom_price) {
                     console.log(`    ✅ Both prices found using ${strategy}`);
                     break;
                 }
             }
 
+            result.review_status = 'none';
+            result.review_reason = null;
+
+            if (consensusConfig.enabled) {
+                const consensus = this.applyConsensus(result, strategies, strategyResults, priceSources, consensusConfig);
+                result.extraction_details.push({
+                    strategy: 'consensus',
+                    quorum: consensusConfig.quorum,
+                    tolerance: consensusConfig.tolerance,
+                    prices: consensus
+                });
+            }
+
             // Validate price logic: Grundversorger should be higher than cheapest tariff
             const validation = this.validatePriceLogic(result);
             if (!validation.valid) {
@@ -88,6 +131,8 @@ class StromauskunftExtractor extends IPriceExtractor {
                     const temp = result.lokaler_versorger_price;
                     result.lokaler_versorger_price = result.oekostrom_price;
                     result.oekostrom_price = temp;
+                    [priceSources.lokaler_versorger_price, priceSources.oekostrom_price] =
+                        [priceSources.oekostrom_price, priceSources.lokaler_versorger_price];
                     console.log(`    🔄 Swapped prices: Lokaler=${result.lokaler_versorger_price?.toFixed(3)}, Öko=${result.oekostrom_price?.toFixed(3)}`);
                     result.extraction_details.push({
                         strategy: 'price_logic_correction',
@@ -102,6 +147,14 @@ class StromauskunftExtractor extends IPriceExtractor {
                 result.average_price = ((result.lokaler_versorger_price + result.oekostrom_price) / 2);
             }
 
+            // Score each price so low-confidence extractions can be rejected by the quality validator
+            const confidence = this.calculateConfidence(result, priceSources, strategyResults, $, pageText, url, cityClass);
+            Object.assign(result, confidence.scores);
+            result.extraction_details.push({
+                strategy: 'confidence',
+                factors: confidence.factors
+            });
+
             return result;
 
         } catch (error) {
@@ -111,6 +164,10 @@ class StromauskunftExtractor extends IPriceExtractor {
                 oekostrom_price: null,
                 average_price: null,
                 extraction_method: 'failed',
+                lokaler_versorger_confidence: null,
+                oekostrom_confidence: null,
+                review_status: 'none',
+                review_reason: null,
                 error: error.message,
                 extraction_details: []
             };
@@ -161,6 +218,13 @@ class StromauskunftExtractor extends IPriceExtractor {
         }
     }
 
+    /**
+     * All extraction strategies of this extractor
+     */
+    getStrategies() {
+        return ['tableSimple', 'tableStandard', 'tableComplex', 'tableFirst', 'regexSimple', 'regexStandard', 'regexAdvanced'];
+    }
+
     /**
      * Apply specific extraction strategy with city class context
      */
@@ -192,20 +256,18 @@ class StromauskunftExtractor extends IPriceExtractor {
         let lokalerVersorgerPrice = null;
         let oekostromPrice = null;
         const details = [];
+        const evidence = {};
         let formatDetected = null;
 
-        $('table tr').each((i, row) => {
-            const cells = $(row).find('td');
+        priceParser.getTableRows($).forEach(({ cells, firstCell, secondCell }) => {
             if (cells.length >= 2) {
-                const firstCell = $(cells[0]).text().trim();
-                const secondCell = $(cells[1]).text().trim();
-                
                 // Simple keyword matching for small cities
                 if (this.hasLocalProviderKeyword(firstCell) && this.containsPriceInfo(secondCell)) {
                     const priceInfo = this.extractPriceFromText(secondCell);
                     if (priceInfo.price) {
                         lokalerVersorgerPrice = priceInfo.price;
                         formatDetected = priceInfo.format;
+                        evidence.lokaler_versorger_price = { format: priceInfo.format, proximity: 1 };
                         details.push(`Found lokaler: ${priceInfo.original} -> ${priceInfo.price}`);
                     }
                 }
@@ -215,6 +277,7 @@ class StromauskunftExtractor extends IPriceExtractor {
                     if (priceInfo.price) {
                         oekostromPrice = priceInfo.price;
                         formatDetected = priceInfo.format;
+                        evidence.oekostrom_price = { format: priceInfo.format, proximity: 1 };
                         details.push(`Found oeko: ${priceInfo.original} -> ${priceInfo.price}`);
                     }
                 }
@@ -226,7 +289,8 @@ class StromauskunftExtractor extends IPriceExtractor {
             lokaler_versorger_price: lokalerVersorgerPrice,
             oekostrom_price: oekostromPrice,
             format_detected: formatDetected,
-            details: details
+            details: details,
+            evidence
         };
     }
 
@@ -237,15 +301,11 @@ class StromauskunftExtractor extends IPriceExtractor {
         let lokalerVersorgerPrice = null;
         let oekostromPrice = null;
         const details = [];
+        const evidence = {};
         let formatDetected = null;
 
-        $('table tr').each((i, row) => {
-            const cells = $(row).find('td');
+        priceParser.getTableRows($).forEach(({ cells, firstCell, secondCell, rowText }) => {
             if (cells.length >= 2) {
-                const firstCell = $(cells[0]).text().trim();
-                const secondCell = $(cells[1]).text().trim();
-                const rowText = $(row).text().trim();
-                
                 // Skip comparison tables
                 if (this.shouldSkipRow(rowText, firstCell)) {
                     return;
@@ -257,6 +317,7 @@ class StromauskunftExtractor extends IPriceExtractor {
                     if (priceInfo.price && this.isValidPrice(priceInfo.price)) {
                         lokalerVersorgerPrice = priceInfo.price;
                         formatDetected = priceInfo.format;
+                        evidence.lokaler_versorger_price = { format: priceInfo.format, proximity: 1 };
                         details.push(`Found lokaler (baseline): ${firstCell} -> ${priceInfo.original} -> ${priceInfo.price}`);
                     }
                 }
@@ -266,6 +327,7 @@ class StromauskunftExtractor extends IPriceExtractor {
                     if (priceInfo.price && this.isValidPrice(priceInfo.price)) {
                         oekostromPrice = priceInfo.price;
                         formatDetected = priceInfo.format;
+                        evidence.oekostrom_price = { format: priceInfo.format, proximity: 1 };
                         details.push(`Found oeko (green): ${firstCell} -> ${priceInfo.original} -> ${priceInfo.price}`);
                     }
                 }
@@ -278,6 +340,8 @@ class StromauskunftExtractor extends IPriceExtractor {
                         if (!oekostromPrice) {
                             oekostromPrice = priceInfo.price;
                             formatDetected = priceInfo.format;
+                            // Same row, but the keyword only says "cheapest", not "Öko"
+                            evidence.oekostrom_price = { format: priceInfo.format, proximity: 0.5 };
                             details.push(`Found cheapest as oeko: ${firstCell} -> ${priceInfo.original} -> ${priceInfo.price}`);
                         }
                     }
@@ -290,7 +354,8 @@ class StromauskunftExtractor extends IPriceExtractor {
             lokaler_versorger_price: lokalerVersorgerPrice,
             oekostrom_price: oekostromPrice,
             format_detected: formatDetected,
-            details: details
+            details: details,
+            evidence
         };
     }
 
@@ -301,43 +366,37 @@ class StromauskunftExtractor extends IPriceExtractor {
         let lokalerVersorgerPrice = null;
         let oekostromPrice = null;
         const details = [];
+        const evidence = {};
         let formatDetected = null;
 
-        // For large cities, check multiple table structures
-        $('table').each((tableIndex, table) => {
-            const tableText = $(table).text();
-            
-            // Skip provider comparison tables
-            if (tableText.includes('Vergleich') || tableText.includes('Tarif')) {
-                return;
-            }
+        // For large cities, check multiple table structures and skip provider comparison tables
+        const rows = priceParser.getTableRows($, {
+            skipTable: tableText => tableText.includes('Vergleich') || tableText.includes('Tarif')
+        });
 
-            $(table).find('tr').each((i, row) => {
-                const cells = $(row).find('td');
-                if (cells.length >= 2) {
-                    const firstCell = $(cells[0]).text().trim();
-                    const secondCell = $(cells[1]).text().trim();
-                    
-                    // More sophisticated matching for complex layouts
-                    if (this.hasLocalProviderKeywordComplex(firstCell) && this.containsPriceInfo(secondCell)) {
-                        const priceInfo = this.extractPriceFromText(secondCell);
-                        if (priceInfo.price && this.isValidPrice(priceInfo.price) && !lokalerVersorgerPrice) {
-                            lokalerVersorgerPrice = priceInfo.price;
-                            formatDetected = priceInfo.format;
-                            details.push(`Found lokaler (table ${tableIndex}): ${firstCell} -> ${priceInfo.price}`);
-                        }
+        rows.forEach(({ tableIndex, cells, firstCell, secondCell }) => {
+            if (cells.length >= 2) {
+                // More sophisticated matching for complex layouts
+                if (this.hasLocalProviderKeywordComplex(firstCell) && this.containsPriceInfo(secondCell)) {
+                    const priceInfo = this.extractPriceFromText(secondCell);
+                    if (priceInfo.price && this.isValidPrice(priceInfo.price) && !lokalerVersorgerPrice) {
+                        lokalerVersorgerPrice = priceInfo.price;
+                        formatDetected = priceInfo.format;
+                        evidence.lokaler_versorger_price = { format: priceInfo.format, proximity: 1 };
+                        details.push(`Found lokaler (table ${tableIndex}): ${firstCell} -> ${priceInfo.price}`);
                     }
-                    
-                    if (this.hasGreenEnergyKeywordComplex(firstCell) && this.containsPriceInfo(secondCell)) {
-                        const priceInfo = this.extractPriceFromText(secondCell);
-                        if (priceInfo.price && this.isValidPrice(priceInfo.price) && !oekostromPrice) {
-                            oekostromPrice = priceInfo.price;
-                            formatDetected = priceInfo.format;
-                            details.push(`Found oeko (table ${tableIndex}): ${firstCell} -> ${priceInfo.price}`);
-                        }
+                }
+                
+                if (this.hasGreenEnergyKeywordComplex(firstCell) && this.containsPriceInfo(secondCell)) {
+                    const priceInfo = this.extractPriceFromText(secondCell);
+                    if (priceInfo.price && this.isValidPrice(priceInfo.price) && !oekostromPrice) {
+                        oekostromPrice = priceInfo.price;
+                        formatDetected = priceInfo.format;
+                        evidence.oekostrom_price = { format: priceInfo.format, proximity: 1 };
+                        details.push(`Found oeko (table ${tableIndex}): ${firstCell} -> ${priceInfo.price}`);
                     }
                 }
-            });
+            }
         });
 
         return {
@@ -345,7 +404,8 @@ class StromauskunftExtractor extends IPriceExtractor {
             lokaler_versorger_price: lokalerVersorgerPrice,
             oekostrom_price: oekostromPrice,
             format_detected: formatDetected,
-            details: details
+            details: details,
+            evidence
         };
     }
 
@@ -353,48 +413,24 @@ class StromauskunftExtractor extends IPriceExtractor {
      * Enhanced price extraction from text with format detection
      */
     extractPriceFromText(text) {
-        // Remove common prefixes/suffixes
-        const cleanText = text.replace(/[^\d,.\s€EuroCentprokWh]/gi, ' ').trim();
-        
-        // Enhanced patterns for both Euro and Cent formats
-        const patterns = [
-            // Euro patterns
-            { regex: /(\d+[,.]?\d*)\s*€?\s*pro\s*kWh/i, format: 'euro' },
-            { regex: /(\d+[,.]?\d*)\s*Euro?\s*pro\s*kWh/i, format: 'euro' },
-            { regex: /(\d+[,.]?\d*)\s*EUR?\s*pro\s*kWh/i, format: 'euro' },
-            
-            // Cent patterns
-            { regex: /(\d+[,.]?\d*)\s*Cent?\s*pro\s*kWh/i, format: 'cent' },
-            { regex: /(\d+[,.]?\d*)\s*ct?\s*pro\s*kWh/i, format: 'cent' },
-            
-            // Fallback patterns
-            { regex: /(\d+[,.]?\d*)\s*pro\s*kWh/i, format: 'unknown' },
-            { regex: /(\d+[,.]?\d*)/i, format: 'unknown' }
-        ];
-
-        for (const pattern of patterns) {
-            const match = text.match(pattern.regex);
-            if (match) {
-                let price = parseFloat(match[1].replace(',', '.'));
-                
-                // Convert cent to euro if needed
-                if (pattern.format === 'cent') {
-                    price = price / 100;
-                } else if (pattern.format === 'unknown' && price > 10) {
-                    // Assume it's cents if > 10
-                    price = price / 100;
-                }
-
-                return {
-                    price: price,
-                    format: pattern.format,
-                    original: match[0],
-                    converted: pattern.format === 'cent'
-                };
-            }
+        const priceInfo = priceParser.parsePriceDetails(text, this.priceRange);
+        if (!priceInfo) {
+            return { price: null, format: null, original: text };
         }
 
-        return { price: null, format: null, original: text };
+        return {
+            price: priceInfo.price,
+            format: priceInfo.format,
+            original: priceInfo.original,
+            converted: priceInfo.converted
+        };
+    }
+
+    /**
+     * Parse a price string into EUR/kWh
+     */
+    parsePrice(priceText) {
+        return priceParser.parsePrice(priceText, this.priceRange);
     }
 
     /**
@@ -449,8 +485,142 @@ class StromauskunftExtractor extends IPriceExtractor {
      * Check if text contains price information
      */
     containsPriceInfo(text) {
-        return /\d+[,.]?\d*\s*(€|Euro|EUR|Cent|ct)?\s*pro\s*kWh/i.test(text) ||
-               /\d+[,.]?\d*\s*(€|Euro|EUR|Cent|ct)/i.test(text);
+        return priceParser.containsPrice(text);
+    }
+
+    /**
+     * Consensus mode: replace first-found prices with the price most strategies agree on
+     * A price without `quorum` agreeing strategies is kept provisionally and the result is
+     * marked for review (review_status 'needs_review'). Aliased strategies reuse another
+     * strategy's extraction, so only the first strategy of each independent one votes
+     * @returns {Object} Per price field: candidates, agreed price, support and status
+     */
+    applyConsensus(result, strategies, strategyResults, priceSources, consensusConfig) {
+        const { quorum, tolerance } = consensusConfig;
+        const consensus = {};
+        const disagreements = [];
+        const independent = strategy => STRATEGY_ALIASES[strategy] || strategy;
+        const voters = strategies.filter((strategy, index) =>
+            strategies.findIndex(other => independent(other) === independent(strategy)) === index);
+
+        for (const field of Object.keys(CONFIDENCE_FIELDS)) {
+            const candidates = voters
+                .filter(strategy => strategyResults[strategy][field])
+                .map(strategy => ({ strategy, price: strategyResults[strategy][field] }));
+
+            if (candidates.length === 0) {
+                consensus[field] = { status: 'not_found', candidates, price: null, support: 0 };
+                continue;
+            }
+
+            // Largest group of candidates within tolerance; ties go to the earlier strategy
+            let best = null;
+            for (const candidate of candidates) {
+                const supporters = candidates.filter(other => Math.abs(other.price - candidate.price) <= tolerance);
+                if (!best || supporters.length > best.supporters.length) {
+                    best = { candidate, supporters };
+                }
+            }
+
+            const agreed = best.supporters.length >= quorum;
+            result[field] = best.candidate.price;
+            priceSources[field] = { strategy: best.candidate.strategy, field };
+
+            consensus[field] = {
+                status: agreed ? 'agreed' : 'disagreement',
+                candidates,
+                price: best.candidate.price,
+                support: best.supporters.length,
+                supporting_strategies: best.supporters.map(supporter => supporter.strategy)
+            };
+
+            if (!agreed) {
+                const listed = candidates.map(c => `${c.strategy} ${c.price.toFixed(4)}`).join(', ');
+                disagreements.push(`${field}: ${best.supporters.length}/${quorum} agree (${listed})`);
+            }
+        }
+
+        result.extraction_method = (priceSources.lokaler_versorger_price || priceSources.oekostrom_price || {}).strategy
+            || result.extraction_method;
+
+        if (disagreements.length > 0) {
+            result.review_status = 'needs_review';
+            result.review_reason = `No consensus - ${disagreements.join('; ')}`;
+            console.log(`    ⚖️  ${result.review_reason}`);
+        } else {
+            console.log(`    ⚖️  Consensus reached (quorum ${quorum})`);
+        }
+
+        return consensus;
+    }
+
+    /**
+     * Calculate a confidence score (0-1) for each extracted price
+     * Factors: reliability of the strategy, keyword/price proximity, format detection
+     * and agreement with the other independent strategies
+     */
+    calculateConfidence(result, priceSources, strategyResults, $, pageText, url, cityClass) {
+        const { confidenceWeights, strategyReliability, agreementTolerance } = this.extractionQuality;
+        const scores = {};
+        const factors = {};
+
+        // Every independent strategy gives a second opinion, including those skipped after both prices were found
+        for (const strategy of INDEPENDENT_STRATEGIES) {
+            if (!strategyResults[strategy]) {
+                strategyResults[strategy] = this.applyExtractionStrategy(strategy, $, pageText, url, cityClass);
+            }
+        }
+
+        for (const [priceField, confidenceField] of Object.entries(CONFIDENCE_FIELDS)) {
+            const price = result[priceField];
+            const source = priceSources[priceField];
+
+            if (!price || !source) {
+                scores[confidenceField] = null;
+                continue;
+            }
+
+            const evidence = (strategyResults[source.strategy].evidence || {})[source.field] || {};
+            const ownStrategy = STRATEGY_ALIASES[source.strategy] || source.strategy;
+            const otherPrices = INDEPENDENT_STRATEGIES
+                .filter(strategy => strategy !== ownStrategy)
+                .map(strategy => strategyResults[strategy][source.field])
+                .filter(otherPrice => otherPrice);
+            const agreeing = otherPrices.filter(otherPrice => Math.abs(otherPrice - price) <= agreementTolerance);
+
+            const priceFactors = {
+                strategy: strategyReliability[source.strategy] ?? 0.5,
+                proximity: evidence.proximity ?? 0.5,
+                format: evidence.format === 'cent' || evidence.format === 'euro' ? 1 : 0.5,
+                // No second opinion is neutral, contradicting strategies lower the score
+                agreement: otherPrices.length === 0 ? 0.5 : agreeing.length / otherPrices.length
+            };
+
+            let weightedSum = 0;
+            let totalWeight = 0;
+            for (const [factor, weight] of Object.entries(confidenceWeights)) {
+                weightedSum += weight * priceFactors[factor];
+                totalWeight += weight;
+            }
+
+            scores[confidenceField] = Math.round((weightedSum / totalWeight) * 1000) / 1000;
+            factors[priceField] = {
+                source_strategy: source.strategy,
+                ...priceFactors,
+                agreeing_strategies: agreeing.length,
+                compared_strategies: otherPrices.length,
+                confidence: scores[confidenceField]
+            };
+        }
+
+        return { scores, factors };
+    }
+
+    /**
+     * Proximity factor for a regex match: 1 right after the label, 0 at LABEL_PROXIMITY_RANGE characters
+     */
+    getLabelProximity(distance) {
+        return Math.max(0, 1 - distance / LABEL_PROXIMITY_RANGE);
     }
 
     /**
@@ -495,7 +665,7 @@ class StromauskunftExtractor extends IPriceExtractor {
      * Validate price range
      */
     isValidPrice(price) {
-        return price && price >= this.priceValidation.minPrice && price <= this.priceValidation.maxPrice;
+        return priceParser.isValidPrice(price, this.priceRange);
     }
 
     /**
@@ -512,7 +682,7 @@ class StromauskunftExtractor extends IPriceExtractor {
 
         tables.each((i, table) => {
             const tableText = $(table).text();
-            if (/\d+[,.]?\d*\s*(€|Euro|EUR|Cent|ct)?\s*pro\s*kWh/i.test(tableText)) {
+            if (priceParser.findPrices(tableText).some(price => price.basis === 'kwh')) {
                 structure.tablesWithPrices++;
             }
         });
@@ -534,27 +704,10 @@ class StromauskunftExtractor extends IPriceExtractor {
             'vergleich', 'anbieter vergleichen', 'tarif vergleichen',
             'mehr anbieter', 'alle anbieter', 'weitere tarife'
         ];
-        
-        // Skip rows with annual costs (EUR/Jahr) instead of per-kWh rates
-        const annualCostPatterns = [
-            'eur / jahr', 'euro / jahr', '€ / jahr',
-            'eur/jahr', 'euro/jahr', '€/jahr',
-            'eur pro jahr', 'euro pro jahr', '€ pro jahr'
-        ];
-        
+
+        // Annual costs (EUR / Jahr) are rejected by the price parser itself
         const rowTextLower = rowText.toLowerCase();
-        
-        // Check for comparison keywords
-        if (skipKeywords.some(keyword => rowTextLower.includes(keyword))) {
-            return true;
-        }
-        
-        // Check for annual cost patterns
-        if (annualCostPatterns.some(pattern => rowTextLower.includes(pattern))) {
-            return true;
-        }
-        
-        return false;
+        return skipKeywords.some(keyword => rowTextLower.includes(keyword));
     }
 
     extractFromTablesFirst($) {
@@ -569,51 +722,43 @@ class StromauskunftExtractor extends IPriceExtractor {
         let lokalerVersorgerPrice = null;
         let oekostromPrice = null;
         const details = [];
+        const evidence = {};
 
         const patterns = [
             {
                 type: 'lokal',
                 description: 'Grundversorger pattern (baseline provider)',
-                regex: /Grundversorger[:\s].*?(\d+[,.]?\d*)\s*(Euro|EUR|€|Cent|ct)?\s*pro\s*kWh/i
+                label: /Grundversorger[:\s]/i
             },
             {
                 type: 'lokal',
                 description: 'Lokaler Versorger pattern (baseline provider)',
-                regex: /lokaler?\s+Versorger[:\s].*?(\d+[,.]?\d*)\s*(Euro|EUR|€|Cent|ct)?\s*pro\s*kWh/i
+                label: /lokaler?\s+Versorger[:\s]/i
             },
             {
                 type: 'oeko',
                 description: 'Günstigster Ökostrom pattern (cheapest green)',
-                regex: /günstigster.*?Ökostrom.*?(\d+[,.]?\d*)\s*(Euro|EUR|€|Cent|ct)?\s*pro\s*kWh/i
+                label: /günstigster.*?Ökostrom/i
             },
             {
                 type: 'oeko',
                 description: 'Günstigster Ökostromanbieter pattern (cheapest green provider)',
-                regex: /günstigster.*?Ökostromanbieter.*?(\d+[,.]?\d*)\s*(Euro|EUR|€|Cent|ct)?\s*pro\s*kWh/i
+                label: /günstigster.*?Ökostromanbieter/i
             }
         ];
 
         for (const pattern of patterns) {
-            const match = pageText.match(pattern.regex);
+            const match = priceParser.findPriceAfterLabel(pageText, pattern.label, this.priceRange);
             if (match) {
-                let price = parseFloat(match[1].replace(',', '.'));
-                const unit = match[2] ? match[2].toLowerCase() : 'unknown';
-                
-                // Convert cent to euro
-                if (unit.includes('cent') || unit.includes('ct')) {
-                    price = price / 100;
-                } else if (unit === 'unknown' && price > 10) {
-                    price = price / 100;
-                }
-
-                if (this.isValidPrice(price)) {
-                    if (pattern.type === 'lokal' && !lokalerVersorgerPrice) {
-                        lokalerVersorgerPrice = price;
-                        details.push(`Found lokaler via regex: ${match[0]} -> ${price}`);
-                    } else if (pattern.type === 'oeko' && !oekostromPrice) {
-                        oekostromPrice = price;
-                        details.push(`Found oeko via regex: ${match[0]} -> ${price}`);
-                    }
+                const matchEvidence = { format: match.format, proximity: this.getLabelProximity(match.distance) };
+                if (pattern.type === 'lokal' && !lokalerVersorgerPrice) {
+                    lokalerVersorgerPrice = match.price;
+                    evidence.lokaler_versorger_price = matchEvidence;
+                    details.push(`Found lokaler via regex: ${match.original} -> ${match.price}`);
+                } else if (pattern.type === 'oeko' && !oekostromPrice) {
+                    oekostromPrice = match.price;
+                    evidence.oekostrom_price = matchEvidence;
+                    details.push(`Found oeko via regex: ${match.original} -> ${match.price}`);
                 }
             }
         }
@@ -623,7 +768,8 @@ class StromauskunftExtractor extends IPriceExtractor {
             lokaler_versorger_price: lokalerVersorgerPrice,
             oekostrom_price: oekostromPrice,
             format_detected: 'mixed',
-            details: details
+            details: details,
+            evidence
         };
     }
 
@@ -0,0 +1,300 @@
+/**
+ * Stromvergleich.de Price Extractor
+ * Second comparison portal, used to cross-check the stromauskunft prices
+ *
+ * Pages are addressed by PLZ and list the local basic supply tariff (Grundversorgung)
+ * and the tariffs of other providers. Prices are read from the JSON-LD offers when the
+ * page has them, otherwise from the tariff table or the text summary.
+ */
+
+const { IPriceExtractor } = require('../interfaces');
+const cheerio = require('cheerio');
+const priceParser = require('./price-parser');
+
+const CONFIDENCE_FIELDS = {
+    lokaler_versorger_price: 'lokaler_versorger_confidence',
+    oekostrom_price: 'oekostrom_confidence'
+};
+
+const LOKAL_PATTERN = /Grundversorg/i;
+const OEKO_PATTERN = /Öko/i;
+
+class StromvergleichExtractor extends IPriceExtractor {
+    constructor(config) {
+        super(config);
+        this.sourceConfig = config.getSourceConfig('stromvergleich');
+        this.priceValidation = config.getPriceValidation();
+        this.priceRange = { min: this.priceValidation.minPrice, max: this.priceValidation.maxPrice };
+        this.extractionQuality = config.getExtractionQualityConfig();
+    }
+
+    /**
+     * Extract prices by running every strategy; the first strategy (in configured order)
+     * that found a price wins, the others are used for the confidence score
+     */
+    extractPrices(html, pageText, url) {
+        try {
+            const $ = cheerio.load(html);
+            const text = pageText || $.text();
+
+            const result = {
+                lokaler_versorger_price: null,
+                oekostrom_price: null,
+                average_price: null,
+                extraction_method: null,
+                extraction_details: [],
+                review_status: 'none',
+                review_reason: null
+            };
+
+            const strategyResults = {};
+            const priceSources = {};
+
+            for (const strategy of this.getStrategies()) {
+                const strategyResult = this.applyExtractionStrategy(strategy, $, text);
+                strategyResults[strategy] = strategyResult;
+
+                for (const field of Object.keys(CONFIDENCE_FIELDS)) {
+                    if (strategyResult[field] && !result[field]) {
+                        result[field] = strategyResult[field];
+                        priceSources[field] = strategy;
+                        if (!result.extraction_method) result.extraction_method = strategy;
+                    }
+                }
+
+                result.extraction_details.push({
+                    strategy,
+                    success: !!(strategyResult.lokaler_versorger_price || strategyResult.oekostrom_price),
+                    candidates: {
+                        lokaler_versorger_price: strategyResult.lokaler_versorger_price,
+                        oekostrom_price: strategyResult.oekostrom_price
+                    },
+                    details: strategyResult.details
+                });
+            }
+
+            if (result.lokaler_versorger_price && result.oekostrom_price) {
+                result.average_price = (result.lokaler_versorger_price + result.oekostrom_price) / 2;
+            }
+
+            const confidence = this.calculateConfidence(result, priceSources, strategyResults);
+            Object.assign(result, confidence.scores);
+            result.extraction_details.push({
+                strategy: 'confidence',
+                factors: confidence.factors
+            });
+
+            return result;
+
+        } catch (error) {
+            console.error('❌ Error in stromvergleich price extraction:', error.message);
+            return {
+                lokaler_versorger_price: null,
+                oekostrom_price: null,
+                average_price: null,
+                extraction_method: 'failed',
+                lokaler_versorger_confidence: null,
+                oekostrom_confidence: null,
+                review_status: 'none',
+                review_reason: null,
+                error: error.message,
+                extraction_details: []
+            };
+        }
+    }
+
+    /**
+     * Strategies in order of preference
+     */
+    getStrategies() {
+        return this.sourceConfig.priceExtractionStrategies;
+    }
+
+    /**
+     * Apply a single extraction strategy
+     * @returns {Object} { lokaler_versorger_price, oekostrom_price, evidence, details }
+     */
+    applyExtractionStrategy(strategy, $, pageText) {
+        switch (strategy) {
+            case 'structuredData':
+                return this.extractFromStructuredData($);
+            case 'tariffTable':
+                return this.extractFromTariffTable($);
+            case 'labelText':
+                return this.extractFromLabels(pageText);
+            default:
+                throw new Error(`Unknown stromvergleich extraction strategy: ${strategy}`);
+        }
+    }
+
+    /**
+     * JSON-LD offers: { name, category, priceSpecification: { price, priceCurrency, unitCode: 'KWH' } }
+     */
+    extractFromStructuredData($) {
+        const offers = [];
+        const details = [];
+
+        $('script[type="application/ld+json"]').each((i, script) => {
+            try {
+                this.collectOffers(JSON.parse($(script).html()), offers);
+            } catch (error) {
+                details.push(`Skipped invalid JSON-LD block ${i}: ${error.message}`);
+            }
+        });
+
+        const prices = offers
+            .map(offer => ({ label: `${offer.category || ''} ${offer.name || ''}`, price: this.parseOfferPrice(offer) }))
+            .filter(offer => offer.price !== null);
+
+        details.push(`Found ${prices.length} priced offers`);
+        return this.pickPrices(prices, { format: 'euro', proximity: 1 }, details);
+    }
+
+    /**
+     * Collect every object with a priceSpecification from a JSON-LD document
+     */
+    collectOffers(node, offers) {
+        if (Array.isArray(node)) {
+            node.forEach(child => this.collectOffers(child, offers));
+        } else if (node && typeof node === 'object') {
+            if (node.priceSpecification) {
+                offers.push(node);
+            }
+            Object.values(node).forEach(child => this.collectOffers(child, offers));
+        }
+    }
+
+    /**
+     * Price per kWh of a JSON-LD offer (EUR), or null
+     */
+    parseOfferPrice(offer) {
+        const spec = offer.priceSpecification;
+        if (!spec || String(spec.unitCode).toUpperCase() !== 'KWH' || (spec.priceCurrency && spec.priceCurrency !== 'EUR')) {
+            return null;
+        }
+
+        const price = typeof spec.price === 'number' ? spec.price : priceParser.parseGermanNumber(spec.price);
+        return priceParser.isValidPrice(price, this.priceRange) ? price : null;
+    }
+
+    /**
+     * Tariff table: one row per tariff with the per-kWh working price (Arbeitspreis) in a cell
+     */
+    extractFromTariffTable($) {
+        const prices = [];
+        const details = [];
+        let format = null;
+
+        for (const row of priceParser.getTableRows($, { cellSelector: 'td, th' })) {
+            const priceInfo = priceParser.parsePriceDetails(row.cells.slice(1).join(' '), {
+                ...this.priceRange,
+                requirePerKwh: true
+            });
+            if (priceInfo) {
+                prices.push({ label: row.rowText, price: priceInfo.price, format: priceInfo.format });
+                format = format || priceInfo.format;
+            }
+        }
+
+        details.push(`Found ${prices.length} tariff rows with a per-kWh price`);
+        return this.pickPrices(prices, { format, proximity: 1 }, details);
+    }
+
+    /**
+     * Text summary: "Grundversorgung: ... 40,12 ct/kWh", "Günstigster Ökostromtarif: ... 27,35 ct/kWh"
+     */
+    extractFromLabels(pageText) {
+        const options = { ...this.priceRange, maxDistance: this.sourceConfig.maxLabelDistance };
+        const lokal = priceParser.findPriceAfterLabel(pageText, /Grundversorgung[:\s]/i, options);
+        const oeko = priceParser.findPriceAfterLabel(pageText, /günstigste[rn]?\s+Ökostromtarif[:\s]/i, options);
+        const toEvidence = match => ({
+            format: match.format,
+            proximity: Math.max(0, 1 - match.distance / this.sourceConfig.maxLabelDistance)
+        });
+
+        return {
+            lokaler_versorger_price: lokal ? lokal.price : null,
+            oekostrom_price: oeko ? oeko.price : null,
+            evidence: {
+                lokaler_versorger_price: lokal ? toEvidence(lokal) : null,
+                oekostrom_price: oeko ? toEvidence(oeko) : null
+            },
+            details: [lokal, oeko].filter(Boolean).map(match => `Found "${match.original}"`)
+        };
+    }
+
+    /**
+     * Local price = first Grundversorgung entry, Öko price = cheapest Öko entry
+     */
+    pickPrices(prices, evidence, details) {
+        const lokal = prices.find(entry => LOKAL_PATTERN.test(entry.label));
+        const oeko = prices
+            .filter(entry => OEKO_PATTERN.test(entry.label) && !LOKAL_PATTERN.test(entry.label))
+            .sort((a, b) => a.price - b.price)[0];
+        const toEvidence = entry => ({ ...evidence, format: entry.format || evidence.format });
+
+        return {
+            lokaler_versorger_price: lokal ? lokal.price : null,
+            oekostrom_price: oeko ? oeko.price : null,
+            evidence: {
+                lokaler_versorger_price: lokal ? toEvidence(lokal) : null,
+                oekostrom_price: oeko ? toEvidence(oeko) : null
+            },
+            details
+        };
+    }
+
+    /**
+     * Confidence per price (0-1) with the weights of config.quality.extractionQuality:
+     * strategy reliability, label proximity, explicit format and agreement of the other strategies
+     */
+    calculateConfidence(result, priceSources, strategyResults) {
+        const { confidenceWeights, agreementTolerance } = this.extractionQuality;
+        const scores = {};
+        const factors = {};
+
+        for (const [priceField, confidenceField] of Object.entries(CONFIDENCE_FIELDS)) {
+            const price = result[priceField];
+            const strategy = priceSources[priceField];
+
+            if (!price || !strategy) {
+                scores[confidenceField] = null;
+                continue;
+            }
+
+            const evidence = strategyResults[strategy].evidence[priceField] || {};
+            const otherPrices = Object.entries(strategyResults)
+                .filter(([name, other]) => name !== strategy && other[priceField])
+                .map(([, other]) => other[priceField]);
+            const agreeing = otherPrices.filter(otherPrice => Math.abs(otherPrice - price) <= agreementTolerance);
+
+            const priceFactors = {
+                strategy: this.sourceConfig.strategyReliability[strategy] ?? 0.5,
+                proximity: evidence.proximity ?? 0.5,
+                format: evidence.format === 'cent' || evidence.format === 'euro' ? 1 : 0.5,
+                agreement: otherPrices.length === 0 ? 0.5 : agreeing.length / otherPrices.length
+            };
+
+            let weightedSum = 0;
+            let totalWeight = 0;
+            for (const [factor, weight] of Object.entries(confidenceWeights)) {
+                weightedSum += weight * priceFactors[factor];
+                totalWeight += weight;
+            }
+
+            scores[confidenceField] = Math.round((weightedSum / totalWeight) * 1000) / 1000;
+            factors[priceField] = { source_strategy: strategy, ...priceFactors, confidence: scores[confidenceField] };
+        }
+
+        return { scores, factors };
+    }
+
+    /**
+     * Parse a price text into EUR/kWh
+     */
+    parsePrice(priceText) {
+        return priceParser.parsePrice(priceText, this.priceRange);
+    }
+}
+
+module.exports = StromvergleichExtractor;
@@ -8,15 +8,23 @@ const ScraperConfig = require('../config');
 
 // Storage modules
 const SupabaseStorage = require('../storage/supabase-storage');
+const PostgresStorage = require('../storage/postgres-storage');
 
 // Enhanced extractor modules
 const StromauskunftExtractor = require('../extractors/stromauskunft-extractor');
+const StromvergleichExtractor = require('../extractors/stromvergleich-extractor');
 
 // Quality modules
 const QualityValidator = require('../quality/quality-validator');
+const RobustOutlierDetector = require('../quality/robust-outlier-detector');
+const TemporalAnomalyDetector = require('../quality/temporal-anomaly-detector');
 
 // Enhanced adapter modules
 const StromauskunftAdapter = require('../adapters/stromauskunft-adapter');
+const StromvergleichAdapter = require('../adapters/stromvergleich-adapter');
+
+// Raw HTML archive
+const HtmlArchive = require('../archive/html-archive');
 
 // Geographic completion
 const GeographicCompletion = require('../geographic/geographic-completion');
@@ -26,8 +34,8 @@ const DatabaseStateManager = require('../state/database-state-manager');
 
 class ScraperFactory {
     constructor() {
-        this.availableSources = ['stromauskunft', 'stromauskunft-improved'];
-        this.availableStorages = ['supabase'];
+        this.availableSources = ['stromauskunft', 'stromauskunft-improved', 'stromvergleich'];
+        this.availableStorages = ['supabase', 'postgres'];
         this.builtScrapers = new Map();
         this.version = '2.0';
         this.analysisIntegration = true;
@@ -35,32 +43,37 @@ class ScraperFactory {
 
     /**
      * Create an enhanced scraper instance with analysis-based improvements
+     * options.source selects the price source (default: stromauskunft)
      */
     async createImprovedScraper(options = {}) {
         try {
             console.log('🚀 Assembling ENHANCED modular scraper v2.0...');
             console.log('   Based on comprehensive 100-city analysis');
 
-            // 1. Initialize enhanced configuration
-            const config = new ScraperConfig(options.config || {});
+            // 1. Initialize enhanced configuration (rows are stored with the source's name)
+            const sourceName = this.resolveSourceName(options.source);
+            const config = new ScraperConfig({ ...(options.config || {}), activeSource: sourceName });
             config.validate();
             config.printConfig();
+            console.log(`   📡 Price source: ${sourceName}`);
 
-            // 2. Create storage module
-            const storage = this.createStorageModule(options.storage || 'supabase', config);
+            // 2. Create storage module (options.storage, else the configured backend)
+            const storage = this.createStorageModule(options.storage || config.getDatabaseConfig().backend, config);
             console.log('   ✅ Storage module created');
 
             // 3. Create enhanced price extractor
-            const extractor = this.createEnhancedExtractorModule(config);
-            console.log('   ✅ Enhanced price extractor created (with city classification)');
+            const extractor = this.createEnhancedExtractorModule(config, sourceName);
+            console.log(`   ✅ ${sourceName} price extractor created`);
 
             // 4. Create quality validator
             const validator = this.createQualityValidator(config);
             console.log('   ✅ Quality validator created');
 
-            // 5. Create enhanced source adapter
-            const adapter = this.createEnhancedSourceAdapter(config, extractor);
-            console.log('   ✅ Enhanced source adapter created (with error patterns)');
+            // 5. Create enhanced source adapter (archives every scraped page)
+            const htmlArchive = this.createHtmlArchive(config);
+            const adapter = this.createEnhancedSourceAdapter(config, extractor, htmlArchive, sourceName);
+            console.log(`   ✅ ${sourceName} source adapter created`);
+            console.log(`   ${htmlArchive.enabled ? '✅' : '⚠️ '} Raw HTML archive ${htmlArchive.enabled ? `enabled (${htmlArchive.directory})` : 'disabled'}`);
 
             // 6. Create state manager
             const stateManager = this.createStateManager(config, storage);
@@ -70,6 +83,14 @@ class ScraperFactory {
             const geographicCompletion = this.createGeographicCompletion(config);
             console.log('   ✅ Geographic completion module created');
 
+            // 7b. Create neighbour/history outlier detector (runs after scraping)
+            const outlierDetector = this.createOutlierDetector(config, validator, geographicCompletion);
+            console.log('   ✅ Robust outlier detector created');
+
+            // 7c. Create month-over-month jump detector (runs when the session is finalized)
+            const anomalyDetector = this.createAnomalyDetector(config);
+            console.log('   ✅ Temporal anomaly detector created');
+
             // 8. Test database connection
             const connectionOk = await storage.testConnection();
             if (!connectionOk) {
@@ -85,7 +106,9 @@ class ScraperFactory {
                 qualityValidator: validator,
                 databaseStorage: storage,
                 stateManager: stateManager,
-                geographicCompletion: geographicCompletion
+                geographicCompletion: geographicCompletion,
+                outlierDetector: outlierDetector,
+                anomalyDetector: anomalyDetector
             });
 
             console.log('✅ ENHANCED modular scraper assembled successfully!');
@@ -95,7 +118,7 @@ class ScraperFactory {
             const scraperId = `enhanced_scraper_${Date.now()}`;
             this.builtScrapers.set(scraperId, {
                 scraper,
-                components: { storage, adapter, stateManager, extractor },
+                components: { storage, adapter, stateManager, extractor, htmlArchive },
                 created: new Date(),
                 version: this.version,
                 enhanced: true
@@ -163,18 +186,50 @@ class ScraperFactory {
         }
     }
 
+    /**
+     * Map a source option to the source_name stored on price rows
+     */
+    resolveSourceName(source = 'stromauskunft') {
+        switch (source.toLowerCase()) {
+            case 'stromauskunft':
+            case 'stromauskunft-improved':
+                return 'stromauskunft';
+            case 'stromvergleich':
+                return 'stromvergleich';
+            default:
+                throw new Error(`Unknown source: ${source}. Available: ${this.availableSources.join(', ')}`);
+        }
+    }
+
     /**
      * Create enhanced price extractor
      */
-    createEnhancedExtractorModule(config) {
-        return new StromauskunftExtractor(config);
+    createEnhancedExtractorModule(config, sourceName = 'stromauskunft') {
+        switch (sourceName) {
+            case 'stromvergleich':
+                return new StromvergleichExtractor(config);
+            default:
+                return new StromauskunftExtractor(config);
+        }
     }
 
     /**
      * Create enhanced source adapter
      */
-    createEnhancedSourceAdapter(config, extractor) {
-        return new StromauskunftAdapter(config, extractor);
+    createEnhancedSourceAdapter(config, extractor, htmlArchive = null, sourceName = 'stromauskunft') {
+        switch (sourceName) {
+            case 'stromvergleich':
+                return new StromvergleichAdapter(config, extractor, htmlArchive);
+            default:
+                return new StromauskunftAdapter(config, extractor, htmlArchive);
+        }
+    }
+
+    /**
+     * Create raw HTML archive
+     */
+    createHtmlArchive(config) {
+        return new HtmlArchive(config);
     }
 
     /**
@@ -184,6 +239,8 @@ class ScraperFactory {
         switch (storageType.toLowerCase()) {
             case 'supabase':
                 return new SupabaseStorage(config);
+            case 'postgres':
+                return new PostgresStorage(config);
             default:
                 throw new Error(`Unknown storage type: ${storageType}. Available: ${this.availableStorages.join(', ')}`);
         }
@@ -210,6 +267,20 @@ class ScraperFactory {
         return new GeographicCompletion(config);
     }
 
+    /**
+     * Create robust outlier detector (neighbour and history z-scores)
+     */
+    createOutlierDetector(config, qualityValidator, geographicCompletion) {
+        return new RobustOutlierDetector(config, qualityValidator, geographicCompletion);
+    }
+
+    /**
+     * Create temporal anomaly detector (month-over-month jumps for the review queue)
+     */
+    createAnomalyDetector(config) {
+        return new TemporalAnomalyDetector(config);
+    }
+
     /**
      * Create test scraper with sample cities for validation
      */
@@ -374,6 +445,10 @@ class ScraperFactory {
             const adapter = this.createEnhancedSourceAdapter(testConfig, extractor);
             console.log('   ✅ Enhanced adapter creation works');
 
+            const secondExtractor = this.createEnhancedExtractorModule(testConfig, 'stromvergleich');
+            this.createEnhancedSourceAdapter(testConfig, secondExtractor, null, 'stromvergleich');
+            console.log('   ✅ Stromvergleich adapter creation works');
+
             console.log('✅ Factory setup validation passed');
             return true;
 
@@ -116,8 +116,9 @@ class GeographicCompletion extends IGeographicCompletion {
             const maxFallbackDistance = this.config.getQualityConfig().maxFallbackDistance;
 
             for (const dataPoint of availableData) {
-                // Skip invalid data points
+                // Skip invalid data points and prices still awaiting review
                 if (!dataPoint.plz || dataPoint.data_source === 'FALLBACK') continue;
+                if (dataPoint.review_status === 'needs_review') continue;
 
                 // Get coordinates for this data point
                 let sourceCoords = null;
@@ -169,13 +170,18 @@ class GeographicCompletion extends IGeographicCompletion {
                     lokaler_versorger_price: closest.lokaler_versorger_price,
                     oekostrom_price: closest.oekostrom_price,
                     average_price: closest.average_price,
+                    lokaler_versorger_confidence: closest.lokaler_versorger_confidence ?? null,
+                    oekostrom_confidence: closest.oekostrom_confidence ?? null,
+                    source_name: closest.source_name,
                     data_source: 'FALLBACK',
                     source_url: closest.source_url,
+                    html_archive_ref: closest.html_archive_ref || null,
                     source_plz: closest.source_plz,
                     distance_km: closest.distance_km,
                     extraction_method: 'geographic_fallback',
                     is_outlier: false,
                     outlier_severity: 'normal',
+                    outlier_reason: null,
                     validation_attempted: false,
                     validation_successful: false
                 };
@@ -19,9 +19,10 @@ class ISourceAdapter {
      * Scrape price data for a specific city and PLZ
      * @param {string} cityName - The normalized city name
      * @param {string} plz - The postal code
+     * @param {string} month - Month being scraped (YYYY-MM-DD), used to archive the raw page
      * @returns {Promise<Object|null>} Price data object or null if failed
      */
-    async scrapeCity(cityName, plz) {
+    async scrapeCity(cityName, plz, month) {
         throw new Error('scrapeCity method must be implemented by source adapter');
     }
 
@@ -127,7 +128,7 @@ class IQualityValidator {
     /**
      * Validate extracted price data
      * @param {Object} priceData - Price data to validate
-     * @returns {Object} Validation result
+     * @returns {Object} Validation result { valid, quality_score, issues, warnings, rejected_prices }
      */
     validatePriceData(priceData) {
         throw new Error('validatePriceData method must be implemented by quality validator');
@@ -183,6 +184,35 @@ class IDatabaseStorage {
         throw new Error('bulkStorePriceData method must be implemented by database storage');
     }
 
+    /**
+     * Update an existing price record
+     * @param {string|number} recordId - Price record ID
+     * @param {Object} updates - Columns to update
+     * @param {Object} change - { actor, reason } recorded in the price change history
+     * @returns {Promise<Object>} Updated record
+     */
+    async updatePriceData(recordId, updates, change = {}) {
+        throw new Error('updatePriceData method must be implemented by database storage');
+    }
+
+    /**
+     * Queue flagged prices for review
+     * @param {Array} items - Review queue items (price_review_queue columns)
+     * @returns {Promise<number>} Number of queued items
+     */
+    async storeReviewQueueItems(items) {
+        throw new Error('storeReviewQueueItems method must be implemented by database storage');
+    }
+
+    /**
+     * Recalculate the monthly quality metrics of a month from its stored rows
+     * @param {string} month - Month in YYYY-MM-DD format
+     * @returns {Promise<Object|null>} Stored monthly_quality_metrics row (null if the month has no rows)
+     */
+    async updateMonthlyQualityMetrics(month) {
+        throw new Error('updateMonthlyQualityMetrics method must be implemented by database storage');
+    }
+
     /**
      * Check if data exists for a specific month and PLZ
      * @param {string} month - Month in YYYY-MM-DD format
@@ -327,6 +357,47 @@ class IGeographicCompletion {
     }
 }
 
+/**
+ * HTML Archive Interface
+ * Stores the raw pages a price was extracted from, for offline investigation and re-extraction
+ */
+class IHtmlArchive {
+    constructor(config) {
+        if (new.target === IHtmlArchive) {
+            throw new Error('IHtmlArchive is an interface and cannot be instantiated directly');
+        }
+        this.config = config;
+    }
+
+    /**
+     * Store a raw page
+     * @param {string} html - Raw HTML content
+     * @param {Object} context - { plz, month, url }
+     * @returns {Promise<Object>} Archive entry with ref (stored on the price row) and content hash
+     */
+    async store(html, context) {
+        throw new Error('store method must be implemented by html archive');
+    }
+
+    /**
+     * Load a stored page
+     * @param {string} ref - Archive reference returned by store()
+     * @returns {Promise<string>} Raw HTML content
+     */
+    async load(ref) {
+        throw new Error('load method must be implemented by html archive');
+    }
+
+    /**
+     * List stored pages of a month
+     * @param {string} month - Month in YYYY-MM-DD format
+     * @returns {Promise<Array>} Archive entries ({ ref, plz, month, hash })
+     */
+    async list(month) {
+        throw new Error('list method must be implemented by html archive');
+    }
+}
+
 /**
  * Data Structure Definitions
  * Standard data formats used across modules
@@ -343,12 +414,19 @@ const PriceDataSchema = {
     lokaler_versorger_price: 'number|null',  // Local provider price (EUR/kWh)
     oekostrom_price: 'number|null',   // Green energy price (EUR/kWh)
     average_price: 'number|null',     // Calculated average price
+    lokaler_versorger_confidence: 'number|null', // Extraction confidence of the local price (0-1)
+    oekostrom_confidence: 'number|null', // Extraction confidence of the green price (0-1)
+    source_name: 'string',            // Comparison portal ('stromauskunft', 'stromvergleich')
     data_source: 'string',            // 'ORIGINAL' or 'FALLBACK'
     source_url: 'string|null',        // Original source URL
     source_plz: 'string|null',        // Source PLZ for fallback data
+    html_archive_ref: 'string|null',  // Archived raw page the prices were extracted from
     distance_km: 'number',            // Distance to source (0 for original)
     is_outlier: 'boolean',            // Outlier detection flag
     outlier_severity: 'string',       // 'normal', 'high', 'very_high'
+    outlier_reason: 'string',         // Fixed threshold, neighbour or history z-score that flagged the row
+    review_status: 'string',          // 'none', 'needs_review' (no consensus between strategies) or 'reviewed' (price review decided)
+    review_reason: 'string|null',     // Disagreeing strategy candidates
     extraction_method: 'string|null', // How the price was extracted
     validation_attempted: 'boolean',   // Whether outlier validation was attempted
     validation_successful: 'boolean'  // Whether validation corrected the outlier
@@ -381,7 +459,8 @@ const SessionStateSchema = {
     errors: 'Array',                  // Array of errors
     startTime: 'Date',                // Session start time
     currentMonth: 'string',           // Month being processed (YYYY-MM-DD)
-    configuration: 'Object'           // Configuration used for this session
+    configuration: 'Object',          // Configuration used for this session
+    qualityReport: 'Object'           // QualityValidator.generateQualityReport output (set when finalized)
 };
 
 module.exports = {
@@ -392,6 +471,7 @@ module.exports = {
     IDatabaseStorage,
     IStateManager,
     IGeographicCompletion,
+    IHtmlArchive,
     
     // Schemas
     PriceDataSchema,
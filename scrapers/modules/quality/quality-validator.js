@@ -5,24 +5,44 @@
 
 const { IQualityValidator } = require('../interfaces');
 
+// Price fields checked against config.quality.extractionQuality.minimumConfidence
+const CONFIDENCE_CHECKS = [
+    { priceField: 'lokaler_versorger_price', confidenceField: 'lokaler_versorger_confidence', label: 'Lokaler Versorger' },
+    { priceField: 'oekostrom_price', confidenceField: 'oekostrom_confidence', label: 'Ökostrom' }
+];
+
+// Price types compared between sources
+const SPREAD_CHECKS = [
+    { priceField: 'lokaler_versorger_price', label: 'Lokaler Versorger' },
+    { priceField: 'oekostrom_price', label: 'Ökostrom' }
+];
+
+// Columns calculateMonthlyMetrics reads
+const MONTHLY_METRIC_COLUMNS = 'lokaler_versorger_price, oekostrom_price, average_price, data_source, distance_km, is_outlier, outlier_severity';
+
 class QualityValidator extends IQualityValidator {
     constructor(config) {
         super(config);
         this.outlierThresholds = config.getOutlierThresholds();
         this.priceValidation = config.getPriceValidation();
         this.qualityConfig = config.getQualityConfig();
+        this.spreadThresholds = config.getReconciliationConfig().spreadThresholds;
     }
 
     /**
      * Detect if prices are outliers
+     * reasons lists what made the prices outliers (stored as outlier_reason)
+     * @param {Object} options - { log: false to skip the outlier log (month-wide passes) }
      */
-    detectOutliers(lokalerPrice, oekostromPrice) {
+    detectOutliers(lokalerPrice, oekostromPrice, options = {}) {
+        const { log = true } = options;
         const result = {
             hasOutliers: false,
             lokalerOutlier: false,
             oekostromOutlier: false,
             severity: 'normal',
             warnings: [],
+            reasons: [],
             outlierTypes: []
         };
 
@@ -33,6 +53,7 @@ class QualityValidator extends IQualityValidator {
                 result.lokalerOutlier = true;
                 result.hasOutliers = true;
                 result.warnings.push(lokalerAnalysis.warning);
+                result.reasons.push(`threshold: ${lokalerAnalysis.warning}`);
                 result.outlierTypes.push('lokaler_versorger');
                 
                 // Update severity (take highest)
@@ -49,6 +70,7 @@ class QualityValidator extends IQualityValidator {
                 result.oekostromOutlier = true;
                 result.hasOutliers = true;
                 result.warnings.push(oekoAnalysis.warning);
+                result.reasons.push(`threshold: ${oekoAnalysis.warning}`);
                 result.outlierTypes.push('oekostrom');
                 
                 // Update severity (take highest)
@@ -65,11 +87,12 @@ class QualityValidator extends IQualityValidator {
             if (additionalChecks.isOutlier) {
                 result.hasOutliers = true;
                 result.outlierTypes.push(...additionalChecks.types);
+                result.reasons.push(...additionalChecks.reasons.map(reason => `threshold: ${reason}`));
             }
         }
 
         // Log outlier detection if enabled
-        if (result.hasOutliers && this.config.getLoggingConfig().enableOutlierLogging) {
+        if (log && result.hasOutliers && this.config.getLoggingConfig().enableOutlierLogging) {
             this.logOutlierDetection(result, lokalerPrice, oekostromPrice);
         }
 
@@ -117,6 +140,7 @@ class QualityValidator extends IQualityValidator {
             hasIssues: false,
             isOutlier: false,
             warnings: [],
+            reasons: [],
             types: []
         };
 
@@ -131,6 +155,7 @@ class QualityValidator extends IQualityValidator {
                 result.hasIssues = true;
                 result.isOutlier = true;
                 result.warnings.push(`Extreme price difference: ${differencePercentage.toFixed(1)}% (€${priceDifference.toFixed(4)})`);
+                result.reasons.push(`Extreme price difference: ${differencePercentage.toFixed(1)}% (€${priceDifference.toFixed(4)})`);
                 result.types.push('extreme_difference');
             } else if (differencePercentage > 100) { // More than 100% difference
                 result.hasIssues = true;
@@ -156,6 +181,83 @@ class QualityValidator extends IQualityValidator {
         return result;
     }
 
+    /**
+     * Detect if the sources disagree on the prices of a PLZ
+     * pricesBySource: { stromauskunft: { lokaler_versorger_price, oekostrom_price }, stromvergleich: {...} }
+     * Uses the outlier severity levels on the relative spread between the sources
+     */
+    detectSourceDisagreement(pricesBySource) {
+        const result = {
+            hasDisagreement: false,
+            severity: 'normal',
+            spreads: {},
+            warnings: []
+        };
+
+        for (const { priceField, label } of SPREAD_CHECKS) {
+            const prices = Object.entries(pricesBySource)
+                .map(([source, sourcePrices]) => ({ source, price: parseFloat(sourcePrices[priceField]) }))
+                .filter(entry => Number.isFinite(entry.price) && entry.price > 0);
+
+            // A spread needs a price from at least two sources
+            if (prices.length < 2) {
+                result.spreads[priceField] = null;
+                continue;
+            }
+
+            const spreadAnalysis = this.analyzePriceSpread(prices, label);
+            result.spreads[priceField] = spreadAnalysis;
+
+            if (spreadAnalysis.isOutlier) {
+                result.hasDisagreement = true;
+                result.warnings.push(spreadAnalysis.warning);
+
+                // Update severity (take highest)
+                if (this.getSeverityLevel(spreadAnalysis.severity) > this.getSeverityLevel(result.severity)) {
+                    result.severity = spreadAnalysis.severity;
+                }
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Analyze the spread of one price type across sources
+     * @param {Array} prices - [{ source, price }] with at least two entries
+     */
+    analyzePriceSpread(prices, priceType) {
+        const thresholds = this.spreadThresholds;
+        const sorted = [...prices].sort((a, b) => a.price - b.price);
+        const lowest = sorted[0];
+        const highest = sorted[sorted.length - 1];
+        const spread = highest.price - lowest.price;
+        const relativeSpread = spread / lowest.price;
+
+        let severity = 'normal';
+        if (relativeSpread >= thresholds.extreme) {
+            severity = 'extreme';
+        } else if (relativeSpread >= thresholds.veryHigh) {
+            severity = 'very_high';
+        } else if (relativeSpread >= thresholds.high) {
+            severity = 'high';
+        }
+
+        return {
+            isOutlier: severity !== 'normal',
+            severity,
+            min: lowest.price,
+            max: highest.price,
+            spread: Math.round(spread * 10000) / 10000,
+            relative_spread: Math.round(relativeSpread * 10000) / 10000,
+            lowest_source: lowest.source,
+            highest_source: highest.source,
+            warning: severity === 'normal' ? null :
+                `${priceType} prices differ by ${(relativeSpread * 100).toFixed(1)}% between sources ` +
+                `(€${lowest.price.toFixed(4)} ${lowest.source} vs. €${highest.price.toFixed(4)} ${highest.source})`
+        };
+    }
+
     /**
      * Validate extracted price data
      */
@@ -164,7 +266,8 @@ class QualityValidator extends IQualityValidator {
             valid: true,
             quality_score: 1.0,
             issues: [],
-            warnings: []
+            warnings: [],
+            rejected_prices: []
         };
 
         // Check required fields
@@ -192,8 +295,22 @@ class QualityValidator extends IQualityValidator {
             }
         }
 
+        // Reject prices extracted with too little confidence (rows without a score are not checked)
+        const minimumConfidence = this.qualityConfig.extractionQuality.minimumConfidence;
+        for (const { priceField, confidenceField, label } of CONFIDENCE_CHECKS) {
+            const confidence = priceData[confidenceField];
+            if (priceData[priceField] && confidence !== null && confidence !== undefined &&
+                Number(confidence) < minimumConfidence) {
+                validation.rejected_prices.push(priceField);
+                validation.issues.push(`${label} price confidence ${confidence} below minimum ${minimumConfidence}`);
+            }
+        }
+
+        const lokalerPrice = validation.rejected_prices.includes('lokaler_versorger_price') ? null : priceData.lokaler_versorger_price;
+        const oekostromPrice = validation.rejected_prices.includes('oekostrom_price') ? null : priceData.oekostrom_price;
+
         // Check if we have at least one price
-        if (!priceData.lokaler_versorger_price && !priceData.oekostrom_price) {
+        if (!lokalerPrice && !oekostromPrice) {
             validation.valid = false;
             validation.quality_score = 0;
             validation.issues.push('No valid prices found');
@@ -201,7 +318,7 @@ class QualityValidator extends IQualityValidator {
         }
 
         // Quality scoring based on completeness
-        if (priceData.lokaler_versorger_price && priceData.oekostrom_price) {
+        if (lokalerPrice && oekostromPrice) {
             // Both prices found - full score
             validation.quality_score = 1.0;
         } else {
@@ -210,6 +327,11 @@ class QualityValidator extends IQualityValidator {
             validation.warnings.push('Only one price type found');
         }
 
+        // Consensus extraction found no quorum - stored, but flagged for review
+        if (priceData.review_status === 'needs_review') {
+            validation.warnings.push(`Prices need review: ${priceData.review_reason}`);
+        }
+
         // Check extraction method quality
         if (priceData.extraction_method) {
             switch (priceData.extraction_method) {
@@ -379,6 +501,89 @@ class QualityValidator extends IQualityValidator {
         return metrics;
     }
 
+    /**
+     * Aggregate a stored month into a monthly_quality_metrics row
+     * @param {string} month - Data month (YYYY-MM-01)
+     * @param {Array} rows - The month's price rows (one source)
+     * @returns {Object} monthly_quality_metrics columns
+     */
+    calculateMonthlyMetrics(month, rows) {
+        const average = values => {
+            const numbers = values.map(value => parseFloat(value)).filter(value => Number.isFinite(value));
+            return numbers.length > 0 ? parseFloat((numbers.reduce((sum, value) => sum + value, 0) / numbers.length).toFixed(4)) : null;
+        };
+        const percentage = count => (rows.length > 0 ? parseFloat(((count / rows.length) * 100).toFixed(2)) : null);
+        const severityCount = severity => rows.filter(row => row.outlier_severity === severity).length;
+
+        const originalRows = rows.filter(row => row.data_source === 'ORIGINAL');
+        const fallbackRows = rows.filter(row => row.data_source === 'FALLBACK');
+        const fallbackDistances = fallbackRows
+            .map(row => parseFloat(row.distance_km))
+            .filter(distance => Number.isFinite(distance));
+        const outliers = rows.filter(row => row.is_outlier);
+
+        return {
+            data_month: month,
+            total_plz_count: rows.length,
+            original_data_count: originalRows.length,
+            fallback_data_count: fallbackRows.length,
+            coverage_percentage: percentage(originalRows.length),
+            complete_data_count: rows.filter(row => row.lokaler_versorger_price && row.oekostrom_price).length,
+            avg_lokaler_versorger_price: average(rows.map(row => row.lokaler_versorger_price)),
+            avg_oekostrom_price: average(rows.map(row => row.oekostrom_price)),
+            avg_overall_price: average(rows.map(row => row.average_price)),
+            original_avg_lokaler_versorger_price: average(originalRows.map(row => row.lokaler_versorger_price)),
+            original_avg_oekostrom_price: average(originalRows.map(row => row.oekostrom_price)),
+            original_avg_overall_price: average(originalRows.map(row => row.average_price)),
+            fallback_avg_lokaler_versorger_price: average(fallbackRows.map(row => row.lokaler_versorger_price)),
+            fallback_avg_oekostrom_price: average(fallbackRows.map(row => row.oekostrom_price)),
+            fallback_avg_overall_price: average(fallbackRows.map(row => row.average_price)),
+            outlier_count: outliers.length,
+            outlier_percentage: percentage(outliers.length),
+            // very_high and above
+            high_severity_outlier_count: outliers.filter(row => this.getSeverityLevel(row.outlier_severity) >= 2).length,
+            severity_normal_count: severityCount('normal'),
+            severity_high_count: severityCount('high'),
+            severity_very_high_count: severityCount('very_high'),
+            severity_extreme_count: severityCount('extreme'),
+            max_fallback_distance_km: fallbackDistances.length > 0 ? Math.max(...fallbackDistances) : null,
+            avg_fallback_distance_km: fallbackDistances.length > 0 ? average(fallbackDistances) : null
+        };
+    }
+
+    /**
+     * Recalculate and store a month's monthly_quality_metrics row from the primary source's rows
+     * @param {Object} db - SupabaseClient (getAllPriceDataForMonth, upsertMonthlyQualityMetrics)
+     * @param {string} month - Data month (YYYY-MM-01)
+     * @returns {Promise<Object|null>} Stored metrics, null if the month has no rows
+     */
+    async updateMonthlyMetrics(db, month) {
+        const rows = await db.getAllPriceDataForMonth(month, MONTHLY_METRIC_COLUMNS, db.primarySource);
+        if (rows.length === 0) {
+            return null;
+        }
+
+        return db.upsertMonthlyQualityMetrics(this.calculateMonthlyMetrics(month, rows));
+    }
+
+    /**
+     * Recommendations for a stored month (monthly_quality_metrics row)
+     * @param {Object} monthlyMetrics - monthly_quality_metrics row
+     * @param {Array} temporalAnomalies - Open price_review_queue items of the month
+     */
+    generateMonthlyRecommendations(monthlyMetrics, temporalAnomalies = []) {
+        const total = monthlyMetrics.total_plz_count || 0;
+
+        return this.generateQualityRecommendations({
+            total_results: total,
+            data_completeness: total > 0 ? ((monthlyMetrics.complete_data_count || 0) / total) * 100 : 0,
+            outliers_detected: monthlyMetrics.outlier_count || 0,
+            extreme_outliers: monthlyMetrics.severity_extreme_count || 0,
+            temporal_anomalies: temporalAnomalies.length,
+            very_high_temporal_anomalies: temporalAnomalies.filter(anomaly => anomaly.severity === 'very_high').length
+        });
+    }
+
     /**
      * Get severity level as number for comparison
      */
@@ -432,9 +637,12 @@ class QualityValidator extends IQualityValidator {
 
     /**
      * Generate quality report for a set of results
+     * @param {Array} temporalAnomalies - Month-over-month jumps queued for review (TemporalAnomalyDetector)
      */
-    generateQualityReport(results) {
+    generateQualityReport(results, temporalAnomalies = []) {
         const metrics = this.getQualityMetrics(results);
+        metrics.temporal_anomalies = temporalAnomalies.length;
+        metrics.very_high_temporal_anomalies = temporalAnomalies.filter(anomaly => anomaly.severity === 'very_high').length;
         
         const report = {
             generated_at: new Date().toISOString(),
@@ -442,9 +650,16 @@ class QualityValidator extends IQualityValidator {
                 total_results: metrics.total_results,
                 data_completeness: `${metrics.data_completeness.toFixed(1)}%`,
                 average_quality_score: metrics.average_quality_score.toFixed(2),
-                outlier_rate: `${((metrics.outliers_detected / metrics.total_results) * 100).toFixed(1)}%`
+                outlier_rate: `${((metrics.outliers_detected / metrics.total_results) * 100).toFixed(1)}%`,
+                temporal_anomalies: metrics.temporal_anomalies
             },
             details: metrics,
+            temporal_anomalies: {
+                total: metrics.temporal_anomalies,
+                high: metrics.temporal_anomalies - metrics.very_high_temporal_anomalies,
+                very_high: metrics.very_high_temporal_anomalies,
+                items: temporalAnomalies
+            },
             recommendations: this.generateQualityRecommendations(metrics)
         };
 
@@ -473,6 +688,12 @@ class QualityValidator extends IQualityValidator {
             recommendations.push('Extreme outliers found - these likely indicate extraction errors');
         }
 
+        if (metrics.very_high_temporal_anomalies > 0) {
+            recommendations.push(`${metrics.very_high_temporal_anomalies} implausible month-over-month price jumps queued for review - these likely indicate extraction errors`);
+        } else if (metrics.temporal_anomalies > 0) {
+            recommendations.push(`${metrics.temporal_anomalies} large month-over-month price changes queued for review`);
+        }
+
         if (recommendations.length === 0) {
             recommendations.push('Data quality looks good - no immediate improvements needed');
         }
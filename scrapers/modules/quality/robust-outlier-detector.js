@@ -0,0 +1,304 @@
+/**
+ * Robust Outlier Detector
+ * Flags prices that stand out from the PLZ's geographic neighbours or from its own history
+ *
+ * The fixed euro thresholds of QualityValidator.analyzePriceOutlier go stale as the market moves
+ * and cannot see a 0.25 €/kWh price in a region where everyone else charges 0.40. This detector
+ * uses the modified z-score 0.6745 * (price - median) / MAD, which the outliers themselves
+ * cannot pull around, and runs as a month-wide pass after scraping.
+ */
+
+const GeographicCompletion = require('../geographic/geographic-completion');
+
+const PRICE_CHECKS = [
+    { priceField: 'lokaler_versorger_price', label: 'Lokaler Versorger' },
+    { priceField: 'oekostrom_price', label: 'Ökostrom' }
+];
+
+// Scales the MAD to the standard deviation of a normal distribution
+const MAD_SCALE = 0.6745;
+
+// Kilometres per degree of latitude (neighbour pre-filter)
+const KM_PER_DEGREE = 111;
+
+class RobustOutlierDetector {
+    constructor(config, qualityValidator, geographicCompletion = null) {
+        this.config = config;
+        this.settings = config.getRobustOutlierConfig();
+        this.qualityValidator = qualityValidator;
+        this.geographicCompletion = geographicCompletion || new GeographicCompletion(config);
+    }
+
+    isEnabled() {
+        return this.settings.enabled;
+    }
+
+    /**
+     * Check every scraped row of a stored month and write changed outlier flags back
+     * @param {Object} storage - Database storage (getMonthPriceData, updatePriceData, invalidateMonthCache)
+     * @param {string} month - Data month (YYYY-MM-01)
+     * @param {Object} options - { write: false for a dry run }
+     * @returns {Object} { month, checked, outliers, changed, written, results }
+     */
+    async runMonth(storage, month, options = {}) {
+        const { write = true } = options;
+
+        const rows = await storage.getMonthPriceData(month);
+        const historyRows = [];
+        for (const historyMonth of this.getHistoryMonths(month)) {
+            historyRows.push(...await storage.getMonthPriceData(historyMonth));
+        }
+        const coordinates = await this.loadCoordinates();
+
+        const results = this.detectMonth(rows, historyRows, coordinates);
+        const changed = results.filter(result => result.changed);
+
+        let written = 0;
+        if (write) {
+            for (const result of changed) {
+                try {
+                    await storage.updatePriceData(result.id, result.updates, {
+                        actor: 'robust-outlier-detector',
+                        reason: result.updates.outlier_reason || 'Outlier flag cleared'
+                    });
+                    written++;
+                } catch (error) {
+                    console.warn(`⚠️  Could not update outlier flags for ${result.plz}: ${error.message}`);
+                }
+            }
+
+            if (written > 0) {
+                await storage.invalidateMonthCache(month, 'robust outlier detection');
+            }
+        }
+
+        return {
+            month,
+            checked: results.length,
+            outliers: results.filter(result => result.updates.is_outlier).length,
+            changed: changed.length,
+            written,
+            results
+        };
+    }
+
+    /**
+     * Check the scraped rows of a month
+     * Fallback rows copy a neighbour's price and are neither checked nor used as neighbours.
+     * @param {Array} rows - Price rows of the month
+     * @param {Array} historyRows - Price rows of the previous months
+     * @param {Map} coordinates - PLZ -> { latitude, longitude } (rows' own coordinates are the fallback)
+     * @returns {Array} { id, plz, city_name, updates: { is_outlier, outlier_severity, outlier_reason }, changed }
+     */
+    detectMonth(rows, historyRows = [], coordinates = new Map()) {
+        const entries = rows
+            .filter(row => row.data_source === 'ORIGINAL')
+            .map(row => ({ row, position: this.getPosition(row, coordinates) }));
+        const historyByPlz = this.groupHistory(historyRows);
+
+        return entries.map(entry => {
+            const neighbours = this.findNeighbours(entry, entries);
+            const updates = this.analyzeRow(entry.row, neighbours, historyByPlz.get(entry.row.plz));
+
+            return {
+                id: entry.row.id,
+                plz: entry.row.plz,
+                city_name: entry.row.city_name,
+                updates,
+                changed: Boolean(entry.row.is_outlier) !== updates.is_outlier ||
+                    (entry.row.outlier_severity || 'normal') !== updates.outlier_severity ||
+                    (entry.row.outlier_reason ?? null) !== updates.outlier_reason
+            };
+        });
+    }
+
+    /**
+     * Combine the fixed thresholds with the neighbour and history z-scores of one row
+     * @param {Object} row - Price row
+     * @param {Array} neighbours - Neighbour rows ({ row, distance })
+     * @param {Object} history - { price field: [previous prices] } or undefined
+     * @returns {Object} { is_outlier, outlier_severity, outlier_reason }
+     */
+    analyzeRow(row, neighbours, history = {}) {
+        const lokalerPrice = this.toPrice(row.lokaler_versorger_price);
+        const oekostromPrice = this.toPrice(row.oekostrom_price);
+        const fixed = this.qualityValidator.detectOutliers(lokalerPrice, oekostromPrice, { log: false });
+
+        let isOutlier = fixed.hasOutliers;
+        let severity = fixed.severity;
+        const reasons = [...fixed.reasons];
+
+        const flag = (score, reason) => {
+            const scoreSeverity = this.classifyZScore(score.z);
+            if (scoreSeverity === 'normal') return;
+
+            isOutlier = true;
+            reasons.push(`${reason} (z = ${score.z.toFixed(1)})`);
+            if (this.qualityValidator.getSeverityLevel(scoreSeverity) > this.qualityValidator.getSeverityLevel(severity)) {
+                severity = scoreSeverity;
+            }
+        };
+
+        for (const { priceField, label } of PRICE_CHECKS) {
+            const price = this.toPrice(row[priceField]);
+            if (price === null) continue;
+
+            const neighbourPrices = neighbours
+                .map(neighbour => this.toPrice(neighbour.row[priceField]))
+                .filter(value => value !== null);
+            if (neighbourPrices.length >= this.settings.minNeighbours) {
+                const score = this.modifiedZScore(price, neighbourPrices);
+                flag(score, `neighbours: ${label} €${price.toFixed(4)} vs. median €${score.median.toFixed(4)} ` +
+                    `of ${score.count} PLZs within ${this.settings.neighbourRadiusKm} km`);
+            }
+
+            const historyPrices = history[priceField] || [];
+            if (historyPrices.length >= this.settings.minHistoryMonths) {
+                const score = this.modifiedZScore(price, historyPrices);
+                flag(score, `history: ${label} €${price.toFixed(4)} vs. median €${score.median.toFixed(4)} ` +
+                    `of the last ${score.count} months`);
+            }
+        }
+
+        return {
+            is_outlier: isOutlier,
+            outlier_severity: severity,
+            outlier_reason: reasons.length > 0 ? reasons.join('; ') : null
+        };
+    }
+
+    /**
+     * Modified z-score of a value against a sample
+     * The MAD is floored at minMadRatio of the median, so identical neighbour prices do not
+     * turn every cent of difference into an outlier
+     * @returns {Object} { z, median, mad, count }
+     */
+    modifiedZScore(value, values) {
+        const median = this.median(values);
+        const mad = this.median(values.map(v => Math.abs(v - median)));
+        const scale = Math.max(mad, median * this.settings.minMadRatio);
+
+        return {
+            z: scale > 0 ? MAD_SCALE * (value - median) / scale : 0,
+            median,
+            mad,
+            count: values.length
+        };
+    }
+
+    /**
+     * Severity of a z-score (same levels as the fixed thresholds, both directions)
+     */
+    classifyZScore(z) {
+        const { zScoreThresholds } = this.settings;
+        const magnitude = Math.abs(z);
+
+        if (magnitude >= zScoreThresholds.veryHigh) return 'very_high';
+        if (magnitude >= zScoreThresholds.high) return 'high';
+        return 'normal';
+    }
+
+    /**
+     * Closest scraped PLZs within the radius (the row itself excluded)
+     */
+    findNeighbours(entry, entries) {
+        if (!entry.position) return [];
+
+        const { neighbourRadiusKm, maxNeighbours } = this.settings;
+        const maxLatitudeDelta = neighbourRadiusKm / KM_PER_DEGREE;
+        const neighbours = [];
+
+        for (const other of entries) {
+            if (other === entry || !other.position || other.row.plz === entry.row.plz) continue;
+            if (Math.abs(other.position.latitude - entry.position.latitude) > maxLatitudeDelta) continue;
+
+            const distance = this.geographicCompletion.calculateDistance(
+                entry.position.latitude, entry.position.longitude,
+                other.position.latitude, other.position.longitude
+            );
+            if (distance <= neighbourRadiusKm) {
+                neighbours.push({ row: other.row, distance });
+            }
+        }
+
+        return neighbours
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, maxNeighbours);
+    }
+
+    /**
+     * PLZ coordinates from GeographicCompletion (PLZ coordinates file)
+     * @returns {Map} PLZ -> { latitude, longitude }
+     */
+    async loadCoordinates() {
+        await this.geographicCompletion.loadPLZCoordinates();
+
+        const coordinates = new Map();
+        for (const entry of this.geographicCompletion.allPLZs) {
+            coordinates.set(entry.plz, { latitude: entry.latitude, longitude: entry.longitude });
+        }
+        return coordinates;
+    }
+
+    /**
+     * Previous months checked by the history comparison, newest first
+     */
+    getHistoryMonths(month) {
+        const [year, monthNumber] = month.split('-').map(Number);
+        const months = [];
+
+        for (let i = 1; i <= this.settings.historyMonths; i++) {
+            const date = new Date(Date.UTC(year, monthNumber - 1 - i, 1));
+            months.push(`${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}-01`);
+        }
+
+        return months;
+    }
+
+    // === HELPERS ===
+
+    getPosition(row, coordinates) {
+        const known = coordinates.get(row.plz);
+        if (known) return known;
+
+        const latitude = parseFloat(row.latitude);
+        const longitude = parseFloat(row.longitude);
+        return Number.isFinite(latitude) && Number.isFinite(longitude) ? { latitude, longitude } : null;
+    }
+
+    /**
+     * Previous scraped, non-outlier prices per PLZ
+     * @returns {Map} PLZ -> { price field: [prices] }
+     */
+    groupHistory(historyRows) {
+        const historyByPlz = new Map();
+
+        for (const row of historyRows) {
+            if (row.data_source !== 'ORIGINAL' || row.is_outlier) continue;
+
+            if (!historyByPlz.has(row.plz)) {
+                historyByPlz.set(row.plz, Object.fromEntries(PRICE_CHECKS.map(({ priceField }) => [priceField, []])));
+            }
+            const history = historyByPlz.get(row.plz);
+            for (const { priceField } of PRICE_CHECKS) {
+                const price = this.toPrice(row[priceField]);
+                if (price !== null) history[priceField].push(price);
+            }
+        }
+
+        return historyByPlz;
+    }
+
+    median(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+    }
+
+    toPrice(value) {
+        const price = parseFloat(value);
+        return Number.isFinite(price) && price > 0 ? price : null;
+    }
+}
+
+module.exports = RobustOutlierDetector;
@@ -0,0 +1,199 @@
+/**
+ * Temporal Anomaly Detector
+ * Compares newly scraped prices with the PLZ's previous months and queues implausible jumps for review
+ *
+ * Tariffs rarely move more than a few percent from one month to the next, so a local provider
+ * price that jumps 60% is almost always an extraction error. The baseline is the median of the
+ * PLZ's scraped prices over the last lookbackMonths, so one bad month does not hide the next jump.
+ * Flagged prices are written to price_review_queue; the price rows themselves are left unchanged.
+ */
+
+const PRICE_CHECKS = [
+    { priceField: 'lokaler_versorger_price', label: 'Lokaler Versorger' },
+    { priceField: 'oekostrom_price', label: 'Ökostrom' }
+];
+
+const ANOMALY_TYPE = 'month_over_month_jump';
+
+class TemporalAnomalyDetector {
+    constructor(config) {
+        this.config = config;
+        this.settings = config.getTemporalAnomalyConfig();
+    }
+
+    isEnabled() {
+        return this.settings.enabled;
+    }
+
+    /**
+     * Compare the stored rows of a month with the previous months and queue the jumps
+     * @param {Object} storage - Database storage (getMonthPriceData, storeReviewQueueItems)
+     * @param {string} month - Data month (YYYY-MM-01)
+     * @param {Object} options - { plzs: Set of PLZs to check (default all), sessionId, write: false for a dry run }
+     * @returns {Object} { month, checked, anomalies, queued }
+     */
+    async runMonth(storage, month, options = {}) {
+        const { plzs = null, sessionId = null, write = true } = options;
+
+        const rows = (await storage.getMonthPriceData(month))
+            .filter(row => !plzs || plzs.has(row.plz));
+        const previousRows = [];
+        for (const previousMonth of this.getPreviousMonths(month)) {
+            previousRows.push(...await storage.getMonthPriceData(previousMonth));
+        }
+
+        const anomalies = this.detectMonth(rows, previousRows);
+
+        let queued = 0;
+        if (write && anomalies.length > 0) {
+            queued = await storage.storeReviewQueueItems(
+                anomalies.map(anomaly => ({ ...anomaly, session_id: sessionId }))
+            );
+        }
+
+        return {
+            month,
+            checked: rows.filter(row => row.data_source === 'ORIGINAL').length,
+            anomalies,
+            queued
+        };
+    }
+
+    /**
+     * Find the implausible jumps of a month
+     * Only scraped rows (data_source ORIGINAL) are compared, on both sides - fallback rows copy a neighbour's price
+     * @param {Array} rows - Price rows of the month
+     * @param {Array} previousRows - Price rows of the previous months
+     * @returns {Array} Review queue items (price_review_queue columns without session_id), worst first
+     */
+    detectMonth(rows, previousRows = []) {
+        const previousByPlz = this.groupPreviousPrices(previousRows);
+        const anomalies = [];
+
+        for (const row of rows) {
+            if (row.data_source !== 'ORIGINAL') continue;
+
+            const previous = previousByPlz.get(`${row.source_name || ''}|${row.plz}`);
+            if (!previous) continue;
+
+            for (const { priceField, label } of PRICE_CHECKS) {
+                const price = this.toPrice(row[priceField]);
+                const anomaly = price !== null ? this.compareWithPrevious(price, previous[priceField]) : null;
+                if (!anomaly) continue;
+
+                const direction = anomaly.change_ratio > 0 ? 'above' : 'below';
+                anomalies.push({
+                    price_id: row.id,
+                    data_month: row.data_month,
+                    plz: row.plz,
+                    city_name: row.city_name,
+                    source_name: row.source_name,
+                    anomaly_type: ANOMALY_TYPE,
+                    price_field: priceField,
+                    current_price: price,
+                    ...anomaly,
+                    reason: `${label} €${price.toFixed(4)} is ${Math.abs(anomaly.change_ratio * 100).toFixed(1)}% ${direction} ` +
+                        `the median €${anomaly.baseline_price.toFixed(4)} of the last ${anomaly.baseline_months} months ` +
+                        `(latest ${anomaly.previous_month})`
+                });
+            }
+        }
+
+        return anomalies.sort((a, b) => Math.abs(b.change_ratio) - Math.abs(a.change_ratio) || a.plz.localeCompare(b.plz));
+    }
+
+    /**
+     * Relative change of a price against the median of its previous months
+     * @param {number} price - New price
+     * @param {Array} previous - [{ month, price }] newest first
+     * @returns {Object|null} { baseline_price, baseline_months, previous_month, change_ratio, severity } or null if plausible
+     */
+    compareWithPrevious(price, previous = []) {
+        if (previous.length === 0) return null;
+
+        const baseline = this.median(previous.map(entry => entry.price));
+        const changeRatio = (price - baseline) / baseline;
+        const severity = this.classifyChange(changeRatio);
+        if (severity === 'normal') return null;
+
+        return {
+            baseline_price: parseFloat(baseline.toFixed(4)),
+            baseline_months: previous.length,
+            previous_month: previous[0].month,
+            change_ratio: parseFloat(changeRatio.toFixed(4)),
+            severity
+        };
+    }
+
+    /**
+     * Severity of a relative change (both directions)
+     */
+    classifyChange(changeRatio) {
+        const { jumpThresholds } = this.settings;
+        const magnitude = Math.abs(changeRatio);
+
+        if (magnitude >= jumpThresholds.veryHigh) return 'very_high';
+        if (magnitude >= jumpThresholds.high) return 'high';
+        return 'normal';
+    }
+
+    /**
+     * Previous months compared, newest first
+     */
+    getPreviousMonths(month) {
+        const [year, monthNumber] = month.split('-').map(Number);
+        const months = [];
+
+        for (let i = 1; i <= this.settings.lookbackMonths; i++) {
+            const date = new Date(Date.UTC(year, monthNumber - 1 - i, 1));
+            months.push(`${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}-01`);
+        }
+
+        return months;
+    }
+
+    // === HELPERS ===
+
+    /**
+     * Previous scraped prices per source and PLZ
+     * @returns {Map} "source|PLZ" -> { price field: [{ month, price }] newest first }
+     */
+    groupPreviousPrices(previousRows) {
+        const previousByPlz = new Map();
+
+        for (const row of previousRows) {
+            if (row.data_source !== 'ORIGINAL') continue;
+
+            const key = `${row.source_name || ''}|${row.plz}`;
+            if (!previousByPlz.has(key)) {
+                previousByPlz.set(key, Object.fromEntries(PRICE_CHECKS.map(({ priceField }) => [priceField, []])));
+            }
+            const previous = previousByPlz.get(key);
+            for (const { priceField } of PRICE_CHECKS) {
+                const price = this.toPrice(row[priceField]);
+                if (price !== null) previous[priceField].push({ month: row.data_month, price });
+            }
+        }
+
+        for (const previous of previousByPlz.values()) {
+            for (const entries of Object.values(previous)) {
+                entries.sort((a, b) => b.month.localeCompare(a.month));
+            }
+        }
+
+        return previousByPlz;
+    }
+
+    median(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+    }
+
+    toPrice(value) {
+        const price = parseFloat(value);
+        return Number.isFinite(price) && price > 0 ? price : null;
+    }
+}
+
+module.exports = TemporalAnomalyDetector;
@@ -0,0 +1,49 @@
+/**
+ * PostgreSQL Database Storage Module
+ * Implements IDatabaseStorage interface for a plain PostgreSQL database (DATABASE_URL):
+ * the Supabase storage behaviour (batching, sessions, review queue, metrics) over a PostgresClient,
+ * which creates or upgrades the tables from database/schema.sql before the first scrape
+ */
+
+const SupabaseStorage = require('./supabase-storage');
+const PostgresClient = require('../../../database/postgres-client');
+
+class PostgresStorage extends SupabaseStorage {
+    constructor(config) {
+        super(config, new PostgresClient());
+        this.schemaApplied = false;
+    }
+
+    /**
+     * Apply schema.sql once (the factory tests the connection before scraping starts)
+     */
+    async ensureSchema() {
+        if (!this.schemaApplied) {
+            await this.db.applySchema();
+            this.schemaApplied = true;
+        }
+    }
+
+    /**
+     * Test database connection, creating or upgrading the schema first
+     */
+    async testConnection() {
+        try {
+            await this.ensureSchema();
+            return await this.db.testConnection();
+        } catch (error) {
+            console.error('❌ Database connection test failed:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Close open sessions and the connection pool
+     */
+    async close() {
+        await super.close();
+        await this.db.close();
+    }
+}
+
+module.exports = PostgresStorage;
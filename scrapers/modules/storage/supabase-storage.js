@@ -4,14 +4,20 @@
  */
 
 const { IDatabaseStorage } = require('../interfaces');
+const QualityValidator = require('../quality/quality-validator');
 const SupabaseClient = require('../../../database/supabase-client');
 const fs = require('fs');
 const path = require('path');
 
 class SupabaseStorage extends IDatabaseStorage {
-    constructor(config) {
+    /**
+     * @param {Object} config - ScraperConfig
+     * @param {SupabaseClient} db - Data-access client (PostgresStorage passes a PostgresClient)
+     */
+    constructor(config, db = new SupabaseClient()) {
         super(config);
-        this.db = new SupabaseClient();
+        this.db = db;
+        this.sourceName = config.getActiveSource(); // Rows are stored and de-duplicated per source
         this.currentSession = null;
         
         // NEW: Batch optimization properties
@@ -38,7 +44,7 @@ class SupabaseStorage extends IDatabaseStorage {
 
         try {
             console.log(`🔍 Initializing bulk duplicate cache for ${month}...`);
-            this.existingPLZsCache = await this.db.getExistingPLZsForMonth(month);
+            this.existingPLZsCache = await this.db.getExistingPLZsForMonth(month, this.sourceName);
             this.batchCacheInitialized = true;
             
             console.log(`✅ Bulk duplicate cache initialized: ${this.existingPLZsCache.size} existing PLZs found`);
@@ -171,6 +177,7 @@ class SupabaseStorage extends IDatabaseStorage {
             // Ensure data includes month
             const dataWithMonth = {
                 ...priceData,
+                source_name: priceData.source_name || this.sourceName,
                 data_month: priceData.data_month || this.config.getCurrentMonth()
             };
 
@@ -190,7 +197,7 @@ class SupabaseStorage extends IDatabaseStorage {
                     isDuplicate = this.isDuplicateOptimized(dataWithMonth.plz);
                 } else {
                     // Fall back to individual check
-                    isDuplicate = await this.db.dataExists(dataWithMonth.data_month, dataWithMonth.plz);
+                    isDuplicate = await this.db.dataExists(dataWithMonth.data_month, dataWithMonth.plz, this.sourceName);
                 }
                 
                 if (isDuplicate) {
@@ -248,6 +255,7 @@ class SupabaseStorage extends IDatabaseStorage {
             // Prepare data with month
             const dataWithMonth = priceDataArray.map(item => ({
                 ...item,
+                source_name: item.source_name || this.sourceName,
                 data_month: item.data_month || currentMonth
             }));
 
@@ -259,7 +267,7 @@ class SupabaseStorage extends IDatabaseStorage {
                 // Only do individual duplicate checking if bulk optimization is not enabled
                 const filteredData = [];
                 for (const item of dataWithMonth) {
-                    const exists = await this.db.dataExists(item.data_month, item.plz);
+                    const exists = await this.db.dataExists(item.data_month, item.plz, this.sourceName);
                     if (!exists) {
                         filteredData.push(item);
                     } else {
@@ -294,7 +302,7 @@ class SupabaseStorage extends IDatabaseStorage {
      */
     async dataExists(month, plz) {
         try {
-            return await this.db.dataExists(month, plz);
+            return await this.db.dataExists(month, plz, this.sourceName);
         } catch (error) {
             console.error(`❌ Error checking data existence for ${plz}:`, error.message);
             return false;
@@ -306,7 +314,7 @@ class SupabaseStorage extends IDatabaseStorage {
      */
     async monthDataExists(month) {
         try {
-            return await this.db.monthDataExists(month);
+            return await this.db.monthDataExists(month, this.sourceName);
         } catch (error) {
             console.error(`❌ Error checking month data existence:`, error.message);
             return false;
@@ -562,12 +570,68 @@ class SupabaseStorage extends IDatabaseStorage {
         }
     }
 
+    /**
+     * Get all stored price rows of a month (of this storage's source unless another is given)
+     */
+    async getMonthPriceData(month, sourceName = this.sourceName) {
+        try {
+            return await this.db.getAllPriceDataForMonth(month, '*', sourceName);
+        } catch (error) {
+            console.error(`❌ Error getting price data for ${month}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Update an existing price record (e.g. after offline re-extraction)
+     * @param {Object} change - { actor, reason } for price_change_history
+     */
+    async updatePriceData(recordId, updates, change = {}) {
+        try {
+            return await this.db.updatePriceData(recordId, updates, change);
+        } catch (error) {
+            console.error(`❌ Error updating price record ${recordId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Queue flagged prices for review (price_review_queue)
+     */
+    async storeReviewQueueItems(items) {
+        try {
+            return await this.db.upsertReviewQueueItems(items);
+        } catch (error) {
+            console.error(`❌ Error storing ${items.length} review queue items:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Recalculate a month's monthly_quality_metrics row (primary source)
+     */
+    async updateMonthlyQualityMetrics(month) {
+        try {
+            return await new QualityValidator(this.config).updateMonthlyMetrics(this.db, month);
+        } catch (error) {
+            console.error(`❌ Error updating quality metrics for ${month}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Tell API instances that a month's data changed
+     */
+    async invalidateMonthCache(month, reason) {
+        return this.db.invalidateMonthCache(month, reason);
+    }
+
     /**
      * Get price data for specific PLZ and month
      */
     async getPriceData(plz, month) {
         try {
-            return await this.db.getPriceData(plz, month);
+            return await this.db.getPriceData(plz, month, this.sourceName);
         } catch (error) {
             console.error(`❌ Error getting price data for ${plz}:`, error.message);
             return null;
@@ -579,7 +643,7 @@ class SupabaseStorage extends IDatabaseStorage {
      */
     async getLatestPriceData(plz) {
         try {
-            return await this.db.getLatestPriceData(plz);
+            return await this.db.getLatestPriceData(plz, this.sourceName);
         } catch (error) {
             console.error(`❌ Error getting latest price data for ${plz}:`, error.message);
             return null;
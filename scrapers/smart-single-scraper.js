@@ -8,7 +8,7 @@
  * - City classification (small/medium/large)
  * - Multiple extraction strategies per city class
  * - Analysis metadata collection
- * - Database integration with Supabase
+ * - Database integration with Supabase (or local PostgreSQL, DATABASE_BACKEND=postgres)
  * - Resume functionality with duplicate detection
  */
 
@@ -17,11 +17,12 @@ const fs = require('fs');
 const csv = require('csv-parser');
 const axios = require('axios');
 const cheerio = require('cheerio');
-const SupabaseClient = require('../database/supabase-client');
+const { createDatabaseClient } = require('../database/database-client');
+const priceParser = require('./modules/extractors/price-parser');
 
 class SmartElectricityScraper {
     constructor() {
-        this.db = new SupabaseClient();
+        this.db = createDatabaseClient();
         this.baseUrl = 'https://www.stromauskunft.de/de/stadt/stromanbieter-in-';
         this.delay = parseInt(process.env.SCRAPER_DELAY) || 3500; // Average of 2-5s range
         this.targetCityCount = 1000;
@@ -92,6 +93,9 @@ class SmartElectricityScraper {
             console.log('🚀 Starting Smart Single-File Scraper');
             console.log('=====================================\n');
 
+            // Create or upgrade the tables on a local PostgreSQL database
+            await this.db.applySchema?.();
+
             // Test database connection
             const connectionOk = await this.db.testConnection();
             if (!connectionOk) {
@@ -487,13 +491,8 @@ class SmartElectricityScraper {
         let oekoPrice = null;
         const details = [];
 
-        $('table tr').each((i, row) => {
-            const cells = $(row).find('td');
+        priceParser.getTableRows($).forEach(({ cells, firstCell, secondCell, rowText }) => {
             if (cells.length >= 2) {
-                const firstCell = $(cells[0]).text().trim();
-                const secondCell = $(cells[1]).text().trim();
-                const rowText = $(row).text().trim();
-                
                 // Skip provider comparison rows
                 if (this.isProviderComparisonRow(rowText, firstCell)) {
                     return;
@@ -537,9 +536,7 @@ class SmartElectricityScraper {
         let oekoPrice = null;
 
         // For small cities, often just look for any price pattern
-        $('table tr').each((i, row) => {
-            const rowText = $(row).text().trim();
-            
+        priceParser.getTableRows($).forEach(({ rowText }) => {
             if (rowText.includes('pro kWh') && !this.isProviderComparisonRow(rowText)) {
                 const price = this.parsePrice(rowText);
                 if (price && this.isValidPrice(price)) {
@@ -569,24 +566,22 @@ class SmartElectricityScraper {
             let lokalerPrice = null;
             let oekoPrice = null;
 
-            $('table').each((tableIndex, table) => {
-                $(table).find('tr').each((rowIndex, row) => {
-                    const rowText = $(row).text().trim().toLowerCase();
-                    
-                    if (rowText.includes('grundversorg') || rowText.includes('lokaler')) {
-                        const price = this.parsePrice($(row).text());
-                        if (price && this.isValidPrice(price) && !lokalerPrice) {
-                            lokalerPrice = price;
-                        }
+            priceParser.getTableRows($).forEach(({ rowText }) => {
+                const lowerText = rowText.toLowerCase();
+                
+                if (lowerText.includes('grundversorg') || lowerText.includes('lokaler')) {
+                    const price = this.parsePrice(rowText);
+                    if (price && this.isValidPrice(price) && !lokalerPrice) {
+                        lokalerPrice = price;
                     }
-                    
-                    if (rowText.includes('ökostrom') || rowText.includes('alternativ')) {
-                        const price = this.parsePrice($(row).text());
-                        if (price && this.isValidPrice(price) && !oekoPrice) {
-                            oekoPrice = price;
-                        }
+                }
+                
+                if (lowerText.includes('ökostrom') || lowerText.includes('alternativ')) {
+                    const price = this.parsePrice(rowText);
+                    if (price && this.isValidPrice(price) && !oekoPrice) {
+                        oekoPrice = price;
                     }
-                });
+                }
             });
 
             return {
@@ -601,13 +596,10 @@ class SmartElectricityScraper {
 
     // Strategy: First table extraction
     extractFromTableFirst($) {
-        const firstTable = $('table').first();
         let lokalerPrice = null;
         let oekoPrice = null;
 
-        firstTable.find('tr').each((i, row) => {
-            const rowText = $(row).text().trim();
-            
+        priceParser.getTableRows($, { firstTableOnly: true }).forEach(({ rowText }) => {
             if (rowText.includes('pro kWh')) {
                 const price = this.parsePrice(rowText);
                 if (price && this.isValidPrice(price)) {
@@ -630,22 +622,10 @@ class SmartElectricityScraper {
     // Strategy: Standard regex extraction
     extractWithRegexStandard(pageText) {
         const patterns = [
-            {
-                type: 'lokal',
-                regex: /lokaler?\s+Versorger.*?(\d+[,.]?\d*)\s*(Euro|EUR|€|Cent|ct)?\s*pro\s*kWh/i
-            },
-            {
-                type: 'lokal',
-                regex: /Grundversorgung.*?(\d+[,.]?\d*)\s*(Euro|EUR|€|Cent|ct)?\s*pro\s*kWh/i
-            },
-            {
-                type: 'oeko',
-                regex: /günstigster?\s+Ökostrom.*?(\d+[,.]?\d*)\s*(Euro|EUR|€|Cent|ct)?\s*pro\s*kWh/i
-            },
-            {
-                type: 'oeko',
-                regex: /günstigster?\s+Alternativtarif.*?(\d+[,.]?\d*)\s*(Euro|EUR|€|Cent|ct)?\s*pro\s*kWh/i
-            }
+            { type: 'lokal', label: /lokaler?\s+Versorger/i },
+            { type: 'lokal', label: /Grundversorgung/i },
+            { type: 'oeko', label: /günstigster?\s+Ökostrom/i },
+            { type: 'oeko', label: /günstigster?\s+Alternativtarif/i }
         ];
 
         let lokalerPrice = null;
@@ -653,23 +633,14 @@ class SmartElectricityScraper {
         const details = [];
 
         for (let patternObj of patterns) {
-            const match = pageText.match(patternObj.regex);
+            const match = priceParser.findPriceAfterLabel(pageText, patternObj.label);
             if (match) {
-                let price = parseFloat(match[1].replace(',', '.'));
-                const unit = match[2] || '';
-                
-                if (unit.toLowerCase().includes('cent') || unit.toLowerCase().includes('ct')) {
-                    price = price / 100;
-                }
-
-                if (this.isValidPrice(price)) {
-                    if (patternObj.type === 'lokal' && !lokalerPrice) {
-                        lokalerPrice = price;
-                        details.push(`Regex found Lokaler: €${price}`);
-                    } else if (patternObj.type === 'oeko' && !oekoPrice) {
-                        oekoPrice = price;
-                        details.push(`Regex found Öko: €${price}`);
-                    }
+                if (patternObj.type === 'lokal' && !lokalerPrice) {
+                    lokalerPrice = match.price;
+                    details.push(`Regex found Lokaler: €${match.price}`);
+                } else if (patternObj.type === 'oeko' && !oekoPrice) {
+                    oekoPrice = match.price;
+                    details.push(`Regex found Öko: €${match.price}`);
                 }
             }
         }
@@ -683,23 +654,10 @@ class SmartElectricityScraper {
 
     // Strategy: Simple regex extraction
     extractWithRegexSimple(pageText) {
-        // Simplified patterns for small cities
-        const pricePattern = /(\d+[,.]?\d*)\s*(Euro|EUR|€|Cent|ct)?\s*pro\s*kWh/gi;
-        const matches = [...pageText.matchAll(pricePattern)];
-        
-        let prices = [];
-        for (let match of matches) {
-            let price = parseFloat(match[1].replace(',', '.'));
-            const unit = match[2] || '';
-            
-            if (unit.toLowerCase().includes('cent') || unit.toLowerCase().includes('ct')) {
-                price = price / 100;
-            }
-            
-            if (this.isValidPrice(price)) {
-                prices.push(price);
-            }
-        }
+        // Simplified for small cities: every "pro kWh" price on the page
+        const prices = priceParser.findPrices(pageText)
+            .filter(candidate => priceParser.isUsablePrice(candidate, { requirePerKwh: true }))
+            .map(candidate => candidate.price);
 
         // Take first two valid prices
         return {
@@ -715,26 +673,10 @@ class SmartElectricityScraper {
         const standardResult = this.extractWithRegexStandard(pageText);
         
         if (!standardResult.lokaler_versorger_price && !standardResult.oekostrom_price) {
-            // Try more flexible patterns
-            const flexiblePatterns = [
-                /(\d+[,.]?\d*)\s*(€|Euro|EUR)\s*\/\s*kWh/gi,
-                /kWh\s*[:\-]\s*(\d+[,.]?\d*)\s*(€|Euro|EUR|Cent|ct)/gi,
-                /Preis.*?(\d+[,.]?\d*)\s*(€|Euro|EUR|Cent|ct)/gi
-            ];
-
-            let prices = [];
-            for (let pattern of flexiblePatterns) {
-                const matches = [...pageText.matchAll(pattern)];
-                for (let match of matches) {
-                    let price = parseFloat(match[1].replace(',', '.'));
-                    if (match[2] && match[2].toLowerCase().includes('cent')) {
-                        price = price / 100;
-                    }
-                    if (this.isValidPrice(price)) {
-                        prices.push(price);
-                    }
-                }
-            }
+            // Fall back to any price with a currency unit that is not an annual/monthly cost
+            const prices = priceParser.findPrices(pageText)
+                .filter(candidate => candidate.unit && priceParser.isUsablePrice(candidate))
+                .map(candidate => candidate.price);
 
             return {
                 lokaler_versorger_price: prices[0] || null,
@@ -776,28 +718,11 @@ class SmartElectricityScraper {
     }
 
     parsePrice(text) {
-        // Extract numbers that could be prices
-        const matches = text.match(/(\d+[,.]?\d*)/g);
-        if (!matches) return null;
-
-        for (let match of matches) {
-            let price = parseFloat(match.replace(',', '.'));
-            
-            // Convert cents to euros if the number is too high
-            if (price > 10 && price < 100) {
-                price = price / 100;
-            }
-            
-            if (this.isValidPrice(price)) {
-                return price;
-            }
-        }
-        
-        return null;
+        return priceParser.parsePrice(text);
     }
 
     isValidPrice(price) {
-        return price && price >= 0.05 && price <= 2.0;
+        return priceParser.isValidPrice(price);
     }
 
     detectOutliers(lokalerPrice, oekoPrice) {
@@ -1063,7 +988,7 @@ class SmartElectricityScraper {
         console.log(`   • City classification: ENABLED`);
         console.log(`   • Multiple extraction strategies: ENABLED`);
         console.log(`   • Analysis metadata: ENABLED`);
-        console.log(`   • Database storage: Supabase PostgreSQL`);
+        console.log(`   • Database storage: ${this.db.applySchema ? 'Local PostgreSQL' : 'Supabase PostgreSQL'}`);
         console.log(`   • Session tracking: ${this.sessionId}`);
         console.log(`   • Resume capability: ENABLED`);
         console.log(`   • Estimated time: ${Math.ceil(cityCount * 6.5 / 60)} minutes (avg 6.5s delay)`);
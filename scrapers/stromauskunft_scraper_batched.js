@@ -3,6 +3,7 @@ const path = require('path');
 const csv = require('csv-parser');
 const axios = require('axios');
 const cheerio = require('cheerio');
+const priceParser = require('./modules/extractors/price-parser');
 const createCsvWriter = require('csv-writer').createObjectCsvWriter;
 
 class BatchedStromauskunftScraper {
@@ -147,45 +148,9 @@ class BatchedStromauskunftScraper {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
 
-    // Enhanced price parsing
+    // Price parsing (shared with every scraper, see modules/extractors/price-parser.js)
     parsePrice(text) {
-        if (!text) return null;
-        
-        const patterns = [
-            // Euro per kWh formats
-            /(\d+[,.]?\d*)\s*Euro\s*pro\s*kWh/i,
-            /(\d+[,.]?\d*)\s*EUR\s*pro\s*kWh/i,
-            /(\d+[,.]?\d*)\s*€\s*pro\s*kWh/i,
-            
-            // Cent per kWh formats (need to convert to Euro)
-            /(\d+[,.]?\d*)\s*Cent\s*pro\s*kWh/i,
-            /(\d+[,.]?\d*)\s*ct?\s*\/?\s*kWh/i,
-            /(\d+[,.]?\d*)\s*ct\s*pro\s*kWh/i,
-            
-            // Just numbers with Euro/Cent indicators
-            /(\d+[,.]?\d*)\s*(Euro|EUR|€)/i,
-            /(\d+[,.]?\d*)\s*(Cent|ct)/i,
-        ];
-
-        for (let pattern of patterns) {
-            const match = text.match(pattern);
-            if (match) {
-                let price = parseFloat(match[1].replace(',', '.'));
-                
-                // Convert cents to euros
-                const unit = match[2] ? match[2].toLowerCase() : '';
-                if (pattern.toString().includes('Cent') || pattern.toString().includes('ct') || 
-                    unit.includes('cent') || unit.includes('ct')) {
-                    price = price / 100;
-                }
-                
-                // Validate reasonable price range
-                if (price >= 0.05 && price <= 2.0) {
-                    return price;
-                }
-            }
-        }
-        return null;
+        return priceParser.parsePrice(text);
     }
 
     // Enhanced price extraction with improved strategy to avoid comparison table interference
@@ -261,40 +226,33 @@ class BatchedStromauskunftScraper {
             const patterns = [
                 {
                     type: 'lokal',
-                    regex: /lokaler?\s+Versorger.*?(\d+[,.]?\d*)\s*(Euro|EUR|€|Cent|ct)?\s*pro\s*kWh/i
+                    label: /lokaler?\s+Versorger/i
                 },
                 {
                     type: 'lokal',
-                    regex: /Grundversorgung.*?(\d+[,.]?\d*)\s*(Euro|EUR|€|Cent|ct)?\s*pro\s*kWh/i
+                    label: /Grundversorgung/i
                 },
                 {
                     type: 'oeko',
-                    regex: /günstigster?\s+Ökostrom.*?(\d+[,.]?\d*)\s*(Euro|EUR|€|Cent|ct)?\s*pro\s*kWh/i
+                    label: /günstigster?\s+Ökostrom/i
                 },
                 {
                     type: 'oeko',
-                    regex: /günstigster?\s+Alternativtarif.*?(\d+[,.]?\d*)\s*(Euro|EUR|€|Cent|ct)?\s*pro\s*kWh/i
+                    label: /günstigster?\s+Alternativtarif/i
                 }
             ];
 
             for (let patternObj of patterns) {
-                const match = pageText.match(patternObj.regex);
+                const match = priceParser.findPriceAfterLabel(pageText, patternObj.label);
                 if (match) {
-                    let price = parseFloat(match[1].replace(',', '.'));
-                    const unit = match[2] || '';
-                    
-                    if (unit.toLowerCase().includes('cent') || unit.toLowerCase().includes('ct')) {
-                        price = price / 100;
-                    }
-
-                    if (price >= 0.05 && price <= 2.0) {
-                        if (patternObj.type === 'lokal' && !lokalerVersorgerPrice) {
-                            lokalerVersorgerPrice = price;
-                            console.log(`      ✅ Regex found Lokaler Versorger: €${price}`);
-                        } else if (patternObj.type === 'oeko' && !oekostromPrice) {
-                            oekostromPrice = price;
-                            console.log(`      ✅ Regex found Ökostrom: €${price}`);
-                        }
+                    const price = match.price;
+
+                    if (patternObj.type === 'lokal' && !lokalerVersorgerPrice) {
+                        lokalerVersorgerPrice = price;
+                        console.log(`      ✅ Regex found Lokaler Versorger: €${price}`);
+                    } else if (patternObj.type === 'oeko' && !oekostromPrice) {
+                        oekostromPrice = price;
+                        console.log(`      ✅ Regex found Ökostrom: €${price}`);
                     }
                 }
             }
@@ -474,9 +432,8 @@ class BatchedStromauskunftScraper {
             this.processedCities.add(cityKey);
 
             // Validation
-            const isValidPrice = (price) => price && price >= 0.05 && price <= 2.0;
-            const validLokalerPrice = isValidPrice(lokalerVersorgerPrice) ? lokalerVersorgerPrice : null;
-            const validOekoPrice = isValidPrice(oekostromPrice) ? oekostromPrice : null;
+            const validLokalerPrice = priceParser.isValidPrice(lokalerVersorgerPrice) ? lokalerVersorgerPrice : null;
+            const validOekoPrice = priceParser.isValidPrice(oekostromPrice) ? oekostromPrice : null;
 
             if (!validLokalerPrice && !validOekoPrice) {
                 this.errors.push({
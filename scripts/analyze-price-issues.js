@@ -5,13 +5,14 @@
  * Deep dive analysis into specific data quality problems
  */
 
-const SupabaseClient = require('../database/supabase-client');
+const { createDatabaseClient } = require('../database/database-client');
 const axios = require('axios');
 const cheerio = require('cheerio');
+const priceParser = require('../scrapers/modules/extractors/price-parser');
 
 class PriceIssuesAnalyzer {
     constructor() {
-        this.db = new SupabaseClient();
+        this.db = createDatabaseClient();
     }
 
     /**
@@ -144,35 +145,15 @@ class PriceIssuesAnalyzer {
      * Find all potential price patterns in the page text
      */
     findAllPricePatterns(pageText) {
-        const patterns = [
-            /(\d+[,.]?\d*)\s*(Euro|EUR|€)\s*pro\s*kWh/gi,
-            /(\d+[,.]?\d*)\s*(Cent|ct)\s*pro\s*kWh/gi,
-            /(\d+[,.]?\d*)\s*(Euro|EUR|€)\/kWh/gi,
-            /(\d+[,.]?\d*)\s*(Cent|ct)\/kWh/gi,
-            /(\d+[,.]?\d*)\s*(Euro|EUR|€)/gi,
-            /(\d+[,.]?\d*)\s*(Cent|ct)/gi
-        ];
-
-        const allMatches = [];
-        
-        patterns.forEach((pattern, index) => {
-            const matches = [...pageText.matchAll(pattern)];
-            matches.forEach(match => {
-                let price = parseFloat(match[1].replace(',', '.'));
-                const unit = match[2].toLowerCase();
-                
-                if (unit.includes('cent') || unit.includes('ct')) {
-                    price = price / 100;
-                }
-                
-                allMatches.push({
-                    pattern: `Pattern ${index + 1}`,
-                    match: match[0],
-                    price: price,
-                    context: this.getContext(pageText, match.index, 100)
-                });
-            });
-        });
+        // Every number with a currency unit, including annual costs (these cause wrong matches)
+        const allMatches = priceParser.findPrices(pageText)
+            .filter(candidate => candidate.unit)
+            .map(candidate => ({
+                pattern: candidate.basis ? `${candidate.format} / ${candidate.basis}` : candidate.format,
+                match: candidate.original,
+                price: candidate.price,
+                context: this.getContext(pageText, candidate.index, 100)
+            }));
 
         // Sort by price to identify potential issues
         allMatches.sort((a, b) => a.price - b.price);
@@ -235,27 +216,9 @@ class PriceIssuesAnalyzer {
      * Extract prices from a text snippet
      */
     extractPricesFromText(text) {
-        const patterns = [
-            /(\d+[,.]?\d*)\s*(Euro|EUR|€)/gi,
-            /(\d+[,.]?\d*)\s*(Cent|ct)/gi
-        ];
-
-        const prices = [];
-        patterns.forEach(pattern => {
-            const matches = [...text.matchAll(pattern)];
-            matches.forEach(match => {
-                let price = parseFloat(match[1].replace(',', '.'));
-                const unit = match[2].toLowerCase();
-                
-                if (unit.includes('cent') || unit.includes('ct')) {
-                    price = price / 100;
-                }
-                
-                if (price > 0.01 && price < 10) { // Reasonable range
-                    prices.push(price);
-                }
-            });
-        });
+        const prices = priceParser.findPrices(text)
+            .filter(candidate => candidate.unit && priceParser.isUsablePrice(candidate, { min: 0.01, max: 10 })) // Reasonable range
+            .map(candidate => candidate.price);
 
         return prices;
     }
@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+
+/**
+ * Price Review CLI
+ * Creates review items for the flagged prices of a month (outliers, no extraction consensus,
+ * queued month-over-month jumps); reviewers decide them through the /api/v1/reviews routes
+ */
+
+require('dotenv').config();
+const PriceReview = require('../services/price-review');
+
+async function main() {
+    const args = process.argv.slice(2);
+
+    // Parse command line arguments
+    const options = {
+        month: null,
+        write: false
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        switch (arg) {
+            case '--month':
+                options.month = args[++i];
+                break;
+            case '--write':
+                options.write = true;
+                break;
+            case '--help':
+            case '-h':
+                showHelp();
+                process.exit(0);
+                break;
+        }
+    }
+
+    if (!options.month || !/^\d{4}-\d{2}(-01)?$/.test(options.month)) {
+        console.error('❌ Please provide a month: --month YYYY-MM-01');
+        showHelp();
+        process.exit(1);
+    }
+
+    const month = options.month.length === 7 ? `${options.month}-01` : options.month;
+    const priceReview = new PriceReview();
+
+    try {
+        console.log(`🧑‍⚖️ PRICE REVIEW ITEMS for ${month} (${options.write ? 'write mode' : 'dry run'})`);
+        console.log('='.repeat(50));
+
+        const result = await priceReview.createForMonth(month, { write: options.write });
+
+        console.log(`\n📊 Results for ${month}:`);
+        console.log(`   📝 Flagged rows: ${result.reviews.length + result.skipped_pending}`);
+        console.log(`   ⏳ Already pending: ${result.skipped_pending}`);
+        if (options.write) {
+            console.log(`   💾 Created: ${result.created}`);
+        }
+
+        if (result.reviews.length > 0) {
+            console.log(`\n🚨 ${options.write ? 'Created' : 'Would create'}:`);
+            result.reviews.slice(0, 20).forEach(review => {
+                const flags = review.flags.map(flag => flag.type).join(', ');
+                const candidates = review.candidate_values
+                    ? Object.entries(review.candidate_values).map(([field, price]) => `${field} €${price.toFixed(4)}`).join(', ')
+                    : 'no candidate';
+                console.log(`   ${review.city_name} (${review.plz}) [${flags}]: ${candidates}`);
+            });
+        }
+
+    } catch (error) {
+        console.error('\n❌ Error:', error.message);
+        process.exit(1);
+    }
+}
+
+function showHelp() {
+    console.log(`
+🧑‍⚖️ Price Review Items
+
+USAGE:
+  node scripts/create-price-reviews.js --month YYYY-MM-01 [OPTIONS]
+
+OPTIONS:
+  --month YYYY-MM-01     Month to collect flagged prices from (required)
+  --write                Store the review items in price_reviews
+  --help, -h             Show this help
+
+EXAMPLES:
+  # Show which prices would go to review in July 2025
+  node scripts/create-price-reviews.js --month 2025-07-01
+
+  # Create the review items
+  node scripts/create-price-reviews.js --month 2025-07-01 --write
+
+DESCRIPTION:
+  Every scraped row that is flagged as outlier, has review_status 'needs_review'
+  or has open price_review_queue items becomes one pending review item. Its
+  candidate values are the median of the PLZ's previous months. Rows that already
+  have a pending review are skipped, so the command can be re-run after each scrape.
+  Reviewers approve, reject or override the items via /api/v1/reviews with an
+  API key created with --reviewer.
+`);
+}
+
+// Run the script
+if (require.main === module) {
+    main().catch(error => {
+        console.error('Fatal error:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { main };
@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+
+/**
+ * Robust Outlier Detection CLI
+ * Compares every scraped price of a month with its geographic neighbours and its own history
+ */
+
+require('dotenv').config();
+const ScraperConfig = require('../scrapers/modules/config');
+const QualityValidator = require('../scrapers/modules/quality/quality-validator');
+const RobustOutlierDetector = require('../scrapers/modules/quality/robust-outlier-detector');
+const SupabaseStorage = require('../scrapers/modules/storage/supabase-storage');
+
+async function main() {
+    const args = process.argv.slice(2);
+
+    // Parse command line arguments
+    const options = {
+        month: null,
+        write: false
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        switch (arg) {
+            case '--month':
+                options.month = args[++i];
+                break;
+            case '--write':
+                options.write = true;
+                break;
+            case '--help':
+            case '-h':
+                showHelp();
+                process.exit(0);
+                break;
+        }
+    }
+
+    if (!options.month || !/^\d{4}-\d{2}(-01)?$/.test(options.month)) {
+        console.error('❌ Please provide a month: --month YYYY-MM-01');
+        showHelp();
+        process.exit(1);
+    }
+
+    const month = options.month.length === 7 ? `${options.month}-01` : options.month;
+    const config = new ScraperConfig();
+    const detector = new RobustOutlierDetector(config, new QualityValidator(config));
+    const storage = new SupabaseStorage(config);
+
+    try {
+        console.log(`📐 ROBUST OUTLIER DETECTION for ${month} (${options.write ? 'write mode' : 'dry run'})`);
+        console.log('='.repeat(50));
+
+        const result = await detector.runMonth(storage, month, { write: options.write });
+
+        console.log(`\n📊 Results for ${month}:`);
+        console.log(`   Scraped rows checked: ${result.checked}`);
+        console.log(`   🚨 Outliers: ${result.outliers}`);
+        console.log(`   🔄 Changed flags: ${result.changed}`);
+        if (options.write) {
+            console.log(`   💾 Written to database: ${result.written}`);
+            if (result.written > 0) {
+                await storage.updateMonthlyQualityMetrics(month);
+                console.log('   📊 Quality metrics updated');
+            }
+        }
+
+        const changed = result.results.filter(entry => entry.changed && entry.updates.is_outlier);
+        if (changed.length > 0) {
+            console.log('\n🚨 Newly flagged:');
+            changed.slice(0, 20).forEach(entry => {
+                console.log(`   ${entry.city_name} (${entry.plz}) [${entry.updates.outlier_severity}]: ${entry.updates.outlier_reason}`);
+            });
+        }
+
+    } catch (error) {
+        console.error('\n❌ Error:', error.message);
+        process.exit(1);
+    }
+}
+
+function showHelp() {
+    console.log(`
+📐 Robust Outlier Detection
+
+USAGE:
+  node scripts/detect-outliers.js --month YYYY-MM-01 [OPTIONS]
+
+OPTIONS:
+  --month YYYY-MM-01     Month to check (required)
+  --write                Write changed is_outlier / outlier_severity / outlier_reason flags
+  --help, -h             Show this help
+
+EXAMPLES:
+  # Show which prices stand out in July 2025
+  node scripts/detect-outliers.js --month 2025-07-01
+
+  # Store the flags
+  node scripts/detect-outliers.js --month 2025-07-01 --write
+
+DESCRIPTION:
+  Runs the same pass the modular scraper runs after each session. Every scraped
+  price is compared with the closest PLZs within quality.robustOutlierDetection.
+  neighbourRadiusKm and with the PLZ's previous months, using the modified z-score
+  0.6745 * (price - median) / MAD. The fixed euro thresholds of QualityValidator
+  still apply; outlier_reason lists every check that flagged the price.
+`);
+}
+
+// Run the script
+if (require.main === module) {
+    main().catch(error => {
+        console.error('Fatal error:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { main };
@@ -14,11 +14,14 @@
 const fs = require('fs');
 const path = require('path');
 const csv = require('csv-parser');
-const SupabaseClient = require('../database/supabase-client');
+const { createDatabaseClient } = require('../database/database-client');
+const ScraperConfig = require('../scrapers/modules/config');
+const QualityValidator = require('../scrapers/modules/quality/quality-validator');
 
 class PLZNeighborFiller {
     constructor() {
-        this.db = new SupabaseClient();
+        this.db = createDatabaseClient();
+        this.validator = new QualityValidator(new ScraperConfig());
         this.plzCoordinates = new Map(); // PLZ -> {lat, lon, city}
         this.failedPLZs = new Set();
         this.successfulPLZs = new Map(); // PLZ -> full price data
@@ -139,6 +142,7 @@ class PLZNeighborFiller {
         
         try {
             // Load ALL PLZ data for the current month (fetch in pages to avoid limit)
+            // Fallbacks are stored under the primary source, so only its rows count and serve as neighbours
             this.existingPLZs = new Set();
             let page = 0;
             const pageSize = 1000;
@@ -150,6 +154,7 @@ class PLZNeighborFiller {
                     .from('monthly_electricity_prices')
                     .select('plz')
                     .eq('data_month', this.currentMonth)
+                    .eq('source_name', this.db.primarySource)
                     .range(page * pageSize, (page + 1) * pageSize - 1);
 
                 if (pageError) throw pageError;
@@ -178,6 +183,7 @@ class PLZNeighborFiller {
                     .from('monthly_electricity_prices')
                     .select('plz, city_name, latitude, longitude, lokaler_versorger_price, oekostrom_price, average_price, data_source')
                     .eq('data_month', this.currentMonth)
+                    .eq('source_name', this.db.primarySource)
                     .eq('data_source', 'ORIGINAL')
                     .not('lokaler_versorger_price', 'is', null)
                     .not('oekostrom_price', 'is', null)
@@ -327,6 +333,9 @@ class PLZNeighborFiller {
                 console.log(`📊 Distance statistics:`);
                 console.log(`   Average distance: ${Math.round(avgDistance * 100) / 100} km`);
                 console.log(`   Maximum distance: ${Math.round(maxDistance * 100) / 100} km`);
+
+                await this.validator.updateMonthlyMetrics(this.db, this.currentMonth);
+                console.log('📊 Quality metrics updated');
                 
             } catch (error) {
                 console.error('❌ Error inserting fallback entries:', error.message);
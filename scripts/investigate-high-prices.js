@@ -5,13 +5,14 @@
  * Investigate cities with lokaler prices > €1.00 to identify extraction issues
  */
 
-const SupabaseClient = require('../database/supabase-client');
+const { createDatabaseClient } = require('../database/database-client');
 const axios = require('axios');
 const cheerio = require('cheerio');
+const priceParser = require('../scrapers/modules/extractors/price-parser');
 
 class HighPriceInvestigator {
     constructor() {
-        this.db = new SupabaseClient();
+        this.db = createDatabaseClient();
     }
 
     /**
@@ -194,30 +195,13 @@ class HighPriceInvestigator {
     findAllPricePatterns(pageText) {
         console.log('\n💰 ALL PRICE PATTERNS FOUND:');
 
-        const patterns = [
-            /(\d+[,.]?\d*)\s*Cent\s*pro\s*kWh/gi,
-            /(\d+[,.]?\d*)\s*(Euro|EUR|€)\s*pro\s*kWh/gi
-        ];
-
-        const allMatches = [];
-        
-        patterns.forEach((pattern, index) => {
-            const matches = [...pageText.matchAll(pattern)];
-            matches.forEach(match => {
-                let price = parseFloat(match[1].replace(',', '.'));
-                const unit = match[2] ? match[2].toLowerCase() : 'cent';
-                
-                if (pattern.toString().includes('Cent') || unit.includes('cent')) {
-                    price = price / 100;
-                }
-                
-                allMatches.push({
-                    price,
-                    match: match[0],
-                    context: this.getContext(pageText, match.index, 150)
-                });
-            });
-        });
+        const allMatches = priceParser.findPrices(pageText)
+            .filter(candidate => candidate.unit && candidate.basis === 'kwh')
+            .map(candidate => ({
+                price: candidate.price,
+                match: candidate.original,
+                context: this.getContext(pageText, candidate.index, 150)
+            }));
 
         // Sort by price to identify potential issues
         allMatches.sort((a, b) => a.price - b.price);
@@ -284,28 +268,7 @@ class HighPriceInvestigator {
      * Parse price from text
      */
     parsePrice(text) {
-        const patterns = [
-            /(\d+[,.]?\d*)\s*Cent\s*pro\s*kWh/i,
-            /(\d+[,.]?\d*)\s*(Euro|EUR|€)\s*pro\s*kWh/i
-        ];
-
-        for (let i = 0; i < patterns.length; i++) {
-            const pattern = patterns[i];
-            const match = text.match(pattern);
-            if (match) {
-                let price = parseFloat(match[1].replace(',', '.'));
-                
-                // Convert cents to euros for cent patterns
-                if (i === 0) {
-                    price = price / 100;
-                }
-                
-                if (price >= 0.05 && price <= 2.0) {
-                    return price;
-                }
-            }
-        }
-        return null;
+        return priceParser.parsePrice(text, { requirePerKwh: true });
     }
 
     /**
@@ -5,13 +5,14 @@
  * Specifically investigate why oekostrom prices are missing
  */
 
-const SupabaseClient = require('../database/supabase-client');
+const { createDatabaseClient } = require('../database/database-client');
 const axios = require('axios');
 const cheerio = require('cheerio');
+const priceParser = require('../scrapers/modules/extractors/price-parser');
 
 class MissingOekoInvestigator {
     constructor() {
-        this.db = new SupabaseClient();
+        this.db = createDatabaseClient();
     }
 
     /**
@@ -232,21 +233,19 @@ class MissingOekoInvestigator {
         const foundPatterns = [];
 
         oekoKeywords.forEach(keyword => {
-            const regex = new RegExp(`${keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}[\\s\\S]*?(\\d+[,.]?\\d*)\\s*(Euro|EUR|€|Cent|ct)\\s*pro\\s*kWh`, 'gi');
+            const regex = new RegExp(keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
             const matches = [...pageText.matchAll(regex)];
             
             matches.forEach(match => {
-                let price = parseFloat(match[1].replace(',', '.'));
-                const unit = match[2].toLowerCase();
-                
-                if (unit.includes('cent') || unit.includes('ct')) {
-                    price = price / 100;
-                }
+                // First per-kWh price after the keyword
+                const rest = pageText.slice(match.index + match[0].length);
+                const price = priceParser.findPrices(rest).find(candidate => candidate.unit && candidate.basis === 'kwh');
+                if (!price) return;
                 
                 foundPatterns.push({
                     keyword,
-                    price,
-                    match: match[0].substring(0, 100) + '...',
+                    price: price.price,
+                    match: (match[0] + rest.slice(0, price.index + price.original.length)).substring(0, 100) + '...',
                     context: this.getContext(pageText, match.index, 200)
                 });
             });
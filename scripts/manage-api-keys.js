@@ -0,0 +1,190 @@
+#!/usr/bin/env node
+
+/**
+ * API Key Management CLI
+ * Issue, list, inspect and revoke API keys for partner teams
+ */
+
+const { createDatabaseClient } = require('../database/database-client');
+const { generateApiKey, hashApiKey, getKeyPrefix } = require('../api/utils/api-keys');
+const { formatApiKeyResponse } = require('../api/utils/response-formatter');
+
+async function main() {
+    const args = process.argv.slice(2);
+    const command = args[0];
+
+    // Parse command line arguments
+    const options = {
+        name: null,
+        rateLimit: 100,
+        reviewer: false,
+        notes: null,
+        days: 30
+    };
+    const positional = [];
+
+    for (let i = 1; i < args.length; i++) {
+        const arg = args[i];
+        switch (arg) {
+            case '--name':
+                options.name = args[++i];
+                break;
+            case '--rate-limit':
+                options.rateLimit = parseInt(args[++i]);
+                break;
+            case '--notes':
+                options.notes = args[++i];
+                break;
+            case '--reviewer':
+                options.reviewer = true;
+                break;
+            case '--days':
+                options.days = parseInt(args[++i]);
+                break;
+            default:
+                positional.push(arg);
+        }
+    }
+
+    if (!command || command === '--help' || command === '-h') {
+        showHelp();
+        process.exit(0);
+    }
+
+    console.log('🔑 API Key Management');
+    console.log('=====================\n');
+
+    try {
+        const db = createDatabaseClient();
+
+        switch (command) {
+            case 'issue': {
+                if (!options.name) {
+                    throw new Error('--name is required when issuing a key');
+                }
+                if (isNaN(options.rateLimit) || options.rateLimit < 1) {
+                    throw new Error('--rate-limit must be a positive integer');
+                }
+
+                const apiKey = generateApiKey();
+                const record = await db.createApiKey({
+                    name: options.name,
+                    keyHash: hashApiKey(apiKey),
+                    keyPrefix: getKeyPrefix(apiKey),
+                    rateLimit: options.rateLimit,
+                    canReview: options.reviewer,
+                    notes: options.notes
+                });
+
+                const { data } = formatApiKeyResponse({ ...record, key: apiKey }, true);
+                console.log(JSON.stringify(data, null, 2));
+                break;
+            }
+
+            case 'list': {
+                const keys = await db.listApiKeys();
+                if (keys.length === 0) {
+                    console.log('No API keys issued yet');
+                    break;
+                }
+
+                keys.forEach(key => {
+                    const status = key.is_active ? '✅ active ' : '🚫 revoked';
+                    console.log(`${status}  ${key.id}  ${key.key_prefix}…  ${key.name}${key.can_review ? '  (reviewer)' : ''}`);
+                    console.log(`           limit ${key.rate_limit}/window, ${key.usage_count || 0} requests, last used ${key.last_used || 'never'}`);
+                });
+                break;
+            }
+
+            case 'usage': {
+                const keyId = positional[0];
+                if (!keyId) {
+                    throw new Error('Key id is required: usage <key-id>');
+                }
+
+                const keyData = await db.getApiKeyById(keyId);
+                if (!keyData) {
+                    throw new Error(`No API key with id ${keyId}`);
+                }
+
+                const { data } = formatApiKeyResponse(keyData);
+                console.log(JSON.stringify(data, null, 2));
+
+                const usage = await db.getApiKeyUsage(keyId, options.days);
+                console.log(`\n📊 Requests per day (last ${options.days} days):`);
+                usage.forEach(day => console.log(`  ${day.usage_date}: ${day.request_count}`));
+                break;
+            }
+
+            case 'revoke': {
+                const keyId = positional[0];
+                if (!keyId) {
+                    throw new Error('Key id is required: revoke <key-id>');
+                }
+
+                const revoked = await db.revokeApiKey(keyId);
+                if (!revoked) {
+                    throw new Error(`No API key with id ${keyId}`);
+                }
+                console.log('Running API instances reject the key once their key cache expires (up to 1 minute).');
+                break;
+            }
+
+            default:
+                throw new Error(`Unknown command: ${command} (use --help)`);
+        }
+
+    } catch (error) {
+        console.error('\n❌ Error:', error.message);
+        process.exit(1);
+    }
+}
+
+function showHelp() {
+    console.log(`
+🔑 API Key Management
+
+USAGE:
+  node scripts/manage-api-keys.js <COMMAND> [OPTIONS]
+
+COMMANDS:
+  issue                  Issue a new key (the key is printed once, only its hash is stored)
+  list                   List all keys with status and usage counters
+  usage <key-id>         Show key details and daily request counts
+  revoke <key-id>        Revoke a key
+
+OPTIONS:
+  --name NAME            Partner team / owner of the key (required for issue)
+  --rate-limit N         Requests per rate limit window (default: 100)
+  --notes TEXT           Free-text notes stored with the key
+  --reviewer             Allow the key to list and decide price reviews (/api/v1/reviews)
+  --days N               Days of usage history to show (default: 30)
+  --help, -h             Show this help message
+
+EXAMPLES:
+  # Issue a key for a partner team with 500 requests per window
+  node scripts/manage-api-keys.js issue --name "Tarifrechner Team" --rate-limit 500
+
+  # Issue a reviewer key for the data team
+  node scripts/manage-api-keys.js issue --name "Data Quality" --reviewer
+
+  # Show daily usage for a key
+  node scripts/manage-api-keys.js usage 3f0c...
+
+  # Revoke a key
+  node scripts/manage-api-keys.js revoke 3f0c...
+
+The rate limit window is RATE_LIMIT_WINDOW_MS (default 15 minutes).
+Set ENABLE_API_KEYS=true to require a key for all /api/v1 routes.
+`);
+}
+
+// Run the script
+if (require.main === module) {
+    main().catch(error => {
+        console.error('Fatal error:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { main };
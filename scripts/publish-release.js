@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+
+/**
+ * Data Release CLI
+ * Freezes a month into the next immutable release version (e.g. 2025-07@v2) with a changelog
+ * of the corrections since the previous release; the API serves it with ?release=
+ */
+
+require('dotenv').config();
+const DataReleases = require('../services/data-releases');
+
+async function main() {
+    const args = process.argv.slice(2);
+
+    // Parse command line arguments
+    const options = {
+        month: null,
+        write: false,
+        force: false,
+        list: false,
+        notes: null,
+        by: process.env.USER || null
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        switch (arg) {
+            case '--month':
+                options.month = args[++i];
+                break;
+            case '--write':
+                options.write = true;
+                break;
+            case '--force':
+                options.force = true;
+                break;
+            case '--list':
+                options.list = true;
+                break;
+            case '--notes':
+                options.notes = args[++i];
+                break;
+            case '--by':
+                options.by = args[++i];
+                break;
+            case '--help':
+            case '-h':
+                showHelp();
+                process.exit(0);
+                break;
+        }
+    }
+
+    if (!options.month || !/^\d{4}-\d{2}(-01)?$/.test(options.month)) {
+        console.error('❌ Please provide a month: --month YYYY-MM-01');
+        showHelp();
+        process.exit(1);
+    }
+
+    const month = options.month.length === 7 ? `${options.month}-01` : options.month;
+    const releases = new DataReleases();
+
+    try {
+        if (options.list) {
+            const published = await releases.getDb().listReleases(month);
+            console.log(`📦 RELEASES of ${month}: ${published.length}`);
+            published.forEach(release => {
+                const { summary } = release.changelog || { summary: {} };
+                console.log(`   ${release.release_tag}  ${release.published_at}  ${release.record_count} rows  ` +
+                    `${summary.corrected || 0} corrected, ${summary.added || 0} added, ${summary.removed || 0} removed` +
+                    `${release.notes ? `  - ${release.notes}` : ''}`);
+            });
+            return;
+        }
+
+        console.log(`📦 DATA RELEASE for ${month} (${options.write ? 'write mode' : 'dry run'})`);
+        console.log('='.repeat(50));
+
+        const result = await releases.publish(month, {
+            write: options.write,
+            force: options.force,
+            notes: options.notes,
+            publishedBy: options.by
+        });
+
+        const { summary } = result.changelog;
+        console.log(`\n📊 ${result.release_tag}:`);
+        console.log(`   Rows: ${result.record_count}`);
+        console.log(`   Previous release: ${result.changelog.previous_release || 'none'}`);
+        console.log(`   🔧 Corrected: ${summary.corrected}`);
+        console.log(`   ➕ Added: ${summary.added}`);
+        console.log(`   ➖ Removed: ${summary.removed}`);
+        console.log(`   Checksum: ${result.checksum}`);
+
+        result.changelog.corrections.slice(0, 20).forEach(correction => {
+            const fields = Object.entries(correction.changes)
+                .map(([field, change]) => `${field} ${change.old} → ${change.new}`)
+                .join(', ');
+            console.log(`   ${correction.city_name} (${correction.plz}): ${fields}`);
+        });
+
+        if (result.skipped) {
+            console.log(`\n⏭️  Not published: ${result.reason} (use --force to publish anyway)`);
+        } else if (result.published) {
+            console.log(`\n✅ Published ${result.release_tag} at ${result.published_at}`);
+        }
+
+    } catch (error) {
+        console.error('\n❌ Error:', error.message);
+        process.exit(1);
+    }
+}
+
+function showHelp() {
+    console.log(`
+📦 Data Release
+
+USAGE:
+  node scripts/publish-release.js --month YYYY-MM-01 [OPTIONS]
+
+OPTIONS:
+  --month YYYY-MM-01     Month to release (required)
+  --write                Publish the release (without it the changelog is only shown)
+  --notes "text"         Notes stored with the release
+  --by NAME              Publisher (default: $USER)
+  --force                Publish even if nothing changed since the previous release
+  --list                 List the published releases of the month
+  --help, -h             Show this help
+
+EXAMPLES:
+  # Show what the next release of July 2025 would contain
+  node scripts/publish-release.js --month 2025-07-01
+
+  # Publish it
+  node scripts/publish-release.js --month 2025-07-01 --write --notes "Cleanup of Berlin outliers"
+
+DESCRIPTION:
+  Copies every row of the month (all price sources) into release_electricity_prices
+  as the next version (2025-07@v1, @v2, ...). Published releases cannot be changed.
+  The month's monthly_quality_metrics are recalculated and stored with the release,
+  together with a changelog of the corrected, added and removed rows since the
+  previous release (with the price_change_history entries behind each correction).
+  API consumers read a release with ?release=2025-07@v2, ?release=v2 or
+  ?release=published; the default stays the live data (latest).
+`);
+}
+
+// Run the script
+if (require.main === module) {
+    main().catch(error => {
+        console.error('Fatal error:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { main };
@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+
+/**
+ * Price Reconciliation CLI
+ * Compares the prices of every price source for a month and reports the PLZs where they disagree
+ */
+
+const PriceReconciliation = require('../services/price-reconciliation');
+
+async function main() {
+    const args = process.argv.slice(2);
+
+    // Parse command line arguments
+    const options = {
+        month: null,
+        sources: null,
+        outputDir: undefined
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        switch (arg) {
+            case '--month':
+                options.month = args[++i];
+                break;
+            case '--sources':
+                options.sources = args[++i].split(',').map(source => source.trim()).filter(Boolean);
+                break;
+            case '--output':
+                options.outputDir = args[++i];
+                break;
+            case '--help':
+            case '-h':
+                showHelp();
+                process.exit(0);
+                break;
+        }
+    }
+
+    if (!options.month || !/^\d{4}-\d{2}(-01)?$/.test(options.month)) {
+        console.error('❌ Please provide a month: --month YYYY-MM-01');
+        showHelp();
+        process.exit(1);
+    }
+
+    const month = options.month.length === 7 ? `${options.month}-01` : options.month;
+    const reconciliation = new PriceReconciliation(options.sources ? { sources: options.sources } : {});
+
+    try {
+        console.log(`⚖️  PRICE RECONCILIATION for ${month}`);
+        console.log('='.repeat(50));
+
+        const report = await reconciliation.runMonth(month);
+        reconciliation.printSummary(report);
+
+        const { jsonPath, csvPath } = await reconciliation.writeReport(report, options.outputDir);
+        console.log(`\n📄 JSON report: ${jsonPath}`);
+        console.log(`📄 CSV report:  ${csvPath}`);
+
+    } catch (error) {
+        console.error('\n❌ Error:', error.message);
+        process.exit(1);
+    }
+}
+
+function showHelp() {
+    console.log(`
+⚖️  Price Reconciliation
+
+USAGE:
+  node scripts/reconcile-month.js --month YYYY-MM-01 [OPTIONS]
+
+OPTIONS:
+  --month YYYY-MM-01     Month to reconcile (required)
+  --sources A,B          Sources to compare (default: every configured source)
+  --output DIR           Directory for the report (default: logs/)
+  --help, -h             Show this help
+
+EXAMPLES:
+  # Compare stromauskunft and stromvergleich for July 2025
+  node scripts/reconcile-month.js --month 2025-07-01
+
+DESCRIPTION:
+  Joins the scraped prices (data_source ORIGINAL) of every source_name per PLZ
+  and computes the spread (max - min) of the local provider and Ökostrom prices.
+  PLZs whose relative spread reaches quality.reconciliation.spreadThresholds.high
+  are flagged; the severity (high, very_high, extreme) follows the same levels
+  as the outlier detection of QualityValidator.
+
+  Nothing is written to the database. The JSON and CSV reports list every PLZ
+  that at least two sources have prices for.
+`);
+}
+
+// Run the script
+if (require.main === module) {
+    main().catch(error => {
+        console.error('Fatal error:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { main };
@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+
+/**
+ * Offline Re-extraction CLI
+ * Replays a month's archived pages through the current extractor without hitting the source site
+ */
+
+const OfflineReextraction = require('../services/offline-reextraction');
+
+async function main() {
+    const args = process.argv.slice(2);
+
+    // Parse command line arguments
+    const options = {
+        month: null,
+        plz: null,
+        maxEntries: null,
+        write: false,
+        outputDir: undefined
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        switch (arg) {
+            case '--month':
+                options.month = args[++i];
+                break;
+            case '--plz':
+                options.plz = args[++i];
+                break;
+            case '--max-entries':
+                options.maxEntries = parseInt(args[++i]);
+                break;
+            case '--write':
+                options.write = true;
+                break;
+            case '--output':
+                options.outputDir = args[++i];
+                break;
+            case '--help':
+            case '-h':
+                showHelp();
+                process.exit(0);
+                break;
+        }
+    }
+
+    if (!options.month || !/^\d{4}-\d{2}(-01)?$/.test(options.month)) {
+        console.error('❌ Please provide a month: --month YYYY-MM-01');
+        showHelp();
+        process.exit(1);
+    }
+
+    const month = options.month.length === 7 ? `${options.month}-01` : options.month;
+    const reextraction = new OfflineReextraction();
+
+    try {
+        if (options.write) {
+            console.log('🔧 WRITE MODE - Accepted changes will be written to the database\n');
+        } else {
+            console.log('🔍 DRY RUN - No changes will be made\n');
+        }
+
+        const report = await reextraction.runMonth(month, options);
+        reextraction.printSummary(report);
+
+        const { jsonPath, csvPath } = await reextraction.writeReport(report, options.outputDir);
+        console.log(`\n📄 Diff report: ${jsonPath}`);
+        console.log(`📄 CSV report:  ${csvPath}`);
+
+    } catch (error) {
+        console.error('\n❌ Error:', error.message);
+        process.exit(1);
+    }
+}
+
+function showHelp() {
+    console.log(`
+🔁 Offline Re-extraction
+
+USAGE:
+  node scripts/reextract-month.js --month YYYY-MM-01 [OPTIONS]
+
+OPTIONS:
+  --month YYYY-MM-01     Month to re-extract (required)
+  --plz PLZ              Only re-extract a single PLZ
+  --max-entries N        Limit to N entries (for testing)
+  --write                Write accepted changes back to the database
+  --output DIR           Directory for the diff report (default: logs/)
+  --help, -h             Show this help
+
+EXAMPLES:
+  # Compare the current extractor against stored prices for July 2025
+  node scripts/reextract-month.js --month 2025-07-01
+
+  # Check a single PLZ
+  node scripts/reextract-month.js --month 2025-07-01 --plz 01067
+
+  # Apply accepted changes
+  node scripts/reextract-month.js --month 2025-07-01 --write
+
+DESCRIPTION:
+  Loads the raw pages archived during scraping (html_archive_ref) and runs them
+  through StromauskunftExtractor and QualityValidator again. Nothing is fetched
+  from stromauskunft.de.
+
+  Changes are accepted when the new prices are not outliers and no previously
+  stored price is lost. The JSON and CSV reports list old vs. new prices per PLZ.
+`);
+}
+
+// Run the script
+if (require.main === module) {
+    main().catch(error => {
+        console.error('Fatal error:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { main };
@@ -129,7 +129,7 @@ ISSUE TYPES:
 
 The tool will:
 1. 🔍 Scan database for quality issues
-2. 🌐 Re-scrape problematic pages with enhanced extraction
+2. 📦 Replay the archived pages through the scraper's extractor (no requests to the source site)
 3. ✅ Validate new prices for reasonableness
 4. 💾 Update database with corrected data
 5. 📊 Report success/failure statistics
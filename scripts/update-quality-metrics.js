@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+
+/**
+ * Monthly Quality Metrics CLI
+ * Recalculates monthly_quality_metrics from the stored rows (scrape sessions and cleanup runs do
+ * this automatically; use it to fill months stored before that or after manual database edits)
+ */
+
+require('dotenv').config();
+const ScraperConfig = require('../scrapers/modules/config');
+const QualityValidator = require('../scrapers/modules/quality/quality-validator');
+const { createDatabaseClient } = require('../database/database-client');
+
+async function main() {
+    const args = process.argv.slice(2);
+
+    // Parse command line arguments
+    const options = {
+        month: null,
+        all: false,
+        write: false
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        switch (arg) {
+            case '--month':
+                options.month = args[++i];
+                break;
+            case '--all':
+                options.all = true;
+                break;
+            case '--write':
+                options.write = true;
+                break;
+            case '--help':
+            case '-h':
+                showHelp();
+                process.exit(0);
+                break;
+        }
+    }
+
+    if (!options.all && (!options.month || !/^\d{4}-\d{2}(-01)?$/.test(options.month))) {
+        console.error('❌ Please provide a month (--month YYYY-MM-01) or --all');
+        showHelp();
+        process.exit(1);
+    }
+
+    const validator = new QualityValidator(new ScraperConfig());
+    const db = createDatabaseClient();
+
+    try {
+        const months = options.all
+            ? await db.getAvailableMonths()
+            : [options.month.length === 7 ? `${options.month}-01` : options.month];
+
+        console.log(`📊 QUALITY METRICS for ${months.length} month(s) (${options.write ? 'write mode' : 'dry run'})`);
+        console.log('='.repeat(50));
+
+        for (const month of months) {
+            let metrics;
+            if (options.write) {
+                metrics = await validator.updateMonthlyMetrics(db, month);
+            } else {
+                const rows = await db.getAllPriceDataForMonth(month);
+                metrics = rows.length > 0 ? validator.calculateMonthlyMetrics(month, rows) : null;
+            }
+
+            if (!metrics) {
+                console.log(`   ${month}: no data`);
+                continue;
+            }
+
+            console.log(`   ${month}: ${metrics.total_plz_count} PLZs, ${metrics.coverage_percentage}% original, ` +
+                `Ø €${metrics.avg_overall_price}, ${metrics.outlier_count} outliers (${metrics.high_severity_outlier_count} very high+)`);
+        }
+
+        if (options.write) {
+            console.log('\n✅ Quality metrics stored');
+        }
+
+    } catch (error) {
+        console.error('\n❌ Error:', error.message);
+        process.exit(1);
+    }
+}
+
+function showHelp() {
+    console.log(`
+📊 Monthly Quality Metrics
+
+USAGE:
+  node scripts/update-quality-metrics.js --month YYYY-MM-01 [OPTIONS]
+  node scripts/update-quality-metrics.js --all [OPTIONS]
+
+OPTIONS:
+  --month YYYY-MM-01     Month to recalculate
+  --all                  Every month with data
+  --write                Store the metrics (without it they are only shown)
+  --help, -h             Show this help
+
+EXAMPLES:
+  # Show the metrics of July 2025
+  node scripts/update-quality-metrics.js --month 2025-07-01
+
+  # Fill every stored month after upgrading the database
+  node scripts/update-quality-metrics.js --all --write
+
+DESCRIPTION:
+  Aggregates the primary source's rows of a month into monthly_quality_metrics:
+  coverage, national averages (all / ORIGINAL / FALLBACK rows), outlier counts per
+  severity and fallback distances. /average, /coverage and /quality read this table.
+  Scrape sessions, cleanup scripts and price review decisions update it themselves.
+`);
+}
+
+// Run the script
+if (require.main === module) {
+    main().catch(error => {
+        console.error('Fatal error:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { main };
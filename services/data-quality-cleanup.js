@@ -4,13 +4,13 @@
  */
 
 require('dotenv').config();
-const axios = require('axios');
-const cheerio = require('cheerio');
-const SupabaseClient = require('../database/supabase-client');
+const { createDatabaseClient } = require('../database/database-client');
+const OfflineReextraction = require('./offline-reextraction');
 
 class DataQualityCleanup {
     constructor() {
-        this.db = new SupabaseClient();
+        this.db = createDatabaseClient();
+        this.reextraction = new OfflineReextraction();
         this.results = {
             total_checked: 0,
             outliers_found: 0,
@@ -20,7 +20,6 @@ class DataQualityCleanup {
             still_problematic: 0,
             errors: []
         };
-        this.delay = 2000; // 2 seconds between requests
         this.validationThresholds = {
             min_price: 0.05,
             max_reasonable_price: 0.80, // Most prices should be under 80 cents
@@ -45,9 +44,11 @@ class DataQualityCleanup {
             console.log('📊 Fetching all entries from database...');
 
             while (hasMore) {
+                // Replays use the primary source's extractor, so other sources' rows are left alone
                 let query = this.db.supabase
                     .from('monthly_electricity_prices')
                     .select('*')
+                    .eq('source_name', this.db.primarySource)
                     .range(offset, offset + batchSize - 1);
                 
                 if (month) {
@@ -196,302 +197,6 @@ class DataQualityCleanup {
         return issues;
     }
 
-    /**
-     * Enhanced price extraction with improved patterns and validation
-     */
-    async extractPricesFromPage(html, url, cityName, plz) {
-        const $ = cheerio.load(html);
-        const pageText = $.text();
-        
-        console.log(`    🔍 Extracting prices for ${cityName} (${plz})...`);
-        
-        let lokalerPrice = null;
-        let oekoPrice = null;
-        const extractionDetails = [];
-
-        // Strategy 1: Enhanced table-based extraction
-        console.log(`    📋 Strategy 1: Table-based extraction...`);
-        const tableResult = this.extractFromTablesEnhanced($, pageText);
-        if (tableResult.lokaler && !lokalerPrice) {
-            lokalerPrice = tableResult.lokaler;
-            extractionDetails.push(`Table extraction: lokaler = €${lokalerPrice}`);
-        }
-        if (tableResult.oeko && !oekoPrice) {
-            oekoPrice = tableResult.oeko;
-            extractionDetails.push(`Table extraction: öko = €${oekoPrice}`);
-        }
-
-        // Strategy 2: Enhanced regex patterns
-        if (!lokalerPrice || !oekoPrice) {
-            console.log(`    🔤 Strategy 2: Enhanced regex patterns...`);
-            const regexResult = this.extractWithEnhancedRegex(pageText);
-            if (regexResult.lokaler && !lokalerPrice) {
-                lokalerPrice = regexResult.lokaler;
-                extractionDetails.push(`Regex extraction: lokaler = €${lokalerPrice}`);
-            }
-            if (regexResult.oeko && !oekoPrice) {
-                oekoPrice = regexResult.oeko;
-                extractionDetails.push(`Regex extraction: öko = €${oekoPrice}`);
-            }
-        }
-
-        // Strategy 3: Context-aware extraction (for complex pages)
-        if (!lokalerPrice || !oekoPrice) {
-            console.log(`    🧠 Strategy 3: Context-aware extraction...`);
-            const contextResult = this.extractWithContext($, pageText, cityName);
-            if (contextResult.lokaler && !lokalerPrice) {
-                lokalerPrice = contextResult.lokaler;
-                extractionDetails.push(`Context extraction: lokaler = €${lokalerPrice}`);
-            }
-            if (contextResult.oeko && !oekoPrice) {
-                oekoPrice = contextResult.oeko;
-                extractionDetails.push(`Context extraction: öko = €${oekoPrice}`);
-            }
-        }
-
-        // Validate extracted prices
-        const validatedLokalerPrice = this.validatePrice(lokalerPrice, 'lokaler');
-        const validatedOekoPrice = this.validatePrice(oekoPrice, 'öko');
-
-        console.log(`    ✅ Final result: Lokaler = €${validatedLokalerPrice || 'null'}, Öko = €${validatedOekoPrice || 'null'}`);
-
-        return {
-            lokaler_versorger_price: validatedLokalerPrice,
-            oekostrom_price: validatedOekoPrice,
-            extraction_details: extractionDetails,
-            url: url
-        };
-    }
-
-    /**
-     * Enhanced table extraction with better filtering
-     */
-    extractFromTablesEnhanced($, pageText) {
-        let lokalerPrice = null;
-        let oekoPrice = null;
-
-        $('table').each((tableIndex, table) => {
-            const tableText = $(table).text();
-            
-            // Skip tables that look like comparison tables or advertisements
-            if (this.isComparisonTable(tableText)) {
-                return; // Skip this table
-            }
-
-            $(table).find('tr').each((rowIndex, row) => {
-                const cells = $(row).find('td, th');
-                if (cells.length < 2) return;
-
-                const firstCell = $(cells[0]).text().trim().toLowerCase();
-                const secondCell = $(cells[1]).text().trim();
-                const rowText = $(row).text().trim();
-
-                // Skip rows that are too complex or contain provider names
-                if (this.isComplexRow(rowText)) {
-                    return;
-                }
-
-                // Look for lokaler versorger
-                if (this.isLokalerVersorgerRow(firstCell) && this.containsPrice(secondCell)) {
-                    const price = this.parsePrice(secondCell);
-                    if (price && this.isReasonablePrice(price) && !lokalerPrice) {
-                        lokalerPrice = price;
-                    }
-                }
-
-                // Look for ökostrom
-                if (this.isOekostromRow(firstCell) && this.containsPrice(secondCell)) {
-                    const price = this.parsePrice(secondCell);
-                    if (price && this.isReasonablePrice(price) && !oekoPrice) {
-                        oekoPrice = price;
-                    }
-                }
-            });
-        });
-
-        return { lokaler: lokalerPrice, oeko: oekoPrice };
-    }
-
-    /**
-     * Enhanced regex extraction with more patterns
-     */
-    extractWithEnhancedRegex(pageText) {
-        let lokalerPrice = null;
-        let oekoPrice = null;
-
-        const patterns = [
-            // Lokaler Versorger patterns
-            {
-                type: 'lokaler',
-                regex: /(?:lokaler?\s+versorger|grundversorger|grundversorgung)[:\s]*.*?(\d+[,.]?\d*)\s*(?:euro|eur|€|cent|ct)?\s*(?:pro\s*)?(?:pro\s+)?kWh/gi
-            },
-            {
-                type: 'lokaler',
-                regex: /(?:lokaler?\s+anbieter)[:\s]*.*?(\d+[,.]?\d*)\s*(?:euro|eur|€|cent|ct)?\s*(?:pro\s*)?(?:pro\s+)?kWh/gi
-            },
-            // Ökostrom patterns
-            {
-                type: 'oeko',
-                regex: /(?:günstigst.*?ökostrom|ökostrom.*?günstigst)[:\s]*.*?(\d+[,.]?\d*)\s*(?:euro|eur|€|cent|ct)?\s*(?:pro\s*)?(?:pro\s+)?kWh/gi
-            },
-            {
-                type: 'oeko',
-                regex: /(?:ökostrom)[:\s]*.*?(\d+[,.]?\d*)\s*(?:euro|eur|€|cent|ct)?\s*(?:pro\s*)?(?:pro\s+)?kWh/gi
-            }
-        ];
-
-        for (const pattern of patterns) {
-            const matches = [...pageText.matchAll(pattern.regex)];
-            for (const match of matches) {
-                const price = this.parsePrice(match[1]);
-                if (price && this.isReasonablePrice(price)) {
-                    if (pattern.type === 'lokaler' && !lokalerPrice) {
-                        lokalerPrice = price;
-                    } else if (pattern.type === 'oeko' && !oekoPrice) {
-                        oekoPrice = price;
-                    }
-                }
-            }
-        }
-
-        return { lokaler: lokalerPrice, oeko: oekoPrice };
-    }
-
-    /**
-     * Context-aware extraction for complex pages
-     */
-    extractWithContext($, pageText, cityName) {
-        let lokalerPrice = null;
-        let oekoPrice = null;
-
-        // Look for section headers and extract nearby prices
-        $('h1, h2, h3, h4, div.title, div.header').each((i, header) => {
-            const headerText = $(header).text().toLowerCase();
-            
-            if (headerText.includes('strompreis') || headerText.includes('tarif')) {
-                // Look for prices in the next few siblings
-                const nextElements = $(header).nextAll().slice(0, 5);
-                nextElements.each((j, element) => {
-                    const elementText = $(element).text();
-                    
-                    if (elementText.includes('lokaler') || elementText.includes('grundversorger')) {
-                        const price = this.parsePrice(elementText);
-                        if (price && this.isReasonablePrice(price) && !lokalerPrice) {
-                            lokalerPrice = price;
-                        }
-                    }
-                    
-                    if (elementText.includes('ökostrom')) {
-                        const price = this.parsePrice(elementText);
-                        if (price && this.isReasonablePrice(price) && !oekoPrice) {
-                            oekoPrice = price;
-                        }
-                    }
-                });
-            }
-        });
-
-        return { lokaler: lokalerPrice, oeko: oekoPrice };
-    }
-
-    /**
-     * Helper methods for price extraction
-     */
-    isComparisonTable(tableText) {
-        const comparisonIndicators = [
-            'lichtblick', 'e.on', 'vattenfall', 'enbw', 'rwe', 'eprimo',
-            'anbieter', 'tarife', 'vergleich', 'ranking'
-        ];
-        const lowerText = tableText.toLowerCase();
-        return comparisonIndicators.some(indicator => lowerText.includes(indicator));
-    }
-
-    isComplexRow(rowText) {
-        return rowText.length > 150 || 
-               rowText.includes('Anbieter') || 
-               rowText.includes('Tarif') ||
-               rowText.includes('Vertragslaufzeit');
-    }
-
-    isLokalerVersorgerRow(cellText) {
-        return cellText.includes('lokaler versorger') ||
-               cellText.includes('grundversorger') ||
-               cellText.includes('grundversorgung') ||
-               cellText.includes('lokaler anbieter');
-    }
-
-    isOekostromRow(cellText) {
-        return cellText.includes('ökostrom') ||
-               cellText.includes('günstigster ökostrom') ||
-               cellText.includes('ökostromtarif');
-    }
-
-    containsPrice(text) {
-        return text.includes('pro kWh') || 
-               text.includes('kWh') ||
-               text.includes('€') ||
-               text.includes('euro') ||
-               text.includes('cent');
-    }
-
-    isReasonablePrice(price) {
-        return price >= this.validationThresholds.min_price && 
-               price <= this.validationThresholds.max_reasonable_price;
-    }
-
-    /**
-     * Enhanced price parsing
-     */
-    parsePrice(text) {
-        if (!text) return null;
-        
-        const patterns = [
-            // Euro per kWh formats
-            /(\d+[,.]?\d*)\s*(?:euro|eur|€)\s*(?:pro\s*)?(?:pro\s+)?kWh/i,
-            // Cent per kWh formats
-            /(\d+[,.]?\d*)\s*(?:cent|ct)\s*(?:pro\s*)?(?:pro\s+)?kWh/i,
-            // Just numbers with currency indicators
-            /(\d+[,.]?\d*)\s*(?:euro|eur|€)/i,
-            /(\d+[,.]?\d*)\s*(?:cent|ct)/i,
-            // Numbers followed by kWh (assume euros)
-            /(\d+[,.]?\d*)\s*(?:pro\s*)?(?:pro\s+)?kWh/i
-        ];
-
-        for (let i = 0; i < patterns.length; i++) {
-            const pattern = patterns[i];
-            const match = text.match(pattern);
-            if (match) {
-                let price = parseFloat(match[1].replace(',', '.'));
-                
-                // Convert cents to euros for cent patterns
-                if (i === 1 || i === 3) { // cent patterns
-                    price = price / 100;
-                } else if (i === 4 && price > 10) { // assume cents if number is large
-                    price = price / 100;
-                }
-                
-                if (price >= this.validationThresholds.min_price && price <= 5.0) {
-                    return price;
-                }
-            }
-        }
-        return null;
-    }
-
-    /**
-     * Validate extracted price
-     */
-    validatePrice(price, type) {
-        if (!price) return null;
-        
-        if (price < this.validationThresholds.min_price || price > 5.0) {
-            console.log(`    ⚠️  ${type} price €${price} is outside valid range, discarding`);
-            return null;
-        }
-        
-        return price;
-    }
-
     /**
      * Clean up a single problematic entry
      */
@@ -500,27 +205,15 @@ class DataQualityCleanup {
         console.log(`   Issues: ${entry.quality_issues.map(i => i.message).join(', ')}`);
         
         try {
-            // Re-scrape the original URL
-            if (!entry.source_url) {
-                console.log(`   ❌ No source URL available, skipping`);
-                return { success: false, error: 'No source URL' };
+            // Replay the page archived during scraping instead of re-scraping the live site
+            if (!entry.html_archive_ref) {
+                console.log(`   ❌ No archived page available, skipping`);
+                return { success: false, error: 'No archived page' };
             }
 
-            console.log(`   🌐 Re-scraping: ${entry.source_url}`);
-            
-            const response = await axios.get(entry.source_url, {
-                timeout: 15000,
-                headers: {
-                    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-                }
-            });
+            console.log(`   📦 Replaying archived page: ${entry.html_archive_ref}`);
 
-            const extractedPrices = await this.extractPricesFromPage(
-                response.data, 
-                entry.source_url, 
-                entry.city_name, 
-                entry.plz
-            );
+            const extractedPrices = await this.reextraction.replayEntry(entry);
 
             // Validate the new prices
             const isImprovement = this.validateImprovement(entry, extractedPrices);
@@ -529,7 +222,7 @@ class DataQualityCleanup {
                 console.log(`   ✅ Found valid prices: Lokaler = €${extractedPrices.lokaler_versorger_price}, Öko = €${extractedPrices.oekostrom_price}`);
                 
                 // Update database
-                await this.updateDatabaseEntry(entry.id, extractedPrices);
+                await this.updateDatabaseEntry(entry.id, extractedPrices, isImprovement.reason);
                 
                 return { 
                     success: true, 
@@ -562,7 +255,12 @@ class DataQualityCleanup {
 
         // Check if we found any prices
         if (!newLokaler && !newOeko) {
-            return { isValid: false, reason: 'No prices found in re-scrape' };
+            return { isValid: false, reason: 'No prices found in archived page' };
+        }
+
+        // Low-confidence extractions are not trusted to replace stored data
+        if (newPrices.rejected_prices && newPrices.rejected_prices.length > 0) {
+            return { isValid: false, reason: newPrices.validation_issues.join('; ') };
         }
 
         // Check if new prices are reasonable
@@ -612,29 +310,29 @@ class DataQualityCleanup {
     }
 
     /**
-     * Update database entry with new prices
+     * Update database entry with new prices (recorded in price_change_history)
      */
-    async updateDatabaseEntry(entryId, newPrices) {
+    async updateDatabaseEntry(entryId, newPrices, reason = null) {
         try {
             const updateData = {
                 lokaler_versorger_price: newPrices.lokaler_versorger_price,
                 oekostrom_price: newPrices.oekostrom_price,
                 average_price: this.calculateAveragePrice(newPrices.lokaler_versorger_price, newPrices.oekostrom_price),
-                updated_at: new Date().toISOString(),
+                lokaler_versorger_confidence: newPrices.lokaler_versorger_confidence ?? null,
+                oekostrom_confidence: newPrices.oekostrom_confidence ?? null,
                 is_outlier: false, // Reset outlier status since we've validated the new prices
-                outlier_severity: 'normal'
+                outlier_severity: 'normal',
+                outlier_reason: null
             };
 
-            const { data, error } = await this.db.supabase
-                .from('monthly_electricity_prices')
-                .update(updateData)
-                .eq('id', entryId)
-                .select();
-
-            if (error) throw error;
+            const data = await this.db.updatePriceData(entryId, updateData, {
+                actor: 'data-quality-cleanup',
+                reason: reason || 'Re-extracted from archived page'
+            });
 
             console.log(`   💾 Database updated successfully`);
-            return data[0];
+            await this.db.invalidateMonthCache(data.data_month, 'data quality cleanup');
+            return data;
 
         } catch (error) {
             console.error(`   ❌ Database update failed: ${error.message}`);
@@ -676,11 +374,11 @@ class DataQualityCleanup {
             // Limit entries if specified
             const entriesToProcess = maxEntries ? allProblematic.slice(0, maxEntries) : allProblematic;
             
-            console.log(`\n🚀 Processing ${entriesToProcess.length} problematic entries...`);
-            console.log(`⏱️  Estimated time: ${Math.ceil(entriesToProcess.length * this.delay / 1000 / 60)} minutes\n`);
+            console.log(`\n🚀 Processing ${entriesToProcess.length} problematic entries...\n`);
 
             let successCount = 0;
             let errorCount = 0;
+            const changedMonths = new Set();
 
             // Process each entry
             for (let i = 0; i < entriesToProcess.length; i++) {
@@ -692,6 +390,7 @@ class DataQualityCleanup {
                     if (result.success) {
                         successCount++;
                         this.results.successfully_fixed++;
+                        changedMonths.add(entry.data_month);
                     } else {
                         errorCount++;
                         this.results.still_problematic++;
@@ -717,11 +416,12 @@ class DataQualityCleanup {
                     console.log(`   ✅ Successfully fixed: ${successCount}`);
                     console.log(`   ❌ Still problematic: ${errorCount}`);
                 }
+            }
 
-                // Delay between requests
-                if (i < entriesToProcess.length - 1) {
-                    await this.sleep(this.delay);
-                }
+            // Refresh the aggregates of the corrected months (monthly_quality_metrics)
+            for (const month of changedMonths) {
+                await this.reextraction.validator.updateMonthlyMetrics(this.db, month)
+                    .catch(error => console.warn(`⚠️  Quality metrics for ${month} not updated: ${error.message}`));
             }
 
             // Final summary
@@ -748,13 +448,6 @@ class DataQualityCleanup {
             throw error;
         }
     }
-
-    /**
-     * Utility function to add delay
-     */
-    sleep(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
-    }
 }
 
 module.exports = DataQualityCleanup; 
\ No newline at end of file
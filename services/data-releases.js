@@ -0,0 +1,245 @@
+/**
+ * Data Release Service
+ * Freezes a month into an immutable, versioned release (e.g. 2025-07@v2) that the API serves
+ * with ?release=, so reports keep their numbers while cleanup scripts correct the live rows
+ *
+ * Each release stores the month's quality metrics (monthly_quality_metrics, recalculated on
+ * publication) and a changelog of the corrections since the previous release of the month.
+ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+const ScraperConfig = require('../scrapers/modules/config');
+const QualityValidator = require('../scrapers/modules/quality/quality-validator');
+const { createDatabaseClient } = require('../database/database-client');
+
+// Columns compared between releases (the changelog lists every difference)
+const CHANGELOG_FIELDS = [
+    'city_name',
+    'lokaler_versorger_price',
+    'oekostrom_price',
+    'average_price',
+    'data_source',
+    'source_plz',
+    'distance_km',
+    'is_outlier',
+    'outlier_severity',
+    'review_status'
+];
+
+class DataReleases {
+    constructor(options = {}) {
+        this.config = options.config || new ScraperConfig();
+        this.validator = new QualityValidator(this.config);
+        this.sources = options.sources || this.config.getSourceNames();
+        this.db = options.db || null;
+    }
+
+    /**
+     * The database is only connected when it is needed
+     */
+    getDb() {
+        if (!this.db) {
+            this.db = createDatabaseClient();
+        }
+        return this.db;
+    }
+
+    /**
+     * Snapshot a month into the next release version
+     * @param {string} month - Data month (YYYY-MM-01)
+     * @param {Object} options - { write: false for a dry run, force: publish without changes, notes, publishedBy }
+     * @returns {Object} { month, release_tag, version, published, skipped, record_count, checksum, quality_metrics, changelog }
+     */
+    async publish(month, options = {}) {
+        const { write = true, force = false, notes = null, publishedBy = null } = options;
+        const db = this.getDb();
+
+        const rows = await this.loadRows(month);
+        if (rows.length === 0) {
+            throw new Error(`No price data for ${month}`);
+        }
+
+        const previous = await db.getLatestRelease(month);
+        const previousRows = previous ? await this.loadRows(month, previous) : null;
+        const history = await db.getPriceChangesForMonth(month, previous ? previous.published_at : null);
+
+        const version = previous ? previous.version + 1 : 1;
+        const releaseTag = DataReleases.formatTag(month, version);
+        const changelog = this.buildChangelog(rows, previousRows, history, previous);
+        const primaryRows = rows.filter(row => (row.source_name || db.primarySource) === db.primarySource);
+        const qualityMetrics = this.validator.calculateMonthlyMetrics(month, primaryRows);
+
+        const result = {
+            month,
+            release_tag: releaseTag,
+            version,
+            published: false,
+            skipped: false,
+            record_count: rows.length,
+            checksum: this.calculateChecksum(rows),
+            quality_metrics: qualityMetrics,
+            changelog
+        };
+
+        const { summary } = changelog;
+        if (previous && !force && summary.corrected + summary.added + summary.removed === 0) {
+            result.skipped = true;
+            result.reason = `No changes since ${previous.release_tag}`;
+            return result;
+        }
+
+        if (!write) {
+            return result;
+        }
+
+        // The metrics table is the month's current state; the release keeps its own copy
+        await db.upsertMonthlyQualityMetrics(qualityMetrics);
+
+        const removed = await db.deleteUnfinishedReleases(month);
+        if (removed > 0) {
+            console.log(`   🧹 Removed ${removed} unfinished release(s) of ${month}`);
+        }
+
+        const release = await db.createRelease({
+            data_month: month,
+            version,
+            release_tag: releaseTag,
+            record_count: rows.length,
+            checksum: result.checksum,
+            quality_metrics: qualityMetrics,
+            changelog,
+            notes,
+            published_by: publishedBy
+        });
+
+        await db.insertReleasePrices(release.id, rows);
+        const published = await db.publishRelease(release.id);
+        await db.invalidateMonthCache(month, `release ${releaseTag}`);
+
+        console.log(`   📦 Published ${releaseTag} (${rows.length} rows)`);
+        return { ...result, published: true, published_at: published.published_at };
+    }
+
+    /**
+     * Rows of a month across all sources, live or from a release
+     */
+    async loadRows(month, release = null) {
+        const rows = [];
+        for (const source of this.sources) {
+            rows.push(...await this.getDb().getAllPriceDataForMonth(month, '*', source, release));
+        }
+        return rows;
+    }
+
+    /**
+     * Corrections since the previous release
+     * Without a previous release the baseline is each row as scraped, rebuilt from the oldest
+     * price_change_history value of every changed column.
+     * @param {Array} rows - Live rows of the month
+     * @param {Array|null} previousRows - Rows of the previous release (null for the first release)
+     * @param {Array} history - price_change_history entries since the previous release
+     * @param {Object|null} previous - Previous release
+     * @returns {Object} { previous_release, summary, corrections, added, removed }
+     */
+    buildChangelog(rows, previousRows, history = [], previous = null) {
+        const key = row => `${row.source_name || ''}|${row.plz}`;
+        const historyByPrice = new Map();
+        for (const entry of history) {
+            if (!historyByPrice.has(entry.price_id)) {
+                historyByPrice.set(entry.price_id, []);
+            }
+            historyByPrice.get(entry.price_id).push(entry);
+        }
+
+        let baselines;
+        if (previousRows) {
+            baselines = new Map(previousRows.map(row => [key(row), row]));
+        } else {
+            baselines = new Map();
+            for (const row of rows) {
+                const original = {};
+                for (const entry of historyByPrice.get(row.id) || []) {
+                    for (const [column, value] of Object.entries(entry.old_values || {})) {
+                        if (!(column in original)) original[column] = value;
+                    }
+                }
+                baselines.set(key(row), { ...row, ...original });
+            }
+        }
+
+        const corrections = [];
+        const added = [];
+        for (const row of rows) {
+            const baseline = baselines.get(key(row));
+            if (!baseline) {
+                added.push({ plz: row.plz, source_name: row.source_name || null });
+                continue;
+            }
+
+            const changes = {};
+            for (const field of CHANGELOG_FIELDS) {
+                if (!this.sameValue(baseline[field], row[field])) {
+                    changes[field] = { old: baseline[field] ?? null, new: row[field] ?? null };
+                }
+            }
+            if (Object.keys(changes).length === 0) continue;
+
+            corrections.push({
+                plz: row.plz,
+                city_name: row.city_name,
+                source_name: row.source_name || null,
+                changes,
+                history: (historyByPrice.get(row.id) || []).map(entry => ({
+                    changed_at: entry.changed_at,
+                    actor: entry.actor,
+                    reason: entry.reason
+                }))
+            });
+        }
+
+        const current = new Set(rows.map(key));
+        const removed = previousRows
+            ? previousRows.filter(row => !current.has(key(row))).map(row => ({ plz: row.plz, source_name: row.source_name || null }))
+            : [];
+
+        return {
+            previous_release: previous ? previous.release_tag : null,
+            summary: { corrected: corrections.length, added: previousRows ? added.length : 0, removed: removed.length },
+            corrections,
+            added: previousRows ? added : [],
+            removed
+        };
+    }
+
+    /**
+     * SHA-256 over the frozen rows in a stable order, to verify copies of a release
+     */
+    calculateChecksum(rows) {
+        const hash = crypto.createHash('sha256');
+        const sorted = [...rows].sort((a, b) =>
+            `${a.source_name || ''}|${a.plz}`.localeCompare(`${b.source_name || ''}|${b.plz}`)
+        );
+
+        for (const row of sorted) {
+            hash.update(JSON.stringify([row.source_name || null, row.plz, ...CHANGELOG_FIELDS.map(field => row[field] ?? null)]));
+            hash.update('\n');
+        }
+
+        return hash.digest('hex');
+    }
+
+    sameValue(a, b) {
+        const normalize = value => (value === undefined || value === null ? null : String(value));
+        return normalize(a) === normalize(b);
+    }
+
+    /**
+     * Release tag of a month and version: 2025-07-01, 2 -> 2025-07@v2
+     */
+    static formatTag(month, version) {
+        return `${month.substring(0, 7)}@v${version}`;
+    }
+}
+
+module.exports = DataReleases;
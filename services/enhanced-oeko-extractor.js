@@ -5,12 +5,17 @@
 
 const axios = require('axios');
 const cheerio = require('cheerio');
-const SupabaseClient = require('../database/supabase-client');
+const { createDatabaseClient } = require('../database/database-client');
+const ScraperConfig = require('../scrapers/modules/config');
+const QualityValidator = require('../scrapers/modules/quality/quality-validator');
+const priceParser = require('../scrapers/modules/extractors/price-parser');
 
 class EnhancedOekoExtractor {
     constructor() {
-        this.db = new SupabaseClient();
+        this.db = createDatabaseClient();
+        this.validator = new QualityValidator(new ScraperConfig());
         this.delay = 2000;
+        this.oekoPriceRange = { min: 0.05, max: 0.80 }; // Reasonable range for oeko prices
     }
 
     /**
@@ -58,25 +63,15 @@ class EnhancedOekoExtractor {
      */
     extractGünstigsterÖkoPattern(pageText) {
         // Look for the specific pattern we found in the investigation
-        const patterns = [
-            /günstigster\s+Ökostromanbieter[:\s]*[^0-9]*?(\d+[,.]?\d*)\s*Cent\s*pro\s*kWh/gi,
-            /günstigster\s+Ökostrom[:\s]*[^0-9]*?(\d+[,.]?\d*)\s*Cent\s*pro\s*kWh/gi,
-            /günstigster\s+Ökostromanbieter[:\s]*[^0-9]*?(\d+[,.]?\d*)\s*(Euro|EUR|€)\s*pro\s*kWh/gi
+        const labels = [
+            /günstigster\s+Ökostromanbieter[:\s]*/i,
+            /günstigster\s+Ökostrom[:\s]*/i
         ];
 
-        for (const pattern of patterns) {
-            const matches = [...pageText.matchAll(pattern)];
-            for (const match of matches) {
-                let price = parseFloat(match[1].replace(',', '.'));
-                
-                // Convert cents to euros for the first two patterns
-                if (pattern.toString().includes('Cent')) {
-                    price = price / 100;
-                }
-                
-                if (this.isValidOekoPrice(price)) {
-                    return price;
-                }
+        for (const label of labels) {
+            const match = priceParser.findPriceAfterLabel(pageText, label, { ...this.oekoPriceRange, maxDistance: 200 });
+            if (match) {
+                return match.price;
             }
         }
 
@@ -87,38 +82,27 @@ class EnhancedOekoExtractor {
      * Strategy 2: Extract from table cells specifically containing oeko data
      */
     extractFromOekoTableCells($) {
-        let oekoPrice = null;
-
-        $('table').each((tableIndex, table) => {
-            if (oekoPrice) return; // Already found
-
-            const tableText = $(table).text();
-            if (!tableText.toLowerCase().includes('ökostrom')) return;
-
-            $(table).find('tr').each((rowIndex, row) => {
-                if (oekoPrice) return; // Already found
-
-                const rowText = $(row).text();
-                if (!rowText.toLowerCase().includes('ökostrom')) return;
-
-                // Look for price patterns in this row
-                const cells = $(row).find('td, th');
-                cells.each((cellIndex, cell) => {
-                    const cellText = $(cell).text().trim();
-                    
-                    // Check if this cell contains a price with oeko context
-                    if (cellText.includes('kWh') || cellText.includes('Cent') || cellText.includes('Euro')) {
-                        const price = this.parseOekoPrice(cellText, rowText);
-                        if (price && this.isValidOekoPrice(price)) {
-                            oekoPrice = price;
-                            return false; // Break out of cell loop
-                        }
-                    }
-                });
-            });
+        // Only tables and rows that mention ökostrom
+        const rows = priceParser.getTableRows($, {
+            cellSelector: 'td, th',
+            skipTable: tableText => !tableText.toLowerCase().includes('ökostrom')
         });
 
-        return oekoPrice;
+        for (const { cells, rowText } of rows) {
+            if (!rowText.toLowerCase().includes('ökostrom')) continue;
+
+            for (const cellText of cells) {
+                // Check if this cell contains a price with oeko context
+                if (cellText.includes('kWh') || cellText.includes('Cent') || cellText.includes('Euro')) {
+                    const price = this.parseOekoPrice(cellText, rowText);
+                    if (price && this.isValidOekoPrice(price)) {
+                        return price;
+                    }
+                }
+            }
+        }
+
+        return null;
     }
 
     /**
@@ -157,32 +141,13 @@ class EnhancedOekoExtractor {
         const oekoKeywords = ['günstigster ökostrom', 'ökostromanbieter', 'ökostromtarif'];
         
         for (const keyword of oekoKeywords) {
-            const keywordIndex = pageText.toLowerCase().indexOf(keyword);
-            if (keywordIndex === -1) continue;
-
-            // Get context around the keyword (500 chars after)
-            const context = pageText.substring(keywordIndex, keywordIndex + 500);
-            
-            // Look for price patterns in this context
-            const pricePatterns = [
-                /(\d+[,.]?\d*)\s*Cent\s*pro\s*kWh/gi,
-                /(\d+[,.]?\d*)\s*(Euro|EUR|€)\s*pro\s*kWh/gi,
-                /(\d+[,.]?\d*)\s*ct\s*\/?\s*kWh/gi
-            ];
-
-            for (const pattern of pricePatterns) {
-                const matches = [...context.matchAll(pattern)];
-                for (const match of matches) {
-                    let price = parseFloat(match[1].replace(',', '.'));
-                    
-                    if (pattern.toString().includes('Cent') || pattern.toString().includes('ct')) {
-                        price = price / 100;
-                    }
-                    
-                    if (this.isValidOekoPrice(price)) {
-                        return price;
-                    }
-                }
+            // Look for price patterns in the context after the keyword (500 chars)
+            const match = priceParser.findPriceAfterLabel(pageText, new RegExp(keyword, 'i'), {
+                ...this.oekoPriceRange,
+                maxDistance: 500
+            });
+            if (match) {
+                return match.price;
             }
         }
 
@@ -193,47 +158,14 @@ class EnhancedOekoExtractor {
      * Parse oeko price from text with context awareness
      */
     parseOekoPrice(text, context = '') {
-        const combinedText = text + ' ' + context;
-        
-        // Multiple price patterns to try
-        const patterns = [
-            // Cent patterns (most common)
-            /(\d+[,.]?\d*)\s*Cent\s*pro\s*kWh/i,
-            /(\d+[,.]?\d*)\s*ct\s*\/?\s*kWh/i,
-            /(\d+[,.]?\d*)\s*ct\s*pro\s*kWh/i,
-            
-            // Euro patterns
-            /(\d+[,.]?\d*)\s*(Euro|EUR|€)\s*pro\s*kWh/i,
-            /(\d+[,.]?\d*)\s*(Euro|EUR|€)\s*\/\s*kWh/i,
-            
-            // Special formats found in investigation
-            /(\d+[,.]?\d*)\s*Cent\s*pro\s*kWh/i,
-            /(\d+[,.]?\d*)\s*(EUR|€)\s*\/\s*kWh/i
-        ];
-
-        for (let i = 0; i < patterns.length; i++) {
-            const pattern = patterns[i];
-            const match = combinedText.match(pattern);
-            if (match) {
-                let price = parseFloat(match[1].replace(',', '.'));
-                
-                // Convert cents to euros for cent patterns (first 3 patterns)
-                if (i < 3) {
-                    price = price / 100;
-                }
-                
-                return price;
-            }
-        }
-
-        return null;
+        return priceParser.parsePrice(text + ' ' + context, { ...this.oekoPriceRange, requirePerKwh: true });
     }
 
     /**
      * Validate if price is reasonable for oekostrom
      */
     isValidOekoPrice(price) {
-        return price && price >= 0.05 && price <= 0.80; // Reasonable range for oeko prices
+        return priceParser.isValidPrice(price, this.oekoPriceRange);
     }
 
     /**
@@ -248,6 +180,7 @@ class EnhancedOekoExtractor {
             let query = this.db.supabase
                 .from('monthly_electricity_prices')
                 .select('*')
+                .eq('source_name', this.db.primarySource) // Extraction targets stromauskunft pages
                 .not('lokaler_versorger_price', 'is', null) // Has lokaler price
                 .is('oekostrom_price', null); // Missing oeko price
 
@@ -268,6 +201,7 @@ class EnhancedOekoExtractor {
 
             let successCount = 0;
             let errorCount = 0;
+            const changedMonths = new Set();
 
             for (let i = 0; i < entriesToProcess.length; i++) {
                 const entry = entriesToProcess[i];
@@ -295,23 +229,22 @@ class EnhancedOekoExtractor {
                     );
 
                     if (oekoPrice) {
-                        // Update database
+                        // Update database (recorded in price_change_history)
                         const newAverage = (parseFloat(entry.lokaler_versorger_price) + oekoPrice) / 2;
                         
-                        const { data: updateData, error: updateError } = await this.db.supabase
-                            .from('monthly_electricity_prices')
-                            .update({
-                                oekostrom_price: oekoPrice,
-                                average_price: newAverage,
-                                updated_at: new Date().toISOString()
-                            })
-                            .eq('id', entry.id)
-                            .select();
-
-                        if (updateError) throw updateError;
+                        await this.db.updatePriceData(entry.id, {
+                            oekostrom_price: oekoPrice,
+                            average_price: newAverage
+                        }, {
+                            actor: 'enhanced-oeko-extractor',
+                            reason: 'Missing Ökostrom price extracted from source page'
+                        });
+
+                        await this.db.invalidateMonthCache(entry.data_month, 'oekostrom fix');
 
                         console.log(`   ✅ Fixed! Oeko price: €${oekoPrice.toFixed(4)}, New average: €${newAverage.toFixed(4)}`);
                         successCount++;
+                        changedMonths.add(entry.data_month);
                     } else {
                         console.log('   ❌ Could not extract oekostrom price');
                         errorCount++;
@@ -328,6 +261,12 @@ class EnhancedOekoExtractor {
                 }
             }
 
+            // Refresh the aggregates of the corrected months (monthly_quality_metrics)
+            for (const month of changedMonths) {
+                await this.validator.updateMonthlyMetrics(this.db, month)
+                    .catch(error => console.warn(`⚠️  Quality metrics for ${month} not updated: ${error.message}`));
+            }
+
             console.log('\n' + '='.repeat(50));
             console.log('🎯 OEKOSTROM FIXING COMPLETED!');
             console.log(`📊 Results:`);
@@ -3,14 +3,13 @@
  * Fixes cities with lokaler prices > €1.00 by extracting correct per-kWh rates
  */
 
-const axios = require('axios');
-const cheerio = require('cheerio');
-const SupabaseClient = require('../database/supabase-client');
+const { createDatabaseClient } = require('../database/database-client');
+const OfflineReextraction = require('./offline-reextraction');
 
 class HighPriceFixer {
     constructor() {
-        this.db = new SupabaseClient();
-        this.delay = 2000;
+        this.db = createDatabaseClient();
+        this.reextraction = new OfflineReextraction();
         this.highPriceThreshold = 1.0; // €1.00 per kWh is almost certainly wrong
     }
 
@@ -28,9 +27,11 @@ class HighPriceFixer {
             const batchSize = 1000;
 
             while (hasMore) {
+                // Replays use the primary source's extractor, so other sources' rows are left alone
                 const { data, error } = await this.db.supabase
                     .from('monthly_electricity_prices')
                     .select('*')
+                    .eq('source_name', this.db.primarySource)
                     .range(offset, offset + batchSize - 1);
 
                 if (error) throw error;
@@ -55,166 +56,6 @@ class HighPriceFixer {
         }
     }
 
-    /**
-     * Enhanced extraction focused on correct per-kWh prices from table structure
-     */
-    async extractCorrectPrices(html, cityName, plz) {
-        const $ = cheerio.load(html);
-        
-        console.log(`    🔍 Extracting correct prices for ${cityName} (${plz})...`);
-
-        // Strategy 1: Precise table structure extraction
-        const tableResult = this.extractFromPriceTable($);
-        if (tableResult.grundversorger) {
-            console.log(`    ✅ Table extraction found: Grundversorger €${tableResult.grundversorger}, Öko €${tableResult.oeko || 'null'}`);
-            return {
-                lokaler_versorger_price: tableResult.grundversorger,
-                oekostrom_price: tableResult.oeko,
-                extraction_method: 'correct_table_structure'
-            };
-        }
-
-        // Strategy 2: Fallback pattern matching
-        const patternResult = this.extractWithPricePatterns($.text());
-        if (patternResult.grundversorger) {
-            console.log(`    ✅ Pattern extraction found: Grundversorger €${patternResult.grundversorger}, Öko €${patternResult.oeko || 'null'}`);
-            return {
-                lokaler_versorger_price: patternResult.grundversorger,
-                oekostrom_price: patternResult.oeko,
-                extraction_method: 'price_patterns'
-            };
-        }
-
-        console.log(`    ❌ Could not extract correct prices`);
-        return {
-            lokaler_versorger_price: null,
-            oekostrom_price: null,
-            extraction_method: 'failed'
-        };
-    }
-
-    /**
-     * Extract from the specific table structure we know exists
-     */
-    extractFromPriceTable($) {
-        let grundversorgerPrice = null;
-        let oekoPrice = null;
-
-        $('table').each((tableIndex, table) => {
-            const tableText = $(table).text();
-            
-            // Look for the main price table
-            if (tableText.includes('Stromtarif') && tableText.includes('Strompreis')) {
-                console.log(`    📋 Analyzing price table ${tableIndex + 1}...`);
-                
-                $(table).find('tr').each((rowIndex, row) => {
-                    const cells = $(row).find('td');
-                    if (cells.length >= 2) {
-                        const firstCell = $(cells[0]).text().trim();
-                        const secondCell = $(cells[1]).text().trim();
-
-                        // Look for Grundversorger row
-                        if (firstCell.toLowerCase().includes('grundversorger') && 
-                            secondCell.includes('Cent pro kWh')) {
-                            
-                            const price = this.parsePerKwhPrice(secondCell);
-                            if (price && this.isReasonablePrice(price)) {
-                                grundversorgerPrice = price;
-                                console.log(`    ✅ Found Grundversorger: ${firstCell.substring(0, 50)}... -> €${price}`);
-                            }
-                        }
-
-                        // Look for günstigster Ökostromanbieter row
-                        if (firstCell.toLowerCase().includes('günstigster ökostromanbieter') && 
-                            secondCell.includes('Cent pro kWh')) {
-                            
-                            const price = this.parsePerKwhPrice(secondCell);
-                            if (price && this.isReasonablePrice(price)) {
-                                oekoPrice = price;
-                                console.log(`    ✅ Found Ökostromanbieter: ${firstCell.substring(0, 50)}... -> €${price}`);
-                            }
-                        }
-                    }
-                });
-            }
-        });
-
-        return {
-            grundversorger: grundversorgerPrice,
-            oeko: oekoPrice
-        };
-    }
-
-    /**
-     * Extract using targeted price patterns
-     */
-    extractWithPricePatterns(pageText) {
-        let grundversorgerPrice = null;
-        let oekoPrice = null;
-
-        // Pattern for Grundversorger prices
-        const grundversorgerPatterns = [
-            /Grundversorger[^0-9]*?(\d+[,.]?\d*)\s*Cent\s*pro\s*kWh/gi,
-            /lokaler?\s+Versorger[^0-9]*?(\d+[,.]?\d*)\s*Cent\s*pro\s*kWh/gi
-        ];
-
-        for (const pattern of grundversorgerPatterns) {
-            const matches = [...pageText.matchAll(pattern)];
-            for (const match of matches) {
-                const price = parseFloat(match[1].replace(',', '.')) / 100;
-                if (this.isReasonablePrice(price) && !grundversorgerPrice) {
-                    grundversorgerPrice = price;
-                    break;
-                }
-            }
-            if (grundversorgerPrice) break;
-        }
-
-        // Pattern for Ökostromanbieter prices
-        const oekoPatterns = [
-            /günstigster\s+Ökostromanbieter[^0-9]*?(\d+[,.]?\d*)\s*Cent\s*pro\s*kWh/gi,
-            /günstigster.*?Ökostrom[^0-9]*?(\d+[,.]?\d*)\s*Cent\s*pro\s*kWh/gi
-        ];
-
-        for (const pattern of oekoPatterns) {
-            const matches = [...pageText.matchAll(pattern)];
-            for (const match of matches) {
-                const price = parseFloat(match[1].replace(',', '.')) / 100;
-                if (this.isReasonablePrice(price) && !oekoPrice) {
-                    oekoPrice = price;
-                    break;
-                }
-            }
-            if (oekoPrice) break;
-        }
-
-        return {
-            grundversorger: grundversorgerPrice,
-            oeko: oekoPrice
-        };
-    }
-
-    /**
-     * Parse per-kWh price specifically from price cell text
-     */
-    parsePerKwhPrice(text) {
-        // Look specifically for "X,XX Cent pro kWh" pattern
-        const centPattern = /(\d+[,.]?\d*)\s*Cent\s*pro\s*kWh/i;
-        const euroPattern = /(\d+[,.]?\d*)\s*(Euro|EUR|€)\s*pro\s*kWh/i;
-
-        let match = text.match(centPattern);
-        if (match) {
-            return parseFloat(match[1].replace(',', '.')) / 100; // Convert cents to euros
-        }
-
-        match = text.match(euroPattern);
-        if (match) {
-            return parseFloat(match[1].replace(',', '.'));
-        }
-
-        return null;
-    }
-
     /**
      * Check if price is reasonable (not an annual cost or other error)
      */
@@ -230,25 +71,17 @@ class HighPriceFixer {
         console.log(`   Current stored price: €${entry.lokaler_versorger_price} (likely wrong)`);
         
         try {
-            if (!entry.source_url) {
-                console.log('   ❌ No source URL available');
-                return { success: false, error: 'No source URL' };
+            // Replay the page archived during scraping instead of re-scraping the live site
+            if (!entry.html_archive_ref) {
+                console.log('   ❌ No archived page available');
+                return { success: false, error: 'No archived page' };
             }
 
-            const response = await axios.get(entry.source_url, {
-                timeout: 15000,
-                headers: {
-                    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-                }
-            });
+            const extractedPrices = await this.reextraction.replayEntry(entry);
 
-            const extractedPrices = await this.extractCorrectPrices(
-                response.data,
-                entry.city_name,
-                entry.plz
-            );
+            const lowConfidence = extractedPrices.rejected_prices.includes('lokaler_versorger_price');
 
-            if (extractedPrices.lokaler_versorger_price) {
+            if (this.isReasonablePrice(extractedPrices.lokaler_versorger_price) && !lowConfidence) {
                 const oldPrice = parseFloat(entry.lokaler_versorger_price);
                 const newPrice = extractedPrices.lokaler_versorger_price;
                 const improvement = oldPrice - newPrice;
@@ -257,21 +90,24 @@ class HighPriceFixer {
                 const currentOeko = parseFloat(entry.oekostrom_price) || extractedPrices.oekostrom_price;
                 const newAverage = currentOeko ? (newPrice + currentOeko) / 2 : newPrice;
 
-                // Update database
-                const { data: updateData, error: updateError } = await this.db.supabase
-                    .from('monthly_electricity_prices')
-                    .update({
-                        lokaler_versorger_price: newPrice,
-                        oekostrom_price: extractedPrices.oekostrom_price || entry.oekostrom_price,
-                        average_price: newAverage,
-                        updated_at: new Date().toISOString(),
-                        is_outlier: false, // Reset outlier status
-                        outlier_severity: 'normal'
-                    })
-                    .eq('id', entry.id)
-                    .select();
+                // Update database (recorded in price_change_history)
+                await this.db.updatePriceData(entry.id, {
+                    lokaler_versorger_price: newPrice,
+                    oekostrom_price: extractedPrices.oekostrom_price || entry.oekostrom_price,
+                    average_price: newAverage,
+                    lokaler_versorger_confidence: extractedPrices.lokaler_versorger_confidence ?? null,
+                    oekostrom_confidence: extractedPrices.oekostrom_price
+                        ? extractedPrices.oekostrom_confidence ?? null
+                        : entry.oekostrom_confidence ?? null,
+                    is_outlier: false, // Reset outlier status
+                    outlier_severity: 'normal',
+                    outlier_reason: null
+                }, {
+                    actor: 'high-price-fixer',
+                    reason: `High price €${oldPrice.toFixed(4)} re-extracted from archived page (${extractedPrices.extraction_method})`
+                });
 
-                if (updateError) throw updateError;
+                await this.db.invalidateMonthCache(entry.data_month, 'high price fix');
 
                 console.log(`   ✅ Fixed! Old: €${oldPrice.toFixed(4)} -> New: €${newPrice.toFixed(4)} (saved €${improvement.toFixed(4)})`);
                 if (extractedPrices.oekostrom_price) {
@@ -286,8 +122,9 @@ class HighPriceFixer {
                     method: extractedPrices.extraction_method
                 };
             } else {
-                console.log('   ❌ Could not extract correct price');
-                return { success: false, error: 'No correct price found' };
+                const reason = lowConfidence ? extractedPrices.validation_issues.join('; ') : 'No correct price found';
+                console.log(`   ❌ Could not extract correct price${lowConfidence ? `: ${reason}` : ''}`);
+                return { success: false, error: reason };
             }
 
         } catch (error) {
@@ -320,6 +157,7 @@ class HighPriceFixer {
             let successCount = 0;
             let errorCount = 0;
             let totalImprovement = 0;
+            const changedMonths = new Set();
 
             for (let i = 0; i < entriesToProcess.length; i++) {
                 const entry = entriesToProcess[i];
@@ -330,6 +168,7 @@ class HighPriceFixer {
                     if (result.success) {
                         successCount++;
                         totalImprovement += result.improvement;
+                        changedMonths.add(entry.data_month);
                     } else {
                         errorCount++;
                     }
@@ -346,10 +185,12 @@ class HighPriceFixer {
                     console.log(`   ❌ Still problematic: ${errorCount}`);
                 }
 
-                // Delay between requests
-                if (i < entriesToProcess.length - 1) {
-                    await this.sleep(this.delay);
-                }
+            }
+
+            // Refresh the aggregates of the corrected months (monthly_quality_metrics)
+            for (const month of changedMonths) {
+                await this.reextraction.validator.updateMonthlyMetrics(this.db, month)
+                    .catch(error => console.warn(`⚠️  Quality metrics for ${month} not updated: ${error.message}`));
             }
 
             // Final summary
@@ -371,13 +212,6 @@ class HighPriceFixer {
             throw error;
         }
     }
-
-    /**
-     * Sleep utility
-     */
-    sleep(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
-    }
 }
 
 module.exports = HighPriceFixer; 
\ No newline at end of file
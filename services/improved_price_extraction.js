@@ -1,44 +1,16 @@
 const fs = require('fs');
 const axios = require('axios');
 const cheerio = require('cheerio');
+const priceParser = require('../scrapers/modules/extractors/price-parser');
 
 class ImprovedPriceExtractor {
     constructor() {
         this.priceValidationRange = { min: 0.05, max: 2.0 };
     }
 
-    // Enhanced price parsing
+    // Price parsing (same parser as the scrapers)
     parsePrice(text) {
-        if (!text) return null;
-        
-        const patterns = [
-            /(\d+[,.]?\d*)\s*Euro\s*pro\s*kWh/i,
-            /(\d+[,.]?\d*)\s*EUR\s*pro\s*kWh/i,
-            /(\d+[,.]?\d*)\s*€\s*pro\s*kWh/i,
-            /(\d+[,.]?\d*)\s*Cent\s*pro\s*kWh/i,
-            /(\d+[,.]?\d*)\s*ct?\s*\/?\s*kWh/i,
-            /(\d+[,.]?\d*)\s*ct\s*pro\s*kWh/i,
-            /(\d+[,.]?\d*)\s*(Euro|EUR|€)/i,
-            /(\d+[,.]?\d*)\s*(Cent|ct)/i,
-        ];
-
-        for (let pattern of patterns) {
-            const match = text.match(pattern);
-            if (match) {
-                let price = parseFloat(match[1].replace(',', '.'));
-                
-                const unit = match[2] ? match[2].toLowerCase() : '';
-                if (pattern.toString().includes('Cent') || pattern.toString().includes('ct') || 
-                    unit.includes('cent') || unit.includes('ct')) {
-                    price = price / 100;
-                }
-                
-                if (price >= this.priceValidationRange.min && price <= this.priceValidationRange.max) {
-                    return price;
-                }
-            }
-        }
-        return null;
+        return priceParser.parsePrice(text, this.priceValidationRange);
     }
 
     // Improved price extraction with better prioritization
@@ -112,19 +84,19 @@ class ImprovedPriceExtractor {
             const patterns = [
                 {
                     type: 'lokal',
-                    regex: /lokaler?\s+Versorger.*?(\d+[,.]?\d*)\s*(Euro|EUR|€|Cent|ct)?\s*pro\s*kWh/i
+                    label: /lokaler?\s+Versorger/i
                 },
                 {
                     type: 'lokal', 
-                    regex: /Grundversorgung.*?(\d+[,.]?\d*)\s*(Euro|EUR|€|Cent|ct)?\s*pro\s*kWh/i
+                    label: /Grundversorgung/i
                 },
                 {
                     type: 'oeko',
-                    regex: /günstigster?\s+Ökostrom.*?(\d+[,.]?\d*)\s*(Euro|EUR|€|Cent|ct)?\s*pro\s*kWh/i
+                    label: /günstigster?\s+Ökostrom/i
                 },
                 {
                     type: 'oeko',
-                    regex: /günstigster?\s+Alternativtarif.*?(\d+[,.]?\d*)\s*(Euro|EUR|€|Cent|ct)?\s*pro\s*kWh/i
+                    label: /günstigster?\s+Alternativtarif/i
                 }
             ];
 
@@ -135,23 +107,16 @@ class ImprovedPriceExtractor {
                     continue;
                 }
 
-                const match = pageText.match(patternObj.regex);
+                const match = priceParser.findPriceAfterLabel(pageText, patternObj.label, this.priceValidationRange);
                 if (match) {
-                    let price = parseFloat(match[1].replace(',', '.'));
-                    const unit = match[2] || '';
-                    
-                    if (unit.toLowerCase().includes('cent') || unit.toLowerCase().includes('ct')) {
-                        price = price / 100;
-                    }
+                    const price = match.price;
 
-                    if (price >= this.priceValidationRange.min && price <= this.priceValidationRange.max) {
-                        console.log(`📝 REGEX FALLBACK for ${patternObj.type}: €${price}`);
-                        
-                        if (patternObj.type === 'lokal' && !lokalerVersorgerPrice) {
-                            lokalerVersorgerPrice = price;
-                        } else if (patternObj.type === 'oeko' && !oekostromPrice) {
-                            oekostromPrice = price;
-                        }
+                    console.log(`📝 REGEX FALLBACK for ${patternObj.type}: €${price}`);
+                    
+                    if (patternObj.type === 'lokal' && !lokalerVersorgerPrice) {
+                        lokalerVersorgerPrice = price;
+                    } else if (patternObj.type === 'oeko' && !oekostromPrice) {
+                        oekostromPrice = price;
                     }
                 }
             }
@@ -0,0 +1,417 @@
+/**
+ * Offline Re-extraction Service
+ * Replays archived page snapshots through the scraper's extractor and quality validator,
+ * reports old vs. new prices per PLZ and optionally writes accepted changes back
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+const createCsvWriter = require('csv-writer').createObjectCsvWriter;
+const ScraperConfig = require('../scrapers/modules/config');
+const StromauskunftExtractor = require('../scrapers/modules/extractors/stromauskunft-extractor');
+const QualityValidator = require('../scrapers/modules/quality/quality-validator');
+const HtmlArchive = require('../scrapers/modules/archive/html-archive');
+const SupabaseStorage = require('../scrapers/modules/storage/supabase-storage');
+
+const PRICE_FIELDS = ['lokaler_versorger_price', 'oekostrom_price', 'average_price'];
+const PRICE_TOLERANCE = 0.00005; // Prices are stored as DECIMAL(6, 4)
+
+class OfflineReextraction {
+    constructor(options = {}) {
+        this.config = options.config || new ScraperConfig();
+        this.extractor = new StromauskunftExtractor(this.config);
+        this.validator = new QualityValidator(this.config);
+        this.archive = options.archive || new HtmlArchive(this.config);
+        this.storage = options.storage || null;
+    }
+
+    /**
+     * Storage is only connected when a month is loaded from the database
+     */
+    getStorage() {
+        if (!this.storage) {
+            this.storage = new SupabaseStorage(this.config);
+        }
+        return this.storage;
+    }
+
+    /**
+     * Replay the archived page of a stored price row
+     * Throws if the row has no snapshot or the snapshot cannot be read
+     */
+    async replayEntry(entry) {
+        if (!entry.html_archive_ref) {
+            throw new Error('No archived page for this entry');
+        }
+
+        const html = await this.archive.load(entry.html_archive_ref);
+        const pageText = cheerio.load(html).text();
+
+        const extraction = this.extractor.extractPrices(html, pageText, entry.source_url);
+        const outliers = this.validator.detectOutliers(
+            extraction.lokaler_versorger_price,
+            extraction.oekostrom_price
+        );
+        const validation = this.validator.validatePriceData(extraction);
+
+        return {
+            lokaler_versorger_price: extraction.lokaler_versorger_price,
+            oekostrom_price: extraction.oekostrom_price,
+            average_price: extraction.average_price,
+            lokaler_versorger_confidence: extraction.lokaler_versorger_confidence,
+            oekostrom_confidence: extraction.oekostrom_confidence,
+            extraction_method: extraction.extraction_method,
+            review_status: extraction.review_status,
+            review_reason: extraction.review_reason,
+            is_outlier: outliers.hasOutliers,
+            outlier_severity: outliers.severity,
+            warnings: outliers.warnings,
+            rejected_prices: validation.rejected_prices,
+            validation_issues: validation.issues
+        };
+    }
+
+    /**
+     * Compare a stored row with its replayed extraction and decide whether the change is accepted
+     */
+    compareEntry(entry, replayed) {
+        const oldPrices = this.pickPrices(entry);
+        const newPrices = this.pickPrices(replayed);
+        const delta = {};
+
+        for (const field of PRICE_FIELDS) {
+            delta[field] = oldPrices[field] !== null && newPrices[field] !== null
+                ? Math.round((newPrices[field] - oldPrices[field]) * 10000) / 10000
+                : null;
+        }
+
+        const changed = PRICE_FIELDS.some(field => !this.samePrice(oldPrices[field], newPrices[field])) ||
+            Boolean(entry.is_outlier) !== replayed.is_outlier;
+
+        const result = {
+            ...this.describeEntry(entry),
+            status: 'unchanged',
+            accepted: false,
+            reason: 'Re-extraction matches the stored prices',
+            extraction_method: replayed.extraction_method,
+            outlier_severity: replayed.outlier_severity,
+            warnings: replayed.warnings,
+            confidence: {
+                lokaler_versorger_confidence: replayed.lokaler_versorger_confidence ?? null,
+                oekostrom_confidence: replayed.oekostrom_confidence ?? null
+            },
+            review_status: replayed.review_status || 'none',
+            review_reason: replayed.review_reason || null,
+            old: oldPrices,
+            new: newPrices,
+            delta
+        };
+
+        if (!changed) {
+            return result;
+        }
+
+        const rejection = this.getRejectionReason(oldPrices, newPrices, replayed);
+        result.status = rejection ? 'rejected' : 'changed';
+        result.accepted = !rejection;
+        result.reason = rejection || 'Re-extraction produced different prices';
+
+        return result;
+    }
+
+    /**
+     * Changes must not introduce outliers, low-confidence prices or drop prices that were stored before
+     */
+    getRejectionReason(oldPrices, newPrices, replayed) {
+        if (!newPrices.lokaler_versorger_price && !newPrices.oekostrom_price) {
+            return 'No prices found in archived page';
+        }
+
+        if (replayed.rejected_prices && replayed.rejected_prices.length > 0) {
+            return `Quality validation rejected the new prices: ${replayed.validation_issues.join('; ')}`;
+        }
+
+        if (replayed.is_outlier) {
+            return `New prices are outliers (${replayed.outlier_severity})`;
+        }
+
+        if (replayed.review_status === 'needs_review') {
+            return `New prices need review: ${replayed.review_reason}`;
+        }
+
+        if (oldPrices.lokaler_versorger_price && !newPrices.lokaler_versorger_price) {
+            return 'Re-extraction lost the lokaler price';
+        }
+
+        if (oldPrices.oekostrom_price && !newPrices.oekostrom_price) {
+            return 'Re-extraction lost the öko price';
+        }
+
+        return null;
+    }
+
+    /**
+     * Re-extract every stored row of a month from its archived page
+     */
+    async runMonth(month, options = {}) {
+        const { write = false, plz = null, maxEntries = null } = options;
+        const storage = this.getStorage();
+
+        console.log(`🔁 OFFLINE RE-EXTRACTION for ${month} (${write ? 'write mode' : 'dry run'})`);
+        console.log('='.repeat(50));
+
+        let rows = await storage.getMonthPriceData(month);
+        if (plz) {
+            rows = rows.filter(row => row.plz === plz);
+        }
+        rows.sort((a, b) => a.plz.localeCompare(b.plz));
+        if (maxEntries) {
+            rows = rows.slice(0, maxEntries);
+        }
+
+        console.log(`📊 Replaying ${rows.length} stored entries...`);
+
+        const entries = [];
+        for (let i = 0; i < rows.length; i++) {
+            entries.push(await this.processRow(rows[i]));
+
+            if ((i + 1) % 100 === 0) {
+                console.log(`\n📈 Progress: ${i + 1}/${rows.length} entries replayed`);
+            }
+        }
+
+        let written = 0;
+        if (write) {
+            written = await this.writeAcceptedChanges(entries, storage);
+            if (written > 0) {
+                await storage.invalidateMonthCache(month, 'offline re-extraction');
+                await storage.updateMonthlyQualityMetrics(month)
+                    .catch(error => console.warn(`⚠️  Quality metrics for ${month} not updated: ${error.message}`));
+            }
+        }
+
+        const referencedSnapshots = new Set(rows.map(row => row.html_archive_ref).filter(Boolean));
+        const archivedSnapshots = plz || maxEntries ? [] : await this.archive.list(month);
+
+        // The archive holds the pages of every source; only pages no row points to are unreferenced
+        if (archivedSnapshots.length > 0) {
+            for (const sourceName of this.config.getSourceNames().filter(name => name !== storage.sourceName)) {
+                const sourceRows = await storage.getMonthPriceData(month, sourceName);
+                sourceRows.forEach(row => row.html_archive_ref && referencedSnapshots.add(row.html_archive_ref));
+            }
+        }
+
+        return {
+            month,
+            generated_at: new Date().toISOString(),
+            mode: write ? 'write' : 'dry_run',
+            summary: {
+                total_entries: entries.length,
+                unchanged: entries.filter(e => e.status === 'unchanged').length,
+                changed: entries.filter(e => e.status === 'changed').length,
+                rejected: entries.filter(e => e.status === 'rejected').length,
+                skipped: entries.filter(e => e.status === 'skipped').length,
+                failed: entries.filter(e => e.status === 'failed').length,
+                written,
+                unreferenced_snapshots: archivedSnapshots.filter(s => !referencedSnapshots.has(s.ref)).length
+            },
+            entries
+        };
+    }
+
+    /**
+     * Replay one stored row; fallback rows and rows scraped before the archive are skipped
+     */
+    async processRow(row) {
+        if (row.data_source !== 'ORIGINAL') {
+            return this.createSkippedEntry(row, 'Fallback data - follows its source PLZ');
+        }
+
+        if (!row.html_archive_ref) {
+            return this.createSkippedEntry(row, 'No archived page (scraped before the HTML archive)');
+        }
+
+        try {
+            const replayed = await this.replayEntry(row);
+            return this.compareEntry(row, replayed);
+        } catch (error) {
+            console.log(`   ❌ ${row.city_name} (${row.plz}): ${error.message}`);
+            return {
+                ...this.describeEntry(row),
+                status: 'failed',
+                accepted: false,
+                reason: error.message,
+                old: this.pickPrices(row),
+                new: null,
+                delta: null
+            };
+        }
+    }
+
+    /**
+     * Write accepted changes back through the storage module
+     */
+    async writeAcceptedChanges(entries, storage) {
+        const accepted = entries.filter(entry => entry.accepted);
+        let written = 0;
+
+        console.log(`\n💾 Writing ${accepted.length} accepted changes...`);
+
+        for (const entry of accepted) {
+            try {
+                await storage.updatePriceData(entry.id, {
+                    ...entry.new,
+                    ...entry.confidence,
+                    is_outlier: false,
+                    outlier_severity: entry.outlier_severity,
+                    outlier_reason: null
+                }, {
+                    actor: 'offline-reextraction',
+                    reason: `Re-extracted from archived page (${entry.extraction_method || 'unknown method'})`
+                });
+                entry.written = true;
+                written++;
+            } catch (error) {
+                entry.written = false;
+                entry.reason = `Write failed: ${error.message}`;
+            }
+        }
+
+        return written;
+    }
+
+    /**
+     * Write the diff report as JSON (full detail) and CSV (one row per PLZ)
+     */
+    async writeReport(report, outputDir = path.join(process.cwd(), 'logs')) {
+        fs.mkdirSync(outputDir, { recursive: true });
+
+        const timestamp = report.generated_at.replace(/[:.]/g, '-');
+        const baseName = `reextraction-${report.month.substring(0, 7)}-${timestamp}`;
+        const jsonPath = path.join(outputDir, `${baseName}.json`);
+        const csvPath = path.join(outputDir, `${baseName}.csv`);
+
+        fs.writeFileSync(jsonPath, JSON.stringify(report, null, 2));
+
+        const csvWriter = createCsvWriter({
+            path: csvPath,
+            header: [
+                { id: 'plz', title: 'PLZ' },
+                { id: 'city_name', title: 'City' },
+                { id: 'status', title: 'Status' },
+                { id: 'accepted', title: 'Accepted' },
+                { id: 'written', title: 'Written' },
+                { id: 'reason', title: 'Reason' },
+                { id: 'old_lokaler', title: 'Old_Lokaler' },
+                { id: 'new_lokaler', title: 'New_Lokaler' },
+                { id: 'delta_lokaler', title: 'Delta_Lokaler' },
+                { id: 'old_oeko', title: 'Old_Oeko' },
+                { id: 'new_oeko', title: 'New_Oeko' },
+                { id: 'delta_oeko', title: 'Delta_Oeko' },
+                { id: 'old_average', title: 'Old_Average' },
+                { id: 'new_average', title: 'New_Average' },
+                { id: 'extraction_method', title: 'Extraction_Method' },
+                { id: 'html_archive_ref', title: 'Archive_Ref' }
+            ]
+        });
+
+        await csvWriter.writeRecords(report.entries.map(entry => ({
+            plz: entry.plz,
+            city_name: entry.city_name,
+            status: entry.status,
+            accepted: entry.accepted,
+            written: entry.written || false,
+            reason: entry.reason,
+            old_lokaler: entry.old?.lokaler_versorger_price ?? '',
+            new_lokaler: entry.new?.lokaler_versorger_price ?? '',
+            delta_lokaler: entry.delta?.lokaler_versorger_price ?? '',
+            old_oeko: entry.old?.oekostrom_price ?? '',
+            new_oeko: entry.new?.oekostrom_price ?? '',
+            delta_oeko: entry.delta?.oekostrom_price ?? '',
+            old_average: entry.old?.average_price ?? '',
+            new_average: entry.new?.average_price ?? '',
+            extraction_method: entry.extraction_method || '',
+            html_archive_ref: entry.html_archive_ref || ''
+        })));
+
+        return { jsonPath, csvPath };
+    }
+
+    /**
+     * Print the report summary and the largest changes
+     */
+    printSummary(report) {
+        const { summary } = report;
+
+        console.log('\n' + '='.repeat(50));
+        console.log('🎯 RE-EXTRACTION COMPLETED!');
+        console.log(`📊 Results for ${report.month}:`);
+        console.log(`   Total entries: ${summary.total_entries}`);
+        console.log(`   ✅ Unchanged: ${summary.unchanged}`);
+        console.log(`   🔄 Changed (accepted): ${summary.changed}`);
+        console.log(`   🚫 Rejected: ${summary.rejected}`);
+        console.log(`   ⏭️  Skipped: ${summary.skipped}`);
+        console.log(`   ❌ Failed: ${summary.failed}`);
+        if (report.mode === 'write') {
+            console.log(`   💾 Written to database: ${summary.written}`);
+        }
+        if (summary.unreferenced_snapshots > 0) {
+            console.log(`   📦 Archived pages without a price row: ${summary.unreferenced_snapshots}`);
+        }
+
+        const changes = report.entries
+            .filter(entry => entry.status === 'changed')
+            .sort((a, b) => Math.abs(b.delta.average_price || 0) - Math.abs(a.delta.average_price || 0));
+
+        if (changes.length > 0) {
+            console.log('\n🔄 Largest changes:');
+            changes.slice(0, 10).forEach(entry => {
+                console.log(`   ${entry.city_name} (${entry.plz}): Lokaler €${entry.old.lokaler_versorger_price} -> €${entry.new.lokaler_versorger_price}, Öko €${entry.old.oekostrom_price} -> €${entry.new.oekostrom_price}`);
+            });
+        }
+    }
+
+    // === HELPERS ===
+
+    describeEntry(entry) {
+        return {
+            id: entry.id,
+            plz: entry.plz,
+            city_name: entry.city_name,
+            data_source: entry.data_source,
+            html_archive_ref: entry.html_archive_ref || null
+        };
+    }
+
+    createSkippedEntry(row, reason) {
+        return {
+            ...this.describeEntry(row),
+            status: 'skipped',
+            accepted: false,
+            reason,
+            old: this.pickPrices(row),
+            new: null,
+            delta: null
+        };
+    }
+
+    pickPrices(source) {
+        const prices = {};
+        for (const field of PRICE_FIELDS) {
+            const value = parseFloat(source[field]);
+            prices[field] = Number.isFinite(value) ? Math.round(value * 10000) / 10000 : null;
+        }
+        return prices;
+    }
+
+    samePrice(a, b) {
+        if (a === null || b === null) {
+            return a === b;
+        }
+        return Math.abs(a - b) < PRICE_TOLERANCE;
+    }
+}
+
+module.exports = OfflineReextraction;
@@ -0,0 +1,262 @@
+/**
+ * Price Reconciliation Service
+ * Joins the per-PLZ prices of every price source (source_name) for a month,
+ * computes the spread between the sources and flags PLZs where they disagree
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const createCsvWriter = require('csv-writer').createObjectCsvWriter;
+const ScraperConfig = require('../scrapers/modules/config');
+const QualityValidator = require('../scrapers/modules/quality/quality-validator');
+const { createDatabaseClient } = require('../database/database-client');
+
+const PRICE_FIELDS = ['lokaler_versorger_price', 'oekostrom_price'];
+const RECONCILIATION_COLUMNS = 'plz, city_name, lokaler_versorger_price, oekostrom_price, data_source, source_name, updated_at';
+
+// One row per PLZ in the CSV report (also served by GET /reconciliation/{year}/{month}?format=csv)
+const CSV_COLUMNS = [
+    'plz',
+    'city_name',
+    'severity',
+    'flagged',
+    'sources',
+    'lokaler_min',
+    'lokaler_max',
+    'lokaler_spread',
+    'lokaler_relative_spread',
+    'oeko_min',
+    'oeko_max',
+    'oeko_spread',
+    'oeko_relative_spread',
+    'prices',
+    'warnings'
+];
+
+class PriceReconciliation {
+    constructor(options = {}) {
+        this.config = options.config || new ScraperConfig();
+        this.validator = new QualityValidator(this.config);
+        this.sources = options.sources || this.config.getSourceNames();
+        this.db = options.db || null;
+    }
+
+    /**
+     * The database is only connected when a month is loaded
+     */
+    getDb() {
+        if (!this.db) {
+            this.db = createDatabaseClient();
+        }
+        return this.db;
+    }
+
+    /**
+     * Load every source's rows of a month and reconcile them
+     */
+    async runMonth(month) {
+        return this.reconcile(month, await this.loadMonth(month));
+    }
+
+    /**
+     * Load the rows of a month per source
+     * @param {string} month - Data month (YYYY-MM-01)
+     * @param {Object|null} release - Data release to read instead of the live rows
+     * @returns {Object} { source_name: [price rows] }
+     */
+    async loadMonth(month, release = null) {
+        const db = this.getDb();
+        const rowsBySource = {};
+
+        for (const source of this.sources) {
+            rowsBySource[source] = await db.getAllPriceDataForMonth(month, RECONCILIATION_COLUMNS, source, release);
+            console.log(`   📊 ${source}: ${rowsBySource[source].length} rows`);
+        }
+
+        return rowsBySource;
+    }
+
+    /**
+     * Compare the sources PLZ by PLZ
+     * Only scraped rows (data_source ORIGINAL) are compared - fallback rows copy a neighbour's price
+     * @param {string} month - Data month (YYYY-MM-01)
+     * @param {Object} rowsBySource - { source_name: [price rows] }
+     * @returns {Object} Report { month, generated_at, sources, thresholds, summary, entries }
+     */
+    reconcile(month, rowsBySource) {
+        const byPlz = new Map();
+        const rowCounts = {};
+
+        for (const [source, rows] of Object.entries(rowsBySource)) {
+            const originalRows = rows.filter(row => row.data_source === 'ORIGINAL');
+            rowCounts[source] = originalRows.length;
+
+            for (const row of originalRows) {
+                if (!byPlz.has(row.plz)) {
+                    byPlz.set(row.plz, { city_name: row.city_name, prices: {} });
+                }
+                byPlz.get(row.plz).prices[source] = {
+                    lokaler_versorger_price: this.toPrice(row.lokaler_versorger_price),
+                    oekostrom_price: this.toPrice(row.oekostrom_price)
+                };
+            }
+        }
+
+        const entries = [];
+        let singleSource = 0;
+
+        for (const [plz, { city_name, prices }] of byPlz) {
+            if (Object.keys(prices).length < 2) {
+                singleSource++;
+                continue;
+            }
+            entries.push(this.compareSources(plz, city_name, prices));
+        }
+
+        // Worst disagreements first
+        entries.sort((a, b) =>
+            this.validator.getSeverityLevel(b.severity) - this.validator.getSeverityLevel(a.severity) ||
+            this.maxRelativeSpread(b) - this.maxRelativeSpread(a) ||
+            a.plz.localeCompare(b.plz)
+        );
+
+        const flagged = entries.filter(entry => entry.flagged);
+
+        return {
+            month,
+            generated_at: new Date().toISOString(),
+            sources: Object.keys(rowsBySource),
+            thresholds: this.config.getReconciliationConfig().spreadThresholds,
+            summary: {
+                rows_per_source: rowCounts,
+                compared_plz: entries.length,
+                single_source_plz: singleSource,
+                flagged_plz: flagged.length,
+                flagged_by_severity: {
+                    high: flagged.filter(entry => entry.severity === 'high').length,
+                    very_high: flagged.filter(entry => entry.severity === 'very_high').length,
+                    extreme: flagged.filter(entry => entry.severity === 'extreme').length
+                }
+            },
+            entries
+        };
+    }
+
+    /**
+     * Spread and severity of one PLZ
+     */
+    compareSources(plz, cityName, prices) {
+        const disagreement = this.validator.detectSourceDisagreement(prices);
+
+        return {
+            plz,
+            city_name: cityName,
+            severity: disagreement.severity,
+            flagged: disagreement.hasDisagreement,
+            prices,
+            spreads: Object.fromEntries(PRICE_FIELDS.map(field => {
+                const spread = disagreement.spreads[field];
+                return [field, spread ? {
+                    min: spread.min,
+                    max: spread.max,
+                    spread: spread.spread,
+                    relative_spread: spread.relative_spread,
+                    severity: spread.severity
+                } : null];
+            })),
+            warnings: disagreement.warnings
+        };
+    }
+
+    /**
+     * Flatten report entries to CSV rows (CSV_COLUMNS)
+     */
+    toCsvRows(entries) {
+        const spreadValue = (entry, field, key) => entry.spreads[field]?.[key] ?? null;
+
+        return entries.map(entry => ({
+            plz: entry.plz,
+            city_name: entry.city_name,
+            severity: entry.severity,
+            flagged: entry.flagged,
+            sources: Object.keys(entry.prices).join(';'),
+            lokaler_min: spreadValue(entry, 'lokaler_versorger_price', 'min'),
+            lokaler_max: spreadValue(entry, 'lokaler_versorger_price', 'max'),
+            lokaler_spread: spreadValue(entry, 'lokaler_versorger_price', 'spread'),
+            lokaler_relative_spread: spreadValue(entry, 'lokaler_versorger_price', 'relative_spread'),
+            oeko_min: spreadValue(entry, 'oekostrom_price', 'min'),
+            oeko_max: spreadValue(entry, 'oekostrom_price', 'max'),
+            oeko_spread: spreadValue(entry, 'oekostrom_price', 'spread'),
+            oeko_relative_spread: spreadValue(entry, 'oekostrom_price', 'relative_spread'),
+            prices: Object.entries(entry.prices)
+                .map(([source, sourcePrices]) => `${source}=${sourcePrices.lokaler_versorger_price ?? ''}/${sourcePrices.oekostrom_price ?? ''}`)
+                .join(';'),
+            warnings: entry.warnings.join('; ')
+        }));
+    }
+
+    /**
+     * Write the report as JSON (full detail) and CSV (one row per compared PLZ)
+     */
+    async writeReport(report, outputDir = path.join(process.cwd(), 'logs')) {
+        fs.mkdirSync(outputDir, { recursive: true });
+
+        const timestamp = report.generated_at.replace(/[:.]/g, '-');
+        const baseName = `reconciliation-${report.month.substring(0, 7)}-${timestamp}`;
+        const jsonPath = path.join(outputDir, `${baseName}.json`);
+        const csvPath = path.join(outputDir, `${baseName}.csv`);
+
+        fs.writeFileSync(jsonPath, JSON.stringify(report, null, 2));
+
+        const csvWriter = createCsvWriter({
+            path: csvPath,
+            header: CSV_COLUMNS.map(column => ({ id: column, title: column }))
+        });
+        await csvWriter.writeRecords(this.toCsvRows(report.entries).map(row =>
+            Object.fromEntries(CSV_COLUMNS.map(column => [column, row[column] ?? '']))
+        ));
+
+        return { jsonPath, csvPath };
+    }
+
+    /**
+     * Print the report summary and the largest disagreements
+     */
+    printSummary(report) {
+        const { summary } = report;
+
+        console.log('\n' + '='.repeat(50));
+        console.log('🎯 RECONCILIATION COMPLETED!');
+        console.log(`📊 Results for ${report.month} (${report.sources.join(' vs. ')}):`);
+        console.log(`   PLZ compared: ${summary.compared_plz}`);
+        console.log(`   PLZ with only one source: ${summary.single_source_plz}`);
+        console.log(`   🚩 Flagged: ${summary.flagged_plz}`);
+        console.log(`      High: ${summary.flagged_by_severity.high}`);
+        console.log(`      Very high: ${summary.flagged_by_severity.very_high}`);
+        console.log(`      Extreme: ${summary.flagged_by_severity.extreme}`);
+
+        const flagged = report.entries.filter(entry => entry.flagged);
+        if (flagged.length > 0) {
+            console.log('\n🚩 Largest disagreements:');
+            flagged.slice(0, 10).forEach(entry => {
+                console.log(`   ${entry.city_name} (${entry.plz}) [${entry.severity}]: ${entry.warnings.join('; ')}`);
+            });
+        }
+    }
+
+    // === HELPERS ===
+
+    maxRelativeSpread(entry) {
+        return Math.max(0, ...PRICE_FIELDS.map(field => entry.spreads[field]?.relative_spread ?? 0));
+    }
+
+    toPrice(value) {
+        const price = parseFloat(value);
+        return Number.isFinite(price) && price > 0 ? price : null;
+    }
+}
+
+PriceReconciliation.CSV_COLUMNS = CSV_COLUMNS;
+
+module.exports = PriceReconciliation;
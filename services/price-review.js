@@ -0,0 +1,384 @@
+/**
+ * Price Review Service
+ * Turns flagged price rows (outliers, missing extraction consensus, queued month-over-month jumps)
+ * into review items and applies the reviewers' decisions to monthly_electricity_prices
+ *
+ * A decision is stored on its review item together with the values it replaced, the reviewer
+ * and the note, so price_reviews doubles as the audit trail of manual corrections.
+ */
+
+require('dotenv').config();
+const ScraperConfig = require('../scrapers/modules/config');
+const TemporalAnomalyDetector = require('../scrapers/modules/quality/temporal-anomaly-detector');
+const QualityValidator = require('../scrapers/modules/quality/quality-validator');
+const { createDatabaseClient } = require('../database/database-client');
+
+const PRICE_CHECKS = [
+    { priceField: 'lokaler_versorger_price', label: 'Lokaler Versorger' },
+    { priceField: 'oekostrom_price', label: 'Ökostrom' }
+];
+
+// Price row columns kept as flagged_values
+const FLAGGED_COLUMNS = [
+    'lokaler_versorger_price',
+    'oekostrom_price',
+    'average_price',
+    'is_outlier',
+    'outlier_severity',
+    'outlier_reason',
+    'review_status',
+    'review_reason'
+];
+
+// Route action -> review status
+const DECISIONS = {
+    approve: 'approved',
+    reject: 'rejected',
+    override: 'overridden'
+};
+
+const STATUSES = ['pending', 'approved', 'rejected', 'overridden'];
+
+class PriceReview {
+    constructor(options = {}) {
+        this.config = options.config || new ScraperConfig();
+        this.priceValidation = this.config.getPriceValidation();
+        this.anomalyDetector = new TemporalAnomalyDetector(this.config);
+        this.validator = new QualityValidator(this.config);
+        this.sources = options.sources || this.config.getSourceNames();
+        this.db = options.db || null;
+    }
+
+    /**
+     * The database is only connected when it is needed
+     */
+    getDb() {
+        if (!this.db) {
+            this.db = createDatabaseClient();
+        }
+        return this.db;
+    }
+
+    /**
+     * Create review items for the flagged rows of a month
+     * Rows that already have a pending review are skipped.
+     * @param {string} month - Data month (YYYY-MM-01)
+     * @param {Object} options - { write: false for a dry run }
+     * @returns {Object} { month, created, skipped_pending, reviews }
+     */
+    async createForMonth(month, options = {}) {
+        const { write = true } = options;
+        const db = this.getDb();
+
+        const rows = await this.loadRows(month);
+        const queueItems = await db.getOpenReviewQueueItems(month);
+        const pendingPriceIds = await db.getPendingReviewPriceIds(month);
+
+        const previousRows = [];
+        for (const previousMonth of this.anomalyDetector.getPreviousMonths(month)) {
+            previousRows.push(...await this.loadRows(previousMonth));
+        }
+
+        const reviews = this.buildReviews(rows, queueItems, previousRows);
+        const newReviews = reviews.filter(review => !pendingPriceIds.has(review.price_id));
+        const created = write && newReviews.length > 0 ? await db.insertPriceReviews(newReviews) : newReviews;
+
+        if (write && newReviews.length > 0) {
+            console.log(`   💾 Created ${created.length} review items for ${month}`);
+        }
+
+        return {
+            month,
+            created: write ? created.length : 0,
+            skipped_pending: reviews.length - newReviews.length,
+            reviews: created
+        };
+    }
+
+    /**
+     * Rows of a month across all sources
+     */
+    async loadRows(month) {
+        const rows = [];
+        for (const source of this.sources) {
+            rows.push(...await this.getDb().getAllPriceDataForMonth(month, '*', source));
+        }
+        return rows;
+    }
+
+    /**
+     * Build a review item for every flagged scraped row
+     * Fallback rows copy a neighbour's price - they are corrected through their source row.
+     * @param {Array} rows - Price rows of the month
+     * @param {Array} queueItems - Open price_review_queue items of the month
+     * @param {Array} previousRows - Price rows of the previous months (candidate values)
+     * @returns {Array} price_reviews rows
+     */
+    buildReviews(rows, queueItems = [], previousRows = []) {
+        const queueByPrice = new Map();
+        for (const item of queueItems) {
+            if (!queueByPrice.has(item.price_id)) {
+                queueByPrice.set(item.price_id, []);
+            }
+            queueByPrice.get(item.price_id).push(item);
+        }
+        const previousByPlz = this.anomalyDetector.groupPreviousPrices(previousRows);
+
+        const reviews = [];
+        for (const row of rows) {
+            if (row.data_source !== 'ORIGINAL') continue;
+
+            const rowQueueItems = queueByPrice.get(row.id) || [];
+            const flags = this.getFlags(row, rowQueueItems);
+            if (flags.length === 0) continue;
+
+            reviews.push(this.buildReview(row, flags, rowQueueItems, previousByPlz.get(`${row.source_name || ''}|${row.plz}`)));
+        }
+
+        return reviews;
+    }
+
+    /**
+     * Why a row needs review
+     * @returns {Array} [{ type, price_fields, severity, reason }]
+     */
+    getFlags(row, queueItems = []) {
+        const flags = [];
+
+        if (row.is_outlier) {
+            flags.push({
+                type: 'outlier',
+                price_fields: this.getMentionedFields(row, row.outlier_reason),
+                severity: row.outlier_severity || null,
+                reason: row.outlier_reason || null
+            });
+        }
+
+        if (row.review_status === 'needs_review') {
+            flags.push({
+                type: 'consensus',
+                price_fields: this.getMentionedFields(row, row.review_reason),
+                severity: null,
+                reason: row.review_reason || null
+            });
+        }
+
+        for (const item of queueItems) {
+            flags.push({
+                type: item.anomaly_type,
+                price_fields: [item.price_field],
+                severity: item.severity,
+                reason: item.reason || null
+            });
+        }
+
+        return flags;
+    }
+
+    /**
+     * Review item of one flagged row
+     * The candidate for each flagged price is the median of the PLZ's previous months
+     * (the baseline of the queued jump where there is one)
+     */
+    buildReview(row, flags, queueItems = [], previous = null) {
+        const flaggedFields = [...new Set(flags.flatMap(flag => flag.price_fields))];
+        const baseline = {};
+
+        for (const field of flaggedFields) {
+            const queued = queueItems.find(item => item.price_field === field);
+            if (queued) {
+                baseline[field] = {
+                    price: this.toPrice(queued.baseline_price),
+                    months: queued.baseline_months,
+                    latest_month: queued.previous_month
+                };
+            } else if (previous && previous[field].length > 0) {
+                baseline[field] = {
+                    price: parseFloat(this.anomalyDetector.median(previous[field].map(entry => entry.price)).toFixed(4)),
+                    months: previous[field].length,
+                    latest_month: previous[field][0].month
+                };
+            }
+        }
+
+        const candidateValues = Object.fromEntries(
+            Object.entries(baseline)
+                .filter(([field, entry]) => entry.price !== null && entry.price !== this.toPrice(row[field]))
+                .map(([field, entry]) => [field, entry.price])
+        );
+
+        return {
+            price_id: row.id,
+            data_month: row.data_month,
+            plz: row.plz,
+            city_name: row.city_name,
+            source_name: row.source_name,
+            flags,
+            flagged_values: Object.fromEntries(FLAGGED_COLUMNS.map(column => [column, row[column] ?? null])),
+            candidate_values: Object.keys(candidateValues).length > 0 ? candidateValues : null,
+            evidence: {
+                source_url: row.source_url || null,
+                scraped_at: row.scraped_at || null,
+                confidence: {
+                    lokaler_versorger_price: row.lokaler_versorger_confidence ?? null,
+                    oekostrom_price: row.oekostrom_confidence ?? null
+                },
+                baseline,
+                queue_item_ids: queueItems.map(item => item.id)
+            },
+            html_archive_ref: row.html_archive_ref || null,
+            status: 'pending'
+        };
+    }
+
+    /**
+     * Check override values: known price fields within config.priceValidation
+     * @returns {Array} Problems (empty if the values can be applied)
+     */
+    validateValues(values) {
+        if (!values || typeof values !== 'object' || Array.isArray(values)) {
+            return ['values must be an object of prices'];
+        }
+
+        const fields = PRICE_CHECKS.map(({ priceField }) => priceField);
+        const problems = [];
+        const entries = Object.entries(values);
+
+        if (entries.length === 0) {
+            problems.push(`values needs at least one of ${fields.join(', ')}`);
+        }
+
+        for (const [field, value] of entries) {
+            if (!fields.includes(field)) {
+                problems.push(`${field} is not a price field (${fields.join(', ')})`);
+            } else if (typeof value !== 'number' || !Number.isFinite(value) ||
+                value < this.priceValidation.minPrice || value > this.priceValidation.maxPrice) {
+                problems.push(`${field} must be a number between ${this.priceValidation.minPrice} and ${this.priceValidation.maxPrice} EUR/kWh`);
+            }
+        }
+
+        return problems;
+    }
+
+    /**
+     * Apply a decision to a pending review
+     * The review is claimed first, so two reviewers cannot both apply a decision; it is reopened
+     * if the price row cannot be updated.
+     * @param {Object} review - Pending review item
+     * @param {string} action - approve | reject | override
+     * @param {Object} options - { values (override), reviewer (API key record), note }
+     * @returns {Object|null} { review, price } or null if the review was decided in the meantime
+     */
+    async decide(review, action, options = {}) {
+        const { values = null, reviewer = null, note = null } = options;
+        const status = DECISIONS[action];
+        if (!status) {
+            throw new Error(`Unknown review action: ${action}`);
+        }
+
+        const db = this.getDb();
+        const price = await db.getPriceDataById(review.price_id);
+        if (!price) {
+            throw new Error(`Price row ${review.price_id} no longer exists`);
+        }
+
+        const decisionValues = action === 'approve' ? review.candidate_values : action === 'override' ? values : {};
+        const updates = this.buildPriceUpdates(price, decisionValues, status);
+
+        const decided = await db.decidePriceReview(review.id, {
+            status,
+            previous_values: Object.fromEntries(Object.keys(updates).map(column => [column, price[column] ?? null])),
+            applied_values: updates,
+            reviewed_by: reviewer ? reviewer.name : null,
+            reviewer_key_id: reviewer ? reviewer.id : null,
+            review_note: note,
+            reviewed_at: new Date().toISOString()
+        });
+        if (!decided) {
+            return null;
+        }
+
+        let updatedPrice;
+        try {
+            updatedPrice = await db.updatePriceData(price.id, updates, {
+                actor: 'price-review',
+                reason: `Review ${status}${reviewer ? ` by ${reviewer.name}` : ''}${note ? `: ${note}` : ''}`
+            });
+        } catch (error) {
+            await db.reopenPriceReview(review.id);
+            throw error;
+        }
+
+        await db.closeReviewQueueItems(price.id, status === 'rejected' ? 'dismissed' : 'resolved');
+        await db.invalidateMonthCache(review.data_month, `price review ${status}`);
+
+        // A rejection keeps the prices and outlier flags the month's aggregates are built from
+        if (status !== 'rejected') {
+            await this.validator.updateMonthlyMetrics(db, review.data_month)
+                .catch(error => console.warn(`⚠️  Quality metrics for ${review.data_month} not updated: ${error.message}`));
+        }
+
+        console.log(`   ✅ Review ${review.id} ${status} for ${review.city_name} (${review.plz})`);
+        return { review: decided, price: updatedPrice };
+    }
+
+    /**
+     * Columns a decision writes to the price row
+     * Approved and overridden prices replace the flagged ones and clear the outlier flags;
+     * a rejection keeps the prices and only records that the row was reviewed.
+     */
+    buildPriceUpdates(price, values, status) {
+        if (status === 'rejected') {
+            return { review_status: 'reviewed' };
+        }
+
+        const prices = {};
+        for (const { priceField } of PRICE_CHECKS) {
+            prices[priceField] = values[priceField] !== undefined ? values[priceField] : this.toPrice(price[priceField]);
+        }
+
+        return {
+            ...Object.fromEntries(Object.keys(values).map(field => [field, values[field]])),
+            average_price: this.calculateAveragePrice(prices.lokaler_versorger_price, prices.oekostrom_price),
+            is_outlier: false,
+            outlier_severity: 'normal',
+            outlier_reason: null,
+            review_status: 'reviewed'
+        };
+    }
+
+    // === HELPERS ===
+
+    /**
+     * Price fields named in a reason text (all priced fields if it names none)
+     */
+    getMentionedFields(row, reason) {
+        const mentioned = PRICE_CHECKS
+            .filter(({ priceField, label }) => reason && (reason.includes(priceField) || reason.includes(label)))
+            .map(({ priceField }) => priceField);
+
+        if (mentioned.length > 0) {
+            return mentioned;
+        }
+        return PRICE_CHECKS
+            .filter(({ priceField }) => this.toPrice(row[priceField]) !== null)
+            .map(({ priceField }) => priceField);
+    }
+
+    calculateAveragePrice(lokaler, oeko) {
+        if (lokaler && oeko) {
+            return parseFloat(((lokaler + oeko) / 2).toFixed(4));
+        }
+        return lokaler || oeko || null;
+    }
+
+    toPrice(value) {
+        const price = parseFloat(value);
+        return Number.isFinite(price) && price > 0 ? price : null;
+    }
+}
+
+PriceReview.DECISIONS = DECISIONS;
+PriceReview.STATUSES = STATUSES;
+
+module.exports = PriceReview;
@@ -0,0 +1,205 @@
+/**
+ * Unit tests for API keys: hashing, lookup (api/middleware/auth-middleware.js),
+ * per-key rate limits and usage counting
+ */
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { generateApiKey, hashApiKey, getKeyPrefix } = require('../api/utils/api-keys');
+const { isValidApiKeyFormat } = require('../api/utils/validation');
+const { authenticateApiKey, requireApiKey, createRateLimiter } = require('../api/middleware/auth-middleware');
+const SupabaseClient = require('../database/supabase-client');
+const { listen } = require('./helpers/api-server');
+
+/**
+ * Stand-in for the SupabaseClient key methods: active keys by hash, lookups and usage calls
+ */
+function fakeDb(keys) {
+    const db = {
+        lookups: 0,
+        usage: [],
+        getActiveApiKeyByHash: async keyHash => {
+            db.lookups++;
+            const record = keys.find(key => key.key_hash === keyHash && key.is_active);
+            return record || null;
+        },
+        recordApiKeyUsage: async keyId => {
+            db.usage.push(keyId);
+            return true;
+        }
+    };
+    return db;
+}
+
+/**
+ * An issued key as scripts/manage-api-keys.js stores it
+ */
+function issueKey(id, rateLimit = 100) {
+    const apiKey = generateApiKey();
+    return {
+        apiKey,
+        record: { id, name: `Team ${id}`, key_hash: hashApiKey(apiKey), key_prefix: getKeyPrefix(apiKey), rate_limit: rateLimit, is_active: true }
+    };
+}
+
+/**
+ * authenticateApiKey, the rate limiter and an optional requireApiKey in front of GET /ping
+ */
+function startApp(db, { anonymousLimit = 2, required = false } = {}) {
+    const app = express();
+    app.use((req, res, next) => {
+        req.db = db;
+        next();
+    });
+    app.use(authenticateApiKey);
+    app.use(createRateLimiter({ windowMs: 60 * 1000, anonymousLimit }));
+    if (required) {
+        app.use(requireApiKey);
+    }
+    app.get('/ping', (req, res) => res.json({ success: true, key: req.apiKeyRecord ? req.apiKeyRecord.id : null }));
+    return listen(app);
+}
+
+describe('API key hashing', () => {
+    test('issues url-safe keys that pass the format check and stores only their hash', () => {
+        const apiKey = generateApiKey();
+
+        assert.match(apiKey, /^gep_[A-Za-z0-9_-]{43}$/);
+        assert.ok(isValidApiKeyFormat(apiKey));
+        assert.strictEqual(hashApiKey(apiKey), hashApiKey(apiKey));
+        assert.match(hashApiKey(apiKey), /^[a-f0-9]{64}$/);
+        assert.notStrictEqual(hashApiKey(apiKey), hashApiKey(generateApiKey()));
+        assert.strictEqual(getKeyPrefix(apiKey), apiKey.substring(0, 12));
+    });
+});
+
+describe('authenticateApiKey', () => {
+    let api;
+    let now;
+    const realNow = Date.now;
+
+    beforeEach(() => {
+        now = realNow();
+        Date.now = () => now;
+    });
+
+    afterEach(async () => {
+        Date.now = realNow;
+        await api.close();
+    });
+
+    test('identifies the key from the header or the query parameter', async () => {
+        const { apiKey, record } = issueKey('key-header');
+        api = await startApp(fakeDb([record]));
+
+        assert.strictEqual((await api.get('/ping', { 'x-api-key': apiKey })).body.key, 'key-header');
+        assert.strictEqual((await api.get(`/ping?apiKey=${apiKey}`)).body.key, 'key-header');
+        assert.strictEqual((await api.get('/ping')).body.key, null);
+    });
+
+    test('caches lookups and rejects a revoked key once the cache entry expires', async () => {
+        const { apiKey, record } = issueKey('key-revoked');
+        const db = fakeDb([record]);
+        api = await startApp(db);
+
+        await api.get('/ping', { 'x-api-key': apiKey });
+        record.is_active = false;
+        const cached = await api.get('/ping', { 'x-api-key': apiKey });
+
+        assert.strictEqual(cached.status, 200);
+        assert.strictEqual(db.lookups, 1);
+
+        now += 61 * 1000;
+        const expired = await api.get('/ping', { 'x-api-key': apiKey });
+
+        assert.strictEqual(expired.status, 401);
+        assert.strictEqual(expired.body.error.message, 'Invalid or revoked API key');
+        assert.strictEqual(db.lookups, 2);
+    });
+
+    test('rejects unknown and malformed keys', async () => {
+        api = await startApp(fakeDb([]));
+
+        const unknown = await api.get('/ping', { 'x-api-key': generateApiKey() });
+        const malformed = await api.get('/ping', { 'x-api-key': 'short' });
+
+        assert.deepStrictEqual([unknown.status, unknown.body.error.code], [401, 'AUTHENTICATION_ERROR']);
+        assert.deepStrictEqual([malformed.status, malformed.body.error.message], [401, 'Invalid API key format']);
+    });
+
+    test('requireApiKey answers anonymous calls with 401', async () => {
+        const { apiKey, record } = issueKey('key-required');
+        api = await startApp(fakeDb([record]), { required: true });
+
+        const anonymous = await api.get('/ping');
+
+        assert.strictEqual(anonymous.status, 401);
+        assert.strictEqual(anonymous.body.error.message, 'API key is required');
+        assert.strictEqual((await api.get('/ping', { 'x-api-key': apiKey })).status, 200);
+    });
+});
+
+describe('createRateLimiter', () => {
+    let api;
+
+    afterEach(() => api.close());
+
+    test('limits each key by its rate_limit and anonymous calls by the per-IP limit', async () => {
+        const generous = issueKey('key-generous', 4);
+        const strict = issueKey('key-strict', 1);
+        const db = fakeDb([generous.record, strict.record]);
+        api = await startApp(db, { anonymousLimit: 2 });
+
+        const statuses = async (count, headers) => {
+            const results = [];
+            for (let i = 0; i < count; i++) {
+                results.push((await api.get('/ping', headers)).status);
+            }
+            return results;
+        };
+
+        assert.deepStrictEqual(await statuses(3, {}), [200, 200, 429]);
+        assert.deepStrictEqual(await statuses(5, { 'x-api-key': generous.apiKey }), [200, 200, 200, 200, 429]);
+        assert.deepStrictEqual(await statuses(2, { 'x-api-key': strict.apiKey }), [200, 429]);
+
+        const limited = await api.get('/ping', { 'x-api-key': strict.apiKey });
+        assert.strictEqual(limited.body.error.code, 'RATE_LIMIT_ERROR');
+        assert.strictEqual(limited.body.error.details.api_key, strict.record.key_prefix);
+        assert.strictEqual(limited.body.error.details.limit, 1);
+    });
+
+    test('counts served requests as usage, not rate limited ones', async () => {
+        const { apiKey, record } = issueKey('key-usage', 1);
+        const db = fakeDb([record]);
+        api = await startApp(db);
+
+        await api.get('/ping', { 'x-api-key': apiKey });
+        await api.get('/ping', { 'x-api-key': apiKey });
+        // Usage is recorded when the response has finished
+        await new Promise(resolve => setImmediate(resolve));
+
+        assert.deepStrictEqual(db.usage, ['key-usage']);
+    });
+});
+
+describe('SupabaseClient.recordApiKeyUsage', () => {
+    test('never throws when counting fails', async () => {
+        const client = Object.create(SupabaseClient.prototype);
+        const error = console.error;
+        console.error = () => {};
+
+        try {
+            client.supabase = { rpc: async () => ({ error: { message: 'function increment_api_key_usage does not exist' } }) };
+            assert.strictEqual(await client.recordApiKeyUsage('key-1'), false);
+
+            client.supabase = { rpc: async () => { throw new Error('fetch failed'); } };
+            assert.strictEqual(await client.recordApiKeyUsage('key-1'), false);
+
+            client.supabase = { rpc: async () => ({ error: null }) };
+            assert.strictEqual(await client.recordApiKeyUsage('key-1'), true);
+        } finally {
+            console.error = error;
+        }
+    });
+});
@@ -0,0 +1,124 @@
+/**
+ * Unit tests for the response cache middleware (api/middleware/cache-middleware.js):
+ * validators and conditional requests, HIT/MISS and month invalidation through cache_invalidations
+ */
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { configureCache, cacheResponse, setCacheValidators } = require('../api/middleware/cache-middleware');
+const { MemoryLRUCache } = require('../api/utils/cache-store');
+const { priceRow } = require('./helpers/price-rows');
+
+const ROWS = [
+    priceRow('10115', 0.40, 0.30, { updated_at: '2025-07-10T08:00:00Z' }),
+    priceRow('10117', 0.41, 0.30, { updated_at: '2025-07-12T09:30:00Z' })
+];
+
+/**
+ * Run a price route (GET /api/v1/price/10115/2025/7) behind cacheResponse
+ * @returns {Promise<Object>} { status, headers, body, handled: whether the route ran }
+ */
+function request({ headers = {}, db = { getCacheInvalidationsSince: async () => [] } } = {}) {
+    return new Promise(resolve => {
+        const response = { status: 200, headers: {}, body: null, handled: false };
+        const req = {
+            method: 'GET',
+            baseUrl: '/api/v1',
+            path: '/price/10115/2025/7',
+            query: {},
+            headers,
+            db,
+            validatedYear: 2025,
+            validatedMonth: 7
+        };
+        const res = {
+            statusCode: 200,
+            locals: {},
+            set(name, value) { response.headers[name] = value; return this; },
+            status(code) { this.statusCode = code; response.status = code; return this; },
+            json(body) { response.body = body; resolve(response); return this; },
+            end() { resolve(response); return this; }
+        };
+
+        cacheResponse(req, res, () => {
+            response.handled = true;
+            setCacheValidators(res, ROWS);
+            res.json({ success: true, message: 'Success', data: ROWS, metadata: {} });
+        });
+    });
+}
+
+describe('cacheResponse', () => {
+    beforeEach(() => {
+        configureCache({ enabled: true, store: new MemoryLRUCache(), pollIntervalMs: 0, lastPollAt: 0 });
+    });
+
+    test('stores the first response and serves the next one from the cache', async () => {
+        const miss = await request();
+        const hit = await request();
+
+        assert.strictEqual(miss.headers['X-Cache'], 'MISS');
+        assert.strictEqual(miss.body.cache.hit, false);
+        assert.strictEqual(hit.headers['X-Cache'], 'HIT');
+        assert.strictEqual(hit.handled, false);
+        assert.strictEqual(hit.body.cache.hit, true);
+        assert.deepStrictEqual(hit.body.data, ROWS);
+        assert.strictEqual(hit.headers.ETag, miss.headers.ETag);
+    });
+
+    test('derives Last-Modified from the newest updated_at', async () => {
+        const { headers } = await request();
+
+        assert.match(headers.ETag, /^W\/"[a-f0-9]{40}"$/);
+        assert.strictEqual(headers['Last-Modified'], 'Sat, 12 Jul 2025 09:30:00 GMT');
+    });
+
+    test('answers If-None-Match and If-Modified-Since with 304', async () => {
+        const { headers } = await request();
+
+        assert.strictEqual((await request({ headers: { 'if-none-match': headers.ETag } })).status, 304);
+        assert.strictEqual((await request({ headers: { 'if-none-match': 'W/"other", ' + headers.ETag } })).status, 304);
+        assert.strictEqual((await request({ headers: { 'if-modified-since': 'Sat, 12 Jul 2025 09:30:00 GMT' } })).status, 304);
+        assert.strictEqual((await request({ headers: { 'if-modified-since': 'Sat, 12 Jul 2025 09:29:59 GMT' } })).status, 200);
+        assert.strictEqual((await request({ headers: { 'if-none-match': 'W/"other"' } })).status, 200);
+    });
+
+    test('drops a month recorded in cache_invalidations', async () => {
+        await request();
+        const db = {
+            getCacheInvalidationsSince: async () => [{ data_month: '2025-07-01', invalidated_at: new Date().toISOString() }]
+        };
+
+        const afterInvalidation = await request({ db });
+
+        assert.strictEqual(afterInvalidation.headers['X-Cache'], 'MISS');
+        assert.strictEqual(afterInvalidation.handled, true);
+    });
+
+    test('serves uncached when the store fails', async () => {
+        const store = new MemoryLRUCache();
+        store.get = async () => { throw new Error('store down'); };
+        configureCache({ store });
+
+        const response = await request();
+
+        assert.strictEqual(response.handled, true);
+        assert.strictEqual(response.headers['X-Cache'], undefined);
+        assert.ok(response.headers.ETag);
+    });
+
+    test('sends validators and 304s with the cache store disabled', async () => {
+        configureCache({ enabled: false });
+
+        const first = await request();
+        const conditional = await request({ headers: { 'if-none-match': first.headers.ETag } });
+
+        assert.strictEqual(first.handled, true);
+        assert.strictEqual(first.headers['X-Cache'], undefined);
+        assert.ok(first.headers.ETag);
+        assert.strictEqual(first.headers['Last-Modified'], 'Sat, 12 Jul 2025 09:30:00 GMT');
+        assert.strictEqual(first.body.cache, undefined);
+        assert.strictEqual(conditional.status, 304);
+        assert.strictEqual(conditional.handled, true);
+    });
+});
@@ -0,0 +1,154 @@
+/**
+ * Unit tests for versioned data releases: changelogs, publication and ?release= parsing
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const ScraperConfig = require('../scrapers/modules/config');
+const DataReleases = require('../services/data-releases');
+const QualityValidator = require('../scrapers/modules/quality/quality-validator');
+const { parseRelease } = require('../api/middleware/release-middleware');
+const { priceRow } = require('./helpers/price-rows');
+
+/**
+ * In-memory stand-in for the SupabaseClient methods DataReleases uses
+ */
+function fakeDb({ rows, previous = null, previousRows = [], history = [] }) {
+    const calls = [];
+    return {
+        calls,
+        primarySource: 'stromauskunft',
+        getAllPriceDataForMonth: async (month, columns, source, release) => (release ? previousRows : rows),
+        getLatestRelease: async () => previous,
+        getPriceChangesForMonth: async () => history,
+        upsertMonthlyQualityMetrics: async metrics => calls.push(['metrics', metrics]),
+        deleteUnfinishedReleases: async () => 0,
+        createRelease: async release => { calls.push(['create', release]); return { id: 'release-1', ...release }; },
+        insertReleasePrices: async (id, inserted) => calls.push(['prices', id, inserted.length]),
+        publishRelease: async () => ({ published_at: '2025-08-01T00:00:00Z' }),
+        invalidateMonthCache: async (month, reason) => calls.push(['invalidate', month, reason])
+    };
+}
+
+describe('DataReleases', () => {
+    test('first release compares against the values as scraped', () => {
+        const releases = new DataReleases({ sources: ['stromauskunft'], db: fakeDb({ rows: [] }) });
+        const rows = [priceRow('10115', 0.38, 0.33), priceRow('80331', 0.35, 0.33)];
+        const history = [
+            { price_id: '10115-2025-07-01', changed_at: '2025-07-10', actor: 'high-price-fixer', reason: 'cent value', old_values: { lokaler_versorger_price: 3.8 } },
+            { price_id: '10115-2025-07-01', changed_at: '2025-07-12', actor: 'price-review', reason: null, old_values: { lokaler_versorger_price: 0.4 } }
+        ];
+
+        const changelog = releases.buildChangelog(rows, null, history, null);
+
+        assert.deepStrictEqual(changelog.summary, { corrected: 1, added: 0, removed: 0 });
+        assert.strictEqual(changelog.previous_release, null);
+        assert.deepStrictEqual(changelog.corrections[0].changes, { lokaler_versorger_price: { old: 3.8, new: 0.38 } });
+        assert.deepStrictEqual(changelog.corrections[0].history.map(entry => entry.actor), ['high-price-fixer', 'price-review']);
+    });
+
+    test('later releases list corrected, added and removed rows', () => {
+        const releases = new DataReleases({ sources: ['stromauskunft'], db: fakeDb({ rows: [] }) });
+        const previousRows = [priceRow('10115', 0.35, 0.33), priceRow('20095', 0.35, 0.33)];
+        const rows = [priceRow('10115', 0.35, '0.3100', { average_price: 0.34, is_outlier: true }), priceRow('80331', 0.35, 0.33)];
+
+        const changelog = releases.buildChangelog(rows, previousRows, [], { release_tag: '2025-07@v1' });
+
+        assert.strictEqual(changelog.previous_release, '2025-07@v1');
+        assert.deepStrictEqual(changelog.summary, { corrected: 1, added: 1, removed: 1 });
+        assert.deepStrictEqual(Object.keys(changelog.corrections[0].changes), ['oekostrom_price', 'is_outlier']);
+        assert.deepStrictEqual(changelog.added, [{ plz: '80331', source_name: 'stromauskunft' }]);
+        assert.deepStrictEqual(changelog.removed, [{ plz: '20095', source_name: 'stromauskunft' }]);
+    });
+
+    test('numeric strings equal to the release values are not corrections', () => {
+        const releases = new DataReleases({ sources: ['stromauskunft'], db: fakeDb({ rows: [] }) });
+        const changelog = releases.buildChangelog([priceRow('10115', 0.35, 0.33, { average_price: '0.34' })], [priceRow('10115', 0.35, 0.33)], [], { release_tag: '2025-07@v1' });
+
+        assert.strictEqual(changelog.summary.corrected, 0);
+    });
+
+    test('publishes the next version with metrics and invalidates the cache', async () => {
+        const db = fakeDb({
+            rows: [priceRow('10115', 0.35, 0.33, { average_price: 0.36 }), priceRow('80331', 0.35, 0.33)],
+            previous: { id: 'release-0', version: 1, release_tag: '2025-07@v1', published_at: '2025-07-20T00:00:00Z' },
+            previousRows: [priceRow('10115', 0.35, 0.33), priceRow('80331', 0.35, 0.33)]
+        });
+        const releases = new DataReleases({ sources: ['stromauskunft'], db });
+
+        const result = await releases.publish('2025-07-01', { notes: 'Berlin fix', publishedBy: 'tester' });
+
+        assert.strictEqual(result.release_tag, '2025-07@v2');
+        assert.strictEqual(result.published, true);
+        assert.strictEqual(result.changelog.summary.corrected, 1);
+        assert.deepStrictEqual(db.calls.map(call => call[0]), ['metrics', 'create', 'prices', 'invalidate']);
+        assert.strictEqual(db.calls[1][1].published_by, 'tester');
+        assert.strictEqual(db.calls[2][2], 2);
+    });
+
+    test('skips a release without changes unless forced, and writes nothing in a dry run', async () => {
+        const unchanged = () => fakeDb({
+            rows: [priceRow('10115', 0.35, 0.33)],
+            previous: { id: 'release-0', version: 1, release_tag: '2025-07@v1', published_at: '2025-07-20T00:00:00Z' },
+            previousRows: [priceRow('10115', 0.35, 0.33)]
+        });
+
+        const db = unchanged();
+        const skipped = await new DataReleases({ sources: ['stromauskunft'], db }).publish('2025-07-01');
+        assert.strictEqual(skipped.skipped, true);
+        assert.strictEqual(db.calls.length, 0);
+
+        const forcedDb = unchanged();
+        const forced = await new DataReleases({ sources: ['stromauskunft'], db: forcedDb }).publish('2025-07-01', { force: true, write: false });
+        assert.strictEqual(forced.skipped, false);
+        assert.strictEqual(forced.published, false);
+        assert.strictEqual(forcedDb.calls.length, 0);
+    });
+
+    test('checksum ignores row order', () => {
+        const releases = new DataReleases({ sources: ['stromauskunft'], db: fakeDb({ rows: [] }) });
+        const rows = [priceRow('10115', 0.35, 0.33), priceRow('80331', 0.35, 0.33)];
+
+        assert.strictEqual(releases.calculateChecksum(rows), releases.calculateChecksum([...rows].reverse()));
+        assert.notStrictEqual(releases.calculateChecksum(rows), releases.calculateChecksum([priceRow('10115', 0.35, 0.33)]));
+        assert.strictEqual(DataReleases.formatTag('2025-07-01', 3), '2025-07@v3');
+    });
+});
+
+describe('parseRelease', () => {
+    test('accepts latest, published, versions and release tags', () => {
+        assert.strictEqual(parseRelease(undefined).mode, 'latest');
+        assert.strictEqual(parseRelease('published').mode, 'published');
+        assert.deepStrictEqual(parseRelease('v2'), { mode: 'version', version: 2, month: null, tag: 'v2' });
+        assert.deepStrictEqual(parseRelease('2025-07@v12'), { mode: 'version', version: 12, month: '2025-07-01', tag: '2025-07@v12' });
+    });
+
+    test('rejects anything else', () => {
+        ['v0', '2', '2025-13@v1', '2025-07', 'newest', ['v1', 'v2']].forEach(value => {
+            assert.strictEqual(parseRelease(value), null, String(value));
+        });
+    });
+});
+
+describe('QualityValidator.calculateMonthlyMetrics', () => {
+    test('summarizes a month for monthly_quality_metrics', () => {
+        const validator = new QualityValidator(new ScraperConfig());
+        const metrics = validator.calculateMonthlyMetrics('2025-07-01', [
+            priceRow('10115', 0.35, 0.33, { average_price: 0.30 }),
+            priceRow('10117', 0.35, 0.33, { average_price: 0.40, is_outlier: true, outlier_severity: 'very_high' }),
+            priceRow('10119', 0.35, 0.33, { average_price: 0.32, data_source: 'FALLBACK', distance_km: 4.5 }),
+            priceRow('10178', 0.35, 0.33, { average_price: 0.34, data_source: 'FALLBACK', distance_km: '1.5', is_outlier: true, outlier_severity: 'high' })
+        ]);
+
+        assert.strictEqual(metrics.data_month, '2025-07-01');
+        assert.strictEqual(metrics.total_plz_count, 4);
+        assert.strictEqual(metrics.original_data_count, 2);
+        assert.strictEqual(metrics.fallback_data_count, 2);
+        assert.strictEqual(metrics.coverage_percentage, 50);
+        assert.strictEqual(metrics.avg_overall_price, 0.34);
+        assert.strictEqual(metrics.outlier_count, 2);
+        assert.strictEqual(metrics.high_severity_outlier_count, 1);
+        assert.strictEqual(metrics.max_fallback_distance_km, 4.5);
+        assert.strictEqual(metrics.avg_fallback_distance_km, 3);
+    });
+});
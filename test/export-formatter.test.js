@@ -0,0 +1,73 @@
+/**
+ * Unit tests for the CSV and GeoJSON exports (api/utils/export-formatter.js)
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { PRICE_CSV_COLUMNS, escapeCSVValue, formatCSV, formatGeoJSON, sendExport } = require('../api/utils/export-formatter');
+const { priceRow } = require('./helpers/price-rows');
+
+describe('escapeCSVValue', () => {
+    test('quotes separators, quotes and line breaks (RFC 4180)', () => {
+        assert.strictEqual(escapeCSVValue('Halle (Saale)'), 'Halle (Saale)');
+        assert.strictEqual(escapeCSVValue('Frankfurt, Main'), '"Frankfurt, Main"');
+        assert.strictEqual(escapeCSVValue('ein "Tarif"'), '"ein ""Tarif"""');
+        assert.strictEqual(escapeCSVValue('a\nb'), '"a\nb"');
+    });
+
+    test('writes missing values as empty cells', () => {
+        assert.strictEqual(escapeCSVValue(null), '');
+        assert.strictEqual(escapeCSVValue(undefined), '');
+        assert.strictEqual(escapeCSVValue(false), 'false');
+    });
+});
+
+describe('formatCSV', () => {
+    test('writes a header and one line per row in the given column order', () => {
+        const csv = formatCSV([priceRow('10115', 0.40, 0.30, { city_name: 'Berlin, Mitte' }), priceRow('80331', 0.38, null)],
+            ['plz', 'city_name', 'oekostrom_price']);
+
+        assert.strictEqual(csv, 'plz,city_name,oekostrom_price\n10115,"Berlin, Mitte",0.3\n80331,Stadt 80331,\n');
+    });
+
+    test('defaults to the columns of monthly_electricity_prices', () => {
+        const [header] = formatCSV([]).split('\n');
+
+        assert.strictEqual(header, PRICE_CSV_COLUMNS.join(','));
+    });
+});
+
+describe('formatGeoJSON', () => {
+    test('places rows at [longitude, latitude] with numeric price properties', () => {
+        const { type, features } = formatGeoJSON([
+            priceRow('10115', '0.4000', '0.3000', { average_price: '0.3500', latitude: '52.5323', longitude: '13.3846' })
+        ]);
+
+        assert.strictEqual(type, 'FeatureCollection');
+        assert.deepStrictEqual(features[0].geometry, { type: 'Point', coordinates: [13.3846, 52.5323] });
+        assert.strictEqual(features[0].properties.lokaler_versorger_price, 0.4);
+        assert.strictEqual(features[0].properties.plz, '10115');
+        assert.ok(!('latitude' in features[0].properties));
+    });
+
+    test('keeps rows without coordinates with a null geometry', () => {
+        const { features } = formatGeoJSON([priceRow('10115', 0.40, 0.30)]);
+
+        assert.strictEqual(features[0].geometry, null);
+        assert.strictEqual(features[0].properties.average_price, 0.35);
+    });
+});
+
+describe('sendExport', () => {
+    test('sets content type and download name of the format', () => {
+        const headers = {};
+        let body = null;
+        const res = { set: (name, value) => { headers[name] = value; }, send: sent => { body = sent; } };
+
+        sendExport(res, 'geojson', [priceRow('10115', 0.40, 0.30)], 'strompreise-2025-07');
+
+        assert.strictEqual(headers['Content-Type'], 'application/geo+json; charset=utf-8');
+        assert.strictEqual(headers['Content-Disposition'], 'attachment; filename="strompreise-2025-07.geojson"');
+        assert.strictEqual(JSON.parse(body).features.length, 1);
+    });
+});
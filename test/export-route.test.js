@@ -0,0 +1,74 @@
+/**
+ * Unit tests for the streaming month export (GET /api/v1/export/:year/:month)
+ */
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { PRICE_CSV_COLUMNS } = require('../api/utils/export-formatter');
+const { startApi } = require('./helpers/api-server');
+const { priceRow } = require('./helpers/price-rows');
+
+const BATCHES = [
+    [priceRow('01067', 0.40, 0.30), priceRow('10115', 0.41, 0.31, { city_name: 'Berlin, Mitte' })],
+    [priceRow('80331', 0.38, null)]
+];
+
+describe('GET /export/:year/:month', () => {
+    let api;
+    const calls = [];
+
+    before(async () => {
+        api = await startApi({
+            iteratePriceDataForMonth: async function* (month, columns, batchSize, sourceName, release) {
+                calls.push({ month, columns, batchSize, sourceName, release });
+                if (month !== '2025-07-01') return;
+                for (const batch of BATCHES) {
+                    yield batch;
+                }
+            }
+        });
+    });
+
+    after(() => api.close());
+
+    test('streams every batch as NDJSON with checksum and count trailers', async () => {
+        const response = await api.get('/api/v1/export/2025/7');
+        const lines = response.text.trim().split('\n').map(line => JSON.parse(line));
+
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(response.headers['content-type'], 'application/x-ndjson; charset=utf-8');
+        assert.strictEqual(response.headers['content-disposition'], 'attachment; filename="electricity-prices-2025-07.ndjson"');
+        assert.deepStrictEqual(lines, BATCHES.flat());
+        assert.strictEqual(response.trailers['x-record-count'], '3');
+        assert.strictEqual(response.trailers['x-content-sha256'], crypto.createHash('sha256').update(response.text).digest('hex'));
+        assert.deepStrictEqual(calls[0], { month: '2025-07-01', columns: '*', batchSize: 1000, sourceName: 'stromauskunft', release: null });
+    });
+
+    test('streams CSV with the table header and a checksum over the streamed bytes', async () => {
+        const response = await api.get('/api/v1/export/2025/07?format=csv');
+        const lines = response.text.trim().split('\n');
+
+        assert.strictEqual(response.headers['content-type'], 'text/csv; charset=utf-8');
+        assert.strictEqual(lines[0], PRICE_CSV_COLUMNS.join(','));
+        assert.strictEqual(lines.length, 4);
+        assert.match(lines[2], /,"Berlin, Mitte",/);
+        assert.strictEqual(response.trailers['x-record-count'], '3');
+        assert.strictEqual(response.trailers['x-content-sha256'], crypto.createHash('sha256').update(response.text).digest('hex'));
+    });
+
+    test('answers a month without rows with 404', async () => {
+        const response = await api.get('/api/v1/export/2025/6');
+
+        assert.strictEqual(response.status, 404);
+        assert.strictEqual(response.body.error.code, 'NOT_FOUND');
+        assert.deepStrictEqual(response.trailers, {});
+    });
+
+    test('rejects formats other than NDJSON and CSV', async () => {
+        const response = await api.get('/api/v1/export/2025/7?format=geojson');
+
+        assert.strictEqual(response.status, 400);
+        assert.deepStrictEqual(response.body.error.details.allowed, ['ndjson', 'csv']);
+    });
+});
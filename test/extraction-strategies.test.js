@@ -0,0 +1,188 @@
+/**
+ * Golden-file regression tests for the price extraction strategies
+ *
+ * Every strategy of the modular extractor and of the smart single-file scraper runs against
+ * the saved pages in test/fixtures/extraction. expected.json holds, per page:
+ * - city_class: the class the extractor should detect
+ * - prices: the correct local/Öko prices as read off the page (the full extractor must find them)
+ * - strategies: the recorded output of every single strategy (changes fail the test)
+ *
+ * After an intentional extraction change, re-record the strategy outputs with
+ *   UPDATE_GOLDEN=true npm test
+ * and review the diff of expected.json.
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+const ScraperConfig = require('../scrapers/modules/config');
+const StromauskunftExtractor = require('../scrapers/modules/extractors/stromauskunft-extractor');
+const SmartElectricityScraper = require('../scrapers/smart-single-scraper');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'extraction');
+const EXPECTED_FILE = path.join(FIXTURE_DIR, 'expected.json');
+
+const STRATEGIES = [
+    'tableSimple',
+    'tableStandard',
+    'tableComplex',
+    'tableFirst',
+    'regexSimple',
+    'regexStandard',
+    'regexAdvanced'
+];
+
+const extractor = new StromauskunftExtractor(new ScraperConfig());
+// The strategy methods are stateless; skip the constructor's database client
+const smartScraper = Object.create(SmartElectricityScraper.prototype);
+
+const IMPLEMENTATIONS = {
+    'extractor': (strategy, $, pageText) =>
+        extractor.applyExtractionStrategy(strategy, $, pageText, null, extractor.classifyCitySize($)),
+    'smart-single-scraper': (strategy, $, pageText) =>
+        smartScraper.applyExtractionStrategy(strategy, $, pageText)
+};
+
+/**
+ * Run extraction code without its per-strategy progress logging
+ */
+function quietly(fn) {
+    const log = console.log;
+    console.log = () => {};
+    try {
+        return fn();
+    } finally {
+        console.log = log;
+    }
+}
+
+function roundPrice(price) {
+    return typeof price === 'number' ? Math.round(price * 10000) / 10000 : null;
+}
+
+function pickPrices(result) {
+    return {
+        lokaler_versorger_price: roundPrice(result.lokaler_versorger_price),
+        oekostrom_price: roundPrice(result.oekostrom_price)
+    };
+}
+
+function loadFixture(file) {
+    const html = fs.readFileSync(path.join(FIXTURE_DIR, file), 'utf8');
+    const $ = cheerio.load(html);
+    return { html, $, pageText: $.text() };
+}
+
+function recordStrategies(file) {
+    const { $, pageText } = loadFixture(file);
+    const recorded = {};
+
+    for (const [name, run] of Object.entries(IMPLEMENTATIONS)) {
+        recorded[name] = {};
+        for (const strategy of STRATEGIES) {
+            recorded[name][strategy] = pickPrices(quietly(() => run(strategy, $, pageText)));
+        }
+    }
+
+    return recorded;
+}
+
+const expected = JSON.parse(fs.readFileSync(EXPECTED_FILE, 'utf8'));
+const fixtures = fs.readdirSync(FIXTURE_DIR).filter(file => file.endsWith('.html')).sort();
+
+if (process.env.UPDATE_GOLDEN === 'true') {
+    for (const file of fixtures) {
+        expected[file] = { ...expected[file], strategies: recordStrategies(file) };
+    }
+    fs.writeFileSync(EXPECTED_FILE, JSON.stringify(expected, null, 2) + '\n');
+}
+
+test('every fixture page has expected prices', () => {
+    const missing = fixtures.filter(file => !expected[file] || !expected[file].prices);
+    assert.deepStrictEqual(missing, [], 'Add the correct prices for new fixtures to expected.json');
+});
+
+for (const file of fixtures) {
+    const golden = expected[file] || {};
+
+    describe(file, () => {
+        test('is classified as the expected city class', () => {
+            const { $ } = loadFixture(file);
+            assert.strictEqual(extractor.classifyCitySize($).type, golden.city_class);
+        });
+
+        test('full extractor finds the correct prices', () => {
+            const { html, pageText } = loadFixture(file);
+            const result = quietly(() => extractor.extractPrices(html, pageText, null));
+            assert.deepStrictEqual(pickPrices(result), golden.prices);
+        });
+
+        test('full extractor is confident in the correct prices', () => {
+            const { html, pageText } = loadFixture(file);
+            const result = quietly(() => extractor.extractPrices(html, pageText, null));
+            const { minimumConfidence } = extractor.extractionQuality;
+            assert.ok(result.lokaler_versorger_confidence >= minimumConfidence,
+                `lokaler confidence ${result.lokaler_versorger_confidence}`);
+            assert.ok(result.oekostrom_confidence >= minimumConfidence,
+                `öko confidence ${result.oekostrom_confidence}`);
+        });
+
+        for (const [name, run] of Object.entries(IMPLEMENTATIONS)) {
+            for (const strategy of STRATEGIES) {
+                test(`${name} ${strategy} matches the recorded output`, () => {
+                    const recorded = golden.strategies && golden.strategies[name] && golden.strategies[name][strategy];
+                    assert.ok(recorded, `No recorded output - run UPDATE_GOLDEN=true npm test`);
+
+                    const { $, pageText } = loadFixture(file);
+                    const result = quietly(() => run(strategy, $, pageText));
+                    assert.deepStrictEqual(pickPrices(result), recorded);
+                });
+            }
+        }
+    });
+}
+
+describe('consensus mode', () => {
+    function extractWithConsensus(file, consensus, transform = html => html) {
+        const consensusExtractor = new StromauskunftExtractor(new ScraperConfig({
+            sources: { stromauskunft: { consensusExtraction: consensus } }
+        }));
+        const html = transform(loadFixture(file).html);
+        const pageText = cheerio.load(html).text();
+        return quietly(() => consensusExtractor.extractPrices(html, pageText, null));
+    }
+
+    test('accepts prices the quorum agrees on and records every candidate', () => {
+        const result = extractWithConsensus('large-city.html', { large: { enabled: true, quorum: 2, tolerance: 0.005 } });
+        const consensus = result.extraction_details.find(detail => detail.strategy === 'consensus');
+
+        assert.deepStrictEqual(pickPrices(result), expected['large-city.html'].prices);
+        assert.strictEqual(result.review_status, 'none');
+        assert.strictEqual(consensus.prices.oekostrom_price.status, 'agreed');
+        assert.ok(result.extraction_details.filter(detail => detail.candidates).length >= 3);
+    });
+
+    test('marks the result for review when the strategies disagree', () => {
+        // The text names a different baseline price than the table: regexSimple reads 41,20, tableSimple 38,91
+        const result = extractWithConsensus('small-town.html', { small: { enabled: true, quorum: 2, tolerance: 0.005 } },
+            html => html.replace('<table', '<p>Grundversorger: 41,20 Cent pro kWh</p>\n    <table'));
+        const consensus = result.extraction_details.find(detail => detail.strategy === 'consensus');
+
+        assert.strictEqual(result.review_status, 'needs_review');
+        assert.match(result.review_reason, /No consensus - lokaler_versorger_price: 1\/2 agree/);
+        assert.strictEqual(consensus.prices.lokaler_versorger_price.status, 'disagreement');
+        assert.deepStrictEqual(consensus.prices.lokaler_versorger_price.candidates.map(c => c.price).sort(), [0.3891, 0.412]);
+    });
+
+    test('counts an aliased strategy once', () => {
+        // medium runs tableStandard, regexStandard and tableFirst (an alias of tableStandard); only the table finds prices
+        const result = extractWithConsensus('medium-city.html', { medium: { enabled: true, quorum: 2, tolerance: 0.005 } });
+        const consensus = result.extraction_details.find(detail => detail.strategy === 'consensus');
+
+        assert.strictEqual(result.review_status, 'needs_review');
+        assert.deepStrictEqual(consensus.prices.oekostrom_price.candidates.map(c => c.strategy), ['tableStandard']);
+        assert.strictEqual(consensus.prices.oekostrom_price.support, 1);
+    });
+});
@@ -0,0 +1,61 @@
+/**
+ * Unit tests for the neighbour fallback script (scripts/fill-missing-plz-with-neighbors.js)
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const PLZNeighborFiller = require('../scripts/fill-missing-plz-with-neighbors');
+const { priceRow } = require('./helpers/price-rows');
+
+/**
+ * Stand-in for db.supabase that applies eq/not filters and range() to in-memory rows
+ */
+function fakeSupabase(rows) {
+    return {
+        from: () => {
+            const filters = [];
+            const query = {
+                select: () => query,
+                eq: (column, value) => { filters.push(row => row[column] === value); return query; },
+                not: (column) => { filters.push(row => row[column] !== null); return query; },
+                range: async (from, to) => ({ data: rows.filter(row => filters.every(filter => filter(row))).slice(from, to + 1), error: null })
+            };
+            return query;
+        }
+    };
+}
+
+describe('PLZNeighborFiller', () => {
+    test('fills PLZs from the primary source\'s neighbours only', async () => {
+        const month = '2025-07-01';
+        const rows = [
+            priceRow('10115', 0.40, 0.30, { latitude: 52.532, longitude: 13.385 }),
+            // Closer neighbour, but from the second source
+            priceRow('10117', 0.90, 0.80, { source_name: 'stromvergleich', latitude: 52.517, longitude: 13.390 }),
+            // Only the second source has data for 10119 - it still needs a primary source row
+            priceRow('10119', 0.41, 0.31, { source_name: 'stromvergleich' })
+        ];
+        const inserted = [];
+
+        const filler = Object.create(PLZNeighborFiller.prototype);
+        filler.db = {
+            primarySource: 'stromauskunft',
+            supabase: fakeSupabase(rows),
+            bulkInsertPriceData: async entries => { inserted.push(...entries); return entries; }
+        };
+        filler.validator = { updateMonthlyMetrics: async () => {} };
+        filler.currentMonth = month;
+        filler.failedPLZs = new Set(['10119']);
+        filler.plzCoordinates = new Map([['10119', { lat: 52.530, lon: 13.402, city: 'Berlin' }]]);
+
+        await filler.loadSuccessfulPLZs();
+        const created = await filler.createFallbackEntries();
+
+        assert.deepStrictEqual([...filler.existingPLZs], ['10115']);
+        assert.deepStrictEqual([...filler.successfulPLZs.keys()], ['10115']);
+        assert.strictEqual(created, 1);
+        assert.strictEqual(inserted[0].plz, '10119');
+        assert.strictEqual(inserted[0].source_plz, '10115');
+        assert.strictEqual(inserted[0].lokaler_versorger_price, 0.40);
+    });
+});
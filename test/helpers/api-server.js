@@ -0,0 +1,72 @@
+/**
+ * Shared test setup: the API routes on an ephemeral port with a stand-in database
+ */
+
+const http = require('http');
+const express = require('express');
+const apiRoutes = require('../../api/routes/api-routes');
+
+/**
+ * Start the /api/v1 routes with req.db = db
+ * @param {Object} db - Stand-in for the SupabaseClient methods the tested routes use
+ * @returns {Promise<Object>} { get(path, headers), close() }
+ */
+async function startApi(db) {
+    // The routes' progress logs break the test runner's reporter stream (Node 20)
+    const log = console.log;
+    console.log = () => {};
+
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+        req.db = { primarySource: 'stromauskunft', ...db };
+        next();
+    });
+    app.use('/api/v1', apiRoutes);
+
+    const api = await listen(app);
+    return {
+        get: api.get,
+        close: async () => {
+            await api.close();
+            console.log = log;
+        }
+    };
+}
+
+/**
+ * Serve an express app on an ephemeral port
+ * @returns {Promise<Object>} { get(path, headers), close() }
+ */
+async function listen(app) {
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const { port } = server.address();
+
+    return {
+        /**
+         * GET a path and read the whole body
+         * @returns {Promise<Object>} { status, headers, trailers, text, body (parsed JSON or null) }
+         */
+        get: (path, headers = {}) => new Promise((resolve, reject) => {
+            http.get({ host: '127.0.0.1', port, path, headers }, res => {
+                const chunks = [];
+                res.on('data', chunk => chunks.push(chunk));
+                res.on('end', () => {
+                    const text = Buffer.concat(chunks).toString('utf8');
+                    let body = null;
+                    try {
+                        body = JSON.parse(text);
+                    } catch (error) {
+                        // Not a JSON response (CSV, NDJSON)
+                    }
+                    resolve({ status: res.statusCode, headers: res.headers, trailers: res.trailers, text, body });
+                });
+            }).on('error', reject);
+        }),
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+module.exports = { startApi, listen };
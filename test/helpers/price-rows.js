@@ -0,0 +1,35 @@
+/**
+ * Shared test data: rows of monthly_electricity_prices
+ */
+
+const DATA_MONTH = '2025-07-01';
+
+/**
+ * A stored price row of a PLZ (primary source, original data, no flags)
+ * @param {string} plz - Postal code
+ * @param {number|null} lokal - lokaler_versorger_price
+ * @param {number|null} oeko - oekostrom_price
+ * @param {Object} extra - Columns to override, e.g. data_month, data_source, is_outlier
+ */
+function priceRow(plz, lokal, oeko, extra = {}) {
+    const month = extra.data_month || DATA_MONTH;
+    const average = lokal && oeko ? Math.round((lokal + oeko) / 2 * 10000) / 10000 : lokal || oeko;
+
+    return {
+        id: `${plz}-${month}`,
+        data_month: month,
+        plz,
+        city_name: `Stadt ${plz}`,
+        source_name: 'stromauskunft',
+        lokaler_versorger_price: lokal,
+        oekostrom_price: oeko,
+        average_price: average,
+        data_source: 'ORIGINAL',
+        is_outlier: false,
+        outlier_severity: 'normal',
+        review_status: 'none',
+        ...extra
+    };
+}
+
+module.exports = { priceRow };
@@ -0,0 +1,66 @@
+/**
+ * Unit tests for the raw HTML archive (scrapers/modules/archive/html-archive.js)
+ */
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const ScraperConfig = require('../scrapers/modules/config');
+const HtmlArchive = require('../scrapers/modules/archive/html-archive');
+
+const PAGE = '<html><body><td>Lokaler Versorger</td><td>40,12 Cent pro kWh</td></body></html>';
+
+describe('HtmlArchive', () => {
+    let directory;
+    let archive;
+
+    before(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'html-archive-'));
+        archive = new HtmlArchive(new ScraperConfig({ archive: { enabled: true, directory } }));
+    });
+
+    after(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('stores a page gzipped under month, PLZ and content hash', async () => {
+        const stored = await archive.store(PAGE, { plz: '10115', month: '2025-07-01' });
+
+        assert.strictEqual(stored.stored, true);
+        assert.strictEqual(stored.ref, `2025-07/10115/${archive.hashContent(PAGE)}.html.gz`);
+        assert.strictEqual(zlib.gunzipSync(fs.readFileSync(path.join(directory, stored.ref))).toString('utf8'), PAGE);
+        assert.strictEqual(await archive.load(stored.ref), PAGE);
+    });
+
+    test('writes identical content of a PLZ and month only once', async () => {
+        const first = await archive.store(PAGE, { plz: '80331', month: '2025-07-01' });
+        const second = await archive.store(PAGE, { plz: '80331', month: '2025-07-01' });
+
+        assert.strictEqual(second.ref, first.ref);
+        assert.strictEqual(second.stored, false);
+        assert.strictEqual(archive.getStats().deduplicated, 1);
+        assert.deepStrictEqual((await archive.list('2025-07-01')).map(entry => entry.plz), ['10115', '80331']);
+    });
+
+    test('refuses a page that no longer matches its hash', async () => {
+        const { ref } = await archive.store(PAGE, { plz: '20095', month: '2025-07-01' });
+        fs.writeFileSync(path.join(directory, ref), zlib.gzipSync(PAGE.replace('40,12', '14,02')));
+
+        await assert.rejects(archive.load(ref), /does not match its content hash/);
+    });
+
+    test('rejects references outside the archive layout', async () => {
+        await assert.rejects(archive.load('../../etc/passwd'), /Invalid archive reference/);
+        assert.throws(() => archive.buildRef('10115', 'July', 'a'.repeat(64)), /Invalid archive month/);
+    });
+
+    test('stores nothing when disabled', async () => {
+        const disabled = new HtmlArchive(new ScraperConfig({ archive: { enabled: false, directory } }));
+
+        assert.strictEqual(await disabled.store(PAGE, { plz: '10115', month: '2025-08-01' }), null);
+        assert.deepStrictEqual(await disabled.list('2025-08-01'), []);
+    });
+});
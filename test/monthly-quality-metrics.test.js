@@ -0,0 +1,126 @@
+/**
+ * Unit tests for the monthly quality metrics: breakdowns, storage and recommendations
+ * (QualityValidator.calculateMonthlyMetrics / updateMonthlyMetrics / generateMonthlyRecommendations)
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const ScraperConfig = require('../scrapers/modules/config');
+const QualityValidator = require('../scrapers/modules/quality/quality-validator');
+const SupabaseClient = require('../database/supabase-client');
+const { priceRow } = require('./helpers/price-rows');
+
+const validator = new QualityValidator(new ScraperConfig());
+
+const rows = [
+    priceRow('10115', 0.40, 0.30),
+    priceRow('10117', 0.44, null),
+    priceRow('10119', 0.40, 0.30, { data_source: 'FALLBACK', distance_km: 2 }),
+    priceRow('10178', 1.20, 0.30, { is_outlier: true, outlier_severity: 'extreme' })
+];
+
+describe('calculateMonthlyMetrics breakdown', () => {
+    test('averages ORIGINAL and FALLBACK rows separately and counts every severity', () => {
+        const metrics = validator.calculateMonthlyMetrics('2025-07-01', rows);
+
+        assert.strictEqual(metrics.complete_data_count, 3);
+        assert.strictEqual(metrics.original_avg_lokaler_versorger_price, 0.68);
+        assert.strictEqual(metrics.original_avg_oekostrom_price, 0.3);
+        assert.strictEqual(metrics.fallback_avg_overall_price, 0.35);
+        assert.strictEqual(metrics.severity_normal_count, 3);
+        assert.strictEqual(metrics.severity_high_count, 0);
+        assert.strictEqual(metrics.severity_extreme_count, 1);
+        assert.strictEqual(metrics.high_severity_outlier_count, 1);
+    });
+
+    test('leaves the FALLBACK breakdown empty without fallback rows', () => {
+        const metrics = validator.calculateMonthlyMetrics('2025-07-01', [rows[0]]);
+
+        assert.strictEqual(metrics.fallback_data_count, 0);
+        assert.strictEqual(metrics.fallback_avg_lokaler_versorger_price, null);
+        assert.strictEqual(metrics.max_fallback_distance_km, null);
+    });
+});
+
+describe('updateMonthlyMetrics', () => {
+    test('stores the metrics of the primary source rows', async () => {
+        const stored = [];
+        const requested = [];
+        const db = {
+            primarySource: 'stromauskunft',
+            getAllPriceDataForMonth: async (month, columns, sourceName) => {
+                requested.push([month, sourceName]);
+                return rows;
+            },
+            upsertMonthlyQualityMetrics: async metrics => {
+                stored.push(metrics);
+                return metrics;
+            }
+        };
+
+        const metrics = await validator.updateMonthlyMetrics(db, '2025-07-01');
+
+        assert.deepStrictEqual(requested, [['2025-07-01', 'stromauskunft']]);
+        assert.strictEqual(stored.length, 1);
+        assert.strictEqual(metrics.total_plz_count, 4);
+        assert.strictEqual(metrics.coverage_percentage, 75);
+    });
+
+    test('stores nothing for a month without rows', async () => {
+        const db = {
+            primarySource: 'stromauskunft',
+            getAllPriceDataForMonth: async () => [],
+            upsertMonthlyQualityMetrics: async () => assert.fail('must not store')
+        };
+
+        assert.strictEqual(await validator.updateMonthlyMetrics(db, '2025-08-01'), null);
+    });
+});
+
+describe('SupabaseClient.upsertMonthlyQualityMetrics', () => {
+    test('invalidates the cached responses of the month after storing', async () => {
+        const writes = [];
+        const supabase = {
+            from: table => {
+                const builder = {
+                    upsert: payload => { writes.push([table, payload]); return builder; },
+                    select: () => builder,
+                    single: async () => ({ data: writes[writes.length - 1][1], error: null }),
+                    then: (resolve, reject) => Promise.resolve({ error: null }).then(resolve, reject)
+                };
+                return builder;
+            }
+        };
+        const db = Object.assign(Object.create(SupabaseClient.prototype), { supabase });
+
+        await db.upsertMonthlyQualityMetrics(validator.calculateMonthlyMetrics('2025-07-01', rows));
+
+        assert.deepStrictEqual(writes.map(([table, payload]) => [table, payload.data_month]), [
+            ['monthly_quality_metrics', '2025-07-01'],
+            ['cache_invalidations', '2025-07-01']
+        ]);
+        assert.strictEqual(writes[1][1].reason, 'quality metrics');
+    });
+});
+
+describe('generateMonthlyRecommendations', () => {
+    test('reports extreme outliers, incomplete data and queued jumps', () => {
+        const metrics = validator.calculateMonthlyMetrics('2025-07-01', rows);
+        const recommendations = validator.generateMonthlyRecommendations(metrics, [
+            { severity: 'very_high' },
+            { severity: 'high' }
+        ]);
+
+        assert.ok(recommendations.some(text => /Data completeness is below 80%/.test(text)));
+        assert.ok(recommendations.some(text => /Extreme outliers found/.test(text)));
+        assert.ok(recommendations.some(text => /^1 implausible month-over-month price jumps/.test(text)));
+    });
+
+    test('reports a good month as such', () => {
+        const metrics = validator.calculateMonthlyMetrics('2025-07-01', [rows[0], rows[2]]);
+
+        assert.deepStrictEqual(validator.generateMonthlyRecommendations(metrics), [
+            'Data quality looks good - no immediate improvements needed'
+        ]);
+    });
+});
@@ -0,0 +1,126 @@
+/**
+ * Unit tests for the nearest-price lookup (GET /api/v1/price/nearby)
+ */
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const { configureCache } = require('../api/middleware/cache-middleware');
+const { startApi } = require('./helpers/api-server');
+const { priceRow } = require('./helpers/price-rows');
+
+// Around Berlin Mitte (52.52, 13.405)
+const ROWS = [
+    priceRow('10115', 0.40, 0.30, { latitude: 52.532, longitude: 13.385 }),   // ~1.8 km
+    priceRow('10117', 0.41, 0.31, { latitude: 52.517, longitude: 13.390 }),   // ~1.1 km
+    priceRow('10178', 0.42, 0.32, { latitude: 52.521, longitude: 13.410 }),   // ~0.4 km
+    priceRow('10245', 0.43, 0.33, { latitude: 52.560, longitude: 13.470 }),   // ~6.3 km, inside the 5 km box
+    priceRow('20095', 0.39, 0.29, { latitude: 53.550, longitude: 9.990 }),    // Hamburg
+    priceRow('10179', 0.50, 0.40, { latitude: 52.520, longitude: 13.405, data_month: '2025-06-01' }),
+    priceRow('10119', 0.50, 0.40, { latitude: 52.520, longitude: 13.405, source_name: 'stromvergleich' })
+];
+
+/**
+ * Stand-in for db.priceRows(): applies eq/gte/lte/order/limit to ROWS and records the range filters
+ */
+function priceRows(queries) {
+    return () => {
+        const filters = [];
+        const query = { ranges: [], ordered: null, limited: null };
+        queries.push(query);
+
+        const builder = {
+            eq: (column, value) => { filters.push(row => row[column] === value); return builder; },
+            gte: (column, value) => { query.ranges.push([column, '>=', value]); filters.push(row => row[column] >= value); return builder; },
+            lte: (column, value) => { query.ranges.push([column, '<=', value]); filters.push(row => row[column] <= value); return builder; },
+            order: (column, { ascending }) => { query.ordered = [column, ascending]; return builder; },
+            limit: count => { query.limited = count; return builder; },
+            then: (resolve, reject) => {
+                let data = ROWS.filter(row => filters.every(filter => filter(row)));
+                if (query.ordered) {
+                    const [column, ascending] = query.ordered;
+                    data = [...data].sort((a, b) => (ascending ? 1 : -1) * String(a[column]).localeCompare(String(b[column])));
+                }
+                return Promise.resolve({ data: data.slice(0, query.limited ?? data.length), error: null }).then(resolve, reject);
+            }
+        };
+        return builder;
+    };
+}
+
+describe('GET /price/nearby', () => {
+    let api;
+    const queries = [];
+
+    before(async () => {
+        // Every request reaches the route (as without ENABLE_CACHING)
+        configureCache({ enabled: false });
+        api = await startApi({ priceRows: priceRows(queries) });
+    });
+
+    after(() => api.close());
+
+    test('returns the prices within the radius, nearest first', async () => {
+        queries.length = 0;
+        const { status, body } = await api.get('/api/v1/price/nearby?lat=52.52&lng=13.405&radius_km=5&year=2025&month=7');
+
+        assert.strictEqual(status, 200);
+        assert.strictEqual(body.data.data_month, '2025-07-01');
+        assert.deepStrictEqual(body.data.results.map(result => result.plz), ['10178', '10117', '10115']);
+        assert.strictEqual(body.data.nearest.plz, '10178');
+        assert.ok(body.data.results.every((result, i, all) => i === 0 || all[i - 1].distance_km <= result.distance_km));
+        assert.ok(body.data.results[2].distance_km < 5);
+    });
+
+    test('prefilters with a bounding box of the radius', async () => {
+        queries.length = 0;
+        await api.get('/api/v1/price/nearby?lat=52.52&lng=13.405&radius_km=5&year=2025&month=7');
+
+        const bounds = Object.fromEntries(queries[0].ranges.map(([column, op, value]) => [`${column}${op}`, value]));
+        assert.ok(Math.abs(bounds['latitude>='] - (52.52 - 5 / 111.32)) < 1e-9);
+        assert.ok(Math.abs(bounds['latitude<='] - (52.52 + 5 / 111.32)) < 1e-9);
+        // Longitude degrees shrink with the cosine of the latitude
+        assert.ok(bounds['longitude<='] - 13.405 > 0.07 && bounds['longitude<='] - 13.405 < 0.075);
+    });
+
+    test('caps the results at limit', async () => {
+        const { body } = await api.get('/api/v1/price/nearby?lat=52.52&lng=13.405&radius_km=5&limit=2&year=2025&month=7');
+
+        assert.deepStrictEqual(body.data.results.map(result => result.plz), ['10178', '10117']);
+        assert.strictEqual(body.data.query.limit, 2);
+    });
+
+    test('defaults to the latest month of the primary source', async () => {
+        queries.length = 0;
+        const { body } = await api.get('/api/v1/price/nearby?lat=52.52&lng=13.405');
+
+        assert.deepStrictEqual([queries[0].ordered, queries[0].limited], [['data_month', false], 1]);
+        assert.strictEqual(body.data.data_month, '2025-07-01');
+        assert.strictEqual(body.data.query.radius_km, 10);
+    });
+
+    test('answers 404 when nothing is within the radius', async () => {
+        const { status, body } = await api.get('/api/v1/price/nearby?lat=48.137&lng=11.575&radius_km=5&year=2025&month=7');
+
+        assert.strictEqual(status, 404);
+        assert.strictEqual(body.error.code, 'NOT_FOUND');
+    });
+
+    test('rejects missing coordinates, radii outside 0-100 km, limits above 100 and year without month', async () => {
+        const invalid = [
+            ['lat=52.52', /lat and lng query parameters are required/],
+            ['lng=13.405', /lat and lng query parameters are required/],
+            ['lat=91&lng=13.405', /Latitude must be between -90 and 90/],
+            ['lat=52.52&lng=13.405&radius_km=0', /radius_km must be between 0 and 100/],
+            ['lat=52.52&lng=13.405&radius_km=101', /radius_km must be between 0 and 100/],
+            ['lat=52.52&lng=13.405&limit=101', /Limit must be between 1 and 100/],
+            ['lat=52.52&lng=13.405&year=2025', /year and month must be provided together/]
+        ];
+
+        for (const [query, message] of invalid) {
+            const { status, body } = await api.get(`/api/v1/price/nearby?${query}`);
+
+            assert.strictEqual(status, 400, query);
+            assert.match(body.error.message, message);
+        }
+    });
+});
@@ -0,0 +1,113 @@
+/**
+ * Unit tests for the offline re-extraction service: acceptance of replayed prices
+ * (compareEntry, getRejectionReason) and month replays (runMonth)
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const ScraperConfig = require('../scrapers/modules/config');
+const OfflineReextraction = require('../services/offline-reextraction');
+const { priceRow } = require('./helpers/price-rows');
+
+const REF = hex => `2025-07/10115/${hex.repeat(64)}.html.gz`;
+
+/**
+ * Result of replayEntry for the given prices (a clean, validated extraction unless overridden)
+ */
+function replayed(lokal, oeko, extra = {}) {
+    return {
+        lokaler_versorger_price: lokal,
+        oekostrom_price: oeko,
+        average_price: lokal && oeko ? Math.round((lokal + oeko) / 2 * 10000) / 10000 : lokal || oeko,
+        extraction_method: 'tableStandard',
+        review_status: 'none',
+        is_outlier: false,
+        outlier_severity: 'normal',
+        warnings: [],
+        rejected_prices: [],
+        validation_issues: [],
+        ...extra
+    };
+}
+
+describe('OfflineReextraction.compareEntry', () => {
+    const reextraction = new OfflineReextraction({ config: new ScraperConfig(), storage: {}, archive: {} });
+
+    test('reports prices within the stored precision as unchanged', () => {
+        const result = reextraction.compareEntry(priceRow('10115', 0.4012, 0.2735), replayed(0.40121, 0.2735));
+
+        assert.strictEqual(result.status, 'unchanged');
+        assert.strictEqual(result.accepted, false);
+        assert.deepStrictEqual(result.delta, { lokaler_versorger_price: 0, oekostrom_price: 0, average_price: 0 });
+    });
+
+    test('accepts corrected prices and records the deltas', () => {
+        const result = reextraction.compareEntry(priceRow('10115', 4.012, 0.2735, { average_price: 2.1428 }), replayed(0.4012, 0.2735));
+
+        assert.strictEqual(result.status, 'changed');
+        assert.strictEqual(result.accepted, true);
+        assert.strictEqual(result.delta.lokaler_versorger_price, -3.6108);
+        assert.deepStrictEqual(result.new, { lokaler_versorger_price: 0.4012, oekostrom_price: 0.2735, average_price: 0.3374 });
+    });
+
+    test('treats a cleared outlier flag as a change', () => {
+        const result = reextraction.compareEntry(priceRow('10115', 0.4012, 0.2735, { average_price: 0.3374, is_outlier: true }), replayed(0.4012, 0.2735));
+
+        assert.strictEqual(result.status, 'changed');
+    });
+
+    test('rejects changes the replay cannot vouch for', () => {
+        const result = reextraction.compareEntry(priceRow('10115', 0.4012, 0.2735), replayed(0.95, 0.2735, { is_outlier: true, outlier_severity: 'high' }));
+
+        assert.strictEqual(result.status, 'rejected');
+        assert.strictEqual(result.accepted, false);
+        assert.strictEqual(result.reason, 'New prices are outliers (high)');
+    });
+});
+
+describe('OfflineReextraction.getRejectionReason', () => {
+    const reextraction = new OfflineReextraction({ config: new ScraperConfig(), storage: {}, archive: {} });
+    const reason = (entry, replay) => reextraction.getRejectionReason(reextraction.pickPrices(entry), reextraction.pickPrices(replay), replay);
+    const stored = priceRow('10115', 0.4012, 0.2735);
+
+    test('accepts a clean replay that keeps every price', () => {
+        assert.strictEqual(reason(stored, replayed(0.4100, 0.2800)), null);
+        assert.strictEqual(reason(priceRow('10115', null, 0.2735), replayed(0.4100, 0.2735)), null);
+    });
+
+    test('names why a replay is rejected', () => {
+        const cases = [
+            [replayed(null, null), 'No prices found in archived page'],
+            [replayed(0.05, 0.2735, { rejected_prices: ['lokaler_versorger_price'], validation_issues: ['lokaler_versorger_price below minimum'] }),
+                'Quality validation rejected the new prices: lokaler_versorger_price below minimum'],
+            [replayed(0.4012, 0.2735, { review_status: 'needs_review', review_reason: 'No consensus' }), 'New prices need review: No consensus'],
+            [replayed(null, 0.2735), 'Re-extraction lost the lokaler price'],
+            [replayed(0.4012, null), 'Re-extraction lost the öko price']
+        ];
+
+        for (const [replay, expected] of cases) {
+            assert.strictEqual(reason(stored, replay), expected);
+        }
+    });
+});
+
+describe('OfflineReextraction.runMonth', () => {
+    test('counts only pages no source row points to as unreferenced', async () => {
+        const rowsBySource = {
+            stromauskunft: [{ id: 'price-1', plz: '10115', city_name: 'Berlin', data_source: 'FALLBACK', html_archive_ref: REF('a') }],
+            stromvergleich: [{ id: 'price-2', plz: '10115', city_name: 'Berlin', data_source: 'FALLBACK', html_archive_ref: REF('b') }]
+        };
+        const storage = {
+            sourceName: 'stromauskunft',
+            getMonthPriceData: async (month, sourceName = 'stromauskunft') => rowsBySource[sourceName] || []
+        };
+        const archive = { list: async () => [REF('a'), REF('b'), REF('c')].map(ref => ({ ref })) };
+        const reextraction = new OfflineReextraction({ config: new ScraperConfig(), storage, archive });
+
+        const report = await reextraction.runMonth('2025-07-01');
+
+        assert.strictEqual(report.summary.total_entries, 1);
+        assert.strictEqual(report.summary.skipped, 1);
+        assert.strictEqual(report.summary.unreferenced_snapshots, 1);
+    });
+});
@@ -0,0 +1,40 @@
+/**
+ * Unit tests for the PLZ → Bundesland mapping (utils/plz-bundesland.js)
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { PLZ_RANGES, getBundeslandForPLZ } = require('../utils/plz-bundesland');
+
+describe('getBundeslandForPLZ', () => {
+    test('assigns PLZs at the Bavarian / Baden-Württemberg border', () => {
+        const expected = {
+            87435: 'BY', // Kempten
+            88045: 'BW', // Friedrichshafen
+            88069: 'BW', // Tettnang
+            88090: 'BW', // Immenstaad
+            88131: 'BY', // Lindau
+            88212: 'BW', // Ravensburg
+            89073: 'BW', // Ulm
+            89231: 'BY'  // Neu-Ulm
+        };
+
+        Object.entries(expected).forEach(([plz, code]) => {
+            assert.strictEqual(getBundeslandForPLZ(plz).code, code, plz);
+        });
+    });
+
+    test('returns names and rejects invalid input', () => {
+        assert.deepStrictEqual(getBundeslandForPLZ('10115'), { code: 'BE', name: 'Berlin' });
+        assert.strictEqual(getBundeslandForPLZ('abc'), null);
+    });
+
+    test('ranges are sorted and do not overlap', () => {
+        PLZ_RANGES.forEach(([first, last], index) => {
+            assert.ok(first <= last, `${first}-${last}`);
+            if (index > 0) {
+                assert.ok(first > PLZ_RANGES[index - 1][1], `${first} overlaps the previous range`);
+            }
+        });
+    });
+});
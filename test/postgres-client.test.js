@@ -0,0 +1,200 @@
+/**
+ * Unit tests for the local PostgreSQL backend: SQL of the supabase-compatible query builder
+ * (PostgresQueryClient) and schema.sql application (PostgresClient.applySchema)
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { PostgresQueryClient } = require('../database/postgres-query');
+const PostgresClient = require('../database/postgres-client');
+const { createDatabaseClient } = require('../database/database-client');
+
+/**
+ * Stand-in for a pg Pool: records every query and answers with the rows of the first matching handler
+ */
+function fakePool(handlers = []) {
+    const queries = [];
+    return {
+        queries,
+        query: async (text, params = []) => {
+            queries.push({ text: text.replace(/\s+/g, ' ').trim(), params });
+            const handler = handlers.find(([pattern]) => pattern.test(text));
+            if (handler && handler[1] instanceof Error) throw handler[1];
+            return { rows: handler ? handler[1](text, params) : [] };
+        }
+    };
+}
+
+const COLUMN_TYPES = [
+    { column_name: 'flags', data_type: 'jsonb' },
+    { column_name: 'changed_fields', data_type: 'ARRAY' },
+    { column_name: 'old_values', data_type: 'jsonb' }
+];
+
+describe('PostgresQueryClient', () => {
+    test('translates selects with filters, order and range into parameterized SQL', async () => {
+        const pool = fakePool([[/count\(\*\)/, () => [{ count: 42 }]], [/SELECT "plz"/, () => [{ plz: '10115' }]]]);
+        const client = new PostgresQueryClient(pool);
+
+        const { data, count, error } = await client
+            .from('monthly_electricity_prices')
+            .select('plz, average_price', { count: 'exact' })
+            .eq('data_month', '2025-07-01')
+            .in('plz', ['10115', '80331'])
+            .not('oekostrom_price', 'is', null)
+            .order('plz', { ascending: false, nullsFirst: false })
+            .range(1000, 1999);
+
+        assert.strictEqual(error, null);
+        assert.strictEqual(count, 42);
+        assert.deepStrictEqual(data, [{ plz: '10115' }]);
+        assert.deepStrictEqual(pool.queries.map(query => query.text), [
+            'SELECT count(*) AS count FROM "monthly_electricity_prices" WHERE "data_month" = $1 AND "plz" = ANY($2) AND NOT ("oekostrom_price" IS NULL)',
+            'SELECT "plz", "average_price" FROM "monthly_electricity_prices" WHERE "data_month" = $1 AND "plz" = ANY($2) AND NOT ("oekostrom_price" IS NULL) ORDER BY "plz" DESC NULLS LAST LIMIT 1000 OFFSET 1000'
+        ]);
+        assert.deepStrictEqual(pool.queries[1].params, ['2025-07-01', ['10115', '80331']]);
+    });
+
+    test('head selects only count', async () => {
+        const pool = fakePool([[/count\(\*\)/, () => [{ count: 0 }]]]);
+
+        const { data, count } = await new PostgresQueryClient(pool)
+            .from('monthly_electricity_prices')
+            .select('*', { count: 'exact', head: true });
+
+        assert.strictEqual(data, null);
+        assert.strictEqual(count, 0);
+        assert.strictEqual(pool.queries.length, 1);
+    });
+
+    test('single() reports no rows as PGRST116 and maybeSingle() as null', async () => {
+        const client = new PostgresQueryClient(fakePool());
+
+        const single = await client.from('scraping_sessions').select('id').eq('id', 'x').single();
+        assert.strictEqual(single.data, null);
+        assert.strictEqual(single.error.code, 'PGRST116');
+
+        const maybe = await client.from('scraping_sessions').select('id').eq('id', 'x').maybeSingle();
+        assert.deepStrictEqual([maybe.data, maybe.error], [null, null]);
+    });
+
+    test('inserts encode JSON and array columns by type and return the selected row', async () => {
+        const pool = fakePool([
+            [/information_schema/, () => COLUMN_TYPES],
+            [/^INSERT/, () => [{ id: 'change-1' }]]
+        ]);
+
+        const { data } = await new PostgresQueryClient(pool)
+            .from('price_change_history')
+            .insert({ price_id: 'price-1', changed_fields: ['oekostrom_price'], old_values: { oekostrom_price: 0.3 }, reason: undefined })
+            .select('id')
+            .single();
+
+        const insert = pool.queries[1];
+        assert.deepStrictEqual(data, { id: 'change-1' });
+        assert.strictEqual(insert.text, 'INSERT INTO "price_change_history" ("price_id", "changed_fields", "old_values", "reason") VALUES ($1, $2, $3, DEFAULT) RETURNING "id"');
+        assert.deepStrictEqual(insert.params, ['price-1', ['oekostrom_price'], '{"oekostrom_price":0.3}']);
+    });
+
+    test('upserts update the non-conflict columns and JSON arrays stay JSON', async () => {
+        const pool = fakePool([[/information_schema/, () => COLUMN_TYPES]]);
+
+        const { data, error } = await new PostgresQueryClient(pool)
+            .from('price_review_queue')
+            .upsert([{ data_month: '2025-07-01', plz: '10115', flags: [{ type: 'outlier' }] }], { onConflict: 'data_month,plz' });
+
+        assert.deepStrictEqual([data, error], [null, null]);
+        assert.strictEqual(pool.queries[1].text,
+            'INSERT INTO "price_review_queue" ("data_month", "plz", "flags") VALUES ($1, $2, $3) ' +
+            'ON CONFLICT ("data_month", "plz") DO UPDATE SET "flags" = EXCLUDED."flags"');
+        assert.deepStrictEqual(pool.queries[1].params[2], '[{"type":"outlier"}]');
+    });
+
+    test('updates and deletes keep their filters', async () => {
+        const pool = fakePool([[/information_schema/, () => []]]);
+        const client = new PostgresQueryClient(pool);
+
+        await client.from('api_keys').update({ is_active: false }).eq('id', 'key-1');
+        await client.from('data_releases').delete().eq('data_month', '2025-07-01').is('published_at', null).select('id');
+
+        assert.strictEqual(pool.queries[1].text, 'UPDATE "api_keys" SET "is_active" = $1 WHERE "id" = $2');
+        assert.deepStrictEqual(pool.queries[1].params, [false, 'key-1']);
+        assert.strictEqual(pool.queries[2].text, 'DELETE FROM "data_releases" WHERE "data_month" = $1 AND "published_at" IS NULL RETURNING "id"');
+    });
+
+    test('resolves database errors as { error } like supabase-js', async () => {
+        const failure = Object.assign(new Error('duplicate key value violates unique constraint'), { code: '23505', detail: 'Key exists' });
+        const client = new PostgresQueryClient(fakePool([[/INSERT/, failure], [/information_schema/, () => []]]));
+
+        const { data, error } = await client.from('monthly_electricity_prices').insert({ plz: '10115' });
+
+        assert.strictEqual(data, null);
+        assert.deepStrictEqual([error.code, error.details], ['23505', 'Key exists']);
+    });
+
+    test('rejects column lists it cannot translate', async () => {
+        const { error } = await new PostgresQueryClient(fakePool()).from('data_releases').select('id, release_electricity_prices(*)');
+
+        assert.strictEqual(error.code, 'PGRST100');
+    });
+
+    test('rpc calls functions with named arguments', async () => {
+        const pool = fakePool([[/increment_api_key_usage/, () => [{ increment_api_key_usage: '' }]]]);
+
+        const { data, error } = await new PostgresQueryClient(pool).rpc('increment_api_key_usage', { p_key_id: 'key-1' });
+
+        assert.deepStrictEqual([data, error], [null, null]);
+        assert.strictEqual(pool.queries[0].text, 'SELECT * FROM "increment_api_key_usage"("p_key_id" => $1)');
+    });
+});
+
+describe('PostgresClient', () => {
+    process.env.DATABASE_URL = 'postgres://localhost:5432/energy_prices_test';
+
+    test('splits schema.sql into its numbered sections', () => {
+        const schema = require('fs').readFileSync(require.resolve('../database/schema.sql'), 'utf8');
+        const sections = PostgresClient.splitSchemaSections(schema);
+
+        assert.strictEqual(sections[0].number, null);
+        assert.match(sections[0].sql, /CREATE EXTENSION/);
+        assert.ok(sections.some(section => section.number === 12));
+        // Section 7 only holds commented-out statements
+        assert.ok(!sections.some(section => section.number === 7));
+    });
+
+    test('creates the whole schema on an empty database', async () => {
+        const db = new PostgresClient();
+        db.pool = fakePool([[/to_regclass/, () => [{ exists: false }]]]);
+
+        const applied = await db.applySchema();
+
+        assert.ok(applied.length > 10);
+        assert.strictEqual(db.pool.queries.filter(query => /CREATE TABLE monthly_electricity_prices/.test(query.text)).length, 1);
+    });
+
+    test('only upgrades an existing database and adds missing tables', async () => {
+        const db = new PostgresClient();
+        db.pool = fakePool([[/to_regclass/, (text, [table]) => [{ exists: table !== 'data_releases' }]]]);
+
+        const applied = await db.applySchema();
+
+        assert.deepStrictEqual(applied.map(title => title.split('.')[0]), ['12', '16', '8', '9']);
+    });
+
+    test('upgrades a database built from the original schema (sections 1-9 only)', async () => {
+        const baseline = new Set(['monthly_electricity_prices', 'scraping_sessions', 'scraping_errors', 'monthly_quality_metrics']);
+        const db = new PostgresClient();
+        db.pool = fakePool([[/to_regclass/, (text, [table]) => [{ exists: baseline.has(table) }]]]);
+
+        const applied = await db.applySchema();
+
+        // Missing tables before the upgrades that alter them; functions and views after the source_name column exists
+        assert.deepStrictEqual(applied.map(title => title.split('.')[0]), ['10', '11', '12', '13', '14', '15', '16', '8', '9']);
+        assert.ok(!db.pool.queries.some(query => /CREATE TABLE monthly_electricity_prices|CREATE TRIGGER update_monthly_prices_updated_at/.test(query.text)));
+    });
+
+    test('is selected with DATABASE_BACKEND=postgres', () => {
+        assert.ok(createDatabaseClient('postgres') instanceof PostgresClient);
+        assert.throws(() => createDatabaseClient('mysql'), /Unknown database backend/);
+    });
+});
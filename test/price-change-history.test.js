@@ -0,0 +1,102 @@
+/**
+ * Unit tests for the price change history written by SupabaseClient.updatePriceData
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const SupabaseClient = require('../database/supabase-client');
+
+/**
+ * Minimal query builder for the calls updatePriceData makes
+ */
+function fakeSupabase(tables) {
+    return {
+        from(table) {
+            const query = { filters: [], payload: null, op: 'select' };
+            const rows = () => tables[table].filter(row => query.filters.every(([column, value]) => row[column] === value));
+            const run = () => {
+                if (query.op === 'update') {
+                    rows().forEach(row => Object.assign(row, query.payload));
+                    return rows().map(row => ({ ...row }));
+                }
+                if (query.op === 'insert') {
+                    const row = { id: `change-${tables[table].length + 1}`, ...query.payload };
+                    tables[table].push(row);
+                    return [row];
+                }
+                return rows().map(row => ({ ...row }));
+            };
+            const builder = {
+                select: () => builder,
+                eq: (column, value) => { query.filters.push([column, value]); return builder; },
+                update: payload => { query.op = 'update'; query.payload = payload; return builder; },
+                insert: payload => { query.op = 'insert'; query.payload = payload; return builder; },
+                maybeSingle: async () => ({ data: run()[0] || null, error: null }),
+                single: async () => ({ data: run()[0], error: null }),
+                then: (resolve, reject) => Promise.resolve({ data: run(), error: null }).then(resolve, reject)
+            };
+            return builder;
+        }
+    };
+}
+
+function setup() {
+    const tables = {
+        monthly_electricity_prices: [{
+            id: 'price-1',
+            data_month: '2025-07-01',
+            plz: '10115',
+            source_name: 'stromauskunft',
+            lokaler_versorger_price: 0.95,
+            oekostrom_price: 0.30,
+            average_price: 0.625,
+            is_outlier: true
+        }],
+        price_change_history: []
+    };
+    const db = Object.assign(Object.create(SupabaseClient.prototype), {
+        supabase: fakeSupabase(tables),
+        primarySource: 'stromauskunft'
+    });
+    return { tables, db };
+}
+
+describe('updatePriceData', () => {
+    test('records the changed columns with actor and reason', async () => {
+        const { tables, db } = setup();
+
+        const updated = await db.updatePriceData('price-1', {
+            lokaler_versorger_price: 0.41,
+            oekostrom_price: 0.30,
+            is_outlier: false
+        }, { actor: 'high-price-fixer', reason: 'Re-extracted from archived page' });
+
+        assert.strictEqual(updated.lokaler_versorger_price, 0.41);
+        assert.strictEqual(tables.price_change_history.length, 1);
+
+        const [change] = tables.price_change_history;
+        assert.deepStrictEqual(change.changed_fields, ['lokaler_versorger_price', 'is_outlier']);
+        assert.deepStrictEqual(change.old_values, { lokaler_versorger_price: 0.95, is_outlier: true });
+        assert.deepStrictEqual(change.new_values, { lokaler_versorger_price: 0.41, is_outlier: false });
+        assert.strictEqual(change.actor, 'high-price-fixer');
+        assert.strictEqual(change.reason, 'Re-extracted from archived page');
+        assert.deepStrictEqual([change.price_id, change.data_month, change.plz], ['price-1', '2025-07-01', '10115']);
+    });
+
+    test('writes no entry when no value changed', async () => {
+        const { tables, db } = setup();
+
+        await db.updatePriceData('price-1', { oekostrom_price: 0.30 }, { actor: 'enhanced-oeko-extractor' });
+
+        assert.deepStrictEqual(tables.price_change_history, []);
+    });
+
+    test('names unknown callers', async () => {
+        const { tables, db } = setup();
+
+        await db.updatePriceData('price-1', { average_price: 0.6 });
+
+        assert.strictEqual(tables.price_change_history[0].actor, 'unknown');
+        assert.strictEqual(tables.price_change_history[0].reason, null);
+    });
+});
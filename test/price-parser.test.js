@@ -0,0 +1,121 @@
+/**
+ * Unit tests for the shared price parser (scrapers/modules/extractors/price-parser.js)
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const cheerio = require('cheerio');
+const priceParser = require('../scrapers/modules/extractors/price-parser');
+
+describe('parseGermanNumber', () => {
+    const cases = {
+        '40,12': 40.12,
+        '0,2735': 0.2735,
+        '0.3891': 0.3891,
+        '1.147,00': 1147,
+        '2.500': 2500,
+        '0.389': 0.389,
+        '1,234,567': 1234567,
+        '1.234.567,5': 1234567.5,
+        '27': 27
+    };
+
+    for (const [text, expected] of Object.entries(cases)) {
+        test(`"${text}" -> ${expected}`, () => {
+            assert.strictEqual(priceParser.parseGermanNumber(text), expected);
+        });
+    }
+
+    test('rejects text that is not a number', () => {
+        assert.strictEqual(priceParser.parseGermanNumber('abc'), null);
+        assert.strictEqual(priceParser.parseGermanNumber(null), null);
+    });
+});
+
+describe('parsePriceDetails', () => {
+    const cases = [
+        ['40,12 Cent pro kWh', { price: 0.4012, unit: 'cent', basis: 'kwh', format: 'cent' }],
+        ['27,35 ct/kWh', { price: 0.2735, unit: 'cent', basis: 'kwh', format: 'cent' }],
+        ['0,2735 €/kWh', { price: 0.2735, unit: 'euro', basis: 'kwh', format: 'euro' }],
+        ['0.3891 Euro pro kWh', { price: 0.3891, unit: 'euro', basis: 'kwh', format: 'euro' }],
+        ['38,91 je kWh', { price: 0.3891, unit: null, basis: 'kwh', format: 'unknown' }],
+        ['0,41 pro kWh', { price: 0.41, unit: null, basis: 'kwh', format: 'unknown' }]
+    ];
+
+    for (const [text, expected] of cases) {
+        test(`"${text}"`, () => {
+            const details = priceParser.parsePriceDetails(text);
+            assert.deepStrictEqual(
+                { price: details.price, unit: details.unit, basis: details.basis, format: details.format },
+                expected
+            );
+        });
+    }
+
+    test('ignores annual and monthly costs and consumption figures', () => {
+        assert.strictEqual(priceParser.parsePrice('1.147,00 EUR / Jahr'), null);
+        assert.strictEqual(priceParser.parsePrice('803,75 EUR pro Jahr'), null);
+        assert.strictEqual(priceParser.parsePrice('bis zu 343 EUR im Jahr sparen'), null);
+        assert.strictEqual(priceParser.parsePrice('95,50 € pro Monat'), null);
+        assert.strictEqual(priceParser.parsePrice('Jahresverbrauch von 2.500 kWh'), null);
+    });
+
+    test('prefers the per-kWh price over other numbers in the text', () => {
+        assert.strictEqual(priceParser.parsePrice('Tarif 24 Monate, Bonus 50 €, 27,35 Cent pro kWh'), 0.2735);
+    });
+
+    test('applies the price range', () => {
+        assert.strictEqual(priceParser.parsePrice('95 Cent pro kWh', { max: 0.8 }), null);
+        assert.strictEqual(priceParser.parsePrice('95 Cent pro kWh'), 0.95);
+    });
+
+    test('requirePerKwh rejects prices without a kWh basis', () => {
+        assert.strictEqual(priceParser.parsePrice('0,35 €', { requirePerKwh: true }), null);
+        assert.strictEqual(priceParser.parsePrice('0,35 €'), 0.35);
+    });
+});
+
+describe('containsPrice', () => {
+    test('needs a currency unit or a kWh basis', () => {
+        assert.strictEqual(priceParser.containsPrice('40,12 Cent pro kWh'), true);
+        assert.strictEqual(priceParser.containsPrice('1.147,00 EUR / Jahr'), true);
+        assert.strictEqual(priceParser.containsPrice('PLZ 21335'), false);
+    });
+});
+
+describe('findPriceAfterLabel', () => {
+    const pageText = 'Grundversorger: Avacon AG\n40,12 Cent pro kWh\nGünstigster Ökostrom: Ostrom 27,35 Cent pro kWh';
+
+    test('finds the price on the label line', () => {
+        const match = priceParser.findPriceAfterLabel(pageText, /günstigster.*?Ökostrom/i);
+        assert.strictEqual(match.price, 0.2735);
+    });
+
+    test('stays on the label line unless maxDistance is given', () => {
+        assert.strictEqual(priceParser.findPriceAfterLabel(pageText, /Grundversorger[:\s]/i), null);
+        const match = priceParser.findPriceAfterLabel(pageText, /Grundversorger[:\s]/i, { maxDistance: 100 });
+        assert.strictEqual(match.price, 0.4012);
+    });
+});
+
+describe('getTableRows', () => {
+    const $ = cheerio.load(`
+        <table><tr><th>Tarif</th><th>Preis</th></tr><tr><td>Grundversorger</td><td>40,12 Cent pro kWh</td></tr></table>
+        <table><tr><td>Vergleich</td><td>26,80 Cent pro kWh</td></tr></table>
+    `);
+
+    test('returns the cells of every row', () => {
+        const rows = priceParser.getTableRows($);
+        assert.strictEqual(rows.length, 3);
+        assert.deepStrictEqual(rows[1].cells, ['Grundversorger', '40,12 Cent pro kWh']);
+        assert.strictEqual(rows[2].tableIndex, 1);
+    });
+
+    test('supports first-table-only, cell selectors and table filters', () => {
+        assert.strictEqual(priceParser.getTableRows($, { firstTableOnly: true }).length, 2);
+        assert.deepStrictEqual(priceParser.getTableRows($, { cellSelector: 'th' })[0].cells, ['Tarif', 'Preis']);
+
+        const rows = priceParser.getTableRows($, { skipTable: tableText => tableText.includes('Vergleich') });
+        assert.strictEqual(rows.length, 2);
+    });
+});
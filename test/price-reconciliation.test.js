@@ -0,0 +1,86 @@
+/**
+ * Unit tests for the cross-source price reconciliation (services/price-reconciliation.js)
+ * and the spread severity of the quality validator
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const ScraperConfig = require('../scrapers/modules/config');
+const QualityValidator = require('../scrapers/modules/quality/quality-validator');
+const PriceReconciliation = require('../services/price-reconciliation');
+const { priceRow } = require('./helpers/price-rows');
+
+const MONTH = '2025-07-01';
+
+describe('detectSourceDisagreement', () => {
+    const validator = new QualityValidator(new ScraperConfig());
+
+    test('grades the relative spread with the outlier severity levels', () => {
+        const cases = [
+            [0.4000, 0.4100, 'normal'],     // 2.5%
+            [0.4000, 0.4240, 'high'],       // 6%
+            [0.4000, 0.4500, 'very_high'],  // 12.5%
+            [0.4000, 0.5200, 'extreme']     // 30%
+        ];
+
+        for (const [a, b, severity] of cases) {
+            const result = validator.detectSourceDisagreement({
+                stromauskunft: { lokaler_versorger_price: a },
+                stromvergleich: { lokaler_versorger_price: b }
+            });
+            assert.strictEqual(result.severity, severity, `${a} vs. ${b}`);
+            assert.strictEqual(result.hasDisagreement, severity !== 'normal');
+        }
+    });
+
+    test('needs a price from two sources', () => {
+        const result = validator.detectSourceDisagreement({
+            stromauskunft: { lokaler_versorger_price: 0.40, oekostrom_price: 0.27 },
+            stromvergleich: { lokaler_versorger_price: 0.40, oekostrom_price: null }
+        });
+        assert.strictEqual(result.spreads.oekostrom_price, null);
+        assert.strictEqual(result.spreads.lokaler_versorger_price.spread, 0);
+    });
+});
+
+describe('PriceReconciliation', () => {
+    const reconciliation = new PriceReconciliation({ db: {} });
+
+    const report = reconciliation.reconcile(MONTH, {
+        stromauskunft: [
+            priceRow('10115', 0.4012, 0.2735),
+            priceRow('21335', 0.4012, 0.2735),
+            priceRow('80331', 0.3891, 0.2889),
+            priceRow('99999', 0.3500, 0.2600)
+        ],
+        stromvergleich: [
+            priceRow('10115', 0.4012, 0.2750),
+            priceRow('21335', 0.4012, 0.3600),
+            priceRow('80331', 0.3891, 0.3100),
+            priceRow('99999', 0.5000, 0.3900, { data_source: 'FALLBACK' })
+        ]
+    });
+
+    test('compares PLZs scraped by at least two sources', () => {
+        assert.strictEqual(report.summary.compared_plz, 3);
+        assert.strictEqual(report.summary.single_source_plz, 1);
+        assert.deepStrictEqual(report.summary.rows_per_source, { stromauskunft: 4, stromvergleich: 3 });
+    });
+
+    test('flags disagreements above the threshold, worst first', () => {
+        assert.strictEqual(report.summary.flagged_plz, 2);
+        assert.deepStrictEqual(report.summary.flagged_by_severity, { high: 1, very_high: 0, extreme: 1 });
+        assert.deepStrictEqual(report.entries.map(entry => entry.plz), ['21335', '80331', '10115']);
+
+        const [worst] = report.entries;
+        assert.strictEqual(worst.severity, 'extreme');
+        assert.strictEqual(worst.spreads.oekostrom_price.spread, 0.0865);
+        assert.match(worst.warnings[0], /Ökostrom prices differ by 31\.6% between sources/);
+    });
+
+    test('flattens entries to the CSV columns', () => {
+        const [csvRow] = reconciliation.toCsvRows(report.entries.slice(0, 1));
+        assert.deepStrictEqual(Object.keys(csvRow), PriceReconciliation.CSV_COLUMNS);
+        assert.strictEqual(csvRow.prices, 'stromauskunft=0.4012/0.2735;stromvergleich=0.4012/0.36');
+    });
+});
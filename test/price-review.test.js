@@ -0,0 +1,177 @@
+/**
+ * Unit tests for the price review service (services/price-review.js):
+ * review items of flagged rows and the approve/reject/override decisions
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const PriceReview = require('../services/price-review');
+const { priceRow } = require('./helpers/price-rows');
+
+const HISTORY = [
+    priceRow('10115', 0.40, 0.30, { data_month: '2025-05-01' }),
+    priceRow('10115', 0.42, 0.31, { data_month: '2025-06-01' }),
+    priceRow('20095', 0.38, 0.28, { data_month: '2025-06-01' })
+];
+
+/**
+ * In-memory stand-in for the SupabaseClient review methods
+ */
+function fakeDb(prices, reviews) {
+    const calls = { invalidated: [], closed: [], reopened: [], metrics: [] };
+    return {
+        calls,
+        primarySource: 'stromauskunft',
+        getPriceDataById: async id => prices.find(price => price.id === id) || null,
+        decidePriceReview: async (id, decision) => {
+            const review = reviews.find(entry => entry.id === id && entry.status === 'pending');
+            if (!review) return null;
+            Object.assign(review, decision);
+            return { ...review };
+        },
+        updatePriceData: async (id, updates) => {
+            const price = prices.find(entry => entry.id === id);
+            Object.assign(price, updates);
+            return { ...price };
+        },
+        reopenPriceReview: async id => calls.reopened.push(id),
+        closeReviewQueueItems: async (priceId, status) => calls.closed.push([priceId, status]),
+        invalidateMonthCache: async month => calls.invalidated.push(month),
+        getAllPriceDataForMonth: async month => prices.filter(price => price.data_month === month),
+        upsertMonthlyQualityMetrics: async metrics => calls.metrics.push(metrics)
+    };
+}
+
+describe('buildReviews', () => {
+    const priceReview = new PriceReview({ sources: ['stromauskunft'] });
+
+    test('creates one item per flagged scraped row with the median of the previous months as candidate', () => {
+        const rows = [
+            priceRow('10115', 0.95, 0.30, {
+                is_outlier: true,
+                outlier_severity: 'high',
+                outlier_reason: 'history: lokaler_versorger_price z=5.1',
+                source_url: 'https://example.org/10115'
+            }),
+            priceRow('20095', 0.39, 0.29),
+            priceRow('30159', 0.95, 0.30, { is_outlier: true, data_source: 'FALLBACK' })
+        ];
+
+        const [review, ...rest] = priceReview.buildReviews(rows, [], HISTORY);
+
+        assert.strictEqual(rest.length, 0);
+        assert.strictEqual(review.price_id, '10115-2025-07-01');
+        assert.strictEqual(review.status, 'pending');
+        assert.deepStrictEqual(review.flags.map(flag => [flag.type, flag.price_fields]), [['outlier', ['lokaler_versorger_price']]]);
+        assert.deepStrictEqual(review.candidate_values, { lokaler_versorger_price: 0.41 });
+        assert.strictEqual(review.flagged_values.lokaler_versorger_price, 0.95);
+        assert.strictEqual(review.evidence.source_url, 'https://example.org/10115');
+        assert.strictEqual(review.evidence.baseline.lokaler_versorger_price.months, 2);
+    });
+
+    test('combines consensus and queued jumps and takes the queued baseline', () => {
+        const rows = [priceRow('20095', 0.64, 0.28, { review_status: 'needs_review', review_reason: 'Ökostrom: 0.28 vs 0.35' })];
+        const queueItems = [{
+            id: 'queue-1',
+            price_id: '20095-2025-07-01',
+            anomaly_type: 'month_over_month_jump',
+            price_field: 'lokaler_versorger_price',
+            severity: 'very_high',
+            baseline_price: '0.4000',
+            baseline_months: 3,
+            previous_month: '2025-06-01'
+        }];
+
+        const [review] = priceReview.buildReviews(rows, queueItems, HISTORY);
+
+        assert.deepStrictEqual(review.flags.map(flag => flag.type), ['consensus', 'month_over_month_jump']);
+        // The Ökostrom median equals the current price, so only the jump has a candidate
+        assert.deepStrictEqual(review.candidate_values, { lokaler_versorger_price: 0.40 });
+        assert.deepStrictEqual(review.evidence.queue_item_ids, ['queue-1']);
+    });
+});
+
+describe('validateValues', () => {
+    const priceReview = new PriceReview();
+
+    test('accepts known price fields within the configured range', () => {
+        assert.deepStrictEqual(priceReview.validateValues({ lokaler_versorger_price: 0.41, oekostrom_price: 0.33 }), []);
+    });
+
+    test('rejects unknown fields, implausible prices and empty values', () => {
+        assert.strictEqual(priceReview.validateValues({ average_price: 0.4, oekostrom_price: 4.1 }).length, 2);
+        assert.strictEqual(priceReview.validateValues({}).length, 1);
+        assert.strictEqual(priceReview.validateValues([0.4]).length, 1);
+    });
+});
+
+describe('decide', () => {
+    function setup() {
+        const prices = [priceRow('10115', 0.95, 0.30, {
+            is_outlier: true,
+            outlier_severity: 'high',
+            outlier_reason: 'history: lokaler_versorger_price z=5.1'
+        })];
+        const reviews = [{
+            id: 'review-1',
+            price_id: '10115-2025-07-01',
+            data_month: '2025-07-01',
+            plz: '10115',
+            city_name: 'Stadt 10115',
+            candidate_values: { lokaler_versorger_price: 0.41 },
+            status: 'pending'
+        }];
+        const db = fakeDb(prices, reviews);
+        return { prices, reviews, db, priceReview: new PriceReview({ db }) };
+    }
+
+    test('approve writes the candidates, recalculates the average and keeps the replaced values', async () => {
+        const { prices, db, priceReview, reviews } = setup();
+
+        const result = await priceReview.decide(reviews[0], 'approve', { reviewer: { id: 'key-1', name: 'Data Quality' }, note: 'ok' });
+
+        assert.strictEqual(result.review.status, 'approved');
+        assert.strictEqual(result.review.reviewed_by, 'Data Quality');
+        assert.strictEqual(result.review.previous_values.lokaler_versorger_price, 0.95);
+        assert.strictEqual(prices[0].lokaler_versorger_price, 0.41);
+        assert.strictEqual(prices[0].average_price, 0.355);
+        assert.strictEqual(prices[0].is_outlier, false);
+        assert.strictEqual(prices[0].review_status, 'reviewed');
+        assert.deepStrictEqual(db.calls.closed, [['10115-2025-07-01', 'resolved']]);
+        assert.deepStrictEqual(db.calls.invalidated, ['2025-07-01']);
+        assert.strictEqual(db.calls.metrics.length, 1);
+        assert.strictEqual(db.calls.metrics[0].outlier_count, 0);
+    });
+
+    test('reject keeps the prices and dismisses the queue items', async () => {
+        const { prices, db, priceReview, reviews } = setup();
+
+        await priceReview.decide(reviews[0], 'reject');
+
+        assert.strictEqual(prices[0].lokaler_versorger_price, 0.95);
+        assert.strictEqual(prices[0].is_outlier, true);
+        assert.strictEqual(prices[0].review_status, 'reviewed');
+        assert.deepStrictEqual(db.calls.closed, [['10115-2025-07-01', 'dismissed']]);
+        assert.strictEqual(db.calls.metrics.length, 0);
+    });
+
+    test('a second decision on the same item changes nothing', async () => {
+        const { prices, priceReview, reviews } = setup();
+        const pending = { ...reviews[0] };
+
+        await priceReview.decide(pending, 'override', { values: { lokaler_versorger_price: 0.43 } });
+        const second = await priceReview.decide(pending, 'approve');
+
+        assert.strictEqual(second, null);
+        assert.strictEqual(prices[0].lokaler_versorger_price, 0.43);
+        assert.strictEqual(reviews[0].status, 'overridden');
+    });
+
+    test('reopens the review when the price row cannot be updated', async () => {
+        const { db, priceReview, reviews } = setup();
+        db.updatePriceData = async () => { throw new Error('update failed'); };
+
+        await assert.rejects(priceReview.decide(reviews[0], 'approve'), /update failed/);
+        assert.deepStrictEqual(db.calls.reopened, ['review-1']);
+    });
+});
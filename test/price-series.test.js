@@ -0,0 +1,84 @@
+/**
+ * Unit tests for the price series utilities (api/utils/price-series.js)
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { toNumber, calculateChange, buildPriceSeries, summarizePriceSeries } = require('../api/utils/price-series');
+const { priceRow } = require('./helpers/price-rows');
+
+describe('toNumber', () => {
+    test('parses DECIMAL strings and keeps missing values null', () => {
+        assert.strictEqual(toNumber('0.3891'), 0.3891);
+        assert.strictEqual(toNumber(0.2735), 0.2735);
+        assert.strictEqual(toNumber(null), null);
+        assert.strictEqual(toNumber(''), null);
+        assert.strictEqual(toNumber('n/a'), null);
+    });
+});
+
+describe('calculateChange', () => {
+    test('returns the delta in EUR/kWh and the percentage', () => {
+        assert.deepStrictEqual(calculateChange(0.40, 0.42), { delta: 0.02, percent: 5 });
+        assert.deepStrictEqual(calculateChange(0.40, 0.30), { delta: -0.1, percent: -25 });
+    });
+
+    test('has no change without both prices and no percentage from zero', () => {
+        assert.deepStrictEqual(calculateChange(null, 0.42), { delta: null, percent: null });
+        assert.deepStrictEqual(calculateChange(0, 0.42), { delta: 0.42, percent: null });
+    });
+});
+
+describe('buildPriceSeries', () => {
+    const rows = [
+        priceRow('10115', 0.42, 0.31, { data_month: '2025-06-01', data_source: 'FALLBACK', source_plz: '10117', distance_km: '1.2' }),
+        priceRow('10115', '0.4000', '0.3000', { data_month: '2025-05-01', average_price: '0.3500' }),
+        priceRow('10115', '0.4410', null, { data_month: '2025-07-01', average_price: '0.4410' })
+    ];
+
+    test('orders the months and compares each with the month before', () => {
+        const series = buildPriceSeries(rows);
+
+        assert.deepStrictEqual(series.map(entry => entry.data_month), ['2025-05-01', '2025-06-01', '2025-07-01']);
+        assert.deepStrictEqual([series[0].year, series[0].month], [2025, 5]);
+        assert.strictEqual(series[0].change.compared_to, null);
+        assert.deepStrictEqual(series[0].change.local_provider, { delta: null, percent: null });
+        assert.strictEqual(series[1].change.compared_to, '2025-05-01');
+        assert.deepStrictEqual(series[1].change.local_provider, { delta: 0.02, percent: 5 });
+        assert.deepStrictEqual(series[2].change.green_energy, { delta: null, percent: null });
+    });
+
+    test('parses prices and marks fallback months', () => {
+        const [, june] = buildPriceSeries(rows);
+
+        assert.deepStrictEqual(june.prices, { local_provider: 0.42, green_energy: 0.31, average: 0.365 });
+        assert.strictEqual(june.is_fallback, true);
+        assert.strictEqual(june.source_plz, '10117');
+        assert.strictEqual(june.distance_km, 1.2);
+    });
+});
+
+describe('summarizePriceSeries', () => {
+    test('compares the first with the last month and lists fallback months', () => {
+        const summary = summarizePriceSeries(buildPriceSeries([
+            priceRow('10115', 0.40, 0.30, { data_month: '2025-05-01' }),
+            priceRow('10115', 0.42, 0.31, { data_month: '2025-06-01', data_source: 'FALLBACK' }),
+            priceRow('10115', 0.44, 0.33, { data_month: '2025-07-01' })
+        ]));
+
+        assert.strictEqual(summary.total_months, 3);
+        assert.strictEqual(summary.original_months, 2);
+        assert.deepStrictEqual(summary.fallback_data_months, ['2025-06-01']);
+        assert.deepStrictEqual([summary.first_month, summary.last_month], ['2025-05-01', '2025-07-01']);
+        assert.deepStrictEqual(summary.total_change.local_provider, { delta: 0.04, percent: 10 });
+        assert.deepStrictEqual(summary.total_change.green_energy, { delta: 0.03, percent: 10 });
+    });
+
+    test('has no total change for a single month or an empty series', () => {
+        const single = summarizePriceSeries(buildPriceSeries([priceRow('10115', 0.40, 0.30)]));
+        const empty = summarizePriceSeries([]);
+
+        assert.deepStrictEqual(single.total_change.average, { delta: null, percent: null });
+        assert.deepStrictEqual([empty.total_months, empty.first_month, empty.last_month], [0, null, null]);
+    });
+});
@@ -0,0 +1,61 @@
+/**
+ * Unit tests for the price statistics of regional and national aggregates (api/utils/price-statistics.js)
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { calculateStats, calculatePriceStats, calculateHistogram } = require('../api/utils/price-statistics');
+const { priceRow } = require('./helpers/price-rows');
+
+describe('calculateStats', () => {
+    test('ignores missing values and parses DECIMAL strings', () => {
+        assert.deepStrictEqual(calculateStats(['0.40', null, 0.30, 0.35, undefined]), {
+            count: 3, average: 0.35, median: 0.35, min: 0.3, max: 0.4
+        });
+    });
+
+    test('takes the mean of the two middle values as median of an even count', () => {
+        const stats = calculateStats([0.44, 0.30, 0.40, 0.32]);
+
+        assert.strictEqual(stats.median, 0.36);
+        assert.strictEqual(stats.average, 0.365);
+    });
+
+    test('has only a count without values', () => {
+        assert.deepStrictEqual(calculateStats([null, '']), { count: 0, average: null, median: null, min: null, max: null });
+    });
+});
+
+describe('calculatePriceStats', () => {
+    test('summarizes every price field of the rows', () => {
+        const stats = calculatePriceStats([
+            priceRow('70173', 0.40, 0.30),
+            priceRow('70174', 0.42, null),
+            priceRow('70176', 0.38, 0.28)
+        ]);
+
+        assert.deepStrictEqual(Object.keys(stats), ['local_provider', 'green_energy', 'average']);
+        assert.deepStrictEqual([stats.local_provider.count, stats.local_provider.average], [3, 0.4]);
+        assert.deepStrictEqual([stats.green_energy.count, stats.green_energy.min, stats.green_energy.max], [2, 0.28, 0.3]);
+        assert.strictEqual(stats.average.max, 0.42);
+    });
+});
+
+describe('calculateHistogram', () => {
+    test('spreads the values over equal-width bins and counts the maximum in the last bin', () => {
+        const histogram = calculateHistogram([-10, -2.5, 0, 0, 4, null, 10], 4);
+
+        assert.strictEqual(histogram.bin_width, 5);
+        assert.deepStrictEqual(histogram.bins, [
+            { from: -10, to: -5, count: 1 },
+            { from: -5, to: 0, count: 1 },
+            { from: 0, to: 5, count: 3 },
+            { from: 5, to: 10, count: 1 }
+        ]);
+    });
+
+    test('puts equal values into a single bin and has no bins without values', () => {
+        assert.deepStrictEqual(calculateHistogram([2, 2, 2]), { bin_width: 0, bins: [{ from: 2, to: 2, count: 3 }] });
+        assert.deepStrictEqual(calculateHistogram([null]), { bin_width: null, bins: [] });
+    });
+});
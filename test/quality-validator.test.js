@@ -0,0 +1,54 @@
+/**
+ * Unit tests for the confidence threshold of the quality validator
+ * (scrapers/modules/quality/quality-validator.js)
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const ScraperConfig = require('../scrapers/modules/config');
+const QualityValidator = require('../scrapers/modules/quality/quality-validator');
+
+const validator = new QualityValidator(new ScraperConfig());
+
+const priceData = {
+    lokaler_versorger_price: 0.4012,
+    oekostrom_price: 0.2735,
+    lokaler_versorger_confidence: 0.97,
+    oekostrom_confidence: 0.94
+};
+
+describe('validatePriceData confidence threshold', () => {
+    test('accepts prices at or above the minimum confidence', () => {
+        const validation = validator.validatePriceData({ ...priceData, oekostrom_confidence: 0.7 });
+        assert.strictEqual(validation.valid, true);
+        assert.deepStrictEqual(validation.rejected_prices, []);
+    });
+
+    test('rejects a single low-confidence price and keeps the other', () => {
+        const validation = validator.validatePriceData({ ...priceData, oekostrom_confidence: 0.55 });
+        assert.strictEqual(validation.valid, true);
+        assert.deepStrictEqual(validation.rejected_prices, ['oekostrom_price']);
+        assert.strictEqual(validation.quality_score, 0.7);
+        assert.match(validation.issues[0], /Ökostrom price confidence 0.55 below minimum 0.7/);
+    });
+
+    test('is invalid when every price is rejected', () => {
+        const validation = validator.validatePriceData({
+            ...priceData,
+            lokaler_versorger_confidence: 0.5,
+            oekostrom_confidence: 0.6
+        });
+        assert.strictEqual(validation.valid, false);
+        assert.strictEqual(validation.quality_score, 0);
+        assert.deepStrictEqual(validation.rejected_prices, ['lokaler_versorger_price', 'oekostrom_price']);
+    });
+
+    test('does not reject rows without a confidence score', () => {
+        const validation = validator.validatePriceData({
+            lokaler_versorger_price: 0.4012,
+            oekostrom_price: 0.2735
+        });
+        assert.strictEqual(validation.valid, true);
+        assert.deepStrictEqual(validation.rejected_prices, []);
+    });
+});
@@ -0,0 +1,88 @@
+/**
+ * Unit tests for the neighbour and history outlier detection
+ * (scrapers/modules/quality/robust-outlier-detector.js)
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const ScraperConfig = require('../scrapers/modules/config');
+const QualityValidator = require('../scrapers/modules/quality/quality-validator');
+const RobustOutlierDetector = require('../scrapers/modules/quality/robust-outlier-detector');
+const { priceRow } = require('./helpers/price-rows');
+
+const config = new ScraperConfig();
+const detector = new RobustOutlierDetector(config, new QualityValidator(config));
+
+// Ten PLZs around Hannover, about 1-10 km apart
+const REGION = Array.from({ length: 10 }, (_, i) => ({
+    plz: String(30159 + i),
+    latitude: 52.37 + i * 0.01,
+    longitude: 9.73 + (i % 3) * 0.02
+}));
+const coordinates = new Map(REGION.map(({ plz, latitude, longitude }) => [plz, { latitude, longitude }]));
+
+describe('modifiedZScore', () => {
+    test('scores against median and MAD', () => {
+        const score = detector.modifiedZScore(0.25, [0.39, 0.40, 0.40, 0.41, 0.42]);
+        assert.strictEqual(score.median, 0.40);
+        assert.ok(score.z < -6, `z = ${score.z}`);
+    });
+
+    test('floors the MAD for identical prices', () => {
+        const score = detector.modifiedZScore(0.405, [0.40, 0.40, 0.40, 0.40, 0.40]);
+        assert.strictEqual(score.mad, 0);
+        assert.ok(Math.abs(score.z) < 3.5, `z = ${score.z}`);
+    });
+});
+
+describe('detectMonth', () => {
+    test('flags a cheap price in an expensive region that the fixed thresholds miss', () => {
+        const rows = REGION.map(({ plz }, i) => priceRow(plz, 0.39 + (i % 4) * 0.005, 0.30 + (i % 3) * 0.004));
+        rows[4] = priceRow(REGION[4].plz, 0.25, 0.30);
+
+        const results = detector.detectMonth(rows, [], coordinates);
+        const flagged = results.filter(result => result.updates.is_outlier);
+
+        assert.deepStrictEqual(flagged.map(result => result.plz), [REGION[4].plz]);
+        assert.strictEqual(flagged[0].updates.outlier_severity, 'very_high');
+        assert.match(flagged[0].updates.outlier_reason, /^neighbours: Lokaler Versorger €0\.2500 vs\. median €0\.3\d+ of 9 PLZs within 30 km/);
+        assert.strictEqual(flagged[0].changed, true);
+    });
+
+    test('flags a price that leaves the PLZ\'s own history', () => {
+        const history = ['2025-04-01', '2025-05-01', '2025-06-01'].flatMap(month => [
+            priceRow('10115', 0.40, 0.30, { data_month: month }),
+            priceRow('10115', 0.90, 0.30, { data_month: month, data_source: 'FALLBACK' })
+        ]);
+
+        const [stable] = detector.detectMonth([priceRow('10115', 0.405, 0.30)], history, coordinates);
+        const [jumped] = detector.detectMonth([priceRow('10115', 0.55, 0.30)], history, coordinates);
+
+        assert.strictEqual(stable.updates.is_outlier, false);
+        assert.strictEqual(jumped.updates.is_outlier, true);
+        assert.match(jumped.updates.outlier_reason, /^history: Lokaler Versorger €0\.5500 vs\. median €0\.4000 of the last 3 months/);
+    });
+
+    test('keeps the fixed thresholds and skips checks without enough data', () => {
+        const rows = [
+            priceRow('30159', 0.65, 0.30),
+            priceRow('30160', 0.25, 0.30),
+            priceRow('30161', 0.40, 0.30, { data_source: 'FALLBACK' })
+        ];
+
+        const results = detector.detectMonth(rows, [], coordinates);
+
+        assert.strictEqual(results.length, 2);
+        assert.strictEqual(results[0].updates.outlier_severity, 'high');
+        assert.match(results[0].updates.outlier_reason, /^threshold: Lokaler Versorger price €0\.6500 is high/);
+        assert.strictEqual(results[1].updates.is_outlier, false);
+        assert.strictEqual(results[1].updates.outlier_reason, null);
+        assert.strictEqual(results[1].changed, false);
+    });
+});
+
+describe('getHistoryMonths', () => {
+    test('lists the previous months across the year boundary', () => {
+        assert.deepStrictEqual(detector.getHistoryMonths('2025-02-01').slice(0, 3), ['2025-01-01', '2024-12-01', '2024-11-01']);
+    });
+});
@@ -0,0 +1,111 @@
+/**
+ * Tests for the second price source (stromvergleich adapter and extractor)
+ *
+ * The extractor and the adapter run against the recorded pages in test/fixtures/stromvergleich;
+ * expected.json holds the correct prices as read off each page. No request leaves the machine:
+ * the adapter's makeRequest is replaced by one that serves the fixture.
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+const ScraperConfig = require('../scrapers/modules/config');
+const StromvergleichExtractor = require('../scrapers/modules/extractors/stromvergleich-extractor');
+const StromvergleichAdapter = require('../scrapers/modules/adapters/stromvergleich-adapter');
+const ScraperFactory = require('../scrapers/modules/factory/scraper-factory');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'stromvergleich');
+const expected = JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, 'expected.json'), 'utf8'));
+
+function loadFixture(file) {
+    return fs.readFileSync(path.join(FIXTURE_DIR, file), 'utf8');
+}
+
+function createAdapter(html) {
+    const config = new ScraperConfig({ activeSource: 'stromvergleich' });
+    const adapter = new StromvergleichAdapter(config, new StromvergleichExtractor(config));
+    adapter.makeRequest = async url => html === null ? null : { data: html, url };
+    return adapter;
+}
+
+describe('stromvergleich extractor', () => {
+    const extractor = new StromvergleichExtractor(new ScraperConfig());
+
+    for (const [file, page] of Object.entries(expected)) {
+        test(`${file}: finds the correct prices`, () => {
+            const html = loadFixture(file);
+            const result = extractor.extractPrices(html, cheerio.load(html).text(), file);
+
+            assert.strictEqual(result.lokaler_versorger_price, page.prices.lokaler_versorger_price);
+            assert.strictEqual(result.oekostrom_price, page.prices.oekostrom_price);
+            assert.strictEqual(result.extraction_method, page.extraction_method);
+            assert.ok(result.lokaler_versorger_confidence >= 0.7, `local confidence ${result.lokaler_versorger_confidence}`);
+            assert.ok(result.oekostrom_confidence >= 0.7, `Öko confidence ${result.oekostrom_confidence}`);
+        });
+    }
+
+    test('every strategy agrees on the page with JSON-LD, table and text', () => {
+        const html = loadFixture('21335-lueneburg.html');
+        const $ = cheerio.load(html);
+        const { prices } = expected['21335-lueneburg.html'];
+
+        for (const strategy of extractor.getStrategies()) {
+            const result = extractor.applyExtractionStrategy(strategy, $, $.text());
+            assert.strictEqual(result.lokaler_versorger_price, prices.lokaler_versorger_price, strategy);
+            assert.strictEqual(result.oekostrom_price, prices.oekostrom_price, strategy);
+        }
+    });
+
+    test('ignores JSON-LD offers that are not priced per kWh', () => {
+        const html = '<script type="application/ld+json">{"name":"Grundversorgung","priceSpecification":{"price":1147,"priceCurrency":"EUR","unitCode":"ANN"}}</script>';
+        const result = extractor.extractFromStructuredData(cheerio.load(html));
+        assert.strictEqual(result.lokaler_versorger_price, null);
+    });
+});
+
+describe('stromvergleich adapter', () => {
+    test('builds PLZ page URLs', () => {
+        const adapter = createAdapter(null);
+        assert.strictEqual(adapter.buildUrl('München', '80331'), 'https://www.stromvergleich.de/strompreise/80331-muenchen');
+    });
+
+    test('tags scraped rows with the source name', async () => {
+        const page = expected['80331-muenchen.html'];
+        const adapter = createAdapter(loadFixture('80331-muenchen.html'));
+        const result = await adapter.scrapeCity(page.city_name, page.plz, '2025-07-01');
+
+        assert.strictEqual(result.source_name, 'stromvergleich');
+        assert.strictEqual(result.data_source, 'ORIGINAL');
+        assert.strictEqual(result.lokaler_versorger_price, page.prices.lokaler_versorger_price);
+        assert.strictEqual(result.oekostrom_price, page.prices.oekostrom_price);
+    });
+
+    test('reports missing pages as NOT_FOUND', async () => {
+        const result = await createAdapter(null).scrapeCity('Nirgendwo', '99999', '2025-07-01');
+        assert.strictEqual(result.data_source, 'NOT_FOUND');
+        assert.strictEqual(result.source_name, 'stromvergleich');
+    });
+});
+
+describe('source selection', () => {
+    const factory = new ScraperFactory();
+
+    test('maps source options to stored source names', () => {
+        assert.strictEqual(factory.resolveSourceName(), 'stromauskunft');
+        assert.strictEqual(factory.resolveSourceName('stromauskunft-improved'), 'stromauskunft');
+        assert.strictEqual(factory.resolveSourceName('stromvergleich'), 'stromvergleich');
+        assert.throws(() => factory.resolveSourceName('verivox'), /Unknown source/);
+    });
+
+    test('creates the extractor and adapter of the selected source', () => {
+        const config = new ScraperConfig({ activeSource: 'stromvergleich' });
+        const extractor = factory.createEnhancedExtractorModule(config, 'stromvergleich');
+        const adapter = factory.createEnhancedSourceAdapter(config, extractor, null, 'stromvergleich');
+
+        assert.ok(extractor instanceof StromvergleichExtractor);
+        assert.ok(adapter instanceof StromvergleichAdapter);
+        assert.strictEqual(config.getActiveSource(), 'stromvergleich');
+    });
+});
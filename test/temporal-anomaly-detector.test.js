@@ -0,0 +1,102 @@
+/**
+ * Unit tests for the month-over-month jump detection
+ * (scrapers/modules/quality/temporal-anomaly-detector.js) and its quality report section
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const ScraperConfig = require('../scrapers/modules/config');
+const QualityValidator = require('../scrapers/modules/quality/quality-validator');
+const TemporalAnomalyDetector = require('../scrapers/modules/quality/temporal-anomaly-detector');
+const { priceRow } = require('./helpers/price-rows');
+
+const config = new ScraperConfig();
+const detector = new TemporalAnomalyDetector(config);
+
+const HISTORY = [
+    priceRow('10115', 0.40, 0.30, { data_month: '2025-04-01' }),
+    priceRow('10115', 0.41, 0.30, { data_month: '2025-05-01' }),
+    priceRow('10115', 0.40, 0.31, { data_month: '2025-06-01' }),
+    priceRow('20095', 0.38, 0.28, { data_month: '2025-06-01' }),
+    priceRow('30159', 0.90, 0.70, { data_month: '2025-06-01', data_source: 'FALLBACK' })
+];
+
+describe('detectMonth', () => {
+    test('flags a 60% jump against the median of the previous months', () => {
+        const [anomaly, ...rest] = detector.detectMonth([priceRow('10115', 0.64, 0.305)], HISTORY);
+
+        assert.strictEqual(rest.length, 0);
+        assert.strictEqual(anomaly.price_id, '10115-2025-07-01');
+        assert.strictEqual(anomaly.price_field, 'lokaler_versorger_price');
+        assert.strictEqual(anomaly.anomaly_type, 'month_over_month_jump');
+        assert.strictEqual(anomaly.baseline_price, 0.40);
+        assert.strictEqual(anomaly.baseline_months, 3);
+        assert.strictEqual(anomaly.previous_month, '2025-06-01');
+        assert.strictEqual(anomaly.change_ratio, 0.6);
+        assert.strictEqual(anomaly.severity, 'very_high');
+        assert.match(anomaly.reason, /^Lokaler Versorger €0\.6400 is 60\.0% above the median €0\.4000 of the last 3 months/);
+    });
+
+    test('grades drops and smaller jumps, worst first', () => {
+        const anomalies = detector.detectMonth([
+            priceRow('10115', 0.42, 0.30),   // plausible
+            priceRow('20095', 0.26, 0.38)    // -31.6% and +35.7%
+        ], HISTORY);
+
+        assert.deepStrictEqual(anomalies.map(anomaly => [anomaly.price_field, anomaly.severity]), [
+            ['oekostrom_price', 'high'],
+            ['lokaler_versorger_price', 'high']
+        ]);
+        assert.match(anomalies[1].reason, /31\.6% below/);
+    });
+
+    test('skips fallback rows and PLZs without scraped history', () => {
+        const anomalies = detector.detectMonth([
+            priceRow('10115', 0.90, 0.30, { data_source: 'FALLBACK' }),
+            priceRow('30159', 0.40, 0.30),
+            priceRow('10115', 0.90, 0.30, { source_name: 'stromvergleich' })
+        ], HISTORY);
+
+        assert.deepStrictEqual(anomalies, []);
+    });
+});
+
+describe('runMonth', () => {
+    test('checks the session\'s PLZs and queues the jumps with the session ID', async () => {
+        const queued = [];
+        const months = {
+            '2025-07-01': [priceRow('10115', 0.64, 0.30), priceRow('20095', 0.60, 0.28)],
+            '2025-06-01': HISTORY.filter(entry => entry.data_month === '2025-06-01')
+        };
+        const storage = {
+            getMonthPriceData: async month => months[month] || [],
+            storeReviewQueueItems: async items => queued.push(...items)
+        };
+
+        const result = await detector.runMonth(storage, '2025-07-01', { plzs: new Set(['10115']), sessionId: 'session-1' });
+
+        assert.strictEqual(result.checked, 1);
+        assert.strictEqual(result.anomalies.length, 1);
+        assert.strictEqual(result.queued, 1);
+        assert.strictEqual(queued[0].session_id, 'session-1');
+        assert.strictEqual(queued[0].plz, '10115');
+    });
+});
+
+describe('generateQualityReport', () => {
+    test('lists the queued jumps and recommends a review', () => {
+        const validator = new QualityValidator(config);
+        const results = [{ lokaler_versorger_price: 0.64, oekostrom_price: 0.30, is_outlier: false }];
+        const anomalies = detector.detectMonth([priceRow('10115', 0.64, 0.30)], HISTORY);
+
+        const report = validator.generateQualityReport(results, anomalies);
+
+        assert.strictEqual(report.summary.temporal_anomalies, 1);
+        assert.deepStrictEqual(
+            { total: report.temporal_anomalies.total, high: report.temporal_anomalies.high, very_high: report.temporal_anomalies.very_high },
+            { total: 1, high: 0, very_high: 1 }
+        );
+        assert.strictEqual(report.temporal_anomalies.items[0].plz, '10115');
+        assert.ok(report.recommendations.some(recommendation => /1 implausible month-over-month price jumps/.test(recommendation)));
+    });
+});
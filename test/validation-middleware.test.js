@@ -0,0 +1,130 @@
+/**
+ * Unit tests for the query and path parameter validation of the API routes
+ * (api/middleware/validation-middleware.js)
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { validateMonthRange, validateComparisonMonths, validatePriceFilters } = require('../api/middleware/validation-middleware');
+
+/**
+ * Run a middleware against a request stub
+ * @returns {Object} { req, next: whether next() was called, status, body }
+ */
+function run(middleware, { query = {}, params = {} } = {}) {
+    const req = { query, params };
+    const outcome = { req, next: false, status: null, body: null };
+    const res = {
+        status(code) { outcome.status = code; return this; },
+        json(body) { outcome.body = body; return this; }
+    };
+
+    middleware(req, res, () => { outcome.next = true; });
+    return outcome;
+}
+
+describe('validateMonthRange', () => {
+    test('turns from/to into first days of the month and leaves open ends null', () => {
+        assert.deepStrictEqual(run(validateMonthRange, { query: { from: '2025-01', to: '2025-07' } }).req.monthRange,
+            { from: '2025-01-01', to: '2025-07-01' });
+        assert.deepStrictEqual(run(validateMonthRange, { query: { to: '2025-07' } }).req.monthRange,
+            { from: null, to: '2025-07-01' });
+        assert.deepStrictEqual(run(validateMonthRange).req.monthRange, { from: null, to: null });
+    });
+
+    test('rejects months outside YYYY-MM', () => {
+        for (const from of ['2025-13', '2025-7', '07-2025', '2025-00']) {
+            const outcome = run(validateMonthRange, { query: { from } });
+
+            assert.strictEqual(outcome.next, false, from);
+            assert.strictEqual(outcome.status, 400);
+            assert.strictEqual(outcome.body.error.details.field, 'from');
+        }
+    });
+
+    test('rejects a range that ends before it starts', () => {
+        const outcome = run(validateMonthRange, { query: { from: '2025-07', to: '2025-01' } });
+
+        assert.strictEqual(outcome.status, 400);
+        assert.match(outcome.body.error.message, /from must not be after to/);
+    });
+});
+
+describe('validateComparisonMonths', () => {
+    const params = (yearA, monthA, yearB, monthB) => ({ params: { yearA, monthA, yearB, monthB } });
+
+    test('adds both months with their data_month', () => {
+        const { req, next } = run(validateComparisonMonths, params('2025', '6', '2025', '07'));
+
+        assert.strictEqual(next, true);
+        assert.deepStrictEqual(req.comparison, {
+            monthA: { year: 2025, month: 6, data_month: '2025-06-01' },
+            monthB: { year: 2025, month: 7, data_month: '2025-07-01' }
+        });
+    });
+
+    test('rejects invalid, future and identical months', () => {
+        const nextYear = String(new Date().getFullYear() + 1);
+        const invalid = [
+            [params('2019', '12', '2025', '07'), /yearA and monthA must describe a valid month/],
+            [params('2025', '06', '2025', '13'), /yearB and monthB must describe a valid month/],
+            [params('2025', '06', nextYear, '12'), /future months/],
+            [params('2025', '07', '2025', '7'), /two different months/]
+        ];
+
+        for (const [request, message] of invalid) {
+            const outcome = run(validateComparisonMonths, request);
+
+            assert.strictEqual(outcome.next, false);
+            assert.strictEqual(outcome.status, 400);
+            assert.match(outcome.body.error.message, message);
+        }
+    });
+});
+
+describe('validatePriceFilters', () => {
+    test('normalizes the filters and parses the sort order', () => {
+        const { req, next } = run(validatePriceFilters, {
+            query: { data_source: 'fallback', is_outlier: 'false', severity: 'high', min_price: '0.3', max_price: '0.45', sort: '-average' }
+        });
+
+        assert.strictEqual(next, true);
+        assert.deepStrictEqual(req.priceFilters, { data_source: 'FALLBACK', is_outlier: false, severity: 'high', min_price: 0.3, max_price: 0.45 });
+        assert.deepStrictEqual(req.sort, { field: 'average', column: 'average_price', ascending: false });
+    });
+
+    test('sorts by PLZ without filters', () => {
+        const { req } = run(validatePriceFilters);
+
+        assert.deepStrictEqual(req.priceFilters, {});
+        assert.deepStrictEqual(req.sort, { field: 'plz', column: 'plz', ascending: true });
+    });
+
+    test('rejects unknown values with the offending field', () => {
+        const invalid = [
+            ['data_source', { data_source: 'SCRAPED' }],
+            ['is_outlier', { is_outlier: 'yes' }],
+            ['severity', { severity: 'extreme' }],
+            ['min_price', { min_price: '-0.1' }],
+            ['max_price', { max_price: 'cheap' }],
+            ['sort', { sort: '-scraped_at' }],
+            ['sort', { sort: ['plz', '-average'] }],
+            ['min_price', { min_price: ['0.3', '0.5'] }]
+        ];
+
+        for (const [field, query] of invalid) {
+            const outcome = run(validatePriceFilters, { query });
+
+            assert.strictEqual(outcome.next, false, field);
+            assert.strictEqual(outcome.status, 400);
+            assert.strictEqual(outcome.body.error.details.field, field);
+        }
+    });
+
+    test('rejects a price range with min above max', () => {
+        const outcome = run(validatePriceFilters, { query: { min_price: '0.5', max_price: '0.4' } });
+
+        assert.strictEqual(outcome.status, 400);
+        assert.match(outcome.body.error.message, /min_price must not be greater than max_price/);
+    });
+});
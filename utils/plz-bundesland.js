@@ -0,0 +1,173 @@
+/**
+ * PLZ → Bundesland Mapping
+ * Maps German postal codes to federal states using the official PLZ ranges.
+ * Lives next to 'Postleitzahlen Deutschland.csv' (see GeographicCompletion.loadPLZCoordinates).
+ *
+ * PLZ areas do not follow state borders exactly. Where a range is split,
+ * the range boundaries below follow the individual delivery areas; single
+ * PLZs spanning two states are assigned to the state holding the post office.
+ */
+
+const BUNDESLAENDER = {
+    BW: 'Baden-Württemberg',
+    BY: 'Bayern',
+    BE: 'Berlin',
+    BB: 'Brandenburg',
+    HB: 'Bremen',
+    HH: 'Hamburg',
+    HE: 'Hessen',
+    MV: 'Mecklenburg-Vorpommern',
+    NI: 'Niedersachsen',
+    NW: 'Nordrhein-Westfalen',
+    RP: 'Rheinland-Pfalz',
+    SL: 'Saarland',
+    SN: 'Sachsen',
+    ST: 'Sachsen-Anhalt',
+    SH: 'Schleswig-Holstein',
+    TH: 'Thüringen'
+};
+
+// [first PLZ, last PLZ, state code] - sorted, non-overlapping
+const PLZ_RANGES = [
+    [1000, 1936, 'SN'],
+    [1937, 1998, 'BB'],
+    [2000, 2999, 'SN'],
+    [3000, 3999, 'BB'],
+    [4000, 4579, 'SN'],
+    [4580, 4639, 'TH'],
+    [4640, 4889, 'SN'],
+    [4890, 4999, 'BB'],
+    [6000, 6549, 'ST'],
+    [6550, 6578, 'TH'],
+    [6579, 6999, 'ST'],
+    [7000, 7999, 'TH'],
+    [8000, 9999, 'SN'],
+    [10000, 14199, 'BE'],
+    [14200, 16999, 'BB'],
+    [17000, 17258, 'MV'],
+    [17259, 17291, 'BB'],
+    [17292, 19306, 'MV'],
+    [19307, 19357, 'BB'],
+    [19358, 19999, 'MV'],
+    [20000, 21149, 'HH'],
+    [21150, 21449, 'NI'],
+    [21450, 21529, 'SH'],
+    [21530, 21999, 'NI'],
+    [22000, 22769, 'HH'],
+    [22770, 23919, 'SH'],
+    [23920, 23999, 'MV'],
+    [24000, 25999, 'SH'],
+    [26000, 27497, 'NI'],
+    [27498, 27499, 'SH'],
+    [27500, 27580, 'HB'],
+    [27581, 27999, 'NI'],
+    [28000, 28779, 'HB'],
+    [28780, 31999, 'NI'],
+    [32000, 33999, 'NW'],
+    [34000, 34399, 'HE'],
+    [34400, 34439, 'NW'],
+    [34440, 36399, 'HE'],
+    [36400, 36469, 'TH'],
+    [37000, 37199, 'NI'],
+    [37200, 37299, 'HE'],
+    [37300, 37359, 'TH'],
+    [37400, 37669, 'NI'],
+    [37670, 37699, 'NW'],
+    [38000, 38479, 'NI'],
+    [38480, 38489, 'ST'],
+    [38490, 38799, 'NI'],
+    [38800, 39999, 'ST'],
+    [40000, 48454, 'NW'],
+    [48455, 48465, 'NI'],
+    [48466, 48479, 'NW'],
+    [48480, 48480, 'NI'],
+    [48481, 48487, 'NW'],
+    [48488, 48488, 'NI'],
+    [48489, 48498, 'NW'],
+    [48499, 48531, 'NI'],
+    [48532, 48999, 'NW'],
+    [49000, 49476, 'NI'],
+    [49477, 49549, 'NW'],
+    [49550, 49999, 'NI'],
+    [50000, 53399, 'NW'],
+    [53400, 53579, 'RP'],
+    [53580, 53999, 'NW'],
+    [54000, 56999, 'RP'],
+    [57000, 57499, 'NW'],
+    [57500, 57648, 'RP'],
+    [58000, 59999, 'NW'],
+    [60000, 63699, 'HE'],
+    [63700, 63939, 'BY'],
+    [64000, 65549, 'HE'],
+    [65550, 65588, 'RP'],
+    [65589, 65999, 'HE'],
+    [66000, 66459, 'SL'],
+    [66460, 66537, 'RP'],
+    [66538, 66839, 'SL'],
+    [66840, 67999, 'RP'],
+    [68000, 68309, 'BW'],
+    [68500, 68519, 'HE'],
+    [68520, 68549, 'BW'],
+    [68550, 68649, 'HE'],
+    [68650, 69433, 'BW'],
+    [69434, 69434, 'HE'],
+    [69435, 69482, 'BW'],
+    [69483, 69483, 'HE'],
+    [69484, 69487, 'BW'],
+    [69488, 69488, 'HE'],
+    [69489, 69508, 'BW'],
+    [69509, 69509, 'HE'],
+    [69510, 69516, 'BW'],
+    [69517, 69518, 'HE'],
+    [69519, 79999, 'BW'],
+    [80000, 87999, 'BY'],
+    [88000, 88099, 'BW'],
+    [88100, 88179, 'BY'],
+    [88180, 89199, 'BW'],
+    [89200, 89449, 'BY'],
+    [89450, 89999, 'BW'],
+    [90000, 96499, 'BY'],
+    [96500, 96529, 'TH'],
+    [96530, 97876, 'BY'],
+    [97877, 97900, 'BW'],
+    [97901, 97939, 'BY'],
+    [97940, 97999, 'BW'],
+    [98000, 99999, 'TH']
+];
+
+/**
+ * Get the federal state for a PLZ
+ * @param {string|number} plz - 5-digit postal code
+ * @returns {Object|null} { code, name } or null if the PLZ is not assigned
+ */
+function getBundeslandForPLZ(plz) {
+    const plzNum = parseInt(plz, 10);
+    if (isNaN(plzNum)) {
+        return null;
+    }
+
+    // Binary search over the sorted ranges
+    let low = 0;
+    let high = PLZ_RANGES.length - 1;
+
+    while (low <= high) {
+        const mid = (low + high) >> 1;
+        const [first, last, code] = PLZ_RANGES[mid];
+
+        if (plzNum < first) {
+            high = mid - 1;
+        } else if (plzNum > last) {
+            low = mid + 1;
+        } else {
+            return { code, name: BUNDESLAENDER[code] };
+        }
+    }
+
+    return null;
+}
+
+module.exports = {
+    BUNDESLAENDER,
+    PLZ_RANGES,
+    getBundeslandForPLZ
+};